@@ -1,47 +1,49 @@
 // Enhanced Integration Script with Price Outlier Protection and Liquidity Validation
 // Uses local token supply data and DexHunter price data to calculate market caps
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getMarketDataProvider } = require('./services/providers');
+const { getDexhunterClient } = require('./services/dexhunterClient');
+const discoveryService = require('./services/discoveryService');
+const supplyService = require('./services/supplyService');
+const snapshotStore = require('./services/snapshotStore');
+const persistenceService = require('./services/persistenceService');
+const { diffReports } = require('./services/reportDiff');
+const decimalsService = require('./services/decimalsService');
+const { PriceGraph, ADA, describeScope } = require('./services/priceGraph');
+const {
+  calculateWeightedPrice,
+  fingerprintPools,
+  seedPriceGraph,
+  OUTLIER_METHOD,
+  OUTLIER_Z_THRESHOLD
+} = require('./services/poolPricing');
+const tradePriceService = require('./services/tradePriceService');
+const pegService = require('./services/pegService');
+const trustRules = require('./services/trustRules');
+const trustHistory = require('./services/trustHistory');
+const trustListService = require('./services/trustListService');
+const holderService = require('./services/holderService');
+const { matchToken } = trustListService;
+const { LookalikeIndex } = require('./services/lookalikeIndex');
 
 // Configuration
-const BATCH_SIZE = 10;
-const BATCH_DELAY_MS = 2000; // 2 seconds between batches
-const MAX_REASONABLE_PRICE = 1000; // Maximum reasonable price in ADA
-const MIN_REASONABLE_PRICE = 0.000001; // Minimum reasonable price in ADA
+const BATCH_SIZE = 10; // Tokens per progress batch; request pacing comes from the shared DexHunter rate budget
 const MIN_LIQUIDITY_THRESHOLD = 500; // Minimum ADA liquidity to consider valid
 const MAX_MCAP_LIQUIDITY_RATIO = 10000; // Maximum market cap to liquidity ratio
 const MIN_POOLS_REQUIRED = 3; // Minimum number of liquidity pools required to be considered legitimate
-const HONEYPOT_BLACKLIST = ['f45b5a5a20bb18a37e6e18c4cfe17dbc9be5aa3d6fa0453c06ee8da5c77e80b346455448', 'addr1w9zru...lfqw']; // Known honeypot token IDs
+const STALE_AFTER_MS = 6 * 60 * 60 * 1000; // Incremental mode re-enriches tokens whose data is older than 6 hours
 const OUTPUT_DIR = './token_data';
 const SUMMARIES_DIR = path.join(OUTPUT_DIR, 'summaries');
-const MARKET_CAP_REPORT_FILE = path.join(OUTPUT_DIR, 'market_cap_report_refined.json');
 
 // Ensure output directory exists
 if (!fs.existsSync(OUTPUT_DIR)) {
   fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
-// DexHunter API key
-const DEXHUNTER_API_KEY = process.env.REACT_APP_DEXHUNTER_PARTNER_ID;
-
-if (!DEXHUNTER_API_KEY) {
-  console.error('ERROR: Missing DexHunter API key in environment variables');
-  process.exit(1);
-}
-
-console.log('API Keys configured:');
-console.log('- DexHunter: Found');
-
-// Initialize API client for DexHunter
-const dexhunterClient = axios.create({
-  baseURL: 'https://api-us.dexhunterv3.app',
-  headers: {
-    'Content-Type': 'application/json',
-    'X-Partner-Id': DEXHUNTER_API_KEY
-  }
-});
+// Market data provider chain (DexHunter first, local files as fallback)
+const marketData = getMarketDataProvider();
 
 /**
  * Get all locally stored token data
@@ -89,555 +91,314 @@ async function loadLocalTokenData() {
 }
 
 /**
- * Get basic token information from DexHunter
- * @param {string} tokenId - The token ID
- * @returns {Promise<Object|null>} Token information or null
+ * Load the previously stored enhanced records keyed by token ID
+ * @param {string} [dir] - Directory to read (defaults to the published snapshot)
+ * @returns {Object<string, Object>} Enhanced records from the last runs
  */
-async function getTokenInfo(tokenId) {
-  try {
-    const response = await dexhunterClient.get(`/swap/token/${tokenId}`);
-    return response.data;
-  } catch (error) {
-    console.error(`Error getting token info for ${tokenId}:`, error.message);
-    return null;
+function loadEnhancedTokenData(dir = snapshotStore.getCurrent().summariesDir) {
+  const records = {};
+  
+  if (!fs.existsSync(dir)) {
+    return records;
+  }
+  
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('_enhanced_refined.json'));
+  
+  for (const file of files) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (data && data.token_id) {
+        records[data.token_id] = data;
+      }
+    } catch (err) {
+      console.error(`Error loading enhanced file ${file}:`, err.message);
+    }
   }
+  
+  return records;
 }
 
 /**
- * Calculate weighted average price from liquidity pools with outlier protection
- * @param {string} tokenId - The token ID
- * @returns {Promise<{weightedPrice: number, totalLiquidity: number, filteredOutliers: boolean}>}
+ * Get completed orders since the given time from /swap/globalOrders
+ * @param {Date} since - Start of the lookback window
+ * @returns {Promise<{orders: Array, orderFetch: Object}>} Orders and the pagination outcome
  */
-async function calculateWeightedPrice(tokenId) {
+async function getRecentOrders(since) {
+  const volumeService = require('./services/volumeService');
+  
   try {
-    // Get all pools for the token with ADA
-    const poolsResponse = await dexhunterClient.get(`/stats/pools/ADA/${tokenId}`);
-    const pools = poolsResponse.data;
-    
-    // NEW: Track if we attempted to use the averagePrice endpoint
-    let attemptedAveragePrice = false;
-    let averagePriceResult = null;
-    
-    if (!pools || !Array.isArray(pools) || pools.length === 0) {
-      // If no pool data is available, try the averagePrice endpoint
-      try {
-        console.log(`No pool data for ${tokenId}, trying averagePrice endpoint...`);
-        attemptedAveragePrice = true;
-        
-        const priceResponse = await dexhunterClient.get(`/swap/averagePrice/${tokenId}/ADA`);
-        
-        if (priceResponse.data && priceResponse.data.price_ba) {
-          console.log(`Found price from averagePrice endpoint: ${priceResponse.data.price_ba}`);
-          averagePriceResult = {
-            weightedPrice: parseFloat(priceResponse.data.price_ba),
-            totalLiquidity: 0, // We don't have liquidity information from this endpoint
-            filteredOutliers: false,
-            poolCount: 0,
-            originalPoolCount: 0,
-            priceFromAveragePrice: true,
-            suspiciousLiquidity: true // Mark as suspicious since no pools were found
-          };
-        }
-        
-        // If that fails, try the reverse order (ADA/token)
-        if (!averagePriceResult) {
-          console.log(`No price_ba data, trying reverse direction...`);
-          const reversePriceResponse = await dexhunterClient.get(`/swap/averagePrice/ADA/${tokenId}`);
-          
-          if (reversePriceResponse.data && reversePriceResponse.data.price_ab) {
-            console.log(`Found price from reverse averagePrice endpoint: ${reversePriceResponse.data.price_ab}`);
-            averagePriceResult = {
-              weightedPrice: parseFloat(reversePriceResponse.data.price_ab),
-              totalLiquidity: 0,
-              filteredOutliers: false,
-              poolCount: 0,
-              originalPoolCount: 0,
-              priceFromAveragePrice: true,
-              suspiciousLiquidity: true // Mark as suspicious since no pools were found
-            };
-          }
-        }
-        
-        if (averagePriceResult) {
-          return averagePriceResult;
-        }
-      } catch (priceError) {
-        console.error(`Error fetching price from averagePrice endpoint for ${tokenId}:`, priceError.message);
-      }
-      
-      return {
-        weightedPrice: 0,
-        totalLiquidity: 0,
-        filteredOutliers: false,
-        poolCount: 0,
-        originalPoolCount: 0,
-        suspiciousLiquidity: true,
-        noPoolsFound: true // NEW: Flag to indicate no pools were found
-      };
-    }
-    
-    // Step 1: Calculate all individual pool prices
-    const poolsWithPrices = pools.map(pool => {
-      const adaAmount = parseFloat(pool.token_1_amount || 0);
-      const tokenAmount = parseFloat(pool.token_2_amount || 0);
-      
-      // Skip pools with zero liquidity
-      if (adaAmount <= 0 || tokenAmount <= 0) {
-        return {
-          dex: pool.dex,
-          adaAmount: 0,
-          tokenAmount: 0,
-          price: 0,
-          valid: false
-        };
-      }
-      
-      // Price is ADA / token amount
-      const price = adaAmount / tokenAmount;
-      
-      return {
-        dex: pool.dex,
-        adaAmount,
-        tokenAmount,
-        price,
-        valid: true
-      };
-    }).filter(pool => pool.valid);
-    
-    // NEW: If pools exist but none have valid prices, this is suspicious
-    if (pools.length > 0 && poolsWithPrices.length === 0) {
-      // Try the averagePrice endpoint as a fallback
-      if (!attemptedAveragePrice) {
-        try {
-          console.log(`Pools exist but none have valid prices for ${tokenId}, trying averagePrice endpoint...`);
-          const priceResponse = await dexhunterClient.get(`/swap/averagePrice/${tokenId}/ADA`);
-          
-          if (priceResponse.data && priceResponse.data.price_ba) {
-            console.log(`Found price from averagePrice endpoint: ${priceResponse.data.price_ba}`);
-            return {
-              weightedPrice: parseFloat(priceResponse.data.price_ba),
-              totalLiquidity: 0,
-              filteredOutliers: false,
-              poolCount: 0,
-              originalPoolCount: pools.length,
-              medianUsed: false,
-              suspiciousLiquidity: true,
-              priceFromAveragePrice: true,
-              emptySuspiciousPools: true // NEW: Flag to indicate suspicious empty pools
-            };
-          }
-        } catch (priceError) {
-          console.error(`Error fetching price from averagePrice endpoint for ${tokenId} after finding empty pools:`, priceError.message);
-        }
-      }
-      
-      return {
-        weightedPrice: 0,
-        totalLiquidity: 0,
-        filteredOutliers: false,
-        poolCount: 0,
-        originalPoolCount: pools.length,
-        suspiciousLiquidity: true,
-        emptySuspiciousPools: true // NEW: Flag to indicate suspicious empty pools
-      };
-    }
-    
-    // Step 2: Check for and handle extreme price outliers
-    const hasExtremeOutliers = poolsWithPrices.some(
-      pool => pool.price > MAX_REASONABLE_PRICE || pool.price < MIN_REASONABLE_PRICE
-    );
-    
-    // Filter out extreme prices
-    const reasonablePools = hasExtremeOutliers 
-      ? poolsWithPrices.filter(pool => 
-          pool.price <= MAX_REASONABLE_PRICE && 
-          pool.price >= MIN_REASONABLE_PRICE
-        )
-      : poolsWithPrices;
-    
-    // If no reasonable pools remain after filtering, use median price
-    if (reasonablePools.length === 0) {
-      // Sort by price and take the median value
-      const sortedPrices = [...poolsWithPrices].sort((a, b) => a.price - b.price);
-      const medianPrice = sortedPrices[Math.floor(sortedPrices.length / 2)].price;
-      
-      // Use the median price, but cap it at the maximum reasonable price
-      const cappedPrice = Math.min(medianPrice, MAX_REASONABLE_PRICE);
-      
-      // Add up all ADA liquidity from original pools
-      const totalLiquidity = poolsWithPrices.reduce(
-        (sum, pool) => sum + pool.adaAmount, 0
-      );
-      
-      return {
-        weightedPrice: cappedPrice,
-        totalLiquidity,
-        filteredOutliers: true,
-        medianUsed: true,
-        poolCount: poolsWithPrices.length
-      };
-    }
-    
-    // Calculate total ADA liquidity across reasonable pools
-    const totalLiquidity = reasonablePools.reduce(
-      (sum, pool) => sum + pool.adaAmount, 0
-    );
-    
-    if (totalLiquidity === 0) {
-      return {
-        weightedPrice: 0,
-        totalLiquidity: 0,
-        filteredOutliers: hasExtremeOutliers,
-        poolCount: reasonablePools.length
-      };
-    }
-    
-    // Step 3: Check for suspicious liquidity distribution (honeypot detection)
-    let suspiciousLiquidity = false;
-    if (reasonablePools.length > 0) {
-      // Sort pools by liquidity
-      const sortedByLiquidity = [...reasonablePools].sort((a, b) => b.adaAmount - a.adaAmount);
-      
-      // If there's only one pool or the top pool has more than 95% of all liquidity, it's suspicious
-      if (reasonablePools.length === 1 || 
-          (sortedByLiquidity[0].adaAmount / totalLiquidity > 0.95)) {
-        suspiciousLiquidity = true;
-      }
-    }
-    
-    // Calculate weighted average price using only reasonable pools
-    const weightedPrice = reasonablePools.reduce((sum, pool) => {
-      const weight = pool.adaAmount / totalLiquidity;
-      return sum + (pool.price * weight);
-    }, 0);
-    
+    const orders = await volumeService.getAllOrders(since, new Date());
     return {
-      weightedPrice,
-      totalLiquidity,
-      filteredOutliers: hasExtremeOutliers,
-      poolCount: reasonablePools.length,
-      originalPoolCount: pools.length,
-      medianUsed: suspiciousLiquidity,
-      suspiciousLiquidity,
-      priceFromAveragePrice: false
+      orders,
+      orderFetch: volumeService.lastOrderFetch
     };
   } catch (error) {
-    console.error(`Error calculating weighted price for ${tokenId}:`, error.message);
+    console.error('Error loading recent orders:', error.message);
     return {
-      weightedPrice: 0,
-      totalLiquidity: 0,
-      filteredOutliers: false,
-      poolCount: 0,
-      error: error.message
+      orders: [],
+      orderFetch: { complete: false, error: error.message }
     };
   }
 }
 
 /**
- * Calculate a trust score for token validation instead of binary filtering
- * @param {string} tokenId - The token ID
- * @param {number} poolCount - Number of liquidity pools
- * @param {boolean} suspiciousLiquidity - Whether liquidity distribution is suspicious
- * @param {number} totalLiquidity - Total ADA liquidity
- * @param {number} marketCap - Calculated market cap
- * @param {number} circulatingSupply - Circulating supply
- * @param {string} ticker - Token ticker
- * @param {number} tokenAge - Token age in days (if available)
- * @returns {Object} Trust score assessment with detailed breakdown
+ * Get the IDs of tokens that traded since the given time
+ * @param {Array} orders - Completed orders
+ * @param {Date} since - Start of the lookback window
+ * @returns {Set<string>} Token IDs seen in orders submitted since then
  */
-function calculateTrustScore(tokenId, poolCount, suspiciousLiquidity, totalLiquidity, marketCap, circulatingSupply, ticker, tokenAge = 0, priceFromAveragePrice = false) {
-  // Start with base score of 100
-  let score = 100;
-  const penalties = [];
-  const bonuses = [];
-  
-  // Known legitimate tokens whitelist - explicitly trusted
-  const TRUSTED_TOKENS = [
-    "5b26e685cc5c9ad630bde3e3cd48c694436671f3d25df53777ca60ef4e564c", // NVL
-  ];
+function getTradedTokenIds(orders, since) {
+  const tokenIds = new Set();
   
-  // Check if token is in whitelist
-  if (TRUSTED_TOKENS.includes(tokenId)) {
-    bonuses.push({
-      reason: 'Token is in trusted whitelist',
-      points: 50
-    });
-    score += 50;
-  }
+  orders.forEach(order => {
+    if (new Date(order.submission_time) < since) return;
+    if (order.token_id_in) tokenIds.add(order.token_id_in);
+    if (order.token_id_out) tokenIds.add(order.token_id_out);
+  });
   
-  // Check if token is in blacklist
-  if (HONEYPOT_BLACKLIST.includes(tokenId)) {
-    penalties.push({
-      reason: 'Token is in honeypot blacklist',
-      points: -100
-    });
-    score -= 100;
-  }
+  return tokenIds;
+}
+
+/**
+ * Fetch the current pool snapshot for each candidate and report the ones whose fingerprint changed
+ * @param {Array} tokens - Candidate tokens
+ * @param {Object<string, Object>} previous - Previously stored enhanced records
+ * @param {AbortSignal} [signal] - Stops probing when aborted
+ * @returns {Promise<Set<string>>} Token IDs with changed pools
+ */
+async function detectPoolChanges(tokens, previous, signal) {
+  const changed = new Set();
   
-  // NEW: Check for copycat token patterns
-  if (ticker) {
-    const COPYCAT_PATTERNS = [
-      /^[Ii][A-Za-z]+$/, // Tokens starting with i like iBTC, iADA
-      /^[A-Za-z]+[A-Z]{3,4}$/, // Tokens ending with an all-caps ticker like USDT, BTC
-      /^[A-Za-z]+[A-Z]{2,3}[A-Za-z]+$/, // Tokens with embedded tickers like OADA, wBTC
-    ];
+  for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
+    if (signal && signal.aborted) break;
     
-    if (COPYCAT_PATTERNS.some(pattern => pattern.test(ticker)) && marketCap > 1000000) {
-      penalties.push({
-        reason: 'Possible copycat token with suspicious name pattern',
-        points: -25
-      });
-      score -= 25;
-    }
+    const batch = tokens.slice(i, i + BATCH_SIZE);
+    await Promise.all(batch.map(async (token) => {
+      try {
+        const pools = await marketData.getPools(token.token_id, 'ADA');
+        const fingerprint = fingerprintPools(pools);
+        if (fingerprint !== previous[token.token_id]?.pool_fingerprint) {
+          changed.add(token.token_id);
+        }
+      } catch (error) {
+        console.error(`Error checking pools for ${token.token_id}:`, error.message);
+      }
+    }));
   }
   
-  // NEW: Check for supply discrepancies
-  if (marketCap > 1000000) {
-    if (circulatingSupply === 0 && totalLiquidity > 100000) {
-      penalties.push({
-        reason: 'High liquidity but zero circulating supply reported',
-        points: -50
-      });
-      score -= 50;
-    }
-  }
+  return changed;
+}
+
+/**
+ * Decide which tokens an incremental run needs to re-enrich
+ * @param {Array} tokens - All known tokens
+ * @param {Object<string, Object>} previous - Previously stored enhanced records
+ * @param {Object} options
+ * @param {Set<string>} [options.requested] - Token IDs explicitly asked for
+ * @param {Set<string>} [options.recentlyTraded] - Token IDs seen in recent orders
+ * @param {Set<string>} [options.poolChanges] - Token IDs whose pool fingerprint changed
+ * @param {Set<string>} [options.listChanges] - Token IDs whose allowlist or blocklist entry changed
+ * @param {number} [options.staleAfterMs] - Age after which a record is stale
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {{selected: Array, skipped: number, reasons: Object}} Selected tokens and why
+ *   (a record that kept its last good data after a failed enrichment counts as errored)
+ */
+function selectTokensForEnrichment(tokens, previous, {
+  requested = new Set(),
+  recentlyTraded = new Set(),
+  poolChanges = new Set(),
+  listChanges = new Set(),
+  staleAfterMs = STALE_AFTER_MS,
+  now = Date.now()
+} = {}) {
+  const reasons = {
+    requested: 0,
+    new: 0,
+    stale: 0,
+    traded: 0,
+    pools_changed: 0,
+    list_changed: 0,
+    errored: 0
+  };
+  const selected = [];
   
-  // NEW: Check for price manipulation indicators
-  if (totalLiquidity > 0 && marketCap > 0) {
-    // Extremely high market cap to liquidity ratio is suspicious
-    const ratio = marketCap / totalLiquidity;
-    if (ratio > 50 && marketCap > 5000000) {
-      penalties.push({
-        reason: `Potential price manipulation (${ratio.toFixed(2)}:1 MCap/Liquidity ratio)`,
-        points: -40
-      });
-      score -= 40;
+  tokens.forEach(token => {
+    const record = previous[token.token_id];
+    const watermark = record && record.updated_at ? Date.parse(record.updated_at) : NaN;
+    let reason = null;
+    
+    if (requested.has(token.token_id)) {
+      reason = 'requested';
+    } else if (!record || record.error) {
+      reason = 'new';
+    } else if (record.last_error) {
+      reason = 'errored';
+    } else if (isNaN(watermark) || now - watermark > staleAfterMs) {
+      reason = 'stale';
+    } else if (recentlyTraded.has(token.token_id)) {
+      reason = 'traded';
+    } else if (poolChanges.has(token.token_id)) {
+      reason = 'pools_changed';
+    } else if (listChanges.has(token.token_id)) {
+      reason = 'list_changed';
     }
     
-    // Low circulating supply with high market cap
-    if (circulatingSupply < (totalLiquidity * 0.1) && marketCap > 1000000) {
-      penalties.push({
-        reason: 'Suspicious circulating supply vs. liquidity ratio',
-        points: -30
-      });
-      score -= 30;
+    if (reason) {
+      reasons[reason]++;
+      selected.push(token);
     }
-  }
+  });
   
-  // Special handling for tokens with price from averagePrice endpoint but no pool data
-  if (priceFromAveragePrice) {
-    // Less severe penalty for having no pools if we still have a price from averagePrice
-    if (poolCount === 0) {
-      penalties.push({
-        reason: 'No liquidity pools found, using fallback price source',
-        points: -40  // Reduced from -80
-      });
-      score -= 40;
-      
-      // For tokens with high market cap but no pools, still apply caution
-      if (marketCap > 1000000) {
-        penalties.push({
-          reason: 'High market cap with no visible liquidity pools',
-          points: -20
-        });
-        score -= 20;
-      }
-      
-      // For tokens like wrapped BTC that might have legitimate prices from oracles
-      // but no direct pools, we can add specific handling
-      const WRAPPED_TOKEN_PATTERNS = [
-        /^[iwb]btc$/i,  // iBTC, wBTC, WBTC
-        /^[iwbe]th$/i,  // iETH, wETH, WETH, ETH
-        /^[iw]usdc?$/i, // iUSDC, wUSDC, USDC
-        /^[iw]usdt?$/i  // iUSDT, wUSDT, USDT
-      ];
-      
-      if (ticker && WRAPPED_TOKEN_PATTERNS.some(pattern => pattern.test(ticker))) {
-        bonuses.push({
-          reason: 'Recognized wrapped token pattern',
-          points: 30
-        });
-        score += 30;
-      }
-    }
-  } else {
-    // Original pool count assessment for tokens with regular pool data
-    if (poolCount === 0) {
-      penalties.push({
-        reason: 'No liquidity pools found',
-        points: -80
-      });
-      score -= 80;
-    } else if (poolCount === 1) {
-      penalties.push({
-        reason: 'Single liquidity pool',
-        points: -30
-      });
-      score -= 30;
-      
-      // Additional checks for single-pool tokens
-      if (marketCap > 10000000 && circulatingSupply === 0) {
-        penalties.push({
-          reason: 'High market cap with single pool and no circulating supply data',
-          points: -50
-        });
-        score -= 50;
-      }
-      
-      // Check market cap to liquidity ratio for single pool tokens
-      if (marketCap > 0 && totalLiquidity > 0) {
-        const ratio = marketCap / totalLiquidity;
-        if (ratio > 100) {
-          penalties.push({
-            reason: `Extremely high market cap to liquidity ratio (${ratio.toFixed(2)}:1)`,
-            points: -40
-          });
-          score -= 40;
-        } else if (ratio > 50) {
-          penalties.push({
-            reason: `High market cap to liquidity ratio (${ratio.toFixed(2)}:1)`,
-            points: -20
-          });
-          score -= 20;
-        }
-      }
-    } else if (poolCount >= 2 && poolCount < MIN_POOLS_REQUIRED) {
-      penalties.push({
-        reason: `Low number of liquidity pools (${poolCount})`,
-        points: -10
-      });
-      score -= 10;
-    } else if (poolCount >= MIN_POOLS_REQUIRED) {
-      bonuses.push({
-        reason: `Good number of liquidity pools (${poolCount})`,
-        points: 10
-      });
-      score += 10;
-    }
-  }
+  return {
+    selected,
+    skipped: tokens.length - selected.length,
+    reasons
+  };
+}
+
+/**
+ * Merge the records of a run over the previous ones so the snapshot still covers every token
+ * A token whose enrichment failed keeps its last good record, marked with the failure in
+ * last_error so the next incremental run retries it; only tokens without one keep the error record.
+ * @param {Array} tokens - All known tokens
+ * @param {Array} freshRecords - Records enriched in this run
+ * @param {Object<string, Object>} previous - Previously stored enhanced records
+ * @returns {Array} Records of the snapshot, in token order
+ */
+function mergeEnrichedRecords(tokens, freshRecords, previous) {
+  const freshById = {};
+  freshRecords.forEach(record => {
+    if (record && record.token_id) freshById[record.token_id] = record;
+  });
   
-  // Liquidity assessment
-  if (totalLiquidity < 100) {
-    penalties.push({
-      reason: 'Extremely low liquidity',
-      points: -70
-    });
-    score -= 70;
-  } else if (totalLiquidity < 500) {
-    penalties.push({
-      reason: 'Very low liquidity',
-      points: -50
-    });
-    score -= 50;
-  } else if (totalLiquidity < MIN_LIQUIDITY_THRESHOLD) {
-    penalties.push({
-      reason: `Low liquidity (${totalLiquidity.toFixed(2)} ADA)`,
-      points: -30
-    });
-    score -= 30;
-  } else if (totalLiquidity > 100000) {
-    bonuses.push({
-      reason: 'Very high liquidity',
-      points: 20
-    });
-    score += 20;
-  } else if (totalLiquidity > 20000) {
-    bonuses.push({
-      reason: 'Good liquidity',
-      points: 10
-    });
-    score += 10;
-  }
+  return tokens
+    .map(token => {
+      const fresh = freshById[token.token_id];
+      const last = previous[token.token_id];
+      if (fresh && fresh.error && last && !last.error) {
+        return { ...last, last_error: { message: fresh.error, at: fresh.updated_at } };
+      }
+      return fresh || last;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find tokens whose allowlist or blocklist entry differs from the one their record was scored with
+ * @param {Array} tokens - All known tokens
+ * @param {Object<string, Object>} previous - Previously stored enhanced records
+ * @param {Array} trustLists - Active allowlist and blocklist entries
+ * @returns {Set<string>} Token IDs to re-score
+ */
+function getTrustListChanges(tokens, previous, trustLists) {
+  const changed = new Set();
   
-  // Suspicious liquidity distribution assessment
-  if (suspiciousLiquidity) {
-    if (totalLiquidity < 20000) {
-      penalties.push({
-        reason: 'Suspicious liquidity distribution with low total liquidity',
-        points: -30
-      });
-      score -= 30;
-    } else if (totalLiquidity < 50000) {
-      penalties.push({
-        reason: 'Suspicious liquidity distribution with moderate liquidity',
-        points: -15
-      });
-      score -= 15;
-    } else {
-      // For high liquidity tokens with suspicious distribution, apply smaller penalty
-      penalties.push({
-        reason: 'Suspicious liquidity distribution despite significant liquidity',
-        points: -5
-      });
-      score -= 5;
+  tokens.forEach(token => {
+    const record = previous[token.token_id];
+    const inputs = (record && record.trust_assessment && record.trust_assessment.inputs) || {};
+    const listed = matchToken(token.token_id, trustLists);
+    
+    if ((listed.allow ? listed.allow.reason : null) !== (inputs.allowlisted ? inputs.allowlist_reason : null) ||
+        (listed.block ? listed.block.reason : null) !== (inputs.blocklisted ? inputs.blocklist_reason : null)) {
+      changed.add(token.token_id);
     }
-  }
+  });
   
-  // Market cap to liquidity ratio assessment (for all tokens)
-  if (marketCap > 0 && totalLiquidity > 0) {
-    const ratio = marketCap / totalLiquidity;
-    if (ratio > MAX_MCAP_LIQUIDITY_RATIO) {
-      penalties.push({
-        reason: `Extreme market cap to liquidity ratio (${ratio.toFixed(2)}:1)`,
-        points: -40
-      });
-      score -= 40;
-    }
+  return changed;
+}
+
+/**
+ * Get basic token information from the market data providers
+ * @param {string} tokenId - The token ID
+ * @returns {Promise<Object|null>} Token information or null
+ */
+async function getTokenInfo(tokenId) {
+  try {
+    return await marketData.getTokenInfo(tokenId);
+  } catch (error) {
+    console.error(`Error getting token info for ${tokenId}:`, error.message);
+    return null;
   }
-  
-  // Age-based assessment (if available)
-  if (tokenAge > 0) {
-    if (tokenAge > 365) {
-      bonuses.push({
-        reason: 'Token has existed for more than a year',
-        points: 15
-      });
-      score += 15;
-    } else if (tokenAge > 180) {
-      bonuses.push({
-        reason: 'Token has existed for more than 6 months',
-        points: 10
-      });
-      score += 10;
-    } else if (tokenAge > 30) {
-      bonuses.push({
-        reason: 'Token has existed for more than a month',
-        points: 5
+}
+
+/**
+ * Add the priced ADA pools of enhanced records to a price graph
+ * Tokens priced through the graph in an earlier run keep the pair they were priced through.
+ * @param {PriceGraph} graph - Graph for the run
+ * @param {Array} records - Enhanced token records
+ */
+function addRecordsToPriceGraph(graph, records) {
+  records.forEach(record => {
+    graph.addAsset(record.token_id, record.ticker || null);
+    (record.pool_breakdown || [])
+      .filter(pool => !pool.excluded)
+      .forEach(pool => graph.addPool({
+        base: record.token_id,
+        quote: ADA,
+        baseReserve: pool.token_reserve,
+        quoteReserve: pool.ada_reserve,
+        poolId: pool.pool_id
+      }));
+    
+    const firstLeg = record.price_path && record.price_path.legs && record.price_path.legs[0];
+    if (firstLeg && !graph.edges[graph.edgeKey(firstLeg.from, firstLeg.to)]) {
+      graph.addPool({
+        base: firstLeg.from,
+        quote: firstLeg.to,
+        baseReserve: firstLeg.from_reserve,
+        quoteReserve: firstLeg.to_reserve,
+        poolId: `${firstLeg.from}:${firstLeg.to}`
       });
-      score += 5;
     }
-  }
-  
-  // Cap the minimum score at 0
-  score = Math.max(0, score);
-  
-  // Determine trust level based on score
-  let trustLevel;
-  let isHoneypot = false;
-  
-  if (score < 20) {
-    trustLevel = 'Very Low';
-    isHoneypot = true;
-  } else if (score < 40) {
-    trustLevel = 'Low';
-    isHoneypot = totalLiquidity < 5000; // Only mark as honeypot if liquidity is also low
-  } else if (score < 60) {
-    trustLevel = 'Moderate';
-    isHoneypot = false;
-  } else if (score < 80) {
-    trustLevel = 'Good';
-    isHoneypot = false;
-  } else {
-    trustLevel = 'High';
-    isHoneypot = false;
-  }
+  });
+}
+
+/**
+ * Calculate a trust score for token validation instead of binary filtering
+ * The score comes from the declarative rules in token_data/trust_rules.json (see services/trustRules.js).
+ * @param {string} tokenId - The token ID
+ * @param {number} poolCount - Number of liquidity pools
+ * @param {boolean} suspiciousLiquidity - Whether liquidity distribution is suspicious
+ * @param {number} totalLiquidity - Total ADA liquidity
+ * @param {number} marketCap - Calculated market cap
+ * @param {number} circulatingSupply - Circulating supply
+ * @param {string} ticker - Token ticker
+ * @param {number} tokenAge - Token age in days (if available)
+ * @param {boolean} priceFromAveragePrice - Whether the price came from the averagePrice fallback
+ * @param {Object|null} copycatOf - Older or more liquid lookalike the token probably copies (see LookalikeIndex.getCopycatOf)
+ * @param {Array} trustLists - Active allowlist and blocklist entries of the run (see services/trustListService.js)
+ * @param {Object|null} holderDistribution - Holder distribution of the token (see services/holderService.js)
+ * @returns {Object} Trust score assessment with detailed breakdown, the inputs it was scored on and the rules version
+ */
+function calculateTrustScore(tokenId, poolCount, suspiciousLiquidity, totalLiquidity, marketCap, circulatingSupply, ticker, tokenAge = 0, priceFromAveragePrice = false, copycatOf = null, trustLists = [], holderDistribution = null) {
+  const listed = matchToken(tokenId, trustLists);
+  const assessment = trustRules.evaluate({
+    token_id: tokenId,
+    ticker: ticker || null,
+    pool_count: poolCount,
+    liquidity: totalLiquidity,
+    market_cap: marketCap,
+    circulating_supply: circulatingSupply,
+    mcap_liquidity_ratio: totalLiquidity > 0 && marketCap > 0 ? marketCap / totalLiquidity : null,
+    circulating_liquidity_ratio: totalLiquidity > 0 ? circulatingSupply / totalLiquidity : null,
+    token_age: tokenAge,
+    suspicious_liquidity: !!suspiciousLiquidity,
+    price_from_average_price: !!priceFromAveragePrice,
+    potential_copycat: !!copycatOf,
+    copycat_of: copycatOf ? copycatOf.ticker || copycatOf.token_id : null,
+    allowlisted: !!listed.allow,
+    allowlist_reason: listed.allow ? listed.allow.reason : null,
+    blocklisted: !!listed.block,
+    blocklist_reason: listed.block ? listed.block.reason : null,
+    holder_count: holderDistribution ? holderDistribution.holder_count : null,
+    top_10_holder_pct: holderDistribution && holderDistribution.top_10_share !== null ? holderDistribution.top_10_share * 100 : null,
+    top_50_holder_pct: holderDistribution && holderDistribution.top_50_share !== null ? holderDistribution.top_50_share * 100 : null,
+    holder_gini: holderDistribution ? holderDistribution.gini : null
+  });
   
   return {
-    score,
-    trustLevel,
-    isHoneypot,
-    penalties,
-    bonuses,
+    ...assessment,
     priceFromAveragePrice
   };
 }
@@ -761,13 +522,21 @@ function validateMarketCap(marketCap, totalLiquidity, trustAssessment) {
 /**
  * Enhance token data with weighted price and calculated market cap
  * @param {Object} token - Token object with supply information
+ * @param {Object} [options]
+ * @param {PriceGraph} [options.graph] - Liquidity graph of the run (see calculateWeightedPrice)
+ * @param {Object<string, Array>} [options.ordersByToken] - Recent ADA swaps by token, for the trade price
+ * @param {Array} [options.trustLists] - Active allowlist and blocklist entries, for the trust score
+ * @param {LookalikeIndex} [options.lookalikes] - Lookalike index of the run, for copycat detection
  * @returns {Promise<Object>} Enhanced token data
  */
-async function enhanceTokenData(token) {
+async function enhanceTokenData(token, { graph, ordersByToken = {}, trustLists = [], lookalikes = null } = {}) {
   try {
     // Get the token info from DexHunter for additional information
     const tokenInfo = await getTokenInfo(token.token_id);
     
+    // Resolve decimals once so price, TVL and supply use the same token units
+    const decimals = decimalsService.resolve(token.token_id, { tokenInfo, summary: token });
+    
     // Calculate weighted price from DexHunter pools with outlier protection
     const { 
       weightedPrice, 
@@ -778,17 +547,30 @@ async function enhanceTokenData(token) {
       medianUsed,
       suspiciousLiquidity,
       priceFromAveragePrice,
+      priceFromGraph,
+      pricePath,
       noPoolsFound,
-      emptySuspiciousPools
-    } = await calculateWeightedPrice(token.token_id);
+      emptySuspiciousPools,
+      poolFingerprint,
+      tvl,
+      poolBreakdown,
+      outlierFilter
+    } = await calculateWeightedPrice(token.token_id, { decimals, graph });
     
-    // Use the circulating supply if available, otherwise use total supply
-    const circulating = token.circulating_supply > 0 ? token.circulating_supply : 0;
-    const supply = circulating || token.total_supply || 0;
+    // Resolve total and circulating supply from the supply rules, token info and summary
+    const supplyBreakdown = supplyService.resolveSupply(token, tokenInfo);
+    const circulating = supplyBreakdown.circulating_supply;
+    const totalSupply = supplyBreakdown.total_supply;
+    
+    // Trade-derived VWAP/TWAP, compared with the pool-weighted price
+    const tradePrice = tradePriceService.getTradePrice(ordersByToken[token.token_id], {
+      decimals: decimals.decimals,
+      poolPrice: weightedPrice
+    });
     
-    // Calculate market cap and fully diluted value
-    const marketCap = weightedPrice * (circulating || supply);
-    const fdv = weightedPrice * (token.total_supply || 0);
+    // Calculate market cap and fully diluted value (market cap falls back to total supply, see market_cap_basis)
+    const marketCap = weightedPrice * (circulating || totalSupply);
+    const fdv = weightedPrice * totalSupply;
     
     // Calculate token age if creation_date is available
     let tokenAge = 0;
@@ -798,45 +580,21 @@ async function enhanceTokenData(token) {
       tokenAge = Math.floor((currentDate - creationDate) / (1000 * 60 * 60 * 24)); // in days
     }
     
-    // NEW: Check for similar tokens in the database that might be copycats
-    let potentialCopycatDetected = false;
-    let supplyDiscrepancy = false;
-    
-    // If this token is claiming to be a wrapped or similar token, check for naming patterns
-    if (token.ticker) {
-      // Get similar tokens from the cache if we have any
-      try {
-        const similarTokenFiles = fs.readdirSync(SUMMARIES_DIR)
-          .filter(file => file.endsWith('_summary.json') && !file.startsWith(token.token_id));
-          
-        for (const file of similarTokenFiles) {
-          try {
-            const similarTokenData = JSON.parse(fs.readFileSync(path.join(SUMMARIES_DIR, file), 'utf8'));
-            
-            // Check for similar ticker
-            if (similarTokenData.ticker && token.ticker && 
-                (similarTokenData.ticker.includes(token.ticker) || 
-                 token.ticker.includes(similarTokenData.ticker))) {
-              
-              // If there's a similarity in the ticker but big difference in supply/liquidity
-              if (similarTokenData.circulating_supply > 0 && circulating === 0 && 
-                  marketCap > 1000000 && totalLiquidity > 100000) {
-                console.log(`⚠️ Potential copycat detected: ${token.ticker} might be copying ${similarTokenData.ticker}`);
-                potentialCopycatDetected = true;
-                supplyDiscrepancy = true;
-                break;
-              }
-            }
-          } catch (err) {
-            // Skip this file if there's an error
-            continue;
-          }
-        }
-      } catch (err) {
-        console.error('Error checking for similar tokens:', err.message);
-      }
+    // A lookalike of an older or more liquid token is a potential copycat; with no circulating
+    // supply while the original has one, its supply is suspicious too
+    const copycatOf = lookalikes ? lookalikes.getCopycatOf(token.token_id) : null;
+    const potentialCopycatDetected = !!copycatOf;
+    const supplyDiscrepancy = potentialCopycatDetected && circulating === 0 &&
+      lookalikes.tokens[copycatOf.token_id].circulating_supply > 0;
+    if (copycatOf) {
+      console.log(`⚠️ Potential copycat detected: ${token.ticker || token.token_id} looks like ${copycatOf.ticker || copycatOf.token_id} (suspicion ${copycatOf.suspicion.toFixed(2)})`);
     }
     
+    // Holder distribution without the supply exclusions
+    const holderDistribution = await holderService.getDistribution(token, {
+      exclusions: supplyBreakdown.exclusions
+    });
+    
     // Get trust assessment using the new scoring system
     const trustAssessment = calculateTrustScore(
       token.token_id,
@@ -847,7 +605,10 @@ async function enhanceTokenData(token) {
       circulating,
       token.ticker,
       tokenAge,
-      priceFromAveragePrice
+      priceFromAveragePrice,
+      copycatOf,
+      trustLists,
+      holderDistribution
     );
     
     // Add additional detection flags
@@ -859,10 +620,10 @@ async function enhanceTokenData(token) {
     
     // For backward compatibility, convert to honeypot check format
     const honeypotCheck = {
-      isHoneypot: trustAssessment.isHoneypot || potentialCopycatDetected,
+      isHoneypot: trustAssessment.isHoneypot || supplyDiscrepancy,
       reason: trustAssessment.isHoneypot ? 
         `Low trust score (${trustAssessment.score}/100): ${trustAssessment.penalties[0]?.reason || 'Multiple issues detected'}` :
-        (potentialCopycatDetected ? 'Potential copycat token detected' : undefined),
+        (supplyDiscrepancy ? 'Potential copycat token detected' : undefined),
       trustScore: trustAssessment.score
     };
     
@@ -879,23 +640,41 @@ async function enhanceTokenData(token) {
       market_cap: marketCap,
       price: weightedPrice,
       liquidity: totalLiquidity,
+      tvl: tvl ? tvl.tvl : 0,
+      tvl_breakdown: tvl || null,
+      pool_breakdown: poolBreakdown || [],
+      decimals: decimals.decimals,
+      decimals_source: decimals.source,
       circulating_supply: circulating,
+      total_supply: totalSupply,
+      fdv: fdv,
+      supply: supplyBreakdown,
       outliers_filtered: filteredOutliers,
+      outlier_filter: outlierFilter || null,
       pool_count: poolCount,
       original_pool_count: originalPoolCount,
       median_used: medianUsed,
       suspicious_liquidity: suspiciousLiquidity,
       price_from_average_price: priceFromAveragePrice,
+      price_source: priceFromGraph ? 'graph' : priceFromAveragePrice ? 'average_price' : weightedPrice > 0 ? 'pools' : null,
+      price_confidence: pricePath ? pricePath.confidence : null,
+      trade_price: tradePrice,
+      price_divergent: tradePrice.divergent,
+      price_path: pricePath ? { hops: pricePath.hops, depth_ada: pricePath.depth_ada, path: pricePath.path, legs: pricePath.legs } : null,
       mcap_liquidity_ratio: mcapLiquidityRatio,
       token_age: tokenAge,
+      holder_distribution: holderDistribution,
       trust_assessment: {
         score: trustAssessment.score,
         level: trustAssessment.trustLevel,
         penalties: trustAssessment.penalties,
-        bonuses: trustAssessment.bonuses
+        bonuses: trustAssessment.bonuses,
+        rules_version: trustAssessment.rulesVersion,
+        inputs: trustAssessment.inputs
       },
       honeypot_risk: honeypotCheck.isHoneypot,
       validation: validation,
+      pool_fingerprint: poolFingerprint || null,
       updated_at: new Date().toISOString()
     };
   } catch (error) {
@@ -909,24 +688,48 @@ async function enhanceTokenData(token) {
 }
 
 /**
- * Process tokens in batches to avoid rate limits
+ * Process tokens in batches
  * @param {Array} tokens - Array of token objects
- * @returns {Promise<Array>} Enhanced token data
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after every batch with batch and running counts
+ * @param {AbortSignal} [options.signal] - Stops processing before the next batch when aborted
+ * @param {PriceGraph} [options.graph] - Liquidity graph of the run (see calculateWeightedPrice)
+ * @param {Object<string, Array>} [options.ordersByToken] - Recent ADA swaps by token (see enhanceTokenData)
+ * @param {Array} [options.trustLists] - Active allowlist and blocklist entries (see enhanceTokenData)
+ * @param {LookalikeIndex} [options.lookalikes] - Lookalike index of the run (see enhanceTokenData)
+ * @returns {Promise<{results: Array, counts: Object, batches: Object, cancelled: boolean}>}
  */
-async function batchProcessTokens(tokens) {
+async function batchProcessTokens(tokens, { onProgress, signal, graph, ordersByToken, trustLists, lookalikes } = {}) {
   const results = [];
   const totalBatches = Math.ceil(tokens.length / BATCH_SIZE);
+  const counts = {
+    total: tokens.length,
+    processed: 0,
+    success: 0,
+    failed: 0,
+    outliers: 0,
+    honeypots: 0,
+    invalidMarketCaps: 0
+  };
+  let completedBatches = 0;
+  let cancelled = false;
   
   console.log(`Processing ${tokens.length} tokens in batches of ${BATCH_SIZE}...`);
   console.log(`Total batches: ${totalBatches}`);
   
   // Process in batches to avoid rate limits
   for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
+    if (signal && signal.aborted) {
+      console.log(`Processing cancelled after ${completedBatches} of ${totalBatches} batches`);
+      cancelled = true;
+      break;
+    }
+    
     const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
     const batch = tokens.slice(i, i + BATCH_SIZE);
     console.log(`Processing batch ${batchNumber} of ${totalBatches} (${batch.length} tokens)`);
     
-    const batchPromises = batch.map(token => enhanceTokenData(token));
+    const batchPromises = batch.map(token => enhanceTokenData(token, { graph, ordersByToken, trustLists, lookalikes }));
     const batchResults = await Promise.allSettled(batchPromises);
     
     let batchSuccessCount = 0;
@@ -963,32 +766,63 @@ async function batchProcessTokens(tokens) {
     
     console.log(`Batch ${batchNumber} complete: ${batchSuccessCount} successful, ${batchFailCount} failed, ${outlierCount} with filtered outliers, ${honeypotCount} potential honeypots, ${invalidMcapCount} with invalid market caps`);
     
-    // Only add delay if not the last batch
-    if (i + BATCH_SIZE < tokens.length) {
-      console.log(`Waiting ${BATCH_DELAY_MS}ms before next batch...`);
-      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
+    completedBatches++;
+    counts.processed += batch.length;
+    counts.success += batchSuccessCount;
+    counts.failed += batchFailCount;
+    counts.outliers += outlierCount;
+    counts.honeypots += honeypotCount;
+    counts.invalidMarketCaps += invalidMcapCount;
+    
+    if (typeof onProgress === 'function') {
+      try {
+        onProgress({
+          batch: batchNumber,
+          totalBatches,
+          batchCounts: {
+            size: batch.length,
+            success: batchSuccessCount,
+            failed: batchFailCount,
+            outliers: outlierCount,
+            honeypots: honeypotCount,
+            invalidMarketCaps: invalidMcapCount
+          },
+          counts: { ...counts }
+        });
+      } catch (progressError) {
+        console.error('Error in progress callback:', progressError.message);
+      }
     }
   }
   
-  return results;
+  return {
+    results,
+    counts,
+    batches: {
+      total: totalBatches,
+      completed: completedBatches
+    },
+    cancelled
+  };
 }
 
 /**
- * Store enhanced token data back to local files
+ * Store enhanced token data to local files
  * @param {Array} tokenData - Array of enhanced token data
+ * @param {string} [dir] - Target directory (a staged snapshot during pipeline runs)
  */
-function storeEnhancedTokenData(tokenData) {
+function storeEnhancedTokenData(tokenData, dir = SUMMARIES_DIR) {
   console.log(`Storing enhanced data for ${tokenData.length} tokens...`);
   
   // Store individual token summary files
   tokenData.forEach(token => {
     if (token && token.token_id) {
-      const filePath = path.join(SUMMARIES_DIR, `${token.token_id}_enhanced_refined.json`);
+      const filePath = path.join(dir, `${token.token_id}_enhanced_refined.json`);
       fs.writeFileSync(filePath, JSON.stringify(token, null, 2));
     }
   });
   
-  console.log(`Enhanced token data stored in ${SUMMARIES_DIR}`);
+  console.log(`Enhanced token data stored in ${dir}`);
 }
 
 /**
@@ -1009,6 +843,9 @@ function generateMarketCapReport(enhancedTokens) {
   const tokensWithLiquidity = enhancedTokens.filter(token => token.liquidity > 0);
   const tokensWithFilteredOutliers = enhancedTokens.filter(token => token.outliers_filtered);
   const potentialHoneypotTokens = enhancedTokens.filter(token => token.honeypot_risk);
+  const tokensWithTradePrice = enhancedTokens.filter(token => token.trade_price && token.trade_price.vwap);
+  const tokensWithDivergentPrice = enhancedTokens.filter(token => token.price_divergent);
+  const tokensWithHolderData = enhancedTokens.filter(token => token.holder_distribution);
   
   // Filter tokens by trust level
   const highTrustTokens = enhancedTokens.filter(token => 
@@ -1047,12 +884,20 @@ function generateMarketCapReport(enhancedTokens) {
     tokens_with_liquidity: tokensWithLiquidity.length,
     tokens_with_filtered_outliers: tokensWithFilteredOutliers.length,
     potential_honeypot_tokens: potentialHoneypotTokens.length,
+    tokens_with_trade_price: tokensWithTradePrice.length,
+    tokens_with_divergent_price: tokensWithDivergentPrice.length,
+    tokens_with_holder_data: tokensWithHolderData.length,
     tokens_with_invalid_market_caps: invalidMarketCapTokens.length,
     tokens_with_valid_market_caps: validMarketCapTokens.length,
     validation_parameters: {
       min_liquidity_threshold: MIN_LIQUIDITY_THRESHOLD,
       max_mcap_liquidity_ratio: MAX_MCAP_LIQUIDITY_RATIO,
-      min_pools_required: MIN_POOLS_REQUIRED
+      min_pools_required: MIN_POOLS_REQUIRED,
+      outlier_method: OUTLIER_METHOD,
+      outlier_z_threshold: OUTLIER_Z_THRESHOLD,
+      trade_price_window_hours: tradePriceService.windowMs / (60 * 60 * 1000),
+      price_divergence_threshold_pct: tradePriceService.divergenceThresholdPct,
+      trust_rules_version: trustRules.getRules().version
     },
     generated_at: new Date().toISOString(),
     top_tokens_by_market_cap_valid: sortedByMarketCap
@@ -1062,49 +907,438 @@ function generateMarketCapReport(enhancedTokens) {
 }
 
 /**
- * Main function to run the enhanced integration
+ * Get the time the current market cap report was generated
+ * @returns {number|null} Timestamp in milliseconds or null if there is no report
  */
-async function main() {
+function getLastReportTime() {
+  try {
+    const report = JSON.parse(fs.readFileSync(snapshotStore.getCurrent().reportPath, 'utf8'));
+    const generatedAt = Date.parse(report.generated_at);
+    return isNaN(generatedAt) ? null : generatedAt;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run the enhanced integration in-process
+ * @param {Object} [options]
+ * @param {Array} [options.tokens] - Tokens to consider (defaults to every local summary)
+ * @param {Function} [options.onProgress] - Called after every batch, see batchProcessTokens
+ * @param {AbortSignal} [options.signal] - Cancels the run; nothing is written when cancelled
+ * @param {boolean} [options.full=true] - Re-enrich every token; false only re-enriches stale or changed ones (incremental)
+ * @param {Array<string>} [options.requested] - Token IDs to re-enrich regardless of their state
+ * @param {number} [options.staleAfterMs] - Age after which incremental mode re-enriches a token
+ * @param {boolean} [options.checkPools=false] - Probe pools of fresh tokens and re-enrich changed ones
+ * @param {boolean} [options.discover=true] - Create summaries for newly traded tokens before loading local data
+ * @param {boolean} [options.dryRun=false] - Compute the new report and diff it against the published one without writing anything
+ * @param {Object} [options.diffThresholds] - Price and market cap change thresholds for the dry-run diff, see diffReports
+ * @param {boolean} [options.persist=true] - Write the published run to Supabase when a client is configured
+ * @returns {Promise<Object>} Structured run result
+ */
+async function runFullIntegration({
+  tokens,
+  onProgress,
+  signal,
+  full = true,
+  requested = [],
+  staleAfterMs = STALE_AFTER_MS,
+  checkPools = false,
+  discover = true,
+  dryRun = false,
+  diffThresholds = {},
+  persist = true
+} = {}) {
+  const startedAt = new Date();
+  const runId = snapshotStore.createRunId(startedAt);
+  const result = {
+    runId,
+    success: false,
+    cancelled: false,
+    error: null,
+    mode: full ? 'full' : 'incremental',
+    dryRun,
+    discovery: null,
+    selection: null,
+    upstream: null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: 0,
+    counts: null,
+    batches: null,
+    report: null,
+    snapshot: null,
+    persistence: null,
+    diff: null
+  };
+  
+  const dexhunterClient = getDexhunterClient();
+  const dexhunterStatsBefore = dexhunterClient.getStats();
+  
+  const finish = () => {
+    const finishedAt = new Date();
+    result.upstream = {
+      dexhunter: dexhunterClient.statsSince(dexhunterStatsBefore),
+      circuit: dexhunterClient.breaker.getState()
+    };
+    result.finishedAt = finishedAt.toISOString();
+    result.durationMs = finishedAt - startedAt;
+    return result;
+  };
+  
   console.log('Starting Enhanced Integration Script with Liquidity Validation and Honeypot Detection...');
   console.log('This script uses local token supply data and DexHunter price data with advanced validation');
-  console.log(`Maximum reasonable price: ${MAX_REASONABLE_PRICE} ADA`);
-  console.log(`Minimum reasonable price: ${MIN_REASONABLE_PRICE} ADA`);
+  console.log(`Pool outlier filter: ${OUTLIER_METHOD}, |z| > ${OUTLIER_Z_THRESHOLD}`);
   console.log(`Minimum liquidity threshold: ${MIN_LIQUIDITY_THRESHOLD} ADA`);
   console.log(`Maximum market cap to liquidity ratio: ${MAX_MCAP_LIQUIDITY_RATIO}:1`);
   console.log(`Minimum pool count required: ${MIN_POOLS_REQUIRED}`);
   
+  if (!marketData.isConfigured()) {
+    console.error('ERROR: No live market data provider is configured (missing DexHunter API key; set MARKET_DATA_PROVIDERS=file for an offline run)');
+    result.error = 'No market data provider is configured';
+    return finish();
+  }
+  
+  console.log(`Market data providers: ${marketData.names.join(' -> ')}`);
+  
   try {
-    // Load tokens from local storage
-    const tokens = await loadLocalTokenData();
+    const now = Date.now();
+    const lastReportTime = getLastReportTime();
+    const tradesSince = new Date(Math.max(lastReportTime || 0, now - staleAfterMs));
+    
+    // Trade prices need the trade price window and discovery the whole discovery window; incremental
+    // selection only needs trades since the last report. Dry runs skip discovery because it writes summary stubs.
+    const runDiscovery = discover && !dryRun && !Array.isArray(tokens);
+    const ordersSince = new Date(Math.min(
+      now - tradePriceService.windowMs,
+      full ? now : tradesSince.getTime(),
+      runDiscovery ? now - discoveryService.windowMs : now
+    ));
+    console.log(`Fetching completed orders since ${ordersSince.toISOString()}`);
+    const { orders: recentOrders, orderFetch } = await getRecentOrders(ordersSince);
+    const ordersByToken = tradePriceService.groupOrdersByToken(recentOrders);
+    
+    // Allowlist and blocklist entries as they stand at the start of the run
+    const trustLists = await trustListService.getActiveEntries();
+    
+    if (runDiscovery) {
+      const discovery = await discoveryService.discoverTokens({ orders: recentOrders, signal });
+      result.discovery = {
+        unseen: discovery.unseen,
+        discovered: discovery.discovered.length,
+        rejected: discovery.rejected,
+        queued: discovery.queued,
+        error: discovery.error || null
+      };
+    }
+    
+    // Load tokens from local storage unless the caller supplied them
+    const tokenList = Array.isArray(tokens) ? tokens : await loadLocalTokenData();
     
-    if (tokens.length === 0) {
+    if (tokenList.length === 0) {
       console.error('No token data found in local storage. Please run the original integration script first.');
-      process.exit(1);
+      result.error = 'No token data found in local storage';
+      return finish();
     }
     
+    // In incremental mode only stale, recently traded, changed or requested tokens are re-enriched
+    let previous = {};
+    let tokensToProcess = tokenList;
+    
+    if (!full) {
+      previous = loadEnhancedTokenData();
+      
+      console.log(`Incremental mode: checking trades since ${tradesSince.toISOString()}`);
+      const recentlyTraded = getTradedTokenIds(recentOrders, tradesSince);
+      if (!orderFetch.complete) {
+        console.log(`Recent trade lookup is incomplete (${orderFetch.error}), relying on staleness for the rest`);
+      }
+      
+      let poolChanges = new Set();
+      if (checkPools) {
+        const candidates = tokenList.filter(token => {
+          const record = previous[token.token_id];
+          return record && !recentlyTraded.has(token.token_id);
+        });
+        console.log(`Checking pool snapshots for ${candidates.length} tokens...`);
+        poolChanges = await detectPoolChanges(candidates, previous, signal);
+      }
+      
+      // Discovered tokens stay queued until their first successful enrichment
+      const selection = selectTokensForEnrichment(tokenList, previous, {
+        requested: new Set([...requested, ...discoveryService.getQueuedTokenIds()]),
+        recentlyTraded,
+        poolChanges,
+        listChanges: getTrustListChanges(tokenList, previous, trustLists),
+        staleAfterMs,
+        now
+      });
+      
+      console.log(`Incremental mode: ${selection.selected.length} tokens selected, ${selection.skipped} unchanged`, selection.reasons);
+      result.selection = {
+        selected: selection.selected.length,
+        skipped: selection.skipped,
+        reasons: selection.reasons,
+        orderFetch
+      };
+      tokensToProcess = selection.selected;
+    }
+    
+    // Lookalike tickers and names across every known token, weighted by the last known liquidity and age;
+    // the same index is published, so /lookalikes explains the copycat scores of this run
+    const lastRecords = full ? loadEnhancedTokenData() : previous;
+    const lookalikes = LookalikeIndex.build(tokenList.map(token => ({ ...token, ...lastRecords[token.token_id] })));
+    console.log(`Lookalike index built with ${lookalikes.pairs.length} lookalike pairs`);
+    
+    // Tokens without usable ADA pools are priced through the hub tokens in the liquidity graph
+    const graph = new PriceGraph();
+    const hubPools = await seedPriceGraph(graph);
+    console.log(`Price graph seeded with ${hubPools} hub token pools`);
+    
     // Process the tokens in batches
-    const enhancedTokens = await batchProcessTokens(tokens);
+    const { results: enhancedTokens, counts, batches, cancelled } = await batchProcessTokens(tokensToProcess, { onProgress, signal, graph, ordersByToken, trustLists, lookalikes });
+    result.counts = counts;
+    result.batches = batches;
+    
+    if (cancelled) {
+      console.log('Enhanced integration cancelled, no data was written');
+      result.cancelled = true;
+      result.error = 'Run cancelled';
+      return finish();
+    }
+    
+    // Merge fresh results over the last records, which errored tokens keep, so the report still
+    // covers every token and the file snapshot and Supabase serve the same records
+    const mergedTokens = mergeEnrichedRecords(tokenList, enhancedTokens, lastRecords);
     
-    // Store the enhanced token data
-    storeEnhancedTokenData(enhancedTokens);
+    // The published graph covers the ADA pools of every token, not only the re-enriched ones
+    addRecordsToPriceGraph(graph, mergedTokens);
     
     // Generate market cap report
-    const report = generateMarketCapReport(enhancedTokens);
+    const report = generateMarketCapReport(mergedTokens);
     
-    // Write the updated report to disk
-    fs.writeFileSync('token_data/market_cap_report_refined.json', JSON.stringify(report, null, 2));
+    result.report = {
+      generatedAt: report.generated_at,
+      totalTokens: report.total_tokens,
+      tokensWithMarketCap: report.tokens_with_market_cap,
+      tokensWithValidMarketCaps: report.tokens_with_valid_market_caps,
+      potentialHoneypotTokens: report.potential_honeypot_tokens
+    };
+    
+    if (dryRun) {
+      const baseTokens = full ? loadEnhancedTokenData() : previous;
+      const candidateTokens = {};
+      mergedTokens.forEach(token => {
+        candidateTokens[token.token_id] = token;
+      });
+      
+      let baseReport = null;
+      try {
+        baseReport = JSON.parse(fs.readFileSync(snapshotStore.getCurrent().reportPath, 'utf8'));
+      } catch (error) {
+        console.log(`No published report to compare against (${error.message})`);
+      }
+      
+      result.diff = diffReports(baseReport, report, { baseTokens, candidateTokens, ...diffThresholds });
+      result.success = true;
+      console.log('Dry run complete, nothing was written:', result.diff.summary);
+      return finish();
+    }
+    
+    // Peg deviation of stablecoins and wrapped assets, added to the history once published
+    let pegs = null;
+    try {
+      pegs = await pegService.checkPegs(mergedTokens, { runId });
+    } catch (error) {
+      console.error('Error checking pegs:', error.message);
+    }
+    
+    // Write the complete dataset to a new snapshot and publish it in one step
+    const staging = snapshotStore.stage(runId);
+    try {
+      snapshotStore.copyIntoStage(runId, SUMMARIES_DIR, file => file.endsWith('_summary.json'));
+      storeEnhancedTokenData(mergedTokens, staging.summariesDir);
+      fs.writeFileSync(staging.reportPath, JSON.stringify(report, null, 2));
+      fs.writeFileSync(staging.priceGraphPath, JSON.stringify({ built_at: new Date().toISOString(), scope: describeScope(), ...graph.toJSON() }));
+      if (pegs) {
+        fs.writeFileSync(staging.pegsPath, JSON.stringify(pegs, null, 2));
+      }
+      fs.writeFileSync(staging.lookalikesPath, JSON.stringify({ built_at: new Date().toISOString(), ...lookalikes.toJSON() }));
+      
+      snapshotStore.commit(runId, {
+        mode: result.mode,
+        started_at: result.startedAt,
+        finished_at: new Date().toISOString(),
+        counts,
+        selection: result.selection,
+        discovery: result.discovery,
+        price_graph: { assets: Object.keys(graph.assets).length, edges: Object.keys(graph.edges).length },
+        lookalikes: {
+          pairs: lookalikes.pairs.length,
+          copycats: mergedTokens.filter(record => record.trust_assessment?.inputs?.potential_copycat).length
+        },
+        pegs: pegs ? { assets: pegs.assets.length, depegged: pegs.assets.filter(asset => asset.depegged).length, events: pegs.events.length } : null,
+        report: {
+          total_tokens: report.total_tokens,
+          tokens_with_market_cap: report.tokens_with_market_cap,
+          tokens_with_valid_market_caps: report.tokens_with_valid_market_caps,
+          potential_honeypot_tokens: report.potential_honeypot_tokens
+        },
+        parameters: {
+          full,
+          requested,
+          stale_after_ms: staleAfterMs,
+          check_pools: checkPools,
+          discover,
+          ...report.validation_parameters
+        }
+      });
+    } catch (error) {
+      snapshotStore.discard(runId);
+      throw error;
+    }
+    result.snapshot = snapshotStore.publish(runId);
+    
+    if (pegs) {
+      try {
+        await pegService.recordCheck(pegs);
+      } catch (error) {
+        console.error('Error recording peg history:', error.message);
+      }
+    }
+    
+    try {
+      await trustHistory.recordRun(mergedTokens, { runId, at: result.snapshot.published_at });
+    } catch (error) {
+      console.error('Error recording trust history:', error.message);
+    }
+    
+    // Mirror the published run to Supabase for the serverless deployment; the snapshot stays authoritative
+    if (persist && persistenceService.isEnabled()) {
+      try {
+        const tokenService = require('./services/tokenService');
+        tokenService.clearCache();
+        result.persistence = await persistenceService.persistRun({
+          runId,
+          report,
+          records: mergedTokens,
+          listedTokens: await tokenService.getAllTokens(),
+          manifest: snapshotStore.getManifest(runId),
+          publishedAt: result.snapshot.published_at,
+          pegs
+        });
+      } catch (error) {
+        console.error(`Error persisting run ${runId} to Supabase:`, error.message);
+        result.persistence = { error: error.message };
+      }
+    }
+    
+    const enriched = enhancedTokens.filter(token => token && token.token_id && !token.error);
+    const dequeued = discoveryService.dequeue(enriched.map(token => token.token_id));
+    if (dequeued > 0) {
+      console.log(`Removed ${dequeued} enriched tokens from the discovery queue`);
+    }
+    
+    result.success = true;
     
     console.log('Enhanced integration script completed successfully!');
+    return finish();
   } catch (error) {
     console.error('Error running enhanced integration:', error);
+    result.error = error.message;
+    return finish();
+  }
+}
+
+/**
+ * Parse command line flags
+ *   --incremental       only re-enrich stale, new, traded or changed tokens
+ *   --full              re-enrich every token (the default)
+ *   --tokens=id1,id2    always re-enrich these token IDs
+ *   --stale-hours=N     incremental staleness threshold
+ *   --check-pools       probe pool snapshots of fresh tokens
+ *   --no-discover       skip discovery of newly traded tokens
+ *   --no-persist        do not write the published run to Supabase
+ *   --dry-run           compute the report and print a diff against the published one without writing
+ *   --price-threshold=N minimum price change in percent reported by the dry-run diff
+ *   --mcap-threshold=N  minimum market cap change in percent reported by the dry-run diff
+ *   --diff-out=FILE     also write the dry-run diff to FILE
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options for runFullIntegration
+ */
+function parseCliArgs(argv) {
+  const options = {};
+  
+  argv.forEach(arg => {
+    // Only the first '=' separates the flag, so values such as --diff-out paths may contain more
+    const separator = arg.indexOf('=');
+    const flag = separator === -1 ? arg : arg.slice(0, separator);
+    const value = separator === -1 ? undefined : arg.slice(separator + 1);
+    
+    if (flag === '--full') {
+      options.full = true;
+    } else if (flag === '--incremental') {
+      options.full = false;
+    } else if (flag === '--check-pools') {
+      options.checkPools = true;
+    } else if (flag === '--no-discover') {
+      options.discover = false;
+    } else if (flag === '--no-persist') {
+      options.persist = false;
+    } else if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--price-threshold' && !isNaN(parseFloat(value))) {
+      options.diffThresholds = { ...options.diffThresholds, pricePct: parseFloat(value) };
+    } else if (flag === '--mcap-threshold' && !isNaN(parseFloat(value))) {
+      options.diffThresholds = { ...options.diffThresholds, marketCapPct: parseFloat(value) };
+    } else if (flag === '--diff-out' && value) {
+      options.diffOut = value;
+    } else if (flag === '--tokens' && value) {
+      options.requested = value.split(',').map(id => id.trim()).filter(Boolean);
+    } else if (flag === '--stale-hours' && !isNaN(parseFloat(value))) {
+      options.staleAfterMs = parseFloat(value) * 60 * 60 * 1000;
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+  const options = parseCliArgs(process.argv.slice(2));
+  const result = await runFullIntegration(options);
+  
+  if (result.diff) {
+    console.log(JSON.stringify(result.diff, null, 2));
+    if (options.diffOut) {
+      fs.writeFileSync(options.diffOut, JSON.stringify(result.diff, null, 2));
+      console.log(`Diff written to ${options.diffOut}`);
+    }
+  }
+  
+  if (!result.success) {
     process.exit(1);
   }
 }
 
-// Run the script
-main();
+// Run the script when invoked directly (node enhanced_integration_refined.js)
+if (require.main === module) {
+  main();
+}
 
-// Export the main function for use in server.js
 module.exports = {
-  runFullIntegration: main
-}; 
\ No newline at end of file
+  runFullIntegration,
+  addRecordsToPriceGraph,
+  loadLocalTokenData,
+  loadEnhancedTokenData,
+  selectTokensForEnrichment,
+  mergeEnrichedRecords,
+  getTrustListChanges,
+  enhanceTokenData,
+  batchProcessTokens,
+  storeEnhancedTokenData,
+  generateMarketCapReport,
+  parseCliArgs
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Admin credentials by key, from ADMIN_API_KEYS ("alice:key1,bob:key2") or a single ADMIN_API_KEY
+ * @returns {Map<string, string>} Actor name by key
+ */
+function adminKeys() {
+  const keys = new Map();
+  (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0 && separator < entry.length - 1) {
+        keys.set(entry.slice(separator + 1), entry.slice(0, separator));
+      }
+    });
+  if (process.env.ADMIN_API_KEY) {
+    keys.set(process.env.ADMIN_API_KEY, 'admin');
+  }
+  return keys;
+}
+
+/**
+ * Find the actor a key belongs to, comparing in constant time
+ * @param {string} key - Key sent by the caller
+ * @returns {string|null} Actor name or null if the key is unknown
+ */
+function actorForKey(key) {
+  const given = Buffer.from(String(key));
+  let actor = null;
+  adminKeys().forEach((name, candidate) => {
+    const expected = Buffer.from(candidate);
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      actor = name;
+    }
+  });
+  return actor;
+}
+
+/**
+ * Admin key sent with a request, in the X-Admin-Key header or as Authorization: Bearer <key>
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+function keyOf(req) {
+  const authorization = req.get('authorization') || '';
+  return req.get('x-admin-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+}
+
+/**
+ * Whether a request carries a valid admin key, for public routes with admin-only options
+ * @param {Object} req - Request
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  const key = keyOf(req);
+  return !!key && actorForKey(key) !== null;
+}
+
+/**
+ * Require an admin key in the X-Admin-Key header (or Authorization: Bearer <key>)
+ * The actor the key belongs to is set on req.adminActor, for audit logs.
+ */
+const requireAdmin = (req, res, next) => {
+  if (adminKeys().size === 0) {
+    return res.status(503).json({ success: false, message: 'Admin API is disabled: set ADMIN_API_KEY or ADMIN_API_KEYS' });
+  }
+
+  const key = keyOf(req);
+  const actor = key ? actorForKey(key) : null;
+  if (!actor) {
+    return res.status(401).json({ success: false, message: 'A valid admin key is required' });
+  }
+
+  req.adminActor = actor;
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  isAdminRequest
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const pegService = require('../services/pegService');
+
+/**
+ * @route   GET /api/pegs
+ * @desc    Get the peg deviation of stablecoins and wrapped assets in the published snapshot,
+ *          with each asset's deviation history and recent depeg events (?history=N limits both)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const historyLimit = req.query.history ? parseInt(req.query.history) : 100;
+    if (isNaN(historyLimit) || historyLimit < 1) {
+      return res.status(400).json({ message: 'history must be a positive number' });
+    }
+    
+    const status = await pegService.getPegStatus({ historyLimit });
+    if (!status) {
+      return res.status(404).json({ message: 'The published snapshot has no peg check yet' });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error('Error getting peg status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,16 +2,60 @@ const express = require('express');
 const router = express.Router();
 const tokenService = require('../services/tokenService');
 const volumeService = require('../services/volumeService');
+const quoteService = require('../services/quoteService');
+const rateService = require('../services/rateService');
+const { convertToken, convertStats } = require('../services/rateService');
+const { getMarketDataProvider } = require('../services/providers');
+const { ADA } = require('../services/priceGraph');
+const { isAdminRequest } = require('../middleware/adminAuth');
+
+/**
+ * Resolve ?currency= into req.exchangeRate (null for ADA); responds 400 for unsupported
+ * currencies and 503 when no rate is available
+ */
+async function resolveCurrency(req, res, next) {
+  const currency = (req.query.currency || 'ada').toLowerCase();
+  if (currency === 'ada') {
+    req.exchangeRate = null;
+    return next();
+  }
+  
+  try {
+    req.exchangeRate = await rateService.getRate(currency);
+    next();
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_CURRENCY') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Error resolving ${currency} rate:`, error.message);
+    res.status(503).json({ message: error.message });
+  }
+}
+
+/**
+ * Resolve ?mcap_basis= into req.mcapBasis (null keeps each token's own basis); responds 400 for
+ * unknown bases
+ */
+function resolveMcapBasis(req, res, next) {
+  const basis = req.query.mcap_basis ? req.query.mcap_basis.toLowerCase() : null;
+  if (basis && !tokenService.MCAP_BASES.includes(basis)) {
+    return res.status(400).json({ message: `Invalid mcap_basis: ${basis} (supported: ${tokenService.MCAP_BASES.join(', ')})` });
+  }
+  
+  req.mcapBasis = basis;
+  next();
+}
 
 /**
  * @route   GET /api/tokens
- * @desc    Get all tokens sorted by market cap
+ * @desc    Get all tokens sorted by market cap (?currency=usd|eur converts ADA amounts,
+ *          ?mcap_basis=circulating|total ranks every token on the same supply)
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveMcapBasis, resolveCurrency, async (req, res) => {
   try {
-    const tokens = await tokenService.getAllTokens();
-    res.json(tokens);
+    const tokens = await tokenService.getAllTokens({ mcapBasis: req.mcapBasis });
+    res.json(req.exchangeRate ? tokens.map(token => convertToken(token, req.exchangeRate)) : tokens);
   } catch (error) {
     console.error('Error getting all tokens:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -20,19 +64,34 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/tokens/stats
- * @desc    Get token statistics
+ * @desc    Get token statistics (?currency=usd|eur converts total volume)
  * @access  Public
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', resolveCurrency, async (req, res) => {
   try {
     const stats = await tokenService.getTokenStats();
-    res.json(stats);
+    res.json(req.exchangeRate ? convertStats(stats, req.exchangeRate) : stats);
   } catch (error) {
     console.error('Error getting token statistics:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+/**
+ * @route   GET /api/tokens/rates
+ * @desc    Get the stored ADA reference rates with their timestamps and sources
+ * @access  Public
+ */
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await rateService.getStoredRates();
+    res.json(rates);
+  } catch (error) {
+    console.error('Error getting reference rates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/tokens/volume-stats
  * @desc    Get detailed token volume statistics
@@ -50,14 +109,15 @@ router.get('/volume-stats', async (req, res) => {
 
 /**
  * @route   GET /api/tokens/top/:limit
- * @desc    Get top N tokens by market cap
+ * @desc    Get top N tokens by market cap (?currency=usd|eur converts ADA amounts,
+ *          ?mcap_basis=circulating|total ranks every token on the same supply)
  * @access  Public
  */
-router.get('/top/:limit?', async (req, res) => {
+router.get('/top/:limit?', resolveMcapBasis, resolveCurrency, async (req, res) => {
   try {
     const limit = req.params.limit ? parseInt(req.params.limit) : 50;
-    const tokens = await tokenService.getTopTokens(limit);
-    res.json(tokens);
+    const tokens = await tokenService.getTopTokens(limit, { mcapBasis: req.mcapBasis });
+    res.json(req.exchangeRate ? tokens.map(token => convertToken(token, req.exchangeRate)) : tokens);
   } catch (error) {
     console.error(`Error getting top ${req.params.limit || 50} tokens:`, error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -66,14 +126,14 @@ router.get('/top/:limit?', async (req, res) => {
 
 /**
  * @route   GET /api/tokens/top-volume/:limit
- * @desc    Get top N tokens by trading volume
+ * @desc    Get top N tokens by trading volume (?currency=usd|eur converts ADA amounts)
  * @access  Public
  */
-router.get('/top-volume/:limit?', async (req, res) => {
+router.get('/top-volume/:limit?', resolveCurrency, async (req, res) => {
   try {
     const limit = req.params.limit ? parseInt(req.params.limit) : 50;
     const tokens = await tokenService.getTopTokensByVolume(limit);
-    res.json(tokens);
+    res.json(req.exchangeRate ? tokens.map(token => convertToken(token, req.exchangeRate)) : tokens);
   } catch (error) {
     console.error(`Error getting top ${req.params.limit || 50} tokens by volume:`, error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -97,22 +157,211 @@ router.get('/search/:query', async (req, res) => {
 
 /**
  * @route   GET /api/tokens/:tokenId
- * @desc    Get detailed info about a specific token
+ * @desc    Get detailed info about a specific token (?currency=usd|eur converts ADA amounts;
+ *          the raw detailed and volume_details records stay in ADA; ?mcap_basis=circulating|total
+ *          computes market cap and rank on that supply)
  * @access  Public
  */
-router.get('/:tokenId', async (req, res) => {
+router.get('/:tokenId', resolveMcapBasis, resolveCurrency, async (req, res) => {
   try {
-    const token = await tokenService.getTokenById(req.params.tokenId);
+    const token = await tokenService.getTokenById(req.params.tokenId, { mcapBasis: req.mcapBasis });
     if (!token) {
       return res.status(404).json({ message: 'Token not found' });
     }
-    res.json(token);
+    res.json(req.exchangeRate ? convertToken(token, req.exchangeRate) : token);
   } catch (error) {
     console.error(`Error getting token ${req.params.tokenId}:`, error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+/**
+ * @route   GET /api/tokens/:tokenId/pools
+ * @desc    Get every pool of a token with reserves, implied price, liquidity share,
+ *          deviation from the weighted price and exclusion reason (?live=true fetches current pools)
+ * @access  Public (?live=true requires an admin key, since it spends the shared DexHunter budget)
+ */
+router.get('/:tokenId/pools', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]+$/.test(req.params.tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+    
+    const live = req.query.live === 'true';
+    if (live && !isAdminRequest(req)) {
+      return res.status(401).json({ message: 'live=true requires an admin key' });
+    }
+    
+    const pools = await tokenService.getTokenPools(req.params.tokenId, { live });
+    if (!pools) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    res.json(pools);
+  } catch (error) {
+    console.error(`Error getting pools for token ${req.params.tokenId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:tokenId/trust
+ * @desc    Explain a token's trust score: level, penalties and bonuses, the inputs they were
+ *          computed from, the rules version and the score changes across refreshes (?history=N)
+ * @access  Public
+ */
+router.get('/:tokenId/trust', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]+$/.test(req.params.tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+    
+    const historyLimit = req.query.history ? parseInt(req.query.history) : undefined;
+    if (historyLimit !== undefined && (isNaN(historyLimit) || historyLimit < 1)) {
+      return res.status(400).json({ message: 'history must be a positive number' });
+    }
+    
+    const trust = await tokenService.getTokenTrust(req.params.tokenId, { historyLimit });
+    if (!trust) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    res.json(trust);
+  } catch (error) {
+    console.error(`Error getting trust assessment for token ${req.params.tokenId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:tokenId/lookalikes
+ * @desc    Get tokens with a lookalike ticker or name, ranked by how likely one copies the other,
+ *          with the reasons they match (?limit=N, default 20)
+ * @access  Public
+ */
+router.get('/:tokenId/lookalikes', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]+$/.test(req.params.tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+    
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ message: 'limit must be a positive number' });
+    }
+    
+    const lookalikes = await tokenService.getTokenLookalikes(req.params.tokenId, { limit });
+    if (!lookalikes) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    res.json(lookalikes);
+  } catch (error) {
+    if (error.code === 'LOOKALIKES_UNAVAILABLE') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error(`Error getting lookalikes for token ${req.params.tokenId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:tokenId/holders
+ * @desc    Get the holder distribution of a token: holder count, top 10 and top 50 share, Gini
+ *          coefficient and the largest holders (?limit=N, default 10, at most 50)
+ * @access  Public
+ */
+router.get('/:tokenId/holders', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]+$/.test(req.params.tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ message: 'limit must be between 1 and 50' });
+    }
+
+    const holders = await tokenService.getTokenHolders(req.params.tokenId, { limit });
+    if (!holders) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    res.json(holders);
+  } catch (error) {
+    console.error(`Error getting holders for token ${req.params.tokenId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:tokenId/quote
+ * @desc    Simulate a swap across the token's pools: expected output, effective price, price impact
+ *          and the optimal split (?side=buy&amountAda=N or ?side=sell&amountToken=N, ?live=true)
+ * @access  Public (?live=true requires an admin key, since it spends the shared DexHunter budget)
+ */
+router.get('/:tokenId/quote', async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]+$/.test(req.params.tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+    
+    const side = (req.query.side || 'buy').toLowerCase();
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ message: 'side must be buy or sell' });
+    }
+    
+    const amountParam = side === 'buy' ? 'amountAda' : 'amountToken';
+    const amount = Number(req.query[amountParam]);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: `${amountParam} must be a positive number` });
+    }
+    
+    const live = req.query.live === 'true';
+    if (live && !isAdminRequest(req)) {
+      return res.status(401).json({ message: 'live=true requires an admin key' });
+    }
+    
+    const quote = await quoteService.getQuote(req.params.tokenId, { side, amount, live });
+    if (!quote) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    res.json(quote);
+  } catch (error) {
+    if (error.code === 'NO_LIQUIDITY') {
+      return res.status(422).json({ message: error.message });
+    }
+    console.error(`Error quoting token ${req.params.tokenId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:tokenId/price-in/:quoteId
+ * @desc    Get the price of a token in another token (or ADA) along the deepest path of the
+ *          liquidity graph, with its confidence and the direct pair if one exists; the graph only
+ *          holds ADA and hub token pairs (graph_scope)
+ * @access  Public
+ */
+router.get('/:tokenId/price-in/:quoteId', async (req, res) => {
+  try {
+    const normalize = id => (id.toUpperCase() === ADA ? ADA : id);
+    const assetId = normalize(req.params.tokenId);
+    const quoteId = normalize(req.params.quoteId);
+    if (![assetId, quoteId].every(id => id === ADA || /^[0-9a-fA-F]+$/.test(id))) {
+      return res.status(400).json({ message: 'Invalid token ID' });
+    }
+    
+    const rate = await tokenService.getCrossRate(assetId, quoteId);
+    if (!rate) {
+      return res.status(404).json({ message: 'No liquidity path between the tokens' });
+    }
+    res.json(rate);
+  } catch (error) {
+    if (error.code === 'GRAPH_UNAVAILABLE') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error(`Error pricing ${req.params.tokenId} in ${req.params.quoteId}:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/tokens/:tokenId/volume
  * @desc    Get detailed volume data for a specific token
@@ -157,46 +406,27 @@ router.all('/refresh', async (req, res) => {
       try {
         console.log(`[${new Date().toISOString()}] Using bypass token to refresh SNEK token directly`);
         
-        // Import axios for DexHunter API
-        const axios = require('axios');
-        const DEXHUNTER_API_KEY = process.env.REACT_APP_DEXHUNTER_PARTNER_ID;
-        
-        if (!DEXHUNTER_API_KEY) {
-          console.error(`[${new Date().toISOString()}] Missing DexHunter API key`);
-          return res.status(500).json({ 
-            success: false, 
-            message: 'Missing DexHunter API key',
-            timestamp: new Date().toISOString()
-          });
-        }
-        
-        // DexHunter client for getting token data
-        const dexhunterClient = axios.create({
-          baseURL: 'https://api-us.dexhunterv3.app',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Partner-Id': DEXHUNTER_API_KEY
-          }
-        });
+        // Market data provider chain (DexHunter first, local files as fallback)
+        const marketData = getMarketDataProvider();
         
         // SNEK token ID
         const snekTokenId = '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
         
-        console.log(`[${new Date().toISOString()}] Fetching SNEK token data from DexHunter`);
-        const response = await dexhunterClient.get(`/swap/token/${snekTokenId}`);
+        console.log(`[${new Date().toISOString()}] Fetching SNEK token data`);
+        const tokenInfo = await marketData.getTokenInfo(snekTokenId);
         
-        if (!response.data) {
-          console.error(`[${new Date().toISOString()}] No data returned from DexHunter`);
+        if (!tokenInfo) {
+          console.error(`[${new Date().toISOString()}] No data returned from market data providers`);
           return res.status(500).json({ 
             success: false, 
-            message: 'No data returned from DexHunter',
+            message: 'No data returned from market data providers',
             timestamp: new Date().toISOString()
           });
         }
         
         // Get price
-        const priceResponse = await dexhunterClient.get(`/swap/tokenPrice/${snekTokenId}`);
-        const price = priceResponse.data?.price || response.data.price || 0;
+        const tokenPrice = await marketData.getTokenPrice(snekTokenId);
+        const price = tokenPrice?.price || tokenInfo.price || 0;
         
         console.log(`[${new Date().toISOString()}] Got SNEK price:`, price);
         
@@ -235,10 +465,10 @@ router.all('/refresh', async (req, res) => {
     // Trigger the refresh
     const result = await refreshTokenData();
     
-    if (result) {
-      res.json({ success: true, message: 'Token data refreshed successfully', timestamp: new Date().toISOString() });
+    if (result.success) {
+      res.json({ success: true, message: 'Token data refreshed successfully', result, timestamp: new Date().toISOString() });
     } else {
-      res.status(500).json({ success: false, message: 'Token data refresh failed or already in progress', timestamp: new Date().toISOString() });
+      res.status(result.skipped ? 409 : 500).json({ success: false, message: result.skipped ? 'Token data refresh already in progress' : 'Token data refresh failed', result, timestamp: new Date().toISOString() });
     }
   } catch (error) {
     console.error('Error refreshing token data:', error);
@@ -249,6 +479,7 @@ router.all('/refresh', async (req, res) => {
 /**
  * @route   GET/POST /api/tokens/refresh-volumes
  * @desc    Manually refresh volume data (endpoint for cron job)
+ *          On Vercel, ?budget_ms= caps the time spent; progress resumes on the next call
  * @access  Public
  */
 router.all('/refresh-volumes', async (req, res) => {
@@ -266,13 +497,17 @@ router.all('/refresh-volumes', async (req, res) => {
     console.log(`[${new Date().toISOString()}] Environment check: SUPABASE_URL exists:`, !!process.env.REACT_APP_SUPABASE_URL);
     console.log(`[${new Date().toISOString()}] Environment check: SUPABASE_ANON_KEY exists:`, !!process.env.REACT_APP_SUPABASE_ANON_KEY);
     
-    // Refresh the volume data
-    await volumeService.refreshVolumeData();
+    // Refresh the volume data; on Vercel each call covers the next slice of the ranking within the budget
+    const budgetMs = parseInt(req.query.budget_ms) || undefined;
+    const result = await volumeService.refreshVolumeData(false, { budgetMs });
     
-    // Return success
+    // Return success, flagging partial order data if pagination stopped early
     res.json({ 
       success: true, 
       message: 'Volume data refreshed successfully',
+      total_tokens: result ? result.total_tokens : 0,
+      order_fetch: result ? result.order_fetch || null : null,
+      refresh: result ? result.refresh || null : null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -287,10 +522,10 @@ router.all('/refresh-volumes', async (req, res) => {
 
 /**
  * @route   GET /api/tokens/top-tvl/:limit
- * @description Get top tokens sorted by TVL (two-sided liquidity)
+ * @description Get top tokens sorted by TVL (two-sided liquidity; ?currency=usd|eur converts ADA amounts)
  * @access Public
  */
-router.get('/top-tvl/:limit', async (req, res) => {
+router.get('/top-tvl/:limit', resolveCurrency, async (req, res) => {
   try {
     const limit = parseInt(req.params.limit) || 50;
     if (limit <= 0 || limit > 500) {
@@ -298,7 +533,7 @@ router.get('/top-tvl/:limit', async (req, res) => {
     }
     
     const tokens = await tokenService.getTopTokensByTVL(limit);
-    res.json(tokens);
+    res.json(req.exchangeRate ? tokens.map(token => convertToken(token, req.exchangeRate)) : tokens);
   } catch (error) {
     console.error('Error fetching top tokens by TVL:', error);
     res.status(500).json({ message: 'Server error' });
@@ -307,7 +542,7 @@ router.get('/top-tvl/:limit', async (req, res) => {
 
 /**
  * @route   GET/POST /api/tokens/refresh-tvl
- * @desc    Manually refresh TVL (total value locked) data (endpoint for cron job)
+ * @desc    Recompute TVL (total value locked) from pool reserves (endpoint for cron job)
  * @access  Public
  */
 router.all('/refresh-tvl', async (req, res) => {
@@ -321,12 +556,23 @@ router.all('/refresh-tvl', async (req, res) => {
       console.log(`[${new Date().toISOString()}] This is a manual TVL refresh request via ${req.method}`);
     }
     
-    await tokenService.refreshTvlData();
+    // Tokens whose TVL is oldest go first; ?budget_ms= caps the time spent
+    const budgetMs = parseInt(req.query.budget_ms) || undefined;
+    const result = await tokenService.refreshTvlData({ budgetMs });
+    
+    if (!result) {
+      return res.status(500).json({ 
+        success: false, 
+        message: 'TVL data refresh failed', 
+        timestamp: new Date().toISOString() 
+      });
+    }
     
     console.log(`[${new Date().toISOString()}] TVL data refreshed successfully`);
     res.json({ 
       success: true, 
       message: 'TVL data refreshed successfully', 
+      refresh: result,
       timestamp: new Date().toISOString() 
     });
   } catch (error) {
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const trustRules = require('../services/trustRules');
+
+/**
+ * @route   GET /api/trust/rules
+ * @desc    Get the active trust scoring rule set with its version, the inputs rules can use and the operators
+ * @access  Public
+ */
+router.get('/rules', (req, res) => {
+  try {
+    const rules = trustRules.getRules();
+    res.json({
+      ...rules,
+      inputs: trustRules.TRUST_INPUTS,
+      operators: trustRules.OPERATORS
+    });
+  } catch (error) {
+    console.error('Error getting trust rules:', error);
+    res.status(500).json({ message: error.code === 'INVALID_TRUST_RULES' ? 'Trust rules are invalid' : 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
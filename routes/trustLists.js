@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const trustListService = require('../services/trustListService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Every list route needs an admin key; the key also names the actor in the audit log
+router.use(requireAdmin);
+
+// Statuses of the trust list error codes
+const ERROR_STATUSES = {
+  INVALID_TRUST_LIST_ENTRY: 400,
+  TRUST_LIST_ENTRY_NOT_FOUND: 404,
+  DUPLICATE_TRUST_LIST_ENTRY: 409,
+  TRUST_LISTS_READ_ONLY: 503
+};
+
+/**
+ * Send a trust list error with the status of its code
+ * @param {Object} res - Response
+ * @param {Error} error - Error
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    console.error(`Error ${action}:`, error);
+  }
+  res.status(status || 500).json({
+    success: false,
+    message: status ? error.message : `Error: ${error.message}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * @route   GET /api/admin/trust-lists
+ * @desc    List allowlist and blocklist entries (?list=allow|block, ?active=true drops expired entries)
+ * @access  Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { list } = req.query;
+    if (list && !trustListService.LISTS.includes(list)) {
+      return res.status(400).json({ success: false, message: `list must be one of ${trustListService.LISTS.join(', ')}` });
+    }
+
+    const entries = await trustListService.listEntries({ list, includeExpired: req.query.active !== 'true' });
+    res.json({ success: true, entries });
+  } catch (error) {
+    sendError(res, error, 'listing trust list entries');
+  }
+});
+
+/**
+ * @route   GET /api/admin/trust-lists/audit
+ * @desc    Get the audit log of list changes, newest first (?entry_id= for one entry, ?limit=N)
+ * @access  Admin
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({ success: false, message: 'limit must be a positive number' });
+    }
+
+    const audit = await trustListService.getAudit({ entryId: req.query.entry_id, limit });
+    res.json({ success: true, audit });
+  } catch (error) {
+    sendError(res, error, 'getting the trust list audit log');
+  }
+});
+
+/**
+ * @route   GET /api/admin/trust-lists/:id
+ * @desc    Get an entry
+ * @access  Admin
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await trustListService.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: `Trust list entry ${req.params.id} not found` });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendError(res, error, `getting trust list entry ${req.params.id}`);
+  }
+});
+
+/**
+ * @route   POST /api/admin/trust-lists
+ * @desc    Put a token or policy on the allowlist or blocklist
+ *          (body: list, scope token|policy, target_id, reason, optional expires_at)
+ * @access  Admin
+ */
+router.post('/', async (req, res) => {
+  try {
+    const entry = await trustListService.createEntry(req.body || {}, { actor: req.adminActor });
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    sendError(res, error, 'creating trust list entry');
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/trust-lists/:id
+ * @desc    Change the list, target, reason or expiry of an entry (expires_at null removes the expiry)
+ * @access  Admin
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const entry = await trustListService.updateEntry(req.params.id, req.body || {}, { actor: req.adminActor });
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendError(res, error, `updating trust list entry ${req.params.id}`);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/trust-lists/:id
+ * @desc    Remove an entry
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await trustListService.deleteEntry(req.params.id, { actor: req.adminActor });
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendError(res, error, `deleting trust list entry ${req.params.id}`);
+  }
+});
+
+module.exports = router;
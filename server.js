@@ -3,14 +3,23 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
-const { exec } = require('child_process');
 const fs = require('fs');
 
 // Routes
 const tokenRoutes = require('./routes/tokens');
+const pegRoutes = require('./routes/pegs');
+const trustRoutes = require('./routes/trust');
+const trustListRoutes = require('./routes/trustLists');
+const { requireAdmin } = require('./middleware/adminAuth');
 
 // Services
 const volumeService = require('./services/volumeService');
+const discoveryService = require('./services/discoveryService');
+const snapshotStore = require('./services/snapshotStore');
+const persistenceService = require('./services/persistenceService');
+const { SCHEMA_VERSION } = persistenceService;
+const { getDexhunterClient } = require('./services/dexhunterClient');
+const { getMarketDataProvider } = require('./services/providers');
 
 // Create Express server
 const app = express();
@@ -18,28 +27,46 @@ const app = express();
 // Set port
 const PORT = process.env.PORT || 3001;
 
-// Script paths
-const ENHANCED_INTEGRATION_SCRIPT = path.join(process.cwd(), 'enhanced_integration_refined.js');
-
 // Data refresh scheduler
 let refreshInterval = null;
 let isRefreshing = false;
+let refreshController = null;
+let refreshProgress = null;
+let lastRefreshResult = null;
 let volumeRefreshInterval = null;
 let isVolumeRefreshing = false;
 
 /**
- * Run the data refresh script
+ * Run the data refresh
+ * @param {Object} [options]
+ * @param {boolean} [options.full=true] - Re-enrich every token; false only re-enriches stale or changed ones
+ * @param {Array<string>} [options.requested] - Token IDs to re-enrich regardless of their state
+ * @returns {Promise<Object>} Refresh result with a `success` flag
  */
-async function refreshTokenData() {
+async function refreshTokenData({ full = true, requested = [], dryRun = false, diffThresholds } = {}) {
   if (isRefreshing) {
     console.log('Data refresh already in progress, skipping...');
-    return false;
+    return {
+      success: false,
+      skipped: true,
+      error: 'Data refresh already in progress',
+      progress: refreshProgress
+    };
   }
 
   console.log('Starting token data refresh...');
   isRefreshing = true;
 
   try {
+    // Dry runs need the enhanced integration, which does not run on Vercel
+    if (process.env.VERCEL && dryRun) {
+      return {
+        success: false,
+        error: 'Dry runs are not available in the Vercel lightweight refresh',
+        finishedAt: new Date().toISOString()
+      };
+    }
+    
     // In serverless environment, we need a lightweight approach
     if (process.env.VERCEL) {
       console.log('Running in Vercel serverless environment - using lightweight API refresh');
@@ -68,48 +95,80 @@ async function refreshTokenData() {
         tokenService.clearCache();
         volumeService.clearCache();
         
-        isRefreshing = false;
-        return tokenResult && volumeResult;
+        lastRefreshResult = {
+          success: !!(tokenResult && volumeResult),
+          mode: 'lightweight',
+          tokenRefresh: tokenResult,
+          volumeTokens: volumeResult ? volumeResult.total_tokens : 0,
+          finishedAt: new Date().toISOString()
+        };
+        return lastRefreshResult;
       } catch (error) {
         console.error(`Error in Vercel lightweight refresh: ${error.message}`);
         console.error(error.stack);
-        isRefreshing = false;
-        return false;
+        lastRefreshResult = {
+          success: false,
+          mode: 'lightweight',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        };
+        return lastRefreshResult;
+      }
+    }
+    
+    // Local development - run the enhanced integration in-process
+    const { runFullIntegration } = require('./enhanced_integration_refined');
+    refreshController = new AbortController();
+    refreshProgress = null;
+    
+    const result = await runFullIntegration({
+      full,
+      requested,
+      dryRun,
+      diffThresholds,
+      signal: refreshController.signal,
+      onProgress: (progress) => {
+        refreshProgress = progress;
       }
+    });
+    
+    if (result.success) {
+      console.log(`Token data ${dryRun ? 'dry run' : 'refresh'} completed successfully in ${result.durationMs}ms`);
     } else {
-      // Local development - use the full script via exec
-      return new Promise((resolve) => {
-        // Check if the script exists
-        if (!fs.existsSync(ENHANCED_INTEGRATION_SCRIPT)) {
-          console.error(`Enhanced integration script not found at ${ENHANCED_INTEGRATION_SCRIPT}`);
-          isRefreshing = false;
-          return resolve(false);
-        }
-
-        // Run the enhanced integration script
-        const process = exec(`node ${ENHANCED_INTEGRATION_SCRIPT}`, (error, stdout, stderr) => {
-          isRefreshing = false;
-          
-          if (error) {
-            console.error(`Error refreshing token data: ${error.message}`);
-            return resolve(false);
-          }
-          
-          if (stderr) {
-            console.error(`Token data refresh stderr: ${stderr}`);
-          }
-          
-          console.log('Token data refresh completed successfully');
-          console.log(stdout);
-          return resolve(true);
-        });
-      });
+      console.error(`Token data refresh did not complete: ${result.error}`);
+    }
+    
+    // A dry run publishes nothing, so it does not replace the last refresh outcome
+    if (!dryRun) {
+      lastRefreshResult = result;
     }
+    return result;
   } catch (error) {
     console.error(`Error in refreshTokenData: ${error.message}`);
+    lastRefreshResult = {
+      success: false,
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    };
+    return lastRefreshResult;
+  } finally {
     isRefreshing = false;
+    refreshController = null;
+  }
+}
+
+/**
+ * Cancel the token data refresh that is currently running
+ * @returns {boolean} True if a running refresh was signalled to stop
+ */
+function cancelTokenRefresh() {
+  if (!refreshController) {
     return false;
   }
+  
+  console.log('Cancelling token data refresh...');
+  refreshController.abort();
+  return true;
 }
 
 /**
@@ -152,12 +211,28 @@ function startRefreshScheduler(intervalMinutes = 5) {
   console.log(`Starting token data refresh scheduler (every ${intervalMinutes} minutes)`);
   
   // Schedule the refresh task
-  refreshInterval = setInterval(async () => {
-    await refreshTokenData();
-  }, intervalMs);
+  refreshInterval = setInterval(runScheduledTokenRefresh, intervalMs);
   
   // Run the first refresh immediately
-  refreshTokenData();
+  runScheduledTokenRefresh();
+}
+
+/**
+ * Scheduler task wrapper that logs the refresh outcome
+ */
+async function runScheduledTokenRefresh() {
+  const result = await refreshTokenData();
+  
+  if (result.skipped) {
+    return;
+  }
+  
+  if (result.counts) {
+    const { processed, total, success, failed, honeypots } = result.counts;
+    console.log(`Scheduled token refresh ${result.success ? 'succeeded' : 'failed'}: ${processed}/${total} processed, ${success} successful, ${failed} failed, ${honeypots} potential honeypots`);
+  } else {
+    console.log(`Scheduled token refresh ${result.success ? 'succeeded' : `failed: ${result.error}`}`);
+  }
 }
 
 /**
@@ -212,6 +287,9 @@ app.use((req, res, next) => {
 
 // API routes - MUST come before static file serving
 app.use('/api/tokens', tokenRoutes);
+app.use('/api/pegs', pegRoutes);
+app.use('/api/trust', trustRoutes);
+app.use('/api/admin/trust-lists', trustListRoutes);
 
 // Debug endpoint to check environment variables
 app.get('/api/debug/env', (req, res) => {
@@ -267,46 +345,27 @@ app.all('/api/refresh-data', async (req, res) => {
       try {
         console.log(`[${new Date().toISOString()}] Using bypass token to refresh SNEK token directly`);
         
-        // Import axios for DexHunter API
-        const axios = require('axios');
-        const DEXHUNTER_API_KEY = process.env.REACT_APP_DEXHUNTER_PARTNER_ID;
-        
-        if (!DEXHUNTER_API_KEY) {
-          console.error(`[${new Date().toISOString()}] Missing DexHunter API key`);
-          return res.status(500).json({ 
-            success: false, 
-            message: 'Missing DexHunter API key',
-            timestamp: new Date().toISOString()
-          });
-        }
-        
-        // DexHunter client for getting token data
-        const dexhunterClient = axios.create({
-          baseURL: 'https://api-us.dexhunterv3.app',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Partner-Id': DEXHUNTER_API_KEY
-          }
-        });
+        // Market data provider chain (DexHunter first, local files as fallback)
+        const marketData = getMarketDataProvider();
         
         // SNEK token ID
         const snekTokenId = '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
         
-        console.log(`[${new Date().toISOString()}] Fetching SNEK token data from DexHunter`);
-        const response = await dexhunterClient.get(`/swap/token/${snekTokenId}`);
+        console.log(`[${new Date().toISOString()}] Fetching SNEK token data`);
+        const tokenInfo = await marketData.getTokenInfo(snekTokenId);
         
-        if (!response.data) {
-          console.error(`[${new Date().toISOString()}] No data returned from DexHunter`);
+        if (!tokenInfo) {
+          console.error(`[${new Date().toISOString()}] No data returned from market data providers`);
           return res.status(500).json({ 
             success: false, 
-            message: 'No data returned from DexHunter',
+            message: 'No data returned from market data providers',
             timestamp: new Date().toISOString()
           });
         }
         
         // Get price
-        const priceResponse = await dexhunterClient.get(`/swap/tokenPrice/${snekTokenId}`);
-        const price = priceResponse.data?.price || response.data.price || 0;
+        const tokenPrice = await marketData.getTokenPrice(snekTokenId);
+        const price = tokenPrice?.price || tokenInfo.price || 0;
         
         console.log(`[${new Date().toISOString()}] Got SNEK price:`, price);
         
@@ -333,19 +392,27 @@ app.all('/api/refresh-data', async (req, res) => {
       }
     }
     
-    // Standard refresh path
-    const result = await refreshTokenData();
+    // Standard refresh path (full unless incremental=true is passed)
+    const full = !(req.query.incremental === 'true' || req.body?.incremental === true);
+    const requestedTokens = req.query.tokens || req.body?.tokens || [];
+    const requested = Array.isArray(requestedTokens)
+      ? requestedTokens
+      : String(requestedTokens).split(',').map(id => id.trim()).filter(Boolean);
     
-    if (result) {
+    const result = await refreshTokenData({ full, requested });
+    
+    if (result.success) {
       res.json({ 
         success: true, 
         message: 'Token data refresh completed successfully',
+        result,
         timestamp: new Date().toISOString()
       });
     } else {
-      res.status(500).json({ 
+      res.status(result.skipped ? 409 : 500).json({ 
         success: false, 
-        message: 'Token data refresh failed or already in progress',
+        message: result.skipped ? 'Token data refresh already in progress' : `Token data refresh failed: ${result.error}`,
+        result,
         timestamp: new Date().toISOString()
       });
     }
@@ -359,6 +426,65 @@ app.all('/api/refresh-data', async (req, res) => {
   }
 });
 
+// Endpoint to preview a refresh: computes the new report and returns a diff against the published one
+app.post('/api/admin/dry-run', requireAdmin, async (req, res) => {
+  const options = { ...req.query, ...req.body };
+  const full = !(options.incremental === true || options.incremental === 'true');
+  const requested = Array.isArray(options.tokens)
+    ? options.tokens
+    : String(options.tokens || '').split(',').map(id => id.trim()).filter(Boolean);
+  
+  const diffThresholds = {};
+  if (!isNaN(parseFloat(options.price_threshold))) {
+    diffThresholds.pricePct = parseFloat(options.price_threshold);
+  }
+  if (!isNaN(parseFloat(options.mcap_threshold))) {
+    diffThresholds.marketCapPct = parseFloat(options.mcap_threshold);
+  }
+  
+  try {
+    const result = await refreshTokenData({ full, requested, dryRun: true, diffThresholds });
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        diff: result.diff,
+        result: { ...result, diff: undefined },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(result.skipped ? 409 : 500).json({
+        success: false,
+        message: result.skipped ? 'Token data refresh already in progress' : `Dry run failed: ${result.error}`,
+        result,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error(`Error in dry-run endpoint: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: `Error: ${error.message}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint to cancel a running token data refresh
+app.post('/api/refresh-data/cancel', requireAdmin, (req, res) => {
+  const cancelled = cancelTokenRefresh();
+  if (cancelled) {
+    console.log(`Token data refresh cancelled by ${req.adminActor}`);
+  }
+  
+  res.status(cancelled ? 202 : 409).json({
+    success: cancelled,
+    message: cancelled ? 'Token data refresh cancellation requested' : 'No token data refresh is running',
+    progress: refreshProgress,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Endpoint to check API status
 app.get('/api/status', (req, res) => {
   res.json({
@@ -367,11 +493,31 @@ app.get('/api/status', (req, res) => {
     timestamp: new Date().toISOString(),
     refreshScheduler: {
       active: refreshInterval !== null,
-      isRefreshing
+      isRefreshing,
+      progress: isRefreshing ? refreshProgress : null,
+      lastResult: lastRefreshResult
     },
     volumeScheduler: {
       active: volumeRefreshInterval !== null,
-      isRefreshing: isVolumeRefreshing
+      isRefreshing: isVolumeRefreshing,
+      lastOrderFetch: volumeService.lastOrderFetch
+    },
+    snapshot: {
+      current: snapshotStore.getCurrent().run_id,
+      publishedAt: snapshotStore.getCurrent().published_at
+    },
+    persistence: {
+      enabled: persistenceService.isEnabled(),
+      schemaVersion: persistenceService.schemaVersion,
+      requiredSchemaVersion: SCHEMA_VERSION
+    },
+    discovery: {
+      lastRun: discoveryService.lastDiscovery,
+      queued: discoveryService.getQueuedTokenIds().length
+    },
+    upstream: {
+      dexhunter: getDexhunterClient().getStats(),
+      providers: getMarketDataProvider().getStats()
     }
   });
 });
@@ -465,6 +611,75 @@ app.post('/api/admin/set-supabase-credentials', (req, res) => {
   }
 });
 
+// List pipeline snapshots, newest first
+app.get('/api/admin/snapshots', requireAdmin, (req, res) => {
+  try {
+    const current = snapshotStore.getCurrent();
+    res.json({
+      success: true,
+      current: current.run_id,
+      published_at: current.published_at,
+      snapshots: snapshotStore.list()
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ success: false, message: `Error: ${error.message}` });
+  }
+});
+
+// Publish an earlier snapshot again (defaults to the one before the current snapshot) and mirror it to Supabase
+app.post('/api/admin/snapshots/rollback', requireAdmin, async (req, res) => {
+  const runId = req.body?.run_id || req.query.run_id;
+  
+  if (runId && !snapshotStore.isValidRunId(runId)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid run_id: ${runId}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (isRefreshing) {
+    return res.status(409).json({
+      success: false,
+      message: 'A token data refresh is running, cancel it before rolling back',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  let pointer;
+  try {
+    pointer = snapshotStore.rollback(runId);
+    console.log(`Snapshot ${pointer.run_id} published again by ${req.adminActor}`);
+  } catch (error) {
+    console.error('Error rolling back snapshot:', error.message);
+    return res.status(error.code === 'SNAPSHOT_ALREADY_PUBLISHED' ? 409 : 404).json({
+      success: false,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // The serverless deployment serves Supabase, which still holds the rolled-back run
+  let persistence = null;
+  if (persistenceService.isEnabled()) {
+    try {
+      persistence = await persistenceService.persistPublishedSnapshot();
+    } catch (error) {
+      console.error(`Error mirroring snapshot ${pointer.run_id} to Supabase:`, error.message);
+      persistence = { error: error.message };
+    }
+  }
+  
+  res.json({
+    success: !(persistence && persistence.error),
+    current: pointer.run_id,
+    previous: pointer.previous_run_id,
+    published_at: pointer.published_at,
+    persistence
+  });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -474,12 +689,27 @@ app.get('/api/health', (req, res) => {
     routes: {
       'debug_env': '/api/debug/env',
       'refresh_data': '/api/refresh-data',
+      'refresh_data_cancel': '/api/refresh-data/cancel',
+      'admin_dry_run': '/api/admin/dry-run',
+      'admin_snapshots': '/api/admin/snapshots',
+      'admin_snapshots_rollback': '/api/admin/snapshots/rollback',
+      'admin_trust_lists': '/api/admin/trust-lists',
+      'admin_trust_lists_audit': '/api/admin/trust-lists/audit',
       'tokens_refresh': '/api/tokens/refresh',
       'tokens_refresh_volumes': '/api/tokens/refresh-volumes',
       'tokens_refresh_snek': '/api/tokens/refresh-snek',
       'tokens_test_supabase': '/api/tokens/test-supabase',
       'tokens_stats': '/api/tokens/stats',
-      'tokens_by_id': '/api/tokens/:tokenId'
+      'tokens_rates': '/api/tokens/rates',
+      'tokens_by_id': '/api/tokens/:tokenId',
+      'tokens_pools': '/api/tokens/:tokenId/pools',
+      'tokens_trust': '/api/tokens/:tokenId/trust',
+      'tokens_lookalikes': '/api/tokens/:tokenId/lookalikes',
+      'tokens_holders': '/api/tokens/:tokenId/holders',
+      'tokens_quote': '/api/tokens/:tokenId/quote',
+      'tokens_price_in': '/api/tokens/:tokenId/price-in/:quoteId',
+      'pegs': '/api/pegs',
+      'trust_rules': '/api/trust/rules'
     }
   });
 });
@@ -494,8 +724,17 @@ app.get('/api', (req, res) => {
       '/api/tokens/top-tvl/:limit - Get top tokens by TVL (total value locked)',
       '/api/tokens/top-volume/:limit - Get top tokens by volume',
       '/api/tokens/:tokenId - Get token details by ID',
+      '/api/tokens/:tokenId/pools - Get the per-pool liquidity breakdown of a token',
+      '/api/tokens/:tokenId/trust - Explain the trust score of a token with its inputs and history',
+      '/api/tokens/:tokenId/lookalikes - Get tokens with a lookalike ticker or name, most suspicious first',
+      '/api/tokens/:tokenId/holders - Get the holder count, top holder shares and Gini coefficient of a token',
+      '/api/tokens/:tokenId/quote - Estimate output, price impact and the best route of a swap',
+      '/api/tokens/:tokenId/price-in/:quoteId - Get the cross rate of two tokens through the liquidity graph',
       '/api/tokens/search/:query - Search tokens by ticker or name',
-      '/api/tokens/stats - Get token statistics'
+      '/api/tokens/stats - Get token statistics',
+      '/api/tokens/rates - Get the ADA/USD and ADA/EUR reference rates',
+      '/api/pegs - Get the peg deviation, history and depeg events of stablecoins and wrapped assets',
+      '/api/trust/rules - Get the active trust scoring rules and their version'
     ]
   });
 });
@@ -558,4 +797,5 @@ module.exports = app;
 
 // Export the refresh functions for use in routes
 module.exports.refreshTokenData = refreshTokenData;
+module.exports.cancelTokenRefresh = cancelTokenRefresh;
 module.exports.refreshVolumeData = refreshVolumeData; 
\ No newline at end of file
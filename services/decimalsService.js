@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// ADA amounts in lovelace use 6 decimals
+const ADA_DECIMALS = 6;
+
+// Unit of each upstream amount: 'raw' amounts are in base units and are divided by 10^decimals,
+// 'display' amounts are already in whole tokens. DexHunter pool reserves and order amounts are
+// already scaled, token info supply is raw.
+const AMOUNT_UNITS = {
+  pool_reserve: process.env.DEXHUNTER_POOL_AMOUNT_UNITS || 'display',
+  order_amount: process.env.DEXHUNTER_ORDER_AMOUNT_UNITS || 'display',
+  token_volume: process.env.DEXHUNTER_TOKEN_VOLUME_UNITS || 'display',
+  token_supply: 'raw'
+};
+
+/**
+ * Service that resolves token decimals and converts upstream amounts to whole tokens
+ *
+ * Decimals are resolved per token, in order of precedence:
+ *   override   token_data/decimals_overrides.json (path overridable with DECIMALS_OVERRIDES_PATH)
+ *                { "tokens": { "<tokenId>": { "decimals": 6, "note": "...", "updated_at": "..." } } }
+ *   dexhunter  token_decimals from DexHunter token info
+ *   summary    decimals or token_decimals in the local summary
+ *   default    0 when nothing else is known
+ * Every converted figure should be stored with the decimals and source that were used.
+ */
+class DecimalsService {
+  constructor() {
+    this.overridesPath = process.env.DECIMALS_OVERRIDES_PATH || path.join(process.cwd(), 'token_data', 'decimals_overrides.json');
+    this.overrides = null;
+    this.overridesMtime = null;
+    this.units = { ...AMOUNT_UNITS };
+  }
+
+  /**
+   * Load the manual overrides, reloading them when the file changes
+   * @returns {Object<string, Object>} Overrides by token ID
+   */
+  loadOverrides() {
+    try {
+      if (!fs.existsSync(this.overridesPath)) {
+        this.overrides = {};
+        this.overridesMtime = null;
+        return this.overrides;
+      }
+
+      const mtime = fs.statSync(this.overridesPath).mtimeMs;
+      if (!this.overrides || this.overridesMtime !== mtime) {
+        const data = JSON.parse(fs.readFileSync(this.overridesPath, 'utf8'));
+        this.overrides = data.tokens || {};
+        this.overridesMtime = mtime;
+      }
+    } catch (error) {
+      console.error(`Error reading decimals overrides at ${this.overridesPath}:`, error.message);
+      this.overrides = this.overrides || {};
+    }
+
+    return this.overrides;
+  }
+
+  /**
+   * Resolve the decimals of a token
+   * @param {string} tokenId - Token ID
+   * @param {Object} [sources]
+   * @param {Object|null} [sources.tokenInfo] - DexHunter token info
+   * @param {Object|null} [sources.summary] - Local token summary
+   * @returns {{decimals: number, source: string}}
+   */
+  resolve(tokenId, { tokenInfo = null, summary = null } = {}) {
+    const valid = value => value !== undefined && value !== null && value !== '' &&
+      Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 18;
+
+    const override = this.loadOverrides()[tokenId];
+    if (override && valid(override.decimals)) {
+      return { decimals: Number(override.decimals), source: 'override' };
+    }
+    if (tokenInfo && valid(tokenInfo.token_decimals)) {
+      return { decimals: Number(tokenInfo.token_decimals), source: 'dexhunter' };
+    }
+    if (summary) {
+      const summaryDecimals = valid(summary.decimals) ? summary.decimals : summary.token_decimals;
+      if (valid(summaryDecimals)) {
+        return { decimals: Number(summaryDecimals), source: 'summary' };
+      }
+    }
+
+    return { decimals: 0, source: 'default' };
+  }
+
+  /**
+   * Convert an upstream amount to whole tokens
+   * @param {number|string} amount - Amount as returned upstream
+   * @param {number} decimals - Token decimals
+   * @param {string} kind - Amount kind (pool_reserve, order_amount, token_volume, token_supply)
+   * @returns {number} Amount in whole tokens
+   */
+  toWholeUnits(amount, decimals, kind) {
+    const value = parseFloat(amount) || 0;
+    return this.units[kind] === 'raw' ? value / Math.pow(10, decimals) : value;
+  }
+
+  /**
+   * Convert an upstream ADA amount to ADA
+   * @param {number|string} amount - Amount as returned upstream
+   * @param {string} kind - Amount kind (pool_reserve, order_amount)
+   * @returns {number} Amount in ADA
+   */
+  toAda(amount, kind) {
+    return this.toWholeUnits(amount, ADA_DECIMALS, kind);
+  }
+}
+
+module.exports = new DecimalsService();
+module.exports.DecimalsService = DecimalsService;
+module.exports.ADA_DECIMALS = ADA_DECIMALS;
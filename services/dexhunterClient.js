@@ -0,0 +1,43 @@
+require('dotenv').config();
+const { ResilientClient, TokenBucketLimiter, CircuitBreaker } = require('./resilientClient');
+
+const DEXHUNTER_BASE_URL = 'https://api-us.dexhunterv3.app';
+
+let sharedClient = null;
+
+/**
+ * Get the process-wide DexHunter client.
+ * Every DexHunter caller goes through this instance so they share one rate budget.
+ * Tunable with DEXHUNTER_RATE_PER_SECOND, DEXHUNTER_MAX_CONCURRENT and DEXHUNTER_MAX_RETRIES.
+ * @returns {ResilientClient} DexHunter client
+ */
+function getDexhunterClient() {
+  if (!sharedClient) {
+    sharedClient = new ResilientClient({
+      name: 'DexHunter',
+      axiosConfig: {
+        baseURL: DEXHUNTER_BASE_URL,
+        timeout: 30000,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Partner-Id': process.env.REACT_APP_DEXHUNTER_PARTNER_ID
+        }
+      },
+      limiter: new TokenBucketLimiter({
+        ratePerSecond: parseFloat(process.env.DEXHUNTER_RATE_PER_SECOND) || 5,
+        maxConcurrent: parseInt(process.env.DEXHUNTER_MAX_CONCURRENT) || 5
+      }),
+      breaker: new CircuitBreaker({
+        failureThreshold: 5,
+        resetTimeoutMs: 30000
+      }),
+      maxRetries: process.env.DEXHUNTER_MAX_RETRIES !== undefined ? parseInt(process.env.DEXHUNTER_MAX_RETRIES) : 3
+    });
+  }
+  return sharedClient;
+}
+
+module.exports = {
+  getDexhunterClient,
+  DEXHUNTER_BASE_URL
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { getMarketDataProvider } = require('./providers');
+const decimalsService = require('./decimalsService');
+
+const LOVELACE_ID = "000000000000000000000000000000000000000000000000000000006c6f76656c616365";
+
+/**
+ * Service that finds tokens traded on DexHunter that have no local summary yet,
+ * writes summary stubs for them and queues them for enrichment
+ */
+class DiscoveryService {
+  constructor() {
+    this.summariesDir = path.join(process.cwd(), 'token_data', 'summaries');
+    this.queuePath = path.join(process.cwd(), 'token_data', 'discovery_queue.json');
+    this.volumeDataPath = path.join(process.cwd(), 'fixed_token_volumes.json');
+
+    // Market data provider chain (DexHunter first, local files as fallback)
+    this.marketData = getMarketDataProvider();
+
+    // Minimum activity a token needs inside the discovery window before it gets a summary
+    this.thresholds = {
+      minOrders: parseInt(process.env.DISCOVERY_MIN_ORDERS) || 5,
+      minVolumeAda: parseFloat(process.env.DISCOVERY_MIN_VOLUME_ADA) || 500,
+      maxPerRun: parseInt(process.env.DISCOVERY_MAX_PER_RUN) || 50
+    };
+    this.windowMs = (parseFloat(process.env.DISCOVERY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+    // Outcome of the last discovery run
+    this.lastDiscovery = null;
+  }
+
+  /**
+   * Get the IDs of tokens that already have a summary file
+   * @returns {Set<string>} Known token IDs
+   */
+  getKnownTokenIds() {
+    if (!fs.existsSync(this.summariesDir)) {
+      return new Set();
+    }
+
+    return new Set(
+      fs.readdirSync(this.summariesDir)
+        .filter(file => file.endsWith('_summary.json'))
+        .map(file => file.replace(/_summary\.json$/, ''))
+    );
+  }
+
+  /**
+   * Aggregate trading activity per token for tokens that are not known yet
+   * @param {Array} orders - Completed globalOrders
+   * @param {Set<string>} knownIds - Token IDs that already have a summary
+   * @returns {Object<string, Object>} Activity by token ID (order_count, volume_ada, volume_in_token)
+   */
+  collectActivity(orders, knownIds) {
+    const activity = {};
+
+    const track = (tokenId) => {
+      if (!tokenId || tokenId === LOVELACE_ID || knownIds.has(tokenId)) {
+        return null;
+      }
+      if (!activity[tokenId]) {
+        activity[tokenId] = { order_count: 0, volume_ada: 0, volume_in_token: 0 };
+      }
+      return activity[tokenId];
+    };
+
+    orders.forEach(order => {
+      const tokenIdIn = order.token_id_in;
+      const tokenIdOut = order.token_id_out;
+
+      if (!tokenIdIn || !tokenIdOut) return;
+
+      // Token being sold
+      const sold = track(tokenIdIn);
+      if (sold) {
+        sold.order_count++;
+        sold.volume_in_token += parseFloat(order.amount_in || 0);
+        if (tokenIdOut === LOVELACE_ID) {
+          sold.volume_ada += parseFloat(order.actual_out_amount || 0);
+        }
+      }
+
+      // Token being bought
+      const bought = track(tokenIdOut);
+      if (bought) {
+        bought.order_count++;
+        bought.volume_in_token += parseFloat(order.actual_out_amount || 0);
+        if (tokenIdIn === LOVELACE_ID) {
+          bought.volume_ada += parseFloat(order.amount_in || 0);
+        }
+      }
+    });
+
+    return activity;
+  }
+
+  /**
+   * Load token info already captured in the volume snapshot
+   * @returns {Object<string, Object>} Token info by token ID
+   */
+  loadSnapshotTokenInfo() {
+    try {
+      if (!fs.existsSync(this.volumeDataPath)) {
+        return {};
+      }
+
+      const volumeData = JSON.parse(fs.readFileSync(this.volumeDataPath, 'utf8'));
+      const infoById = {};
+      (volumeData.tokens || []).forEach(token => {
+        if (token.tokenInfo) {
+          infoById[token.tokenId] = token.tokenInfo;
+        }
+      });
+      return infoById;
+    } catch (error) {
+      console.error('Error reading token info from the volume snapshot:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Build a summary stub in the same shape as the existing summary files
+   * @param {string} tokenId - Token ID
+   * @param {Object} info - DexHunter token info
+   * @param {Object} activity - Activity collected from orders
+   * @param {string} discoveredAt - ISO timestamp
+   * @returns {Object} Summary stub
+   */
+  buildSummaryStub(tokenId, info, activity, discoveredAt) {
+    const decimals = decimalsService.resolve(tokenId, { tokenInfo: info });
+
+    return {
+      token_id: tokenId,
+      ticker: info.ticker,
+      name: info.token_ascii || info.ticker,
+      total_supply: decimalsService.toWholeUnits(info.supply, decimals.decimals, 'token_supply'),
+      circulating_supply: 0,
+      price: 0,
+      market_cap: null,
+      liquidity: 0,
+      pool_count: 0,
+      has_market_cap: false,
+      volume: activity.volume_ada,
+      volume_in_token: activity.volume_in_token,
+      order_count: activity.order_count,
+      rank: 0,
+      token_policy: info.token_policy || null,
+      token_decimals: decimals.decimals,
+      decimals_source: decimals.source,
+      creation_date: info.creation_date || null,
+      is_verified: !!info.is_verified,
+      discovered_at: discoveredAt,
+      discovery: {
+        source: 'globalOrders',
+        order_count: activity.order_count,
+        volume_ada: activity.volume_ada
+      }
+    };
+  }
+
+  /**
+   * Read the enrichment queue
+   * @returns {Object} Queue with a tokens array of { token_id, ticker, queued_at }
+   */
+  getQueue() {
+    try {
+      if (fs.existsSync(this.queuePath)) {
+        return JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading discovery queue:', error.message);
+    }
+    return { updated_at: null, tokens: [] };
+  }
+
+  /**
+   * Write the enrichment queue
+   * @param {Array} tokens - Queue entries
+   */
+  saveQueue(tokens) {
+    fs.writeFileSync(this.queuePath, JSON.stringify({
+      updated_at: new Date().toISOString(),
+      tokens
+    }, null, 2));
+  }
+
+  /**
+   * Get the token IDs waiting for their first enrichment
+   * @returns {Array<string>} Queued token IDs
+   */
+  getQueuedTokenIds() {
+    return this.getQueue().tokens.map(entry => entry.token_id);
+  }
+
+  /**
+   * Add discovered tokens to the enrichment queue
+   * @param {Array<Object>} stubs - Summary stubs
+   */
+  enqueue(stubs) {
+    const queue = this.getQueue();
+    const queued = new Set(queue.tokens.map(entry => entry.token_id));
+
+    stubs.forEach(stub => {
+      if (!queued.has(stub.token_id)) {
+        queue.tokens.push({
+          token_id: stub.token_id,
+          ticker: stub.ticker,
+          queued_at: stub.discovered_at
+        });
+      }
+    });
+
+    this.saveQueue(queue.tokens);
+  }
+
+  /**
+   * Remove enriched tokens from the queue
+   * @param {Array<string>} tokenIds - Token IDs that were enriched successfully
+   * @returns {number} Number of entries removed
+   */
+  dequeue(tokenIds) {
+    const queue = this.getQueue();
+    if (queue.tokens.length === 0) {
+      return 0;
+    }
+
+    const done = new Set(tokenIds);
+    const remaining = queue.tokens.filter(entry => !done.has(entry.token_id));
+    const removed = queue.tokens.length - remaining.length;
+
+    if (removed > 0) {
+      this.saveQueue(remaining);
+    }
+    return removed;
+  }
+
+  /**
+   * Discover unseen tokens from trading activity, write summary stubs and queue them
+   * @param {Object} [options]
+   * @param {Array} [options.orders] - Completed orders to scan (fetched for the discovery window if omitted)
+   * @param {AbortSignal} [options.signal] - Stops token info lookups when aborted
+   * @returns {Promise<Object>} Discovery outcome with counts and the discovered tokens
+   */
+  async discoverTokens({ orders, signal } = {}) {
+    const startedAt = new Date();
+    const result = {
+      started_at: startedAt.toISOString(),
+      thresholds: { ...this.thresholds },
+      unseen: 0,
+      discovered: [],
+      rejected: {
+        below_min_orders: 0,
+        below_min_volume: 0,
+        no_token_info: 0,
+        over_run_limit: 0
+      },
+      order_fetch: null,
+      queued: 0
+    };
+
+    try {
+      if (!orders) {
+        const volumeService = require('./volumeService');
+        orders = await volumeService.getAllOrders(new Date(startedAt.getTime() - this.windowMs), startedAt);
+        result.order_fetch = volumeService.lastOrderFetch;
+      }
+
+      const activity = this.collectActivity(orders, this.getKnownTokenIds());
+      result.unseen = Object.keys(activity).length;
+
+      // Apply the activity thresholds, most active tokens first
+      const candidates = Object.entries(activity)
+        .filter(([, stats]) => {
+          if (stats.order_count < this.thresholds.minOrders) {
+            result.rejected.below_min_orders++;
+            return false;
+          }
+          if (stats.volume_ada < this.thresholds.minVolumeAda) {
+            result.rejected.below_min_volume++;
+            return false;
+          }
+          return true;
+        })
+        .sort(([, a], [, b]) => b.volume_ada - a.volume_ada);
+
+      if (candidates.length > this.thresholds.maxPerRun) {
+        result.rejected.over_run_limit = candidates.length - this.thresholds.maxPerRun;
+        candidates.length = this.thresholds.maxPerRun;
+      }
+
+      console.log(`Discovery: ${result.unseen} unseen tokens traded, ${candidates.length} meet the activity thresholds`);
+
+      const snapshotInfo = this.loadSnapshotTokenInfo();
+      const discoveredAt = new Date().toISOString();
+      const stubs = [];
+
+      for (const [tokenId, stats] of candidates) {
+        if (signal && signal.aborted) break;
+
+        let info = snapshotInfo[tokenId];
+        if (!info) {
+          try {
+            info = await this.marketData.getTokenInfo(tokenId);
+          } catch (error) {
+            console.error(`Discovery: error getting token info for ${tokenId}:`, error.message);
+          }
+        }
+
+        // Tokens without a ticker cannot be listed, leave them for a later run
+        if (!info || !info.ticker) {
+          result.rejected.no_token_info++;
+          continue;
+        }
+
+        stubs.push(this.buildSummaryStub(tokenId, info, stats, discoveredAt));
+      }
+
+      if (signal && signal.aborted) {
+        console.log('Discovery cancelled, no summary stubs were written');
+        result.cancelled = true;
+      } else if (stubs.length > 0) {
+        if (!fs.existsSync(this.summariesDir)) {
+          fs.mkdirSync(this.summariesDir, { recursive: true });
+        }
+
+        stubs.forEach(stub => {
+          fs.writeFileSync(
+            path.join(this.summariesDir, `${stub.token_id}_summary.json`),
+            JSON.stringify(stub, null, 2)
+          );
+        });
+
+        this.enqueue(stubs);
+        console.log(`Discovery: created ${stubs.length} summary stubs (${stubs.map(stub => stub.ticker).join(', ')})`);
+      }
+
+      result.discovered = stubs.map(stub => ({
+        token_id: stub.token_id,
+        ticker: stub.ticker,
+        order_count: stub.discovery.order_count,
+        volume_ada: stub.discovery.volume_ada
+      }));
+      result.queued = this.getQueue().tokens.length;
+    } catch (error) {
+      console.error('Error discovering tokens:', error.message);
+      result.error = error.message;
+    }
+
+    result.finished_at = new Date().toISOString();
+    this.lastDiscovery = result;
+    return result;
+  }
+}
+
+module.exports = new DiscoveryService();
+module.exports.DiscoveryService = DiscoveryService;
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { EXCLUSION_CATEGORIES } = require('./supplyService');
+
+// Default holder source fallback order, overridable with HOLDER_SOURCES
+const DEFAULT_HOLDER_SOURCES = 'file';
+
+// Address categories left out of the distribution: liquidity pools and the supply exclusions
+const EXCLUDED_CATEGORIES = ['pool', ...EXCLUSION_CATEGORIES];
+
+// Largest holders kept with each token's distribution
+const TOP_HOLDERS_KEPT = 50;
+
+/**
+ * Holder source backed by local files
+ *
+ * A token's snapshot is read from <snapshotsDir>/<tokenId>.json, listing every holding address
+ * with its amount in whole tokens and optionally the category of addresses that are not holders:
+ *   { "timestamp": "2025-04-14T00:00:00.000Z",
+ *     "holders": [{ "address": "addr1...", "amount": 1500000 }, { "address": "addr1...", "amount": 900000, "category": "pool" }] }
+ * A snapshot with only a holder count replaces holders with "holder_count": 41755. Snapshots are
+ * keyed by token ID alone, since tickers are shared by unrelated tokens.
+ */
+class FileHolderSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.snapshotsDir] - Directory of per-token snapshots
+   */
+  constructor({ snapshotsDir = process.env.HOLDER_SNAPSHOTS_DIR || path.join(process.cwd(), 'token_data', 'fixtures', 'holders') } = {}) {
+    this.name = 'file';
+    this.snapshotsDir = snapshotsDir;
+  }
+
+  /**
+   * Whether the snapshots directory exists
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return fs.existsSync(this.snapshotsDir);
+  }
+
+  /**
+   * Read a token's holder snapshot
+   * @param {Object} token - Token (token_id)
+   * @returns {Promise<{timestamp: string, holder_count: number|null, holders: Array|null}|null>} Snapshot, null if there is none
+   */
+  async getSnapshot(token) {
+    const snapshotPath = path.join(this.snapshotsDir, `${token.token_id}.json`);
+    if (!fs.existsSync(snapshotPath)) {
+      return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    const holders = Array.isArray(data.holders) ? data.holders : null;
+    return {
+      timestamp: data.timestamp || fs.statSync(snapshotPath).mtime.toISOString(),
+      holder_count: holders ? null : data.holder_count || null,
+      holders
+    };
+  }
+}
+
+// Available holder sources by name
+const HOLDER_SOURCES = {
+  file: FileHolderSource
+};
+
+/**
+ * Gini coefficient of balances: 0 when everyone holds the same, close to 1 when one address holds everything
+ * @param {Array<number>} amounts - Positive balances
+ * @returns {number|null} Coefficient, null without balances
+ */
+function giniCoefficient(amounts) {
+  const sorted = amounts.filter(amount => amount > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, amount) => sum + amount, 0);
+  if (sorted.length === 0 || total === 0) {
+    return null;
+  }
+
+  const weighted = sorted.reduce((sum, amount, index) => sum + (index + 1) * amount, 0);
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * Compute the concentration of a holder list
+ * Addresses of the token's supply exclusions and addresses with an excluded category are reported
+ * separately and left out of the count, the shares and the Gini coefficient.
+ * @param {Array<Object>} holders - Holdings ({ address, amount, category })
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.exclusions] - Supply exclusions of the token (see SupplyService.resolveSupply)
+ * @returns {Object} Holder count, top 10 and top 50 shares, Gini coefficient, excluded and largest holders
+ */
+function summarizeHolders(holders, { exclusions = [] } = {}) {
+  const excludedAddresses = new Map(exclusions.filter(exclusion => exclusion.address).map(exclusion => [exclusion.address, exclusion.category]));
+  const balances = [];
+  const excluded = [];
+
+  holders.forEach(holder => {
+    const amount = parseFloat(holder.amount);
+    if (!(amount > 0)) {
+      return;
+    }
+
+    const category = excludedAddresses.get(holder.address) || holder.category || null;
+    if (EXCLUDED_CATEGORIES.includes(category)) {
+      excluded.push({ address: holder.address, amount, category });
+    } else {
+      balances.push({ address: holder.address, amount });
+    }
+  });
+
+  balances.sort((a, b) => b.amount - a.amount);
+  const sumOf = entries => entries.reduce((sum, entry) => sum + entry.amount, 0);
+  const heldAmount = sumOf(balances);
+  const shareOf = amount => (heldAmount > 0 ? amount / heldAmount : null);
+
+  return {
+    holder_count: balances.length,
+    held_amount: heldAmount,
+    top_10_share: shareOf(sumOf(balances.slice(0, 10))),
+    top_50_share: shareOf(sumOf(balances.slice(0, 50))),
+    gini: giniCoefficient(balances.map(balance => balance.amount)),
+    excluded_holders: excluded.sort((a, b) => b.amount - a.amount),
+    top_holders: balances.slice(0, TOP_HOLDERS_KEPT).map((balance, index) => ({
+      rank: index + 1,
+      address: balance.address,
+      amount: balance.amount,
+      share: shareOf(balance.amount)
+    }))
+  };
+}
+
+/**
+ * Service that ingests holder snapshots and measures how concentrated each token's holdings are
+ *
+ * Snapshots come from the first source in HOLDER_SOURCES that has one for the token; a source
+ * is an object with a name, isConfigured() and getSnapshot(token) resolving to
+ * { timestamp, holder_count, holders } or null. The pipeline takes the distribution of every
+ * enriched token: the holder count, the shares of the 10 and 50 largest holders, the Gini
+ * coefficient and the largest holders, which the holder concentration trust rules score.
+ * Snapshots with only a holder count leave the shares and the coefficient null.
+ */
+class HolderService {
+  constructor() {
+    this.sources = (process.env.HOLDER_SOURCES || DEFAULT_HOLDER_SOURCES)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        const Source = HOLDER_SOURCES[name];
+        if (!Source) {
+          throw new Error(`Unknown holder source: ${name}`);
+        }
+        return new Source();
+      });
+  }
+
+  /**
+   * Get a token's holder distribution from the first source with a snapshot
+   * @param {Object} token - Token (token_id)
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.exclusions] - Supply exclusions of the token, left out of the distribution
+   * @returns {Promise<Object|null>} Distribution with its source and snapshot time, null if no source has one
+   */
+  async getDistribution(token, { exclusions = [] } = {}) {
+    for (const source of this.sources) {
+      if (!source.isConfigured()) {
+        continue;
+      }
+
+      try {
+        const snapshot = await source.getSnapshot(token);
+        if (!snapshot) {
+          continue;
+        }
+
+        const distribution = snapshot.holders
+          ? summarizeHolders(snapshot.holders, { exclusions })
+          : {
+            holder_count: snapshot.holder_count,
+            held_amount: null,
+            top_10_share: null,
+            top_50_share: null,
+            gini: null,
+            excluded_holders: [],
+            top_holders: []
+          };
+
+        return {
+          source: source.name,
+          snapshot_at: snapshot.timestamp,
+          has_balances: !!snapshot.holders,
+          ...distribution
+        };
+      } catch (error) {
+        console.error(`Error reading holders of ${token.token_id} from ${source.name}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new HolderService();
+module.exports.HolderService = HolderService;
+module.exports.FileHolderSource = FileHolderSource;
+module.exports.HOLDER_SOURCES = HOLDER_SOURCES;
+module.exports.summarizeHolders = summarizeHolders;
+module.exports.giniCoefficient = giniCoefficient;
@@ -0,0 +1,13 @@
+// Token IDs (policy ID followed by the hex asset name) of assets other services treat specially:
+// the stablecoins the price graph uses as hubs and the peg monitor checks, and the wrapped assets
+const KNOWN_TOKEN_IDS = {
+  DJED: '8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a65644d6963726f555344',
+  iUSD: 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069555344',
+  USDM: 'c48cbb3d5e57ed56e276bc45f99ab39abe94e6cd7ac39fb402da47ad0014df105553444d',
+  iBTC: 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069425443',
+  iETH: 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069455448'
+};
+
+module.exports = {
+  KNOWN_TOKEN_IDS
+};
@@ -0,0 +1,371 @@
+// Cyrillic and Greek capitals that render like Latin capitals, folded before lowercasing
+// because some lowercase to letters that look different (Greek Ν to ν)
+const CAPITAL_HOMOGLYPHS = {
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T',
+  'У': 'Y', 'Х': 'X', 'Ѕ': 'S', 'І': 'I', 'Ј': 'J',
+  'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O',
+  'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+};
+
+// Characters folded together once lowercased because they look alike: digits and symbols standing
+// in for letters, l and I, and Cyrillic and Greek letters that render like Latin ones
+const HOMOGLYPHS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  l: 'i', '|': 'i', '!': 'i', '$': 's', '@': 'a',
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'μ': 'u', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+// Letter pairs that read as one letter
+const DIGRAPHS = [[/rn/g, 'm'], [/vv/g, 'w']];
+
+// Similarity of each kind of ticker match; edit distance matches score 1 - distance / length
+const TICKER_SIMILARITY = {
+  same_ticker: 1,
+  case_folded: 0.95,
+  homoglyph: 0.9
+};
+
+// Similarity of the same name under a different policy, and the boost when the ticker matches too
+const NAME_SIMILARITY = 0.9;
+const BOTH_MATCH_BOOST = 0.05;
+
+// Shortest folded ticker compared by edit distance, and the length from which two edits count
+const MIN_FUZZY_LENGTH = 3;
+const TWO_EDIT_LENGTH = 7;
+
+/**
+ * Lowercase a label and strip accents
+ * @param {string} label - Ticker or name
+ * @returns {string}
+ */
+function caseFold(label) {
+  return String(label || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Fold a label to the letters it reads as, so lookalikes share a key
+ * @param {string} label - Ticker or name
+ * @returns {string} Key of lowercase letters and digits, e.g. "SNEK", "snek" and "SNΕK" all give "snek"
+ */
+function foldLabel(label) {
+  const capitals = [...String(label || '')].map(char => CAPITAL_HOMOGLYPHS[char] || char).join('');
+  let folded = [...caseFold(capitals)].map(char => HOMOGLYPHS[char] || char).join('');
+  DIGRAPHS.forEach(([pattern, replacement]) => {
+    folded = folded.replace(pattern, replacement);
+  });
+  return folded.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Policy ID of a token
+ * @param {string} tokenId - Token ID
+ * @returns {string}
+ */
+function policyOf(tokenId) {
+  return String(tokenId).slice(0, 56);
+}
+
+/**
+ * Share of a positive quantity held by the first of two values (0.5 when neither is known)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function shareOf(a, b) {
+  const sum = (a || 0) + (b || 0);
+  return sum > 0 ? (a || 0) / sum : 0.5;
+}
+
+/**
+ * Similarity index over token tickers and names
+ *
+ * Built once per pipeline run from every known token. Tickers are compared after case folding and
+ * homoglyph folding, and by edit distance (found through single-deletion variants rather than by
+ * comparing every pair); names are compared after folding. Tokens under the same policy are never
+ * lookalikes. In each pair the token with more liquidity, then the older one, is taken as the
+ * original; how suspicious the other one is grows with the similarity and with how far the
+ * original leads in liquidity and age.
+ */
+class LookalikeIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.copycatThreshold] - Suspicion from which a token counts as a copycat
+   */
+  constructor({ copycatThreshold = parseFloat(process.env.LOOKALIKE_COPYCAT_THRESHOLD) || 0.7 } = {}) {
+    this.copycatThreshold = copycatThreshold;
+    this.tokens = {};
+    this.pairs = [];
+    this.byToken = new Map();
+  }
+
+  /**
+   * Build the index
+   * @param {Array} tokens - Tokens with token_id, ticker, name (or token_ascii), liquidity,
+   *   token_age and circulating_supply
+   * @param {Object} [options] - See the constructor
+   * @returns {LookalikeIndex}
+   */
+  static build(tokens, options) {
+    const index = new LookalikeIndex(options);
+    tokens.forEach(token => {
+      if (token && token.token_id) {
+        index.tokens[token.token_id] = {
+          ticker: token.ticker || null,
+          name: token.name || token.token_ascii || null,
+          liquidity: token.liquidity || 0,
+          token_age: token.token_age || 0,
+          circulating_supply: token.circulating_supply || 0
+        };
+      }
+    });
+
+    const matches = new Map();
+    const addMatch = (a, b, reason) => {
+      if (a === b || policyOf(a) === policyOf(b)) {
+        return;
+      }
+      const [first, second] = a < b ? [a, b] : [b, a];
+      const key = `${first}|${second}`;
+      if (!matches.has(key)) {
+        matches.set(key, { a: first, b: second, ticker: null, name: null });
+      }
+      const match = matches.get(key);
+      if (reason.kind === 'name') {
+        match.name = reason;
+      } else if (!match.ticker || reason.similarity > match.ticker.similarity) {
+        match.ticker = reason;
+      }
+    };
+
+    // Tickers that fold to the same key
+    const byTicker = index.bucket(id => foldLabel(index.tokens[id].ticker));
+    byTicker.forEach(ids => index.eachPair(ids, (a, b) => {
+      const [left, right] = [index.tokens[a].ticker, index.tokens[b].ticker];
+      const code = left === right ? 'same_ticker' : caseFold(left) === caseFold(right) ? 'case_folded' : 'homoglyph';
+      addMatch(a, b, { kind: 'ticker', code, similarity: TICKER_SIMILARITY[code] });
+    }));
+
+    // Tickers a few edits apart, found through their single-deletion variants
+    const variants = new Map();
+    byTicker.forEach((ids, key) => {
+      if (key.length < MIN_FUZZY_LENGTH) {
+        return;
+      }
+      const keyVariants = new Set([key]);
+      for (let i = 0; i < key.length; i++) {
+        keyVariants.add(key.slice(0, i) + key.slice(i + 1));
+      }
+      keyVariants.forEach(variant => {
+        if (!variants.has(variant)) variants.set(variant, new Set());
+        variants.get(variant).add(key);
+      });
+    });
+    const compared = new Set();
+    variants.forEach(keys => index.eachPair([...keys], (left, right) => {
+      const pairKey = left < right ? `${left}|${right}` : `${right}|${left}`;
+      if (compared.has(pairKey)) {
+        return;
+      }
+      compared.add(pairKey);
+
+      const distance = editDistance(left, right);
+      const length = Math.max(left.length, right.length);
+      if (distance === 1 || (distance === 2 && Math.min(left.length, right.length) >= TWO_EDIT_LENGTH)) {
+        byTicker.get(left).forEach(a => byTicker.get(right).forEach(b => {
+          addMatch(a, b, { kind: 'ticker', code: 'edit_distance', distance, similarity: 1 - distance / length });
+        }));
+      }
+    }));
+
+    // The same name under different policies
+    index.bucket(id => foldLabel(index.tokens[id].name)).forEach(ids => index.eachPair(ids, (a, b) => {
+      addMatch(a, b, { kind: 'name', code: 'same_name_different_policy', similarity: NAME_SIMILARITY });
+    }));
+
+    matches.forEach(match => {
+      const similarity = Math.min(1, Math.max(
+        match.ticker ? match.ticker.similarity : 0,
+        match.name ? match.name.similarity : 0
+      ) + (match.ticker && match.name ? BOTH_MATCH_BOOST : 0));
+      index.addPair({
+        a: match.a,
+        b: match.b,
+        similarity,
+        matches: [match.ticker, match.name].filter(Boolean).map(({ code, distance }) => (distance ? { code, distance } : { code }))
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Group token IDs by a key, skipping empty keys
+   * @param {Function} keyOf - Key of a token ID
+   * @returns {Map<string, Array<string>>}
+   */
+  bucket(keyOf) {
+    const buckets = new Map();
+    Object.keys(this.tokens).forEach(id => {
+      const key = keyOf(id);
+      if (key) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(id);
+      }
+    });
+    return buckets;
+  }
+
+  /**
+   * Call a function for every unordered pair of items
+   * @param {Array} items
+   * @param {Function} fn - Called with (a, b)
+   */
+  eachPair(items, fn) {
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        fn(items[i], items[j]);
+      }
+    }
+  }
+
+  /**
+   * Add a pair of lookalike tokens
+   * @param {{a: string, b: string, similarity: number, matches: Array}} pair
+   */
+  addPair(pair) {
+    this.pairs.push(pair);
+    [pair.a, pair.b].forEach(id => {
+      if (!this.byToken.has(id)) this.byToken.set(id, []);
+      this.byToken.get(id).push(pair);
+    });
+  }
+
+  /**
+   * Whether a token is in the index
+   * @param {string} tokenId - Token ID
+   * @returns {boolean}
+   */
+  has(tokenId) {
+    return !!this.tokens[tokenId];
+  }
+
+  /**
+   * Describe why two tokens look alike
+   * @param {Object} match - { code, distance }
+   * @param {Object} other - The other token
+   * @returns {string}
+   */
+  describe(match, other) {
+    const label = other.ticker || other.name;
+    switch (match.code) {
+      case 'same_ticker':
+        return `Same ticker as ${label} under a different policy`;
+      case 'case_folded':
+        return `Ticker matches ${label} ignoring case`;
+      case 'homoglyph':
+        return `Ticker matches ${label} after folding lookalike characters`;
+      case 'edit_distance':
+        return `Ticker is ${match.distance} edit${match.distance === 1 ? '' : 's'} away from ${label}`;
+      default:
+        return `Same name as ${other.name} under a different policy`;
+    }
+  }
+
+  /**
+   * Get the lookalikes of a token, most suspicious first
+   * A suspect is a lookalike that trails the token in liquidity or age, so probably copies it;
+   * an imitated token leads it, so the token itself probably copies that one.
+   * @param {string} tokenId - Token ID
+   * @returns {Array<Object>} Lookalikes with role, similarity, suspicion and reasons
+   */
+  getLookalikes(tokenId) {
+    const token = this.tokens[tokenId];
+    if (!token) {
+      return [];
+    }
+
+    return (this.byToken.get(tokenId) || [])
+      .map(pair => {
+        const otherId = pair.a === tokenId ? pair.b : pair.a;
+        const other = this.tokens[otherId];
+        const order = (token.liquidity - other.liquidity) || (token.token_age - other.token_age);
+        const role = order > 0 ? 'suspect' : order < 0 ? 'imitated' : 'unclear';
+        const [original, copy] = role === 'imitated' ? [other, token] : [token, other];
+        const lead = 0.5 + 0.3 * shareOf(original.liquidity, copy.liquidity) + 0.2 * shareOf(original.token_age, copy.token_age);
+
+        return {
+          token_id: otherId,
+          ticker: other.ticker,
+          name: other.name,
+          policy_id: policyOf(otherId),
+          liquidity: other.liquidity,
+          token_age: other.token_age,
+          role,
+          similarity: pair.similarity,
+          suspicion: role === 'unclear' ? pair.similarity * 0.5 : pair.similarity * lead,
+          reasons: pair.matches.map(match => ({ code: match.code, message: this.describe(match, other) }))
+        };
+      })
+      .sort((a, b) => b.suspicion - a.suspicion);
+  }
+
+  /**
+   * Get the token a token most likely copies
+   * @param {string} tokenId - Token ID
+   * @returns {Object|null} Imitated lookalike (see getLookalikes) at or above the copycat threshold
+   */
+  getCopycatOf(tokenId) {
+    return this.getLookalikes(tokenId)
+      .find(lookalike => lookalike.role === 'imitated' && lookalike.suspicion >= this.copycatThreshold) || null;
+  }
+
+  /**
+   * Serialize the index
+   * @returns {{copycat_threshold: number, tokens: Object, pairs: Array}}
+   */
+  toJSON() {
+    return { copycat_threshold: this.copycatThreshold, tokens: this.tokens, pairs: this.pairs };
+  }
+
+  /**
+   * Restore an index serialized with toJSON
+   * @param {Object} data
+   * @returns {LookalikeIndex}
+   */
+  static fromJSON(data) {
+    const index = new LookalikeIndex({ copycatThreshold: data.copycat_threshold });
+    index.tokens = data.tokens || {};
+    (data.pairs || []).forEach(pair => index.addPair(pair));
+    return index;
+  }
+}
+
+module.exports = {
+  LookalikeIndex,
+  foldLabel,
+  editDistance
+};
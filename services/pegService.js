@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const stateStore = require('./stateStore');
+const snapshotStore = require('./snapshotStore');
+const persistenceService = require('./persistenceService');
+const { FileRateSource, CoinGeckoRateSource } = require('./rateService');
+const { KNOWN_TOKEN_IDS } = require('./knownTokens');
+
+// Pegged assets checked by default; PEG_REGISTRY_PATH entries override them by token ID and add more
+const DEFAULT_PEGGED_ASSETS = [
+  { token_id: KNOWN_TOKEN_IDS.DJED, ticker: 'DJED', peg: 'usd', kind: 'stablecoin' },
+  { token_id: KNOWN_TOKEN_IDS.iUSD, ticker: 'iUSD', peg: 'usd', kind: 'stablecoin' },
+  { token_id: KNOWN_TOKEN_IDS.USDM, ticker: 'USDM', peg: 'usd', kind: 'stablecoin' },
+  { token_id: KNOWN_TOKEN_IDS.iBTC, ticker: 'iBTC', peg: 'btc', kind: 'wrapped' },
+  { token_id: KNOWN_TOKEN_IDS.iETH, ticker: 'iETH', peg: 'eth', kind: 'wrapped' }
+];
+
+// Units assets can be pegged to
+const PEG_UNITS = ['usd', 'btc', 'eth'];
+
+// Default depeg thresholds in percent by kind, overridable per kind with PEG_<KIND>_THRESHOLD_PCT
+// and per asset with threshold_pct in the registry
+const DEFAULT_THRESHOLDS_PCT = {
+  stablecoin: 2,
+  wrapped: 5
+};
+
+// State key of the check history
+const PEG_HISTORY_KEY = 'pegs:history';
+
+// Default reference source fallback order, overridable with PEG_REFERENCE_SOURCES=coingecko,file
+const DEFAULT_REFERENCE_SOURCES = 'coingecko,file';
+
+// Available reference sources by name; each gives the price of one ADA in the peg units
+const REFERENCE_SOURCES = {
+  coingecko: () => new CoinGeckoRateSource({ currencies: PEG_UNITS }),
+  file: () => new FileRateSource({
+    filePath: process.env.PEG_REFERENCES_PATH || path.join(process.cwd(), 'token_data', 'fixtures', 'peg_references.json')
+  })
+};
+
+/**
+ * Depeg threshold of an asset
+ * @param {Object} asset - Registry entry
+ * @returns {number} Threshold in percent
+ */
+function thresholdFor(asset) {
+  if (typeof asset.threshold_pct === 'number') {
+    return asset.threshold_pct;
+  }
+  const configured = parseFloat(process.env[`PEG_${String(asset.kind).toUpperCase()}_THRESHOLD_PCT`]);
+  return configured || DEFAULT_THRESHOLDS_PCT[asset.kind] || DEFAULT_THRESHOLDS_PCT.stablecoin;
+}
+
+/**
+ * Service that checks whether stablecoins and wrapped assets hold their peg
+ *
+ * Each pipeline run compares the ADA price of every registered asset with the ADA price of the
+ * unit it is pegged to, taken from the first reference source in PEG_REFERENCE_SOURCES that
+ * answers (the file source reads PEG_REFERENCES_PATH, default token_data/fixtures/peg_references.json,
+ * in the format of the ADA rates file with usd, btc and eth). The check is stored with the
+ * snapshot and appended to token_data/peg_history.json (the state store on Vercel). Crossing an
+ * asset's threshold in either direction records a depeg or recovered event. Since the pipeline
+ * never runs on Vercel, the deployment serves the checks mirrored to the Supabase reports table.
+ */
+class PegService {
+  constructor() {
+    this.registryPath = process.env.PEG_REGISTRY_PATH || path.join(process.cwd(), 'token_data', 'peg_registry.json');
+    this.historyPath = path.join(process.cwd(), 'token_data', 'peg_history.json');
+    this.historyLimit = parseInt(process.env.PEG_HISTORY_LIMIT) || 500;
+    this.sources = (process.env.PEG_REFERENCE_SOURCES || DEFAULT_REFERENCE_SOURCES)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        const createSource = REFERENCE_SOURCES[name];
+        if (!createSource) {
+          throw new Error(`Unknown peg reference source: ${name}`);
+        }
+        return createSource();
+      });
+  }
+
+  /**
+   * Get the registered pegged assets
+   * @returns {Array<Object>} Assets with { token_id, ticker, peg, kind, threshold_pct }
+   */
+  getRegistry() {
+    const assets = new Map(DEFAULT_PEGGED_ASSETS.map(asset => [asset.token_id, { ...asset }]));
+
+    try {
+      if (fs.existsSync(this.registryPath)) {
+        const data = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+        (data.assets || []).forEach(entry => {
+          const asset = { ...assets.get(entry.token_id), ...entry };
+          if (!asset.token_id || !PEG_UNITS.includes(asset.peg)) {
+            console.error(`Ignoring peg registry entry ${entry.token_id}: peg must be one of ${PEG_UNITS.join(', ')}`);
+            return;
+          }
+          assets.set(asset.token_id, asset);
+        });
+      }
+    } catch (error) {
+      console.error('Error reading peg registry:', error.message);
+    }
+
+    return [...assets.values()]
+      .filter(asset => asset.enabled !== false)
+      .map(asset => ({ ...asset, kind: asset.kind || 'stablecoin', threshold_pct: thresholdFor(asset) }));
+  }
+
+  /**
+   * Get the price of one ADA in every peg unit from the first source that answers
+   * @returns {Promise<Object|null>} { source, timestamp, rates }, or null if every source failed
+   */
+  async getReferenceRates() {
+    for (const source of this.sources) {
+      if (!source.isConfigured()) {
+        continue;
+      }
+
+      try {
+        const { timestamp, rates } = await source.getRates();
+        return { source: source.name, timestamp, rates };
+      } catch (error) {
+        console.error(`Error fetching peg reference rates from ${source.name}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check every registered asset against its peg
+   * @param {Array} records - Enhanced token records of the run
+   * @param {Object} [options]
+   * @param {string} [options.runId] - Pipeline run the prices come from
+   * @param {Object} [options.reference] - Reference rates (see getReferenceRates), fetched when omitted
+   * @returns {Promise<Object>} Check with per-asset deviation and the events it raises
+   */
+  async checkPegs(records, { runId = null, reference } = {}) {
+    if (reference === undefined) {
+      reference = await this.getReferenceRates();
+    }
+
+    const byId = new Map(records.map(record => [record.token_id, record]));
+    const history = await this.getHistory();
+    const last = history.checks[history.checks.length - 1];
+    const checkedAt = new Date().toISOString();
+
+    const events = [];
+    const assets = this.getRegistry().map(asset => {
+      const record = byId.get(asset.token_id);
+      const adaPerUnit = reference && reference.rates[asset.peg] > 0 ? 1 / reference.rates[asset.peg] : null;
+      const price = record && record.price > 0 ? record.price : null;
+      const deviation = price && adaPerUnit ? (price / adaPerUnit - 1) * 100 : null;
+      const previous = last && last.assets.find(entry => entry.token_id === asset.token_id);
+      const wasDepegged = !!(previous && previous.depegged);
+      // Without a price or reference the previous state carries over
+      const depegged = deviation === null ? wasDepegged : Math.abs(deviation) > asset.threshold_pct;
+
+      const status = {
+        token_id: asset.token_id,
+        ticker: asset.ticker || (record && record.ticker) || null,
+        peg: asset.peg,
+        kind: asset.kind,
+        price_ada: price,
+        reference_price_ada: adaPerUnit,
+        deviation_pct: deviation,
+        threshold_pct: asset.threshold_pct,
+        depegged,
+        depegged_since: depegged ? (wasDepegged ? previous.depegged_since : checkedAt) : null
+      };
+
+      if (depegged !== wasDepegged) {
+        events.push({
+          type: depegged ? 'depeg' : 'recovered',
+          token_id: asset.token_id,
+          ticker: status.ticker,
+          peg: asset.peg,
+          deviation_pct: deviation,
+          threshold_pct: asset.threshold_pct,
+          run_id: runId,
+          at: checkedAt
+        });
+      }
+      return status;
+    });
+
+    events.forEach(event => {
+      const message = `${event.ticker || event.token_id} ${event.type === 'depeg' ? 'lost' : 'regained'} its ${event.peg.toUpperCase()} peg (${event.deviation_pct.toFixed(2)}%, threshold ${event.threshold_pct}%)`;
+      if (event.type === 'depeg') {
+        console.warn(`⚠️ Depeg: ${message}`);
+      } else {
+        console.log(`Peg recovered: ${message}`);
+      }
+    });
+
+    return {
+      run_id: runId,
+      checked_at: checkedAt,
+      reference: reference ? { source: reference.source, timestamp: reference.timestamp, rates: reference.rates } : null,
+      assets,
+      events
+    };
+  }
+
+  /**
+   * Get the stored check history
+   * @returns {Promise<{checks: Array, events: Array}>}
+   */
+  async getHistory() {
+    try {
+      return await stateStore.readJson(PEG_HISTORY_KEY, this.historyPath, { checks: [], events: [] });
+    } catch (error) {
+      console.error('Error reading peg history:', error.message);
+    }
+    return { checks: [], events: [] };
+  }
+
+  /**
+   * Append a published check and its events to the history
+   * @param {Object} check - Result of checkPegs
+   * @returns {Promise<void>}
+   */
+  async recordCheck(check) {
+    const history = await this.getHistory();
+
+    history.checks.push({
+      run_id: check.run_id,
+      checked_at: check.checked_at,
+      assets: check.assets.map(({ token_id, price_ada, reference_price_ada, deviation_pct, depegged, depegged_since }) => ({
+        token_id, price_ada, reference_price_ada, deviation_pct, depegged, depegged_since
+      }))
+    });
+    history.events.push(...check.events);
+    history.checks = history.checks.slice(-this.historyLimit);
+    history.events = history.events.slice(-this.historyLimit);
+
+    await stateStore.writeJson(PEG_HISTORY_KEY, this.historyPath, history);
+  }
+
+  /**
+   * Read the peg check of the published snapshot
+   * @returns {Object|null} Check, or null if the snapshot has none
+   */
+  readPublishedCheck() {
+    const { pegsPath } = snapshotStore.getCurrent();
+    try {
+      return fs.existsSync(pegsPath) ? JSON.parse(fs.readFileSync(pegsPath, 'utf8')) : null;
+    } catch (error) {
+      console.error('Error reading peg check:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read the published check and its history from the reports mirrored to Supabase
+   * @param {number} limit - Most recent reports read
+   * @returns {Promise<{check: Object|null, history: {checks: Array, events: Array}}>}
+   */
+  async readMirroredChecks(limit) {
+    try {
+      const checks = await persistenceService.getPegChecks(limit);
+      const published = checks.filter(Boolean).reverse();
+      return {
+        check: checks[0] || null,
+        history: { checks: published, events: published.flatMap(entry => entry.events || []) }
+      };
+    } catch (error) {
+      console.error('Error reading mirrored peg checks:', error.message);
+      return { check: null, history: { checks: [], events: [] } };
+    }
+  }
+
+  /**
+   * Get the peg status of the published snapshot with each asset's deviation history
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit] - Most recent checks returned per asset
+   * @returns {Promise<Object|null>} Status, or null if the published snapshot has no peg check
+   */
+  async getPegStatus({ historyLimit = 100 } = {}) {
+    const { check, history } = process.env.VERCEL
+      ? await this.readMirroredChecks(historyLimit)
+      : { check: this.readPublishedCheck(), history: await this.getHistory() };
+    if (!check) {
+      return null;
+    }
+
+    const checks = history.checks.slice(-historyLimit);
+
+    return {
+      run_id: check.run_id,
+      checked_at: check.checked_at,
+      reference: check.reference,
+      assets: check.assets.map(asset => ({
+        ...asset,
+        history: checks
+          .map(entry => {
+            const point = entry.assets.find(item => item.token_id === asset.token_id);
+            return point && { run_id: entry.run_id, checked_at: entry.checked_at, deviation_pct: point.deviation_pct, depegged: point.depegged };
+          })
+          .filter(Boolean)
+      })),
+      events: history.events.slice(-historyLimit).reverse()
+    };
+  }
+}
+
+module.exports = new PegService();
+module.exports.PegService = PegService;
+module.exports.PEG_UNITS = PEG_UNITS;
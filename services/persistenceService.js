@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Highest migration in supabase/migrations this code writes against
+const SCHEMA_VERSION = 9;
+
+// Rows per upsert request
+const UPSERT_BATCH_SIZE = 500;
+
+/**
+ * Writes pipeline output to Supabase so the serverless deployment serves the same data
+ * as the file-based mode:
+ *   tokens            every enriched token, listed = true for the tokens the API lists
+ *   reports           metadata and peg check of every published report
+ *   volume_snapshots  every refreshed volume dataset
+ * The schema is created by the versioned SQL files in supabase/migrations. Nothing is written
+ * until schema_migrations reports at least SCHEMA_VERSION.
+ */
+class PersistenceService {
+  constructor() {
+    this.schemaVersion = null;
+  }
+
+  /**
+   * Get the Supabase client shared with the token service
+   * @returns {Object|null} Supabase client
+   */
+  getSupabase() {
+    // Required lazily: tokenService depends on services that use this one
+    const tokenService = require('./tokenService');
+    return tokenService.supabase || null;
+  }
+
+  /**
+   * Whether pipeline output should be written to Supabase
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.SUPABASE_PERSIST !== 'false' && !!this.getSupabase();
+  }
+
+  /**
+   * Compare the applied migrations with the version this code expects
+   * @returns {Promise<{required: number, current: number|null, ok: boolean, error?: string}>}
+   */
+  async checkSchema() {
+    if (this.schemaVersion !== null && this.schemaVersion >= SCHEMA_VERSION) {
+      return { required: SCHEMA_VERSION, current: this.schemaVersion, ok: true };
+    }
+
+    try {
+      const { data, error } = await this.getSupabase()
+        .from('schema_migrations')
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      this.schemaVersion = data && data.length > 0 ? data[0].version : 0;
+      return { required: SCHEMA_VERSION, current: this.schemaVersion, ok: this.schemaVersion >= SCHEMA_VERSION };
+    } catch (error) {
+      return { required: SCHEMA_VERSION, current: null, ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Throw unless the Supabase schema is up to date
+   */
+  async assertSchema() {
+    const schema = await this.checkSchema();
+    if (!schema.ok) {
+      const error = new Error(`Supabase schema is at version ${schema.current === null ? 'unknown' : schema.current}, expected ${SCHEMA_VERSION}; apply supabase/migrations${schema.error ? ` (${schema.error})` : ''}`);
+      error.code = 'SCHEMA_OUTDATED';
+      throw error;
+    }
+  }
+
+  /**
+   * Build a tokens table row
+   * @param {Object} record - Enhanced token record
+   * @param {Object|undefined} listing - The token as the API lists it (see tokenService.getAllTokens)
+   * @param {string} runId - Snapshot run ID
+   * @returns {Object} Row
+   */
+  toTokenRow(record, listing, runId) {
+    const trust = record.trust_assessment || null;
+    const tvl = record.tvl_breakdown || null;
+
+    return {
+      token_id: record.token_id,
+      ticker: record.ticker || null,
+      name: record.token_ascii || record.ticker || null,
+      price: record.price || null,
+      market_cap: record.market_cap || null,
+      fdv: record.fdv || null,
+      circulating_supply: record.circulating_supply || null,
+      total_supply: record.total_supply || null,
+      liquidity: record.liquidity || null,
+      tvl: record.tvl || null,
+      ...this.toTvlColumns(tvl),
+      pool_count: record.pool_count || 0,
+      original_pool_count: record.original_pool_count || 0,
+      volume: 0,
+      volume_in_token: 0,
+      order_count: 0,
+      trust_score: trust ? trust.score : null,
+      trust_level: trust ? trust.level : null,
+      trust_assessment: trust,
+      validation: record.validation || null,
+      supply: record.supply || null,
+      decimals: Number.isInteger(record.decimals) ? record.decimals : null,
+      decimals_source: record.decimals_source || null,
+      trade_price: record.trade_price || null,
+      price_divergent: !!record.price_divergent,
+      honeypot_risk: !!record.honeypot_risk,
+      has_market_cap: false,
+      // Listed tokens carry the values the API serves, which may be filled in from summaries
+      ...(listing ? {
+        ticker: listing.ticker,
+        name: listing.name,
+        price: listing.price,
+        market_cap: listing.market_cap,
+        liquidity: listing.liquidity,
+        tvl: listing.tvl || record.tvl || null,
+        pool_count: listing.pool_count,
+        volume: listing.volume,
+        volume_in_token: listing.volume_in_token,
+        order_count: listing.order_count,
+        has_market_cap: listing.has_market_cap
+      } : {}),
+      listed: !!listing,
+      run_id: runId,
+      enriched_at: record.updated_at || null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build the TVL breakdown columns of a tokens row
+   * @param {Object|null} tvl - TVL breakdown from computeTvl
+   * @returns {Object} Columns
+   */
+  toTvlColumns(tvl) {
+    return {
+      tvl_ada_side: tvl ? tvl.ada_side : null,
+      tvl_token_side: tvl ? tvl.token_side : null,
+      tvl_pools: tvl ? tvl.pools : null,
+      tvl_by_dex: tvl ? tvl.by_dex : null,
+      tvl_updated_at: tvl ? tvl.computed_at : null
+    };
+  }
+
+  /**
+   * Upsert every enriched token and unlist tokens from earlier runs
+   * @param {Array} records - Enhanced token records of the run
+   * @param {Array} listedTokens - Tokens the API lists for the run's snapshot
+   * @param {string} runId - Snapshot run ID
+   * @returns {Promise<number>} Rows written
+   */
+  async persistTokens(records, listedTokens, runId) {
+    const supabase = this.getSupabase();
+    const listings = new Map(listedTokens.map(token => [token.token_id, token]));
+    const rows = records
+      .filter(record => record && record.token_id && !record.error)
+      .map(record => this.toTokenRow(record, listings.get(record.token_id), runId));
+
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('tokens')
+        .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'token_id', returning: 'minimal' });
+
+      if (error) {
+        throw new Error(`Error upserting tokens: ${error.message}`);
+      }
+    }
+
+    // Tokens that were not part of this run are no longer served
+    const { error } = await supabase
+      .from('tokens')
+      .update({ listed: false })
+      .eq('listed', true)
+      .neq('run_id', runId);
+
+    if (error) {
+      throw new Error(`Error unlisting tokens from earlier runs: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Store the metadata of a published report
+   * @param {string} runId - Snapshot run ID
+   * @param {Object} report - Market cap report
+   * @param {Object} manifest - Snapshot manifest
+   * @param {string} publishedAt - Publication time
+   * @param {Object|null} [pegs] - Peg check of the run (see PegService.checkPegs)
+   */
+  async persistReport(runId, report, manifest, publishedAt, pegs = null) {
+    const { error } = await this.getSupabase()
+      .from('reports')
+      .upsert([{
+        run_id: runId,
+        generated_at: report.generated_at,
+        published_at: publishedAt,
+        mode: manifest ? manifest.mode : null,
+        total_tokens: report.total_tokens,
+        tokens_with_market_cap: report.tokens_with_market_cap,
+        tokens_with_valid_market_caps: report.tokens_with_valid_market_caps,
+        potential_honeypot_tokens: report.potential_honeypot_tokens,
+        validation_parameters: report.validation_parameters || null,
+        manifest: manifest || null,
+        pegs: pegs || null
+      }], { onConflict: 'run_id', returning: 'minimal' });
+
+    if (error) {
+      throw new Error(`Error storing report metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a published pipeline run
+   * @param {Object} run
+   * @param {string} run.runId - Snapshot run ID
+   * @param {Object} run.report - Market cap report
+   * @param {Array} run.records - Enhanced token records
+   * @param {Array} run.listedTokens - Tokens the API lists for the snapshot
+   * @param {Object} [run.manifest] - Snapshot manifest
+   * @param {string} [run.publishedAt] - Publication time
+   * @param {Object} [run.pegs] - Peg check of the run
+   * @returns {Promise<{tokens: number, report: boolean}>}
+   */
+  async persistRun({ runId, report, records, listedTokens, manifest, publishedAt = new Date().toISOString(), pegs = null }) {
+    await this.assertSchema();
+
+    const tokens = await this.persistTokens(records, listedTokens, runId);
+    await this.persistReport(runId, report, manifest, publishedAt, pegs);
+
+    console.log(`Persisted ${tokens} tokens and report ${runId} to Supabase`);
+    return { tokens, report: true };
+  }
+
+  /**
+   * Write the published snapshot again, after a rollback, so Supabase serves the same run as the files
+   * @returns {Promise<{tokens: number, report: boolean}>}
+   */
+  async persistPublishedSnapshot() {
+    // Required lazily: both depend on services that use this one
+    const snapshotStore = require('./snapshotStore');
+    const tokenService = require('./tokenService');
+    const current = snapshotStore.getCurrent();
+    if (!current.run_id) {
+      throw new Error('No snapshot is published');
+    }
+
+    const records = fs.readdirSync(current.summariesDir)
+      .filter(file => file.endsWith('_enhanced_refined.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(current.summariesDir, file), 'utf8')));
+    tokenService.clearCache();
+
+    return this.persistRun({
+      runId: current.run_id,
+      report: JSON.parse(fs.readFileSync(current.reportPath, 'utf8')),
+      records,
+      listedTokens: await tokenService.getAllTokens(),
+      manifest: snapshotStore.getManifest(current.run_id),
+      publishedAt: current.published_at,
+      pegs: current.pegsPath && fs.existsSync(current.pegsPath) ? JSON.parse(fs.readFileSync(current.pegsPath, 'utf8')) : null
+    });
+  }
+
+  /**
+   * Get the peg checks of the most recently published reports
+   * @param {number} limit - Reports read
+   * @returns {Promise<Array<Object|null>>} Checks, newest first, null for reports without one
+   */
+  async getPegChecks(limit) {
+    const { data, error } = await this.getSupabase()
+      .from('reports')
+      .select('run_id, pegs')
+      .order('published_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error reading peg checks: ${error.message}`);
+    }
+    return (data || []).map(row => row.pegs || null);
+  }
+
+  /**
+   * Update recomputed TVL on existing token rows
+   * @param {Object<string, Object>} entries - TVL breakdowns by token ID
+   * @returns {Promise<number>} Rows written
+   */
+  async persistTvl(entries) {
+    await this.assertSchema();
+
+    const rows = Object.entries(entries).map(([tokenId, tvl]) => ({
+      token_id: tokenId,
+      tvl: tvl.tvl,
+      ...this.toTvlColumns(tvl)
+    }));
+
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await this.getSupabase()
+        .from('tokens')
+        .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'token_id', returning: 'minimal' });
+
+      if (error) {
+        throw new Error(`Error updating TVL: ${error.message}`);
+      }
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Store a refreshed volume dataset
+   * @param {Object} volumeData - Volume dataset ({ timestamp, time_window, total_tokens, tokens, order_fetch })
+   * @param {string} source - 'full' or 'lightweight'
+   */
+  async persistVolumeSnapshot(volumeData, source) {
+    await this.assertSchema();
+
+    const { error } = await this.getSupabase()
+      .from('volume_snapshots')
+      .insert([{
+        captured_at: volumeData.timestamp,
+        source,
+        window_from: volumeData.time_window ? volumeData.time_window.from : null,
+        window_to: volumeData.time_window ? volumeData.time_window.to : null,
+        total_tokens: volumeData.total_tokens || 0,
+        complete: !volumeData.order_fetch || volumeData.order_fetch.complete !== false,
+        tokens: volumeData.tokens || []
+      }]);
+
+    if (error) {
+      throw new Error(`Error storing volume snapshot: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PersistenceService();
+module.exports.PersistenceService = PersistenceService;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
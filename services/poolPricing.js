@@ -0,0 +1,497 @@
+/**
+ * Pool pricing: values a token in ADA from its liquidity pools, with outlier protection and the
+ * liquidity graph for tokens without usable ADA pools
+ *
+ * Used by the pipeline (enhanced_integration_refined.js) and by the services that recompute
+ * prices or TVL from current pools between runs.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getMarketDataProvider } = require('./providers');
+const decimalsService = require('./decimalsService');
+const { computeTvl } = require('./tvlService');
+const { ADA, getHubTokens } = require('./priceGraph');
+
+const OUTLIER_METHOD = 'liquidity_weighted_mad'; // Pools are compared with the liquidity-weighted median price of the token's own pools
+const OUTLIER_Z_THRESHOLD = 3.5; // Robust z-score above which a pool price is an outlier
+const OUTLIER_MIN_SCALE = 0.1; // Lowest log-price spread one z-score stands for, so tight clusters keep pools a few percent apart
+const GRAPH_MIN_CONFIDENCE = 0.5; // Graph prices below this confidence count as suspicious liquidity
+const SUMMARIES_DIR = path.join(process.cwd(), 'token_data', 'summaries');
+
+// Market data provider chain (DexHunter first, local files as fallback)
+const marketData = getMarketDataProvider();
+
+/**
+ * Read a token's local summary
+ * @param {string} tokenId - Token ID
+ * @returns {Object|null} Summary or null if there is none
+ */
+function readLocalSummary(tokenId) {
+  try {
+    const filePath = path.join(SUMMARIES_DIR, `${tokenId}_summary.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (error) {
+    console.error(`Error reading summary for ${tokenId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve token decimals without a DexHunter lookup (overrides, then the local summary)
+ * @param {string} tokenId - Token ID
+ * @returns {{decimals: number, source: string}}
+ */
+function resolveLocalDecimals(tokenId) {
+  return decimalsService.resolve(tokenId, { summary: readLocalSummary(tokenId) });
+}
+
+/**
+ * Build a stable fingerprint of a pool snapshot so unchanged pools can be detected
+ * @param {Array} pools - Pools as returned by /stats/pools
+ * @returns {string} SHA-1 hex digest
+ */
+function fingerprintPools(pools) {
+  const entries = (Array.isArray(pools) ? pools : [])
+    .map(pool => `${pool.dex}:${pool.token_1_amount || 0}:${pool.token_2_amount || 0}`)
+    .sort();
+  
+  return crypto.createHash('sha1').update(entries.join('|')).digest('hex');
+}
+
+/**
+ * Liquidity-weighted median of values
+ * @param {Array<{value: number, weight: number}>} entries - Values with non-negative weights
+ * @returns {number} Value at which half the weight lies on either side
+ */
+function weightedMedian(entries) {
+  const sorted = [...entries].sort((a, b) => a.value - b.value);
+  const totalWeight = sorted.reduce((sum, entry) => sum + entry.weight, 0);
+  
+  let cumulative = 0;
+  for (const entry of sorted) {
+    cumulative += entry.weight;
+    if (cumulative >= totalWeight / 2) {
+      return entry.value;
+    }
+  }
+  return sorted.length > 0 ? sorted[sorted.length - 1].value : 0;
+}
+
+/**
+ * Split priced pools into the token's price cluster and outliers
+ * Prices are compared in log space, since mispriced pools are off by a factor rather than an
+ * amount, using the median absolute deviation weighted by ADA liquidity. Every pool gets a
+ * robust z-score (zScore); pools beyond OUTLIER_Z_THRESHOLD are outliers. The pool at the
+ * weighted median always scores 0, so the cluster is never empty.
+ * @param {Array} pools - Priced pools with { adaAmount, price }
+ * @returns {{included: Array, excluded: Array, filter: Object}} Pools and the filter parameters used
+ */
+function filterPriceOutliers(pools) {
+  const entries = pools.map(pool => ({ pool, value: Math.log(pool.price), weight: pool.adaAmount }));
+  const median = weightedMedian(entries);
+  const mad = weightedMedian(entries.map(entry => ({ value: Math.abs(entry.value - median), weight: entry.weight })));
+  // 1.4826 makes the MAD a consistent estimate of the standard deviation for normal data
+  const scale = Math.max(1.4826 * mad, OUTLIER_MIN_SCALE);
+  
+  entries.forEach(entry => {
+    entry.pool.zScore = (entry.value - median) / scale;
+  });
+  
+  const included = pools.filter(pool => Math.abs(pool.zScore) <= OUTLIER_Z_THRESHOLD);
+  const excluded = pools.filter(pool => Math.abs(pool.zScore) > OUTLIER_Z_THRESHOLD);
+  
+  return {
+    included,
+    excluded,
+    filter: {
+      method: OUTLIER_METHOD,
+      z_threshold: OUTLIER_Z_THRESHOLD,
+      median_price: Math.exp(median),
+      mad_log: mad,
+      scale_log: scale,
+      excluded_count: excluded.length
+    }
+  };
+}
+
+/**
+ * Describe every pool of a token for the per-pool breakdown
+ * @param {Array} pricedPools - Pools with { dex, poolId, adaAmount, tokenAmount, price, valid, zScore }
+ * @param {number} weightedPrice - Price the token was valued at
+ * @param {Array} includedPools - Pools the price was computed from
+ * @returns {Array<Object>} Pools by ADA reserve, with share of liquidity, deviation, z-score and exclusion reason
+ */
+function describePools(pricedPools, weightedPrice, includedPools) {
+  const included = new Set(includedPools);
+  const totalAda = pricedPools.reduce((sum, pool) => sum + pool.adaAmount, 0);
+  
+  return pricedPools
+    .map(pool => {
+      let excludedReason = null;
+      if (!pool.valid) {
+        excludedReason = 'zero_liquidity';
+      } else if (!included.has(pool)) {
+        excludedReason = 'price_outlier';
+      }
+      
+      return {
+        dex: pool.dex || 'UNKNOWN',
+        pool_id: pool.poolId || null,
+        ada_reserve: pool.adaAmount,
+        token_reserve: pool.tokenAmount,
+        implied_price: pool.valid ? pool.price : null,
+        liquidity_share: totalAda > 0 ? pool.adaAmount / totalAda : 0,
+        deviation_pct: pool.valid && weightedPrice > 0 ? ((pool.price - weightedPrice) / weightedPrice) * 100 : null,
+        z_score: pool.valid && pool.zScore !== undefined ? pool.zScore : null,
+        excluded: excludedReason !== null,
+        excluded_reason: excludedReason
+      };
+    })
+    .sort((a, b) => b.ada_reserve - a.ada_reserve);
+}
+
+/**
+ * Add the ADA pools of the hub tokens to a price graph
+ * @param {PriceGraph} graph - Graph for the run
+ * @returns {Promise<number>} Pools added
+ */
+async function seedPriceGraph(graph) {
+  let added = 0;
+  
+  for (const hub of getHubTokens()) {
+    try {
+      const hubDecimals = resolveLocalDecimals(hub);
+      const pools = await marketData.getPools(hub, 'ADA');
+      graph.addAsset(hub, (readLocalSummary(hub) || {}).ticker || null);
+      
+      (Array.isArray(pools) ? pools : []).forEach(pool => {
+        graph.addPool({
+          base: hub,
+          quote: ADA,
+          baseReserve: decimalsService.toWholeUnits(pool.token_2_amount, hubDecimals.decimals, 'pool_reserve'),
+          quoteReserve: decimalsService.toAda(pool.token_1_amount, 'pool_reserve'),
+          poolId: pool.pool_id
+        });
+        added++;
+      });
+    } catch (error) {
+      console.error(`Error fetching ADA pools of hub token ${hub}:`, error.message);
+    }
+  }
+  
+  return added;
+}
+
+/**
+ * Price a token without usable ADA pools through the liquidity graph
+ * The token's pools against each hub token are added to the graph, then the token is priced in
+ * ADA along the deepest path.
+ * @param {string} tokenId - The token ID
+ * @param {PriceGraph} graph - Graph for the run, seeded with the hub tokens' ADA pools
+ * @param {{decimals: number}} tokenDecimals - Token decimals
+ * @returns {Promise<Object|null>} Price from the graph (see PriceGraph.price) or null
+ */
+async function priceFromGraph(tokenId, graph, tokenDecimals) {
+  for (const hub of getHubTokens()) {
+    if (hub === tokenId) {
+      continue;
+    }
+    
+    try {
+      const hubDecimals = resolveLocalDecimals(hub);
+      const pools = await marketData.getPools(tokenId, hub);
+      (Array.isArray(pools) ? pools : []).forEach(pool => graph.addPool({
+        base: tokenId,
+        quote: hub,
+        baseReserve: decimalsService.toWholeUnits(pool.token_2_amount, tokenDecimals.decimals, 'pool_reserve'),
+        quoteReserve: decimalsService.toWholeUnits(pool.token_1_amount, hubDecimals.decimals, 'pool_reserve'),
+        poolId: pool.pool_id
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${tokenId} pools against hub token ${hub}:`, error.message);
+    }
+  }
+  
+  const priced = graph.price(tokenId, ADA);
+  return priced && priced.price > 0 ? priced : null;
+}
+
+/**
+ * Build the result of a price derived from the liquidity graph
+ * @param {Object} priced - Price from priceFromGraph
+ * @param {string} poolFingerprint - Fingerprint of the token's ADA pools
+ * @param {number} originalPoolCount - ADA pools of the token, none of them usable
+ * @returns {Object} calculateWeightedPrice result
+ */
+function graphPriceResult(priced, poolFingerprint, originalPoolCount) {
+  const firstLeg = priced.legs[0];
+  console.log(`Priced ${priced.asset} through ${priced.path.map(asset => asset.ticker || asset.id).join(' -> ')} (confidence ${priced.confidence === null ? 'n/a' : priced.confidence.toFixed(2)})`);
+  
+  return {
+    poolFingerprint,
+    weightedPrice: priced.price,
+    // ADA value of the quote side of the token's own pair on the path
+    totalLiquidity: firstLeg.depth / 2,
+    filteredOutliers: false,
+    poolCount: firstLeg.pool_count,
+    originalPoolCount,
+    suspiciousLiquidity: priced.confidence === null || priced.confidence < GRAPH_MIN_CONFIDENCE,
+    priceFromAveragePrice: false,
+    priceFromGraph: true,
+    pricePath: priced
+  };
+}
+
+/**
+ * Calculate weighted average price from liquidity pools with outlier protection
+ * @param {string} tokenId - The token ID
+ * @param {Object} [options]
+ * @param {{decimals: number, source: string}} [options.decimals] - Token decimals (resolved from overrides and the local summary if omitted)
+ * @param {PriceGraph} [options.graph] - Liquidity graph of the run; without usable ADA pools the token is
+ *   priced through it (priceFromGraph, pricePath) before falling back to the averagePrice endpoint
+ * @returns {Promise<{weightedPrice: number, totalLiquidity: number, filteredOutliers: boolean, tvl: Object}>}
+ *   tvl is the two-sided TVL breakdown from computeTvl, absent when no pool priced the token;
+ *   poolBreakdown describes every pool (see describePools), absent when there are no pools;
+ *   outlierFilter holds the method and parameters of the outlier filter, absent when no pool priced the token
+ */
+async function calculateWeightedPrice(tokenId, { decimals, graph } = {}) {
+  try {
+    const tokenDecimals = decimals || resolveLocalDecimals(tokenId);
+    
+    // Get all pools for the token with ADA
+    const pools = await marketData.getPools(tokenId, 'ADA');
+    const poolFingerprint = fingerprintPools(pools);
+    
+    // NEW: Track if we attempted to use the averagePrice endpoint
+    let attemptedAveragePrice = false;
+    let averagePriceResult = null;
+    
+    if (!pools || !Array.isArray(pools) || pools.length === 0) {
+      // Tokens paired only with other tokens are priced through the liquidity graph
+      if (graph) {
+        const priced = await priceFromGraph(tokenId, graph, tokenDecimals);
+        if (priced) {
+          return graphPriceResult(priced, poolFingerprint, 0);
+        }
+      }
+      
+      // If no pool data is available, try the averagePrice endpoint
+      try {
+        console.log(`No pool data for ${tokenId}, trying averagePrice endpoint...`);
+        attemptedAveragePrice = true;
+        
+        const averagePrice = await marketData.getAveragePrice(tokenId, 'ADA');
+        
+        if (averagePrice && averagePrice.price_ba) {
+          console.log(`Found price from averagePrice endpoint: ${averagePrice.price_ba}`);
+          averagePriceResult = {
+            poolFingerprint,
+            weightedPrice: parseFloat(averagePrice.price_ba),
+            totalLiquidity: 0, // We don't have liquidity information from this endpoint
+            filteredOutliers: false,
+            poolCount: 0,
+            originalPoolCount: 0,
+            priceFromAveragePrice: true,
+            suspiciousLiquidity: true // Mark as suspicious since no pools were found
+          };
+        }
+        
+        // If that fails, try the reverse order (ADA/token)
+        if (!averagePriceResult) {
+          console.log(`No price_ba data, trying reverse direction...`);
+          const reversePrice = await marketData.getAveragePrice('ADA', tokenId);
+          
+          if (reversePrice && reversePrice.price_ab) {
+            console.log(`Found price from reverse averagePrice endpoint: ${reversePrice.price_ab}`);
+            averagePriceResult = {
+              poolFingerprint,
+              weightedPrice: parseFloat(reversePrice.price_ab),
+              totalLiquidity: 0,
+              filteredOutliers: false,
+              poolCount: 0,
+              originalPoolCount: 0,
+              priceFromAveragePrice: true,
+              suspiciousLiquidity: true // Mark as suspicious since no pools were found
+            };
+          }
+        }
+        
+        if (averagePriceResult) {
+          return averagePriceResult;
+        }
+      } catch (priceError) {
+        console.error(`Error fetching price from averagePrice endpoint for ${tokenId}:`, priceError.message);
+      }
+      
+      return {
+        poolFingerprint,
+        weightedPrice: 0,
+        totalLiquidity: 0,
+        filteredOutliers: false,
+        poolCount: 0,
+        originalPoolCount: 0,
+        suspiciousLiquidity: true,
+        noPoolsFound: true // NEW: Flag to indicate no pools were found
+      };
+    }
+    
+    // Step 1: Calculate all individual pool prices
+    const pricedPools = pools.map(pool => {
+      const adaAmount = decimalsService.toAda(pool.token_1_amount, 'pool_reserve');
+      const tokenAmount = decimalsService.toWholeUnits(pool.token_2_amount, tokenDecimals.decimals, 'pool_reserve');
+      
+      // Skip pools with zero liquidity (reserves are kept for the pool breakdown)
+      if (adaAmount <= 0 || tokenAmount <= 0) {
+        return {
+          dex: pool.dex,
+          poolId: pool.pool_id,
+          adaAmount: Math.max(adaAmount, 0),
+          tokenAmount: Math.max(tokenAmount, 0),
+          price: 0,
+          valid: false
+        };
+      }
+      
+      // Price is ADA / token amount
+      const price = adaAmount / tokenAmount;
+      
+      return {
+        dex: pool.dex,
+        poolId: pool.pool_id,
+        adaAmount,
+        tokenAmount,
+        price,
+        valid: true
+      };
+    });
+    const poolsWithPrices = pricedPools.filter(pool => pool.valid);
+    
+    // NEW: If pools exist but none have valid prices, this is suspicious
+    if (pools.length > 0 && poolsWithPrices.length === 0) {
+      if (graph) {
+        const priced = await priceFromGraph(tokenId, graph, tokenDecimals);
+        if (priced) {
+          return { ...graphPriceResult(priced, poolFingerprint, pools.length), poolBreakdown: describePools(pricedPools, priced.price, []) };
+        }
+      }
+      
+      // Try the averagePrice endpoint as a fallback
+      if (!attemptedAveragePrice) {
+        try {
+          console.log(`Pools exist but none have valid prices for ${tokenId}, trying averagePrice endpoint...`);
+          const averagePrice = await marketData.getAveragePrice(tokenId, 'ADA');
+          
+          if (averagePrice && averagePrice.price_ba) {
+            console.log(`Found price from averagePrice endpoint: ${averagePrice.price_ba}`);
+            return {
+              poolFingerprint,
+              weightedPrice: parseFloat(averagePrice.price_ba),
+              totalLiquidity: 0,
+              filteredOutliers: false,
+              poolCount: 0,
+              originalPoolCount: pools.length,
+              medianUsed: false,
+              suspiciousLiquidity: true,
+              priceFromAveragePrice: true,
+              emptySuspiciousPools: true, // NEW: Flag to indicate suspicious empty pools
+              poolBreakdown: describePools(pricedPools, parseFloat(averagePrice.price_ba), [])
+            };
+          }
+        } catch (priceError) {
+          console.error(`Error fetching price from averagePrice endpoint for ${tokenId} after finding empty pools:`, priceError.message);
+        }
+      }
+      
+      return {
+        poolFingerprint,
+        weightedPrice: 0,
+        totalLiquidity: 0,
+        filteredOutliers: false,
+        poolCount: 0,
+        originalPoolCount: pools.length,
+        suspiciousLiquidity: true,
+        emptySuspiciousPools: true, // NEW: Flag to indicate suspicious empty pools
+        poolBreakdown: describePools(pricedPools, 0, [])
+      };
+    }
+    
+    // Step 2: Exclude pools priced away from the token's own pool cluster
+    const { included: reasonablePools, excluded: outlierPools, filter: outlierFilter } = filterPriceOutliers(poolsWithPrices);
+    const hasExtremeOutliers = outlierPools.length > 0;
+    
+    // Calculate total ADA liquidity across reasonable pools
+    const totalLiquidity = reasonablePools.reduce(
+      (sum, pool) => sum + pool.adaAmount, 0
+    );
+    
+    if (totalLiquidity === 0) {
+      return {
+        poolFingerprint,
+        weightedPrice: 0,
+        totalLiquidity: 0,
+        filteredOutliers: hasExtremeOutliers,
+        poolCount: reasonablePools.length,
+        outlierFilter,
+        poolBreakdown: describePools(pricedPools, 0, reasonablePools)
+      };
+    }
+    
+    // Step 3: Check for suspicious liquidity distribution (honeypot detection)
+    let suspiciousLiquidity = false;
+    if (reasonablePools.length > 0) {
+      // Sort pools by liquidity
+      const sortedByLiquidity = [...reasonablePools].sort((a, b) => b.adaAmount - a.adaAmount);
+      
+      // If there's only one pool or the top pool has more than 95% of all liquidity, it's suspicious
+      if (reasonablePools.length === 1 || 
+          (sortedByLiquidity[0].adaAmount / totalLiquidity > 0.95)) {
+        suspiciousLiquidity = true;
+      }
+    }
+    
+    // Calculate weighted average price using only reasonable pools
+    const weightedPrice = reasonablePools.reduce((sum, pool) => {
+      const weight = pool.adaAmount / totalLiquidity;
+      return sum + (pool.price * weight);
+    }, 0);
+    
+    return {
+      poolFingerprint,
+      weightedPrice,
+      totalLiquidity,
+      filteredOutliers: hasExtremeOutliers,
+      poolCount: reasonablePools.length,
+      originalPoolCount: pools.length,
+      medianUsed: suspiciousLiquidity,
+      suspiciousLiquidity,
+      priceFromAveragePrice: false,
+      outlierFilter,
+      // Two-sided TVL of the pools the price was computed from
+      tvl: computeTvl(reasonablePools, weightedPrice),
+      poolBreakdown: describePools(pricedPools, weightedPrice, reasonablePools)
+    };
+  } catch (error) {
+    console.error(`Error calculating weighted price for ${tokenId}:`, error.message);
+    return {
+      weightedPrice: 0,
+      totalLiquidity: 0,
+      filteredOutliers: false,
+      poolCount: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  calculateWeightedPrice,
+  describePools,
+  filterPriceOutliers,
+  fingerprintPools,
+  priceFromGraph,
+  seedPriceGraph,
+  readLocalSummary,
+  resolveLocalDecimals,
+  OUTLIER_METHOD,
+  OUTLIER_Z_THRESHOLD
+};
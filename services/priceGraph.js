@@ -0,0 +1,283 @@
+const { KNOWN_TOKEN_IDS } = require('./knownTokens');
+
+// Asset ID used for ADA in the graph
+const ADA = 'ADA';
+
+// Tokens other tokens commonly trade against instead of ADA, overridable
+// with PRICE_GRAPH_HUBS=<tokenId>,<tokenId>
+const DEFAULT_HUB_TOKENS = [KNOWN_TOKEN_IDS.DJED, KNOWN_TOKEN_IDS.iUSD, KNOWN_TOKEN_IDS.USDM];
+
+// Longest path searched between two assets
+const MAX_HOPS = 3;
+
+// Bottleneck depth, in ADA, at which a path's depth score reaches 0.5
+const CONFIDENCE_HALF_DEPTH_ADA = 10000;
+
+// Confidence kept per hop beyond the first
+const CONFIDENCE_HOP_DECAY = 0.85;
+
+/**
+ * Get the hub tokens searched for tokens without usable ADA pools
+ * @returns {Array<string>} Token IDs
+ */
+function getHubTokens() {
+  return process.env.PRICE_GRAPH_HUBS
+    ? process.env.PRICE_GRAPH_HUBS.split(',').map(id => id.trim()).filter(Boolean)
+    : DEFAULT_HUB_TOKENS;
+}
+
+/**
+ * Describe which pairs the pipeline adds to its graph
+ * The graph holds every token's ADA pools, the hub tokens' ADA pools and the hub pairs of tokens
+ * without usable ADA pools; pairs between two other tokens are never fetched, so they are not in it.
+ * @returns {{pairs: string, hubs: Array<string>}} Pair scope and the hub tokens
+ */
+function describeScope() {
+  return { pairs: 'ada_and_hubs', hubs: getHubTokens() };
+}
+
+/**
+ * Liquidity graph over the pairs added to it
+ *
+ * Nodes are assets (ADA or token IDs); an edge aggregates every pool of a pair, so its rate is
+ * the liquidity-weighted price across those pools. Prices are derived along the path whose
+ * shallowest edge is deepest (widest path), with depth measured in units of the quote asset.
+ */
+class PriceGraph {
+  constructor() {
+    this.assets = {};
+    this.edges = {};
+  }
+
+  /**
+   * Key of the edge between two assets, independent of direction
+   * @param {string} a - Asset ID
+   * @param {string} b - Asset ID
+   * @returns {string}
+   */
+  edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Record an asset's ticker
+   * @param {string} id - Asset ID
+   * @param {string|null} ticker - Ticker
+   */
+  addAsset(id, ticker) {
+    if (!this.assets[id] || (ticker && !this.assets[id].ticker)) {
+      this.assets[id] = { ticker: ticker || (id === ADA ? 'ADA' : null) };
+    }
+  }
+
+  /**
+   * Add a pool to the edge of its pair
+   * @param {Object} pool
+   * @param {string} pool.base - Asset ID of one side
+   * @param {string} pool.quote - Asset ID of the other side
+   * @param {number} pool.baseReserve - Reserve of base, in whole units
+   * @param {number} pool.quoteReserve - Reserve of quote, in whole units
+   * @param {string} [pool.poolId] - Pool ID, so a pool added twice is counted once
+   */
+  addPool({ base, quote, baseReserve, quoteReserve, poolId = null }) {
+    if (!base || !quote || base === quote || !(baseReserve > 0) || !(quoteReserve > 0)) {
+      return;
+    }
+
+    this.addAsset(base, null);
+    this.addAsset(quote, null);
+
+    const key = this.edgeKey(base, quote);
+    const [a, b] = key.split('|');
+    const edge = this.edges[key] || (this.edges[key] = { reserves: {}, pools: {} });
+    const id = poolId || `${base}:${quote}:${Object.keys(edge.pools).length}`;
+
+    // Pool reserves are stored in key order
+    edge.pools[id] = a === base ? [baseReserve, quoteReserve] : [quoteReserve, baseReserve];
+    const totals = Object.values(edge.pools).reduce(([x, y], [px, py]) => [x + px, y + py], [0, 0]);
+    edge.reserves = { [a]: totals[0], [b]: totals[1] };
+    this.adjacency = null;
+  }
+
+  /**
+   * Edges leaving an asset
+   * @param {string} asset - Asset ID
+   * @returns {Array<{to: string, reserveFrom: number, reserveTo: number, poolCount: number}>}
+   */
+  neighbours(asset) {
+    if (!this.adjacency) {
+      this.adjacency = {};
+      Object.entries(this.edges).forEach(([key, edge]) => {
+        const [a, b] = key.split('|');
+        const poolCount = Object.keys(edge.pools).length;
+        (this.adjacency[a] = this.adjacency[a] || []).push({ to: b, reserveFrom: edge.reserves[a], reserveTo: edge.reserves[b], poolCount });
+        (this.adjacency[b] = this.adjacency[b] || []).push({ to: a, reserveFrom: edge.reserves[b], reserveTo: edge.reserves[a], poolCount });
+      });
+    }
+    return this.adjacency[asset] || [];
+  }
+
+  /**
+   * Find the price of an asset in another along the deepest path
+   * @param {string} asset - Asset to price
+   * @param {string} quote - Asset to price it in
+   * @param {Object} [options]
+   * @param {number} [options.maxHops] - Longest path considered
+   * @returns {Object|null} { price, depth, hops, path, legs }, or null if no path connects them
+   *   price is quote units per asset unit; depth is the bottleneck edge value in quote units
+   */
+  findPath(asset, quote, { maxHops = MAX_HOPS } = {}) {
+    if (asset === quote) {
+      return { price: 1, depth: Infinity, hops: 0, path: [asset], legs: [] };
+    }
+
+    // layers[k][node]: deepest path from quote reaching node in exactly k hops
+    const layers = [{ [quote]: { price: 1, depth: Infinity, prev: null, leg: null } }];
+
+    for (let hops = 1; hops <= maxHops; hops++) {
+      const layer = {};
+      Object.entries(layers[hops - 1]).forEach(([node, state]) => {
+        this.neighbours(node).forEach(edge => {
+          // A path never revisits an asset
+          if (this.pathOf(layers, hops - 1, node).includes(edge.to)) {
+            return;
+          }
+
+          // price of edge.to in quote = price of node in quote * node units per edge.to unit
+          const price = state.price * (edge.reserveFrom / edge.reserveTo);
+          // Both sides of the pair, valued in quote units
+          const edgeDepth = 2 * edge.reserveFrom * state.price;
+          const depth = Math.min(state.depth, edgeDepth);
+
+          if (!layer[edge.to] || depth > layer[edge.to].depth) {
+            layer[edge.to] = {
+              price,
+              depth,
+              prev: node,
+              leg: { from: node, to: edge.to, rate: edge.reserveFrom / edge.reserveTo, depth: edgeDepth, pool_count: edge.poolCount, from_reserve: edge.reserveFrom, to_reserve: edge.reserveTo }
+            };
+          }
+        });
+      });
+      layers.push(layer);
+    }
+
+    let best = null;
+    for (let hops = 1; hops <= maxHops; hops++) {
+      const state = layers[hops][asset];
+      if (state && (!best || state.depth > best.state.depth)) {
+        best = { state, hops };
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const path = this.pathOf(layers, best.hops, asset);
+    const legs = [];
+    for (let hops = best.hops, node = asset; hops > 0; hops--) {
+      const state = layers[hops][node];
+      legs.unshift(state.leg);
+      node = state.prev;
+    }
+
+    // Legs run from the quote outwards; report them from the priced asset to the quote
+    return {
+      price: best.state.price,
+      depth: best.state.depth,
+      hops: best.hops,
+      path: path.reverse(),
+      legs: legs.reverse().map(leg => ({
+        from: leg.to,
+        to: leg.from,
+        rate: leg.rate,
+        depth: leg.depth,
+        pool_count: leg.pool_count,
+        from_reserve: leg.to_reserve,
+        to_reserve: leg.from_reserve
+      }))
+    };
+  }
+
+  /**
+   * Assets on the path stored for a node in a layer, from the quote to the node
+   * @param {Array<Object>} layers - Search layers
+   * @param {number} hops - Layer of the node
+   * @param {string} node - Asset ID
+   * @returns {Array<string>}
+   */
+  pathOf(layers, hops, node) {
+    const path = [];
+    for (let k = hops, current = node; k >= 0 && current; k--) {
+      path.unshift(current);
+      current = layers[k][current].prev;
+    }
+    return path;
+  }
+
+  /**
+   * Price an asset in another with a confidence weight
+   * Confidence combines the bottleneck depth in ADA, saturating around CONFIDENCE_HALF_DEPTH_ADA,
+   * with a decay per extra hop. It is null when the quote asset has no ADA price.
+   * @param {string} asset - Asset to price
+   * @param {string} quote - Asset to price it in
+   * @returns {Object|null} Price with its path, depth and confidence
+   */
+  price(asset, quote) {
+    const found = this.findPath(asset, quote);
+    if (!found) {
+      return null;
+    }
+
+    const quoteInAda = quote === ADA ? { price: 1 } : this.findPath(quote, ADA);
+    const depthAda = quoteInAda && Number.isFinite(found.depth) ? found.depth * quoteInAda.price : null;
+    const confidence = depthAda === null
+      ? null
+      : (depthAda / (depthAda + CONFIDENCE_HALF_DEPTH_ADA)) * Math.pow(CONFIDENCE_HOP_DECAY, Math.max(found.hops - 1, 0));
+
+    return {
+      asset,
+      quote,
+      price: found.price,
+      hops: found.hops,
+      depth: Number.isFinite(found.depth) ? found.depth : null,
+      depth_ada: depthAda,
+      confidence,
+      path: found.path.map(id => ({ id, ticker: this.assets[id] ? this.assets[id].ticker : null })),
+      legs: found.legs
+    };
+  }
+
+  /**
+   * Serialize the graph
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      asset_count: Object.keys(this.assets).length,
+      edge_count: Object.keys(this.edges).length,
+      assets: this.assets,
+      edges: this.edges
+    };
+  }
+
+  /**
+   * Rebuild a serialized graph
+   * @param {Object} data - Output of toJSON
+   * @returns {PriceGraph}
+   */
+  static fromJSON(data) {
+    const graph = new PriceGraph();
+    graph.assets = data.assets || {};
+    graph.edges = data.edges || {};
+    return graph;
+  }
+}
+
+module.exports = {
+  PriceGraph,
+  ADA,
+  MAX_HOPS,
+  getHubTokens,
+  describeScope
+};
@@ -0,0 +1,102 @@
+const { getDexhunterClient } = require('../dexhunterClient');
+
+/**
+ * Market data provider backed by the DexHunter API
+ */
+class DexHunterProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - DexHunter partner ID
+   * @param {Object} [options.client] - HTTP client (defaults to the shared rate-limited DexHunter client)
+   */
+  constructor({ apiKey = process.env.REACT_APP_DEXHUNTER_PARTNER_ID, client = getDexhunterClient() } = {}) {
+    this.name = 'dexhunter';
+    this.apiKey = apiKey;
+    this.client = client;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Issue a GET request and return the response body
+   * @param {string} url - Endpoint path
+   * @returns {Promise<*>} Response data
+   */
+  async get(url) {
+    if (!this.apiKey) {
+      throw new Error('DexHunter API key not configured');
+    }
+
+    const response = await this.client.get(url);
+    return response.data;
+  }
+
+  /**
+   * Get the liquidity pools for a pair
+   * @param {string} tokenId - Token ID
+   * @param {string} [quoteId='ADA'] - Quote asset
+   * @returns {Promise<Array>} Pools with token_1_amount/token_2_amount reserves
+   */
+  async getPools(tokenId, quoteId = 'ADA') {
+    return this.get(`/stats/pools/${quoteId}/${tokenId}`);
+  }
+
+  /**
+   * Get token metadata (ticker, decimals, policy, supply, creation date)
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Token info
+   */
+  async getTokenInfo(tokenId) {
+    return this.get(`/swap/token/${tokenId}`);
+  }
+
+  /**
+   * Get the average swap price between two assets
+   * @param {string} tokenIn - First asset
+   * @param {string} tokenOut - Second asset
+   * @returns {Promise<Object>} Object with price_ab/price_ba
+   */
+  async getAveragePrice(tokenIn, tokenOut) {
+    return this.get(`/swap/averagePrice/${tokenIn}/${tokenOut}`);
+  }
+
+  /**
+   * Get the current token price
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Object with price
+   */
+  async getTokenPrice(tokenId) {
+    return this.get(`/swap/tokenPrice/${tokenId}`);
+  }
+
+  /**
+   * Get 24h trading volume for a token
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Object with volume_in_lovelace, volume_in_token and order_count
+   */
+  async getTokenVolume(tokenId) {
+    return this.get(`/swap/tokenVolume/${tokenId}`);
+  }
+
+  /**
+   * Get a page of global orders
+   * @param {Object} query - globalOrders request body (page, perPage, filters, sorting)
+   * @returns {Promise<Object>} Object with an orders array
+   */
+  async getGlobalOrders(query) {
+    if (!this.apiKey) {
+      throw new Error('DexHunter API key not configured');
+    }
+
+    const response = await this.client.post('/swap/globalOrders', query);
+    return response.data;
+  }
+}
+
+module.exports = DexHunterProvider;
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Market data provider backed by local files
+ *
+ * Fixtures are plain JSON files under the fixtures directory:
+ *   pools/<quoteId>_<tokenId>.json         array of pools
+ *   token_info/<tokenId>.json              token info object
+ *   average_price/<tokenIn>_<tokenOut>.json average price object
+ *   token_price/<tokenId>.json             token price object
+ *   global_orders.json                     { orders: [...] }
+ * Token info and volume also fall back to the last fixed_token_volumes.json snapshot.
+ * Methods resolve to null when there is no data for the request.
+ */
+class FileProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixturesDir] - Directory holding fixture files
+   * @param {string} [options.volumeDataPath] - Volume snapshot used for token info and volume
+   */
+  constructor({
+    fixturesDir = process.env.MARKET_DATA_FIXTURES_DIR || path.join(process.cwd(), 'token_data/fixtures'),
+    volumeDataPath = path.join(process.cwd(), 'fixed_token_volumes.json')
+  } = {}) {
+    this.name = 'file';
+    // Serves snapshots, not live data (see ProviderChain.isConfigured)
+    this.offline = true;
+    this.fixturesDir = fixturesDir;
+    this.volumeDataPath = volumeDataPath;
+    this.volumeSnapshot = null;
+    this.volumeSnapshotMtime = null;
+  }
+
+  /**
+   * Whether there is any local data to serve
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return fs.existsSync(this.fixturesDir) || fs.existsSync(this.volumeDataPath);
+  }
+
+  /**
+   * Read a fixture file
+   * @param {...string} parts - Path segments relative to the fixtures directory
+   * @returns {*} Parsed JSON or null if the file does not exist
+   */
+  readFixture(...parts) {
+    const filePath = path.join(this.fixturesDir, ...parts);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Find a token in the volume snapshot, reloading it when the file changes
+   * @param {string} tokenId - Token ID
+   * @returns {Object|null} Volume entry
+   */
+  findVolumeEntry(tokenId) {
+    if (!fs.existsSync(this.volumeDataPath)) {
+      return null;
+    }
+
+    const mtime = fs.statSync(this.volumeDataPath).mtimeMs;
+    if (!this.volumeSnapshot || this.volumeSnapshotMtime !== mtime) {
+      this.volumeSnapshot = JSON.parse(fs.readFileSync(this.volumeDataPath, 'utf8'));
+      this.volumeSnapshotMtime = mtime;
+    }
+
+    const tokens = Array.isArray(this.volumeSnapshot.tokens) ? this.volumeSnapshot.tokens : [];
+    return tokens.find(token => token.tokenId === tokenId) || null;
+  }
+
+  /**
+   * Get pools from pools/<quoteId>_<tokenId>.json
+   * @returns {Promise<Array|null>}
+   */
+  async getPools(tokenId, quoteId = 'ADA') {
+    return this.readFixture('pools', `${quoteId}_${tokenId}.json`);
+  }
+
+  /**
+   * Get token info from a fixture or the volume snapshot
+   * @returns {Promise<Object|null>}
+   */
+  async getTokenInfo(tokenId) {
+    const fixture = this.readFixture('token_info', `${tokenId}.json`);
+    if (fixture) {
+      return fixture;
+    }
+
+    const entry = this.findVolumeEntry(tokenId);
+    return entry && entry.tokenInfo ? entry.tokenInfo : null;
+  }
+
+  /**
+   * Get an average price from average_price/<tokenIn>_<tokenOut>.json
+   * @returns {Promise<Object|null>}
+   */
+  async getAveragePrice(tokenIn, tokenOut) {
+    return this.readFixture('average_price', `${tokenIn}_${tokenOut}.json`);
+  }
+
+  /**
+   * Get a token price from token_price/<tokenId>.json
+   * @returns {Promise<Object|null>}
+   */
+  async getTokenPrice(tokenId) {
+    return this.readFixture('token_price', `${tokenId}.json`);
+  }
+
+  /**
+   * Get token volume from the volume snapshot
+   * @returns {Promise<Object|null>}
+   */
+  async getTokenVolume(tokenId) {
+    const entry = this.findVolumeEntry(tokenId);
+
+    if (!entry) {
+      return null;
+    }
+
+    // Match the DexHunter tokenVolume response shape
+    return {
+      volume_in_lovelace: Math.round((entry.volumeInAda || 0) * 1000000),
+      volume_in_token: entry.volumeInToken || 0,
+      order_count: entry.orderCount || 0
+    };
+  }
+
+  /**
+   * Get a page of orders from global_orders.json
+   * @returns {Promise<Object|null>}
+   */
+  async getGlobalOrders({ page = 0, perPage = 50 } = {}) {
+    const fixture = this.readFixture('global_orders.json');
+
+    if (!fixture) {
+      return null;
+    }
+
+    const orders = Array.isArray(fixture.orders) ? fixture.orders : [];
+    return {
+      orders: orders.slice(page * perPage, (page + 1) * perPage)
+    };
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,56 @@
+const DexHunterProvider = require('./dexhunterProvider');
+const FileProvider = require('./fileProvider');
+const { ProviderChain, PROVIDER_METHODS } = require('./providerChain');
+
+// Available provider implementations by name
+const PROVIDERS = {
+  dexhunter: DexHunterProvider,
+  file: FileProvider
+};
+
+// Default fallback order, overridable with MARKET_DATA_PROVIDERS=dexhunter,file
+const DEFAULT_PROVIDER_ORDER = 'dexhunter,file';
+
+let defaultChain = null;
+
+/**
+ * Create a provider chain from provider names
+ * @param {Array<string>|string} names - Provider names in priority order
+ * @returns {ProviderChain} Provider chain
+ */
+function createProviderChain(names) {
+  const list = (Array.isArray(names) ? names : String(names).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = list.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown market data provider: ${name}`);
+    }
+    return new Provider();
+  });
+
+  return new ProviderChain(providers);
+}
+
+/**
+ * Get the process-wide market data provider chain
+ * @returns {ProviderChain} Provider chain
+ */
+function getMarketDataProvider() {
+  if (!defaultChain) {
+    defaultChain = createProviderChain(process.env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDER_ORDER);
+    console.log(`Market data providers: ${defaultChain.names.join(' -> ')}`);
+  }
+  return defaultChain;
+}
+
+module.exports = {
+  getMarketDataProvider,
+  createProviderChain,
+  ProviderChain,
+  DexHunterProvider,
+  FileProvider,
+  PROVIDER_METHODS
+};
@@ -0,0 +1,125 @@
+/**
+ * Methods every market data provider implements.
+ * Each resolves to the DexHunter response shape, resolves to null when the
+ * provider has no data for the request, and rejects when the source failed.
+ */
+const PROVIDER_METHODS = [
+  'getPools',
+  'getTokenInfo',
+  'getAveragePrice',
+  'getTokenPrice',
+  'getTokenVolume',
+  'getGlobalOrders'
+];
+
+/**
+ * Ordered fallback chain over market data providers.
+ * A call is served by the first provider that returns data; providers that
+ * fail or have nothing are skipped. If no provider returns data and at least
+ * one of them failed, the last error is rethrown so callers can tell an
+ * outage apart from an empty answer.
+ */
+class ProviderChain {
+  /**
+   * @param {Array<Object>} providers - Providers in priority order
+   */
+  constructor(providers) {
+    this.providers = providers;
+    this.names = providers.map(provider => provider.name);
+    this.stats = {};
+
+    PROVIDER_METHODS.forEach(method => {
+      this[method] = (...args) => this.call(method, args);
+    });
+  }
+
+  /**
+   * Whether the chain can serve live data
+   * Offline providers (offline: true, like the file provider) only count in a chain made of
+   * offline providers alone, i.e. when they were chosen explicitly for offline or test runs;
+   * as a fallback behind a live provider they cannot stand in for it.
+   * @returns {boolean}
+   */
+  isConfigured() {
+    const usable = provider => !provider.isConfigured || provider.isConfigured();
+    const live = this.providers.filter(provider => !provider.offline);
+    return live.length > 0 ? live.some(usable) : this.providers.some(usable);
+  }
+
+  /**
+   * Record the outcome of a provider call
+   * @param {string} method - Provider method
+   * @param {string} name - Provider name
+   * @param {string} outcome - served, empty or failed
+   */
+  record(method, name, outcome) {
+    if (!this.stats[method]) {
+      this.stats[method] = {};
+    }
+    if (!this.stats[method][name]) {
+      this.stats[method][name] = { served: 0, empty: 0, failed: 0 };
+    }
+    this.stats[method][name][outcome]++;
+  }
+
+  /**
+   * Call a method on each provider in order until one returns data
+   * @param {string} method - Provider method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<*>} First non-null result, or null
+   */
+  async call(method, args) {
+    return (await this.serve(method, ...args)).data;
+  }
+
+  /**
+   * Call a method like call(), also telling which provider served the result
+   * @param {string} method - Provider method
+   * @param {...*} args - Method arguments
+   * @returns {Promise<{data: *, provider: string|null, offline: boolean}>} Result and the name of the
+   *          provider that served it (null when every provider was empty), offline for snapshot providers
+   */
+  async serve(method, ...args) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      if (typeof provider[method] !== 'function') {
+        continue;
+      }
+
+      try {
+        const result = await provider[method](...args);
+
+        if (result !== null && result !== undefined) {
+          this.record(method, provider.name, 'served');
+          return { data: result, provider: provider.name, offline: !!provider.offline };
+        }
+
+        this.record(method, provider.name, 'empty');
+      } catch (error) {
+        this.record(method, provider.name, 'failed');
+        console.error(`Provider ${provider.name} failed on ${method}: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+
+    return { data: null, provider: null, offline: false };
+  }
+
+  /**
+   * Get per-method call outcomes for each provider
+   * @returns {Object} Stats keyed by method, then provider name
+   */
+  getStats() {
+    return JSON.parse(JSON.stringify(this.stats));
+  }
+}
+
+module.exports = {
+  ProviderChain,
+  PROVIDER_METHODS
+};
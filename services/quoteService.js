@@ -0,0 +1,242 @@
+require('dotenv').config();
+const tokenService = require('./tokenService');
+
+// Swap fee charged on the input amount, by DEX as reported in pool data
+const DEX_FEES = {
+  MINSWAP: 0.003,
+  MINSWAPV2: 0.003,
+  SUNDAESWAP: 0.003,
+  SUNDAESWAPV3: 0.003,
+  WINGRIDERS: 0.0035,
+  WINGRIDERSV2: 0.0035,
+  SPLASH: 0.003,
+  SPECTRUM: 0.003,
+  MUESLISWAP: 0.003,
+  VYFI: 0.003,
+  CSWAP: 0.0085
+};
+
+// Fee assumed for DEXes missing from the table
+const DEFAULT_DEX_FEE = 0.003;
+
+// Bisection steps when equalizing marginal rates across pools
+const SPLIT_ITERATIONS = 200;
+
+/**
+ * Get the swap fee of a DEX
+ * @param {string} dex - DEX name
+ * @returns {number} Fee as a fraction of the input amount
+ */
+function getDexFee(dex) {
+  const fee = DEX_FEES[(dex || '').toUpperCase()];
+  return fee !== undefined ? fee : DEFAULT_DEX_FEE;
+}
+
+/**
+ * Output of a constant-product swap
+ * @param {number} reserveIn - Pool reserve of the input asset
+ * @param {number} reserveOut - Pool reserve of the output asset
+ * @param {number} amountIn - Input amount
+ * @param {number} fee - Fee on the input amount
+ * @returns {number} Output amount
+ */
+function swapOutput(reserveIn, reserveOut, amountIn, fee) {
+  const netIn = amountIn * (1 - fee);
+  return netIn > 0 ? (reserveOut * netIn) / (reserveIn + netIn) : 0;
+}
+
+/**
+ * Split an input amount across constant-product pools to maximize total output
+ * At the optimum every pool that receives input ends at the same marginal rate, so the rate is
+ * found by bisection and each pool's share follows from it in closed form.
+ * @param {Array} pools - Pools with { reserveIn, reserveOut, fee }
+ * @param {number} amountIn - Total input amount
+ * @returns {Array<number>} Input amount per pool, in the order given
+ */
+function optimalSplit(pools, amountIn) {
+  if (pools.length === 0 || amountIn <= 0) {
+    return pools.map(() => 0);
+  }
+
+  // Input a pool takes before its marginal output rate drops to rate
+  const allocate = rate => pools.map(pool => {
+    const gamma = 1 - pool.fee;
+    const amount = (Math.sqrt((gamma * pool.reserveIn * pool.reserveOut) / rate) - pool.reserveIn) / gamma;
+    return Math.max(amount, 0);
+  });
+  const total = amounts => amounts.reduce((sum, amount) => sum + amount, 0);
+
+  // Rates are searched on a log scale between the best starting rate and far below it
+  let high = Math.max(...pools.map(pool => ((1 - pool.fee) * pool.reserveOut) / pool.reserveIn));
+  let low = high;
+  while (total(allocate(low)) < amountIn) {
+    low /= 2;
+  }
+
+  for (let i = 0; i < SPLIT_ITERATIONS; i++) {
+    const mid = Math.sqrt(low * high);
+    if (total(allocate(mid)) > amountIn) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  // Scale away the remaining bisection error so the legs add up to the requested amount
+  const amounts = allocate(low);
+  const sum = total(amounts);
+  return amounts.map(amount => (sum > 0 ? (amount * amountIn) / sum : 0));
+}
+
+/**
+ * Simulate a buy or sell against a token's pools
+ * Prices are in ADA per token. Price impact excludes fees: it compares the price paid on the
+ * input left after fees with the best pre-trade pool price (lowest for buys, highest for sells).
+ * @param {Array} pools - Pools with { dex, pool_id, ada_reserve, token_reserve }
+ * @param {Object} trade
+ * @param {string} trade.side - 'buy' (ADA in) or 'sell' (token in)
+ * @param {number} trade.amount - Input amount, in ADA for buys and whole tokens for sells
+ * @returns {Object} Quote with the optimal split and the best single pool for comparison
+ */
+function simulateQuote(pools, { side, amount }) {
+  const buy = side === 'buy';
+  const legs = pools.map(pool => ({
+    pool,
+    fee: getDexFee(pool.dex),
+    reserveIn: buy ? pool.ada_reserve : pool.token_reserve,
+    reserveOut: buy ? pool.token_reserve : pool.ada_reserve
+  }));
+
+  // ADA per token, for a given ADA and token amount
+  const priceOf = (ada, tokens) => (tokens > 0 ? ada / tokens : null);
+  const poolPrices = pools.map(pool => priceOf(pool.ada_reserve, pool.token_reserve)).filter(price => price);
+  const referencePrice = poolPrices.length > 0 ? (buy ? Math.min(...poolPrices) : Math.max(...poolPrices)) : null;
+  const impactOf = (netIn, out) => {
+    const price = buy ? priceOf(netIn, out) : priceOf(out, netIn);
+    if (!price || !referencePrice) {
+      return null;
+    }
+    return buy ? (price / referencePrice - 1) * 100 : (1 - price / referencePrice) * 100;
+  };
+
+  const amounts = optimalSplit(legs, amount);
+  let amountOut = 0;
+  let netIn = 0;
+  let feesPaid = 0;
+
+  const split = legs
+    .map((leg, index) => {
+      const amountIn = amounts[index];
+      const out = swapOutput(leg.reserveIn, leg.reserveOut, amountIn, leg.fee);
+      const adaAfter = leg.pool.ada_reserve + (buy ? amountIn : -out);
+      const tokenAfter = leg.pool.token_reserve + (buy ? -out : amountIn);
+
+      amountOut += out;
+      netIn += amountIn * (1 - leg.fee);
+      feesPaid += amountIn * leg.fee;
+
+      return {
+        dex: leg.pool.dex,
+        pool_id: leg.pool.pool_id,
+        amount_in: amountIn,
+        share: amount > 0 ? amountIn / amount : 0,
+        amount_out: out,
+        fee_rate: leg.fee,
+        fee_paid: amountIn * leg.fee,
+        effective_price: buy ? priceOf(amountIn, out) : priceOf(out, amountIn),
+        price_before: priceOf(leg.pool.ada_reserve, leg.pool.token_reserve),
+        price_after: priceOf(adaAfter, tokenAfter)
+      };
+    })
+    .filter(leg => leg.amount_in > 0)
+    .sort((a, b) => b.amount_in - a.amount_in);
+
+  // The same trade routed entirely through the single pool that returns the most
+  let bestSinglePool = null;
+  legs.forEach(leg => {
+    const out = swapOutput(leg.reserveIn, leg.reserveOut, amount, leg.fee);
+    if (!bestSinglePool || out > bestSinglePool.amount_out) {
+      bestSinglePool = {
+        dex: leg.pool.dex,
+        pool_id: leg.pool.pool_id,
+        amount_out: out,
+        effective_price: buy ? priceOf(amount, out) : priceOf(out, amount),
+        price_impact_pct: impactOf(amount * (1 - leg.fee), out)
+      };
+    }
+  });
+
+  return {
+    amount_out: amountOut,
+    reference_price: referencePrice,
+    effective_price: buy ? priceOf(amount, amountOut) : priceOf(amountOut, amount),
+    price_impact_pct: impactOf(netIn, amountOut),
+    fees_paid: feesPaid,
+    split,
+    best_single_pool: bestSinglePool
+  };
+}
+
+/**
+ * Service that estimates swap output and price impact from a token's pool reserves
+ *
+ * Quotes route through the pools the token's price is computed from; pools excluded from
+ * pricing (empty or mispriced) are left out. Reserves come from the pool breakdown of the
+ * published snapshot, or from a live fetch.
+ */
+class QuoteService {
+  /**
+   * Quote a swap for a token
+   * @param {string} tokenId - Token ID
+   * @param {Object} options
+   * @param {string} options.side - 'buy' or 'sell'
+   * @param {number} options.amount - ADA to spend for buys, tokens to sell for sells
+   * @param {boolean} [options.live] - Quote against live reserves instead of the snapshot
+   * @returns {Promise<Object|null>} Quote, or null if the token is unknown
+   */
+  async getQuote(tokenId, { side, amount, live = false }) {
+    const breakdown = await tokenService.getTokenPools(tokenId, { live });
+    if (!breakdown) {
+      return null;
+    }
+
+    const pools = breakdown.pools.filter(pool => !pool.excluded && pool.ada_reserve > 0 && pool.token_reserve > 0);
+    if (pools.length === 0) {
+      const error = new Error(`No priced liquidity pools to quote ${tokenId} against`);
+      error.code = 'NO_LIQUIDITY';
+      throw error;
+    }
+
+    const quote = simulateQuote(pools, { side, amount });
+
+    return {
+      token_id: tokenId,
+      ticker: breakdown.ticker,
+      side,
+      amount_in: amount,
+      amount_in_unit: side === 'buy' ? 'ADA' : 'token',
+      amount_out: quote.amount_out,
+      amount_out_unit: side === 'buy' ? 'token' : 'ADA',
+      spot_price: breakdown.weighted_price,
+      reference_price: quote.reference_price,
+      effective_price: quote.effective_price,
+      price_impact_pct: quote.price_impact_pct,
+      fees_paid: quote.fees_paid,
+      split: quote.split,
+      best_single_pool: quote.best_single_pool,
+      pool_count: pools.length,
+      excluded_pool_count: breakdown.pools.length - pools.length,
+      decimals: breakdown.decimals,
+      source: breakdown.source,
+      computed_at: breakdown.computed_at
+    };
+  }
+}
+
+module.exports = new QuoteService();
+module.exports.QuoteService = QuoteService;
+module.exports.DEX_FEES = DEX_FEES;
+module.exports.getDexFee = getDexFee;
+module.exports.swapOutput = swapOutput;
+module.exports.optimalSplit = optimalSplit;
+module.exports.simulateQuote = simulateQuote;
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config();
+const stateStore = require('./stateStore');
+
+// Currencies ADA amounts can be denominated in
+const SUPPORTED_CURRENCIES = ['usd', 'eur'];
+
+// State key of the stored rates
+const RATES_KEY = 'rates:ada';
+
+// Default source fallback order, overridable with RATE_SOURCES=coingecko,file
+const DEFAULT_RATE_SOURCES = 'coingecko,file';
+
+// Token fields holding ADA amounts
+const MONETARY_FIELDS = ['price', 'market_cap', 'fdv', 'liquidity', 'tvl', 'volume'];
+
+// Token statistics that stay in ADA when converted: range buckets counting tokens between ADA boundaries
+const STATS_ADA_FIELDS = ['market_cap_ranges', 'liquidity_ranges', 'volume.volume_ranges', 'volume.total_volume_in_ada'];
+
+/**
+ * Reference rate source backed by a local file
+ *
+ * The file holds the price of one ADA per currency:
+ *   { "timestamp": "2025-04-14T00:00:00.000Z", "rates": { "usd": 0.62, "eur": 0.55 } }
+ * Its rates are offline: they are served as stale and never stop the live sources from being retried.
+ */
+class FileRateSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Rates file
+   */
+  constructor({ filePath = process.env.RATES_FIXTURE_PATH || path.join(process.cwd(), 'token_data', 'fixtures', 'ada_rates.json') } = {}) {
+    this.name = 'file';
+    this.offline = true;
+    this.filePath = filePath;
+  }
+
+  /**
+   * Whether the rates file exists
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read the rates
+   * @returns {Promise<{timestamp: string, rates: Object<string, number>}>}
+   */
+  async getRates() {
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return {
+      timestamp: data.timestamp || fs.statSync(this.filePath).mtime.toISOString(),
+      rates: data.rates || {}
+    };
+  }
+}
+
+/**
+ * Reference rate source backed by the CoinGecko simple price API
+ */
+class CoinGeckoRateSource {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API base URL
+   * @param {Object} [options.client] - HTTP client
+   * @param {Array<string>} [options.currencies] - Currencies to fetch the ADA price in
+   */
+  constructor({ baseUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3', client = axios, currencies = SUPPORTED_CURRENCIES } = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = baseUrl;
+    this.client = client;
+    this.currencies = currencies;
+  }
+
+  /**
+   * The public API needs no credentials
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Fetch the current ADA rates
+   * @returns {Promise<{timestamp: string, rates: Object<string, number>}>}
+   */
+  async getRates() {
+    const response = await this.client.get(`${this.baseUrl}/simple/price`, {
+      params: { ids: 'cardano', vs_currencies: this.currencies.join(','), include_last_updated_at: true },
+      timeout: 10000
+    });
+
+    const data = response.data && response.data.cardano;
+    if (!data) {
+      throw new Error('CoinGecko returned no ADA price');
+    }
+
+    const rates = {};
+    this.currencies.forEach(currency => {
+      if (typeof data[currency] === 'number') {
+        rates[currency] = data[currency];
+      }
+    });
+
+    return {
+      timestamp: data.last_updated_at ? new Date(data.last_updated_at * 1000).toISOString() : new Date().toISOString(),
+      rates
+    };
+  }
+}
+
+// Available rate sources by name
+const RATE_SOURCES = {
+  coingecko: CoinGeckoRateSource,
+  file: FileRateSource
+};
+
+/**
+ * Convert the ADA amounts of a token to another currency
+ * @param {Object} token - Token as returned by the token service
+ * @param {Object} rate - Rate from getRate
+ * @returns {Object} Converted copy with the currency and the rate applied
+ */
+function convertToken(token, rate) {
+  const converted = { ...token };
+  MONETARY_FIELDS.forEach(field => {
+    if (typeof converted[field] === 'number') {
+      converted[field] = converted[field] * rate.rate;
+    }
+  });
+
+  if (token.tvl_breakdown) {
+    const tvl = token.tvl_breakdown;
+    converted.tvl_breakdown = {
+      ...tvl,
+      tvl: tvl.tvl * rate.rate,
+      ada_side: tvl.ada_side * rate.rate,
+      token_side: tvl.token_side * rate.rate,
+      price_used: tvl.price_used * rate.rate,
+      // Reserves and fields named *_ada stay in their own units
+      pools: (tvl.pools || []).map(pool => ({ ...pool, tvl: pool.tvl * rate.rate })),
+      by_dex: Object.fromEntries(Object.entries(tvl.by_dex || {}).map(([dex, entry]) => [dex, { ...entry, tvl: entry.tvl * rate.rate }]))
+    };
+  }
+
+  if (token.trade_price) {
+    const trade = token.trade_price;
+    converted.trade_price = {
+      ...trade,
+      vwap: trade.vwap === null ? null : trade.vwap * rate.rate,
+      twap: trade.twap === null ? null : trade.twap * rate.rate
+    };
+  }
+
+  converted.currency = rate.currency;
+  converted.exchange_rate = describeRate(rate);
+  return converted;
+}
+
+/**
+ * Convert the ADA amounts of the token statistics to another currency
+ * The total volume is the only amount; the range buckets keep their ADA boundaries and are
+ * listed in ada_fields with the original ADA total.
+ * @param {Object} stats - Statistics from getTokenStats
+ * @param {Object} rate - Rate from getRate
+ * @returns {Object} Converted copy with the currency, the rate applied and the fields left in ADA
+ */
+function convertStats(stats, rate) {
+  const converted = { ...stats };
+  if (stats.volume) {
+    converted.volume = { ...stats.volume, total_volume: (stats.volume.total_volume_in_ada || 0) * rate.rate };
+  }
+  converted.currency = rate.currency;
+  converted.exchange_rate = describeRate(rate);
+  converted.ada_fields = STATS_ADA_FIELDS;
+  return converted;
+}
+
+/**
+ * Describe the rate applied to a response
+ * @param {Object} rate - Rate from getRate
+ * @returns {Object} Rate, its timestamp and source
+ */
+function describeRate(rate) {
+  return {
+    pair: `ADA/${rate.currency.toUpperCase()}`,
+    rate: rate.rate,
+    timestamp: rate.timestamp,
+    source: rate.source,
+    stale: rate.stale
+  };
+}
+
+/**
+ * Service that stores ADA reference rates and converts ADA amounts with them
+ *
+ * Rates come from the first source in RATE_SOURCES that answers and are stored with their
+ * timestamp in token_data/reference_rates.json (the state store on Vercel). Rates older than
+ * RATE_MAX_AGE_MS are refreshed on use; if every source fails the last stored rate is served
+ * and marked stale, and no refresh is tried again for RATE_RETRY_MS. Rates of an offline source
+ * such as the file are always stale and count as a failed refresh.
+ */
+class RateService {
+  constructor() {
+    this.dataPath = path.join(process.cwd(), 'token_data', 'reference_rates.json');
+    this.maxAgeMs = parseInt(process.env.RATE_MAX_AGE_MS) || 15 * 60 * 1000;
+    this.retryAfterMs = parseInt(process.env.RATE_RETRY_MS) || 60 * 1000;
+    this.nextRefreshAt = 0;
+    this.sources = (process.env.RATE_SOURCES || DEFAULT_RATE_SOURCES)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        const Source = RATE_SOURCES[name];
+        if (!Source) {
+          throw new Error(`Unknown rate source: ${name}`);
+        }
+        return new Source();
+      });
+  }
+
+  /**
+   * Get the stored rates
+   * @returns {Promise<Object>} Rates ({ updated_at, rates: { currency: { rate, timestamp, source, fetched_at } } })
+   */
+  async getStoredRates() {
+    try {
+      return await stateStore.readJson(RATES_KEY, this.dataPath, { updated_at: null, rates: {} });
+    } catch (error) {
+      console.error('Error reading reference rates:', error.message);
+    }
+    return { updated_at: null, rates: {} };
+  }
+
+  /**
+   * Fetch rates from the first source that answers and store them
+   * @returns {Promise<Object>} Stored rates
+   */
+  async refreshRates() {
+    const errors = [];
+
+    for (const source of this.sources) {
+      if (!source.isConfigured()) {
+        continue;
+      }
+
+      try {
+        const { timestamp, rates } = await source.getRates();
+        const stored = await this.getStoredRates();
+        const fetchedAt = new Date().toISOString();
+
+        Object.entries(rates).forEach(([currency, rate]) => {
+          if (SUPPORTED_CURRENCIES.includes(currency) && rate > 0) {
+            stored.rates[currency] = { rate, timestamp, source: source.name, fetched_at: fetchedAt, offline: !!source.offline };
+          }
+        });
+        stored.updated_at = fetchedAt;
+
+        await stateStore.writeJson(RATES_KEY, this.dataPath, stored);
+
+        console.log(`Reference rates updated from ${source.name}: ${Object.keys(rates).join(', ')}`);
+        return stored;
+      } catch (error) {
+        errors.push(`${source.name}: ${error.message}`);
+        console.error(`Error fetching reference rates from ${source.name}:`, error.message);
+      }
+    }
+
+    throw new Error(`No reference rate source succeeded${errors.length ? ` (${errors.join('; ')})` : ''}`);
+  }
+
+  /**
+   * Get the ADA rate for a currency, refreshing it when it is missing or old
+   * @param {string} currency - Currency code (usd, eur)
+   * @returns {Promise<{currency: string, rate: number, timestamp: string, source: string, stale: boolean}>}
+   */
+  async getRate(currency) {
+    currency = String(currency).toLowerCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      const error = new Error(`Unsupported currency: ${currency} (supported: ada, ${SUPPORTED_CURRENCIES.join(', ')})`);
+      error.code = 'UNSUPPORTED_CURRENCY';
+      throw error;
+    }
+
+    let stored = await this.getStoredRates();
+    let entry = stored.rates[currency];
+    const isFresh = candidate => !!candidate && !candidate.offline && Date.now() - Date.parse(candidate.fetched_at) < this.maxAgeMs;
+
+    // After a failed refresh the sources are left alone until the backoff ends
+    if (!isFresh(entry) && Date.now() >= this.nextRefreshAt) {
+      try {
+        stored = await this.refreshRates();
+        entry = stored.rates[currency] || entry;
+        this.nextRefreshAt = entry && entry.offline ? Date.now() + this.retryAfterMs : 0;
+      } catch (error) {
+        this.nextRefreshAt = Date.now() + this.retryAfterMs;
+        console.error(`Using stored ${currency} rate:`, error.message);
+      }
+    }
+
+    if (!entry) {
+      const error = new Error(`No ADA/${currency.toUpperCase()} rate available`);
+      error.code = 'RATE_UNAVAILABLE';
+      throw error;
+    }
+
+    return {
+      currency,
+      rate: entry.rate,
+      timestamp: entry.timestamp,
+      source: entry.source,
+      stale: !isFresh(entry)
+    };
+  }
+}
+
+module.exports = new RateService();
+module.exports.RateService = RateService;
+module.exports.FileRateSource = FileRateSource;
+module.exports.CoinGeckoRateSource = CoinGeckoRateSource;
+module.exports.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+module.exports.convertToken = convertToken;
+module.exports.convertStats = convertStats;
+module.exports.STATS_ADA_FIELDS = STATS_ADA_FIELDS;
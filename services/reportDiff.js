@@ -0,0 +1,223 @@
+/**
+ * Structured comparison of two market cap reports
+ */
+
+// Percentage moves below these are reported as noise and left out of the diff
+const DEFAULT_DIFF_THRESHOLDS = {
+  pricePct: parseFloat(process.env.DIFF_PRICE_THRESHOLD_PCT) || 10,
+  marketCapPct: parseFloat(process.env.DIFF_MCAP_THRESHOLD_PCT) || 10
+};
+
+/**
+ * Percentage change between two values
+ * @param {number} from - Old value
+ * @param {number} to - New value
+ * @returns {number|null} Change in percent, or null when the old value is zero or missing
+ */
+function percentChange(from, to) {
+  if (!from || !isFinite(from) || !isFinite(to)) {
+    return null;
+  }
+  return ((to - from) / Math.abs(from)) * 100;
+}
+
+/**
+ * Index a report's valid token list by token ID with 1-based ranks
+ * @param {Object} report - Market cap report
+ * @returns {Map<string, {rank: number, token: Object}>}
+ */
+function rankValidTokens(report) {
+  const ranked = new Map();
+  const tokens = (report && report.top_tokens_by_market_cap_valid) || [];
+
+  tokens.forEach((token, index) => {
+    if (token && token.token_id) {
+      ranked.set(token.token_id, { rank: index + 1, token });
+    }
+  });
+  return ranked;
+}
+
+/**
+ * Explain why a token is no longer in the valid list
+ * @param {Object|undefined} record - The token's new enhanced record
+ * @returns {string} Reason code
+ */
+function leaveReason(record) {
+  if (!record) return 'not_in_run';
+  if (record.error) return 'enrichment_failed';
+  if (!(record.market_cap > 0)) return 'no_market_cap';
+  return 'trust_below_threshold';
+}
+
+/**
+ * Compare the reasons of two penalty or bonus lists
+ * @param {Array} before - Old entries ({ reason, points })
+ * @param {Array} after - New entries
+ * @returns {{added: Array, removed: Array}}
+ */
+function diffAdjustments(before = [], after = []) {
+  const beforeReasons = new Set(before.map(entry => entry.reason));
+  const afterReasons = new Set(after.map(entry => entry.reason));
+
+  return {
+    added: after.filter(entry => !beforeReasons.has(entry.reason)),
+    removed: before.filter(entry => !afterReasons.has(entry.reason))
+  };
+}
+
+/**
+ * Build a structured diff between the published report and a candidate report
+ * @param {Object} baseReport - Currently published report
+ * @param {Object} candidateReport - Newly computed report
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.baseTokens] - Every published enhanced record by token ID
+ * @param {Object<string, Object>} [options.candidateTokens] - Every new enhanced record by token ID
+ * @param {number} [options.pricePct] - Minimum price change to report, in percent
+ * @param {number} [options.marketCapPct] - Minimum market cap change to report, in percent
+ * @returns {Object} Diff with entered/left tokens, rank moves, price and market cap deltas and trust transitions
+ */
+function diffReports(baseReport, candidateReport, {
+  baseTokens,
+  candidateTokens,
+  pricePct = DEFAULT_DIFF_THRESHOLDS.pricePct,
+  marketCapPct = DEFAULT_DIFF_THRESHOLDS.marketCapPct
+} = {}) {
+  const before = rankValidTokens(baseReport);
+  const after = rankValidTokens(candidateReport);
+
+  // Without full record sets, trust changes can only be seen for tokens in the valid lists
+  const baseRecords = baseTokens || Object.fromEntries([...before].map(([id, entry]) => [id, entry.token]));
+  const candidateRecords = candidateTokens || Object.fromEntries([...after].map(([id, entry]) => [id, entry.token]));
+
+  const entered = [];
+  const left = [];
+  const rankChanges = [];
+  const priceChanges = [];
+  const marketCapChanges = [];
+  const trustTransitions = [];
+
+  after.forEach(({ rank, token }, tokenId) => {
+    if (!before.has(tokenId)) {
+      entered.push({
+        token_id: tokenId,
+        ticker: token.ticker,
+        rank,
+        market_cap: token.market_cap,
+        price: token.price,
+        trust_level: token.trust_assessment ? token.trust_assessment.level : null
+      });
+      return;
+    }
+
+    const previous = before.get(tokenId);
+    if (previous.rank !== rank) {
+      rankChanges.push({
+        token_id: tokenId,
+        ticker: token.ticker,
+        from: previous.rank,
+        to: rank,
+        change: previous.rank - rank
+      });
+    }
+  });
+
+  before.forEach(({ rank, token }, tokenId) => {
+    if (!after.has(tokenId)) {
+      const record = candidateRecords[tokenId];
+      left.push({
+        token_id: tokenId,
+        ticker: token.ticker,
+        previous_rank: rank,
+        previous_market_cap: token.market_cap,
+        market_cap: record ? record.market_cap : null,
+        reason: leaveReason(record)
+      });
+    }
+  });
+
+  Object.entries(candidateRecords).forEach(([tokenId, record]) => {
+    const previous = baseRecords[tokenId];
+    if (!previous || !record || record.error) {
+      return;
+    }
+
+    const priceChangePct = percentChange(previous.price, record.price);
+    if (priceChangePct !== null && Math.abs(priceChangePct) >= pricePct) {
+      priceChanges.push({
+        token_id: tokenId,
+        ticker: record.ticker,
+        from: previous.price,
+        to: record.price,
+        change_pct: priceChangePct
+      });
+    }
+
+    const marketCapChangePct = percentChange(previous.market_cap, record.market_cap);
+    if (marketCapChangePct !== null && Math.abs(marketCapChangePct) >= marketCapPct) {
+      marketCapChanges.push({
+        token_id: tokenId,
+        ticker: record.ticker,
+        from: previous.market_cap,
+        to: record.market_cap,
+        change_pct: marketCapChangePct
+      });
+    }
+
+    const oldTrust = previous.trust_assessment;
+    const newTrust = record.trust_assessment;
+    if (oldTrust && newTrust && oldTrust.level !== newTrust.level) {
+      const penalties = diffAdjustments(oldTrust.penalties, newTrust.penalties);
+      const bonuses = diffAdjustments(oldTrust.bonuses, newTrust.bonuses);
+      trustTransitions.push({
+        token_id: tokenId,
+        ticker: record.ticker,
+        from: { level: oldTrust.level, score: oldTrust.score },
+        to: { level: newTrust.level, score: newTrust.score },
+        penalties_added: penalties.added,
+        penalties_removed: penalties.removed,
+        bonuses_added: bonuses.added,
+        bonuses_removed: bonuses.removed
+      });
+    }
+  });
+
+  const byMagnitude = key => (a, b) => Math.abs(b[key]) - Math.abs(a[key]);
+  rankChanges.sort(byMagnitude('change'));
+  priceChanges.sort(byMagnitude('change_pct'));
+  marketCapChanges.sort(byMagnitude('change_pct'));
+  entered.sort((a, b) => a.rank - b.rank);
+  left.sort((a, b) => a.previous_rank - b.previous_rank);
+
+  return {
+    generated_at: new Date().toISOString(),
+    base_generated_at: baseReport ? baseReport.generated_at || null : null,
+    candidate_generated_at: candidateReport ? candidateReport.generated_at || null : null,
+    thresholds: {
+      price_change_pct: pricePct,
+      market_cap_change_pct: marketCapPct
+    },
+    summary: {
+      valid_tokens_before: before.size,
+      valid_tokens_after: after.size,
+      entered: entered.length,
+      left: left.length,
+      rank_changes: rankChanges.length,
+      price_changes: priceChanges.length,
+      market_cap_changes: marketCapChanges.length,
+      trust_transitions: trustTransitions.length
+    },
+    entered,
+    left,
+    rank_changes: rankChanges,
+    price_changes: priceChanges,
+    market_cap_changes: marketCapChanges,
+    trust_transitions: trustTransitions
+  };
+}
+
+module.exports = {
+  diffReports,
+  percentChange,
+  DEFAULT_DIFF_THRESHOLDS
+};
@@ -0,0 +1,409 @@
+const axios = require('axios');
+
+/**
+ * Token bucket limiter with a concurrency cap.
+ * Every request takes one token; tokens refill at `ratePerSecond` up to `burst`.
+ */
+class TokenBucketLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratePerSecond=5] - Sustained requests per second
+   * @param {number} [options.burst] - Bucket size (defaults to ratePerSecond)
+   * @param {number} [options.maxConcurrent=5] - Requests allowed in flight at once
+   */
+  constructor({ ratePerSecond = 5, burst, maxConcurrent = 5 } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst || ratePerSecond;
+    this.maxConcurrent = maxConcurrent;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a token and a concurrency slot
+   * @returns {Promise<Function>} Release function to call when the request finishes
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop handing out tokens for a while (e.g. after a 429 with Retry-After)
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    this.refill();
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent &&
+           this.tokens >= 1 && Date.now() >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.active++;
+      const resolve = this.queue.shift();
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this.drain();
+      });
+    }
+
+    // Schedule the next attempt if callers are still waiting for a token or the pause to end.
+    // The timer stays ref'd: it only exists while requests are queued, and an unref'd timer
+    // would let the process exit with them unresolved.
+    if (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const waitForToken = this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.ratePerSecond) * 1000;
+      const waitForPause = Math.max(0, this.pausedUntil - Date.now());
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(waitForToken, waitForPause, 1));
+    }
+  }
+
+  /**
+   * Get the current limiter state
+   * @returns {Object} Queue and concurrency information
+   */
+  getState() {
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      paused_until: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Circuit breaker that stops calls to an upstream after repeated failures
+ * Once the reset timeout has passed, a single trial request (the probe) is let through; other
+ * callers are rejected until it succeeds, fails or is released without a verdict.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [options.resetTimeoutMs=30000] - Time before a trial request is allowed
+   */
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Whether a request may be sent now; in the half-open state the caller allowed through is the probe
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      this.probing = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.probing) {
+        return false;
+      }
+      this.probing = true;
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.probing = false;
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Let the next caller probe when a request ends without telling whether the upstream recovered
+   * (rate limited or a client error)
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  /**
+   * Get the breaker state
+   * @returns {Object} State and consecutive failure count
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      probe_in_flight: this.state === 'half-open' && this.probing
+    };
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|number} value - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Collapse token IDs in a URL so counters are kept per endpoint rather than per token
+ * @param {string} url - Request path
+ * @returns {string} Endpoint key, e.g. /stats/pools/ADA/:id
+ */
+function endpointKey(url) {
+  return String(url).split('?')[0].replace(/[0-9a-f]{16,}/gi, ':id');
+}
+
+/**
+ * HTTP client with a shared rate budget, retries with jittered exponential
+ * backoff, Retry-After aware 429 handling, a circuit breaker and per-endpoint counters
+ */
+class ResilientClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Upstream name used in logs
+   * @param {Object} [options.axiosConfig] - Passed to axios.create
+   * @param {TokenBucketLimiter} [options.limiter] - Rate budget (shared between clients if passed in)
+   * @param {CircuitBreaker} [options.breaker] - Circuit breaker
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt
+   * @param {number} [options.baseDelayMs=500] - Backoff base delay
+   * @param {number} [options.maxDelayMs=10000] - Backoff cap
+   * @param {number} [options.maxRetryAfterMs=60000] - Longest Retry-After that is honoured
+   */
+  constructor({
+    name,
+    axiosConfig = {},
+    limiter = new TokenBucketLimiter(),
+    breaker = new CircuitBreaker(),
+    maxRetries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    maxRetryAfterMs = 60000
+  }) {
+    this.name = name;
+    this.http = axios.create(axiosConfig);
+    this.limiter = limiter;
+    this.breaker = breaker;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.stats = {};
+  }
+
+  async get(url, config) {
+    return this.request('get', url, undefined, config);
+  }
+
+  async post(url, data, config) {
+    return this.request('post', url, data, config);
+  }
+
+  /**
+   * Get (and create) the counters for an endpoint
+   * @param {string} key - Endpoint key
+   * @returns {Object} Counters
+   */
+  counters(key) {
+    if (!this.stats[key]) {
+      this.stats[key] = {
+        calls: 0,
+        successes: 0,
+        retries: 0,
+        errors: 0,
+        rate_limited: 0,
+        circuit_rejected: 0,
+        last_error: null,
+        last_error_at: null
+      };
+    }
+    return this.stats[key];
+  }
+
+  /**
+   * Whether an error is worth retrying
+   * @param {Error} error - Axios error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (!error.response) {
+      return true; // Network error or timeout
+    }
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Backoff delay for an attempt using full jitter
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in milliseconds
+   */
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Send a request through the limiter, breaker and retry policy
+   * @param {string} method - HTTP method (get or post)
+   * @param {string} url - Request path
+   * @param {*} [data] - Request body for POST
+   * @param {Object} [config] - Extra axios config
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, url, data, config) {
+    const key = `${method.toUpperCase()} ${endpointKey(url)}`;
+    const counters = this.counters(key);
+    counters.calls++;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.canRequest()) {
+        const error = new Error(`${this.name} circuit breaker is open, skipping ${key}`);
+        error.code = 'CIRCUIT_OPEN';
+        // A fast-failed request is still a failed request
+        counters.circuit_rejected++;
+        counters.errors++;
+        counters.last_error = error.message;
+        counters.last_error_at = new Date().toISOString();
+        throw error;
+      }
+
+      const release = await this.limiter.acquire();
+      let error;
+
+      try {
+        const response = method === 'post'
+          ? await this.http.post(url, data, config)
+          : await this.http.get(url, config);
+        this.breaker.recordSuccess();
+        counters.successes++;
+        return response;
+      } catch (err) {
+        error = err;
+      } finally {
+        release();
+      }
+
+      const status = error.response ? error.response.status : null;
+      let delay = this.backoffDelay(attempt);
+
+      if (status === 429) {
+        // Rate limited: the upstream is healthy, so back off without tripping the breaker
+        counters.rate_limited++;
+        const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+        if (retryAfter !== null) {
+          delay = Math.min(retryAfter, this.maxRetryAfterMs);
+        }
+        this.limiter.pauseFor(delay);
+        this.breaker.releaseProbe();
+      } else if (this.isRetryable(error)) {
+        this.breaker.recordFailure();
+      } else {
+        this.breaker.releaseProbe();
+      }
+
+      if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+        counters.errors++;
+        counters.last_error = status ? `HTTP ${status}: ${error.message}` : error.message;
+        counters.last_error_at = new Date().toISOString();
+        throw error;
+      }
+
+      counters.retries++;
+      console.log(`${this.name} ${key} failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Get per-endpoint counters and limiter/breaker state
+   * @returns {Object} Client statistics
+   */
+  getStats() {
+    return {
+      endpoints: JSON.parse(JSON.stringify(this.stats)),
+      circuit: this.breaker.getState(),
+      limiter: this.limiter.getState()
+    };
+  }
+
+  /**
+   * Get the counter changes since an earlier getStats() snapshot
+   * @param {Object} snapshot - Earlier result of getStats()
+   * @returns {Object} Per-endpoint counter deltas, only for endpoints that were called
+   */
+  statsSince(snapshot) {
+    const deltas = {};
+    const before = (snapshot && snapshot.endpoints) || {};
+
+    Object.entries(this.stats).forEach(([key, counters]) => {
+      const previous = before[key] || {};
+      const delta = {};
+      ['calls', 'successes', 'retries', 'errors', 'rate_limited', 'circuit_rejected'].forEach(field => {
+        delta[field] = counters[field] - (previous[field] || 0);
+      });
+
+      if (delta.calls > 0) {
+        delta.last_error = counters.last_error_at !== previous.last_error_at ? counters.last_error : null;
+        deltas[key] = delta;
+      }
+    });
+
+    return deltas;
+  }
+}
+
+module.exports = {
+  ResilientClient,
+  TokenBucketLimiter,
+  CircuitBreaker,
+  parseRetryAfter,
+  endpointKey
+};
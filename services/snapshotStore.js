@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPORT_FILE = 'market_cap_report_refined.json';
+const MANIFEST_FILE = 'manifest.json';
+const PRICE_GRAPH_FILE = 'price_graph.json';
+const PEGS_FILE = 'pegs.json';
+const LOOKALIKES_FILE = 'lookalikes.json';
+const POINTER_FILE = 'current.json';
+const STAGING_PREFIX = '.staging-';
+
+/**
+ * Versioned storage for pipeline output
+ *
+ * Every pipeline run writes into its own directory under token_data/snapshots:
+ *   <runId>/manifest.json                     run id, timings, counts and parameters
+ *   <runId>/market_cap_report_refined.json
+ *   <runId>/price_graph.json                  liquidity graph over every known pair
+ *   <runId>/pegs.json                         peg deviation of stablecoins and wrapped assets
+ *   <runId>/lookalikes.json                   tokens with lookalike tickers or names
+ *   <runId>/summaries/*.json                  enhanced records and the summaries they were built from
+ * A run is written to a staging directory, renamed into place once complete and then
+ * published by atomically replacing current.json. Readers only ever see a published run.
+ * Until the first run is published, the legacy token_data layout is served.
+ */
+class SnapshotStore {
+  constructor() {
+    this.baseDir = process.env.SNAPSHOTS_DIR || path.join(process.cwd(), 'token_data', 'snapshots');
+    this.legacyDir = path.join(process.cwd(), 'token_data');
+    this.retention = parseInt(process.env.SNAPSHOT_RETENTION) || 5;
+    this.pointer = null;
+    this.pointerMtime = null;
+  }
+
+  /**
+   * Create a sortable run ID for a pipeline run
+   * @param {Date} [date] - Run start time
+   * @returns {string} Run ID, e.g. 20250414T190309676Z-1a2b3c
+   */
+  createRunId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:.]/g, '');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Whether a string is a valid run ID (guards paths built from request input)
+   * @param {string} runId - Run ID
+   * @returns {boolean}
+   */
+  isValidRunId(runId) {
+    return typeof runId === 'string' && /^\d{8}T\d{9}Z-[0-9a-f]{6}$/.test(runId);
+  }
+
+  /**
+   * Get the paths of a snapshot directory
+   * @param {string} dir - Snapshot directory
+   * @returns {{dir: string, reportPath: string, summariesDir: string, manifestPath: string, priceGraphPath: string, pegsPath: string, lookalikesPath: string}}
+   */
+  pathsFor(dir) {
+    return {
+      dir,
+      reportPath: path.join(dir, REPORT_FILE),
+      summariesDir: path.join(dir, 'summaries'),
+      manifestPath: path.join(dir, MANIFEST_FILE),
+      priceGraphPath: path.join(dir, PRICE_GRAPH_FILE),
+      pegsPath: path.join(dir, PEGS_FILE),
+      lookalikesPath: path.join(dir, LOOKALIKES_FILE)
+    };
+  }
+
+  /**
+   * Read the published pointer, reloading it when the file changes
+   * @returns {Object|null} Pointer ({ run_id, published_at, previous_run_id }) or null
+   */
+  readPointer() {
+    const pointerPath = path.join(this.baseDir, POINTER_FILE);
+
+    try {
+      if (!fs.existsSync(pointerPath)) {
+        this.pointer = null;
+        this.pointerMtime = null;
+        return null;
+      }
+
+      const mtime = fs.statSync(pointerPath).mtimeMs;
+      if (!this.pointer || this.pointerMtime !== mtime) {
+        this.pointer = JSON.parse(fs.readFileSync(pointerPath, 'utf8'));
+        this.pointerMtime = mtime;
+      }
+    } catch (error) {
+      console.error(`Error reading snapshot pointer at ${pointerPath}:`, error.message);
+    }
+
+    return this.pointer;
+  }
+
+  /**
+   * Get the currently published snapshot
+   * @returns {Object} Snapshot paths plus run_id and published_at (run_id is null for the legacy layout)
+   */
+  getCurrent() {
+    const pointer = this.readPointer();
+
+    if (pointer && pointer.run_id) {
+      return {
+        run_id: pointer.run_id,
+        published_at: pointer.published_at,
+        legacy: false,
+        ...this.pathsFor(path.join(this.baseDir, pointer.run_id))
+      };
+    }
+
+    return {
+      run_id: null,
+      published_at: null,
+      legacy: true,
+      ...this.pathsFor(this.legacyDir)
+    };
+  }
+
+  /**
+   * Create a staging directory for a run
+   * @param {string} runId - Run ID
+   * @returns {Object} Staging paths
+   */
+  stage(runId) {
+    const paths = this.pathsFor(path.join(this.baseDir, `${STAGING_PREFIX}${runId}`));
+    fs.mkdirSync(paths.summariesDir, { recursive: true });
+    return paths;
+  }
+
+  /**
+   * Copy files from a directory into a staged snapshot
+   * @param {string} runId - Run ID
+   * @param {string} sourceDir - Directory to copy from
+   * @param {Function} [filter] - Called with each file name, copy when it returns true
+   * @returns {number} Files copied
+   */
+  copyIntoStage(runId, sourceDir, filter = () => true) {
+    const { summariesDir } = this.pathsFor(path.join(this.baseDir, `${STAGING_PREFIX}${runId}`));
+
+    if (!fs.existsSync(sourceDir)) {
+      return 0;
+    }
+
+    const files = fs.readdirSync(sourceDir).filter(filter);
+    files.forEach(file => {
+      fs.copyFileSync(path.join(sourceDir, file), path.join(summariesDir, file), fs.constants.COPYFILE_FICLONE);
+    });
+    return files.length;
+  }
+
+  /**
+   * Write the manifest and move a staged run into place
+   * @param {string} runId - Run ID
+   * @param {Object} manifest - Run metadata (started/finished, counts, parameters)
+   * @returns {Object} Snapshot paths
+   */
+  commit(runId, manifest) {
+    const staging = this.pathsFor(path.join(this.baseDir, `${STAGING_PREFIX}${runId}`));
+    const target = this.pathsFor(path.join(this.baseDir, runId));
+
+    const fileCount = fs.readdirSync(staging.summariesDir).length;
+    fs.writeFileSync(staging.manifestPath, JSON.stringify({
+      run_id: runId,
+      ...manifest,
+      file_count: fileCount,
+      committed_at: new Date().toISOString()
+    }, null, 2));
+
+    fs.renameSync(staging.dir, target.dir);
+    return target;
+  }
+
+  /**
+   * Remove a staged run that will not be published
+   * @param {string} runId - Run ID
+   */
+  discard(runId) {
+    const dir = path.join(this.baseDir, `${STAGING_PREFIX}${runId}`);
+    if (fs.existsSync(dir)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Read a snapshot manifest
+   * @param {string} runId - Run ID
+   * @returns {Object|null} Manifest or null if the snapshot does not exist
+   */
+  getManifest(runId) {
+    if (!this.isValidRunId(runId)) {
+      return null;
+    }
+
+    const { manifestPath } = this.pathsFor(path.join(this.baseDir, runId));
+    try {
+      return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+    } catch (error) {
+      console.error(`Error reading manifest for snapshot ${runId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Publish a committed snapshot by atomically replacing the pointer
+   * @param {string} runId - Run ID
+   * @returns {Object} New pointer
+   */
+  publish(runId) {
+    if (!this.getManifest(runId)) {
+      const error = new Error(`Snapshot ${runId} does not exist or has no manifest`);
+      error.code = 'SNAPSHOT_NOT_FOUND';
+      throw error;
+    }
+
+    const current = this.readPointer();
+    const pointer = {
+      run_id: runId,
+      published_at: new Date().toISOString(),
+      previous_run_id: current ? current.run_id : null
+    };
+
+    // Write then rename so readers see either the old or the new pointer, never a partial file
+    const pointerPath = path.join(this.baseDir, POINTER_FILE);
+    const tmpPath = `${pointerPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(pointer, null, 2));
+    fs.renameSync(tmpPath, pointerPath);
+
+    this.pointer = pointer;
+    this.pointerMtime = fs.statSync(pointerPath).mtimeMs;
+    console.log(`Published snapshot ${runId}`);
+
+    this.prune();
+    return pointer;
+  }
+
+  /**
+   * List committed snapshots, newest first
+   * @returns {Array<Object>} Manifests with a current flag
+   */
+  list() {
+    if (!fs.existsSync(this.baseDir)) {
+      return [];
+    }
+
+    const current = this.readPointer();
+    return fs.readdirSync(this.baseDir)
+      .filter(name => this.isValidRunId(name))
+      .sort()
+      .reverse()
+      .map(runId => this.getManifest(runId))
+      .filter(Boolean)
+      .map(manifest => ({
+        ...manifest,
+        current: !!current && current.run_id === manifest.run_id
+      }));
+  }
+
+  /**
+   * Publish an earlier snapshot again
+   * @param {string} [runId] - Snapshot to restore (defaults to the one before the current snapshot)
+   * @returns {Object} New pointer
+   */
+  rollback(runId) {
+    const current = this.readPointer();
+
+    if (!runId) {
+      const older = this.list()
+        .map(manifest => manifest.run_id)
+        .filter(id => !current || id < current.run_id);
+      runId = older[0];
+    }
+
+    if (!runId) {
+      const error = new Error('No earlier snapshot to roll back to');
+      error.code = 'SNAPSHOT_NOT_FOUND';
+      throw error;
+    }
+    if (current && current.run_id === runId) {
+      const error = new Error(`Snapshot ${runId} is already published`);
+      error.code = 'SNAPSHOT_ALREADY_PUBLISHED';
+      throw error;
+    }
+
+    console.log(`Rolling back to snapshot ${runId}`);
+    return this.publish(runId);
+  }
+
+  /**
+   * Delete old snapshots beyond the retention limit, never the published one
+   * @returns {Array<string>} Deleted run IDs
+   */
+  prune() {
+    const current = this.readPointer();
+    const runIds = fs.readdirSync(this.baseDir)
+      .filter(name => this.isValidRunId(name))
+      .sort()
+      .reverse();
+
+    const deleted = runIds
+      .slice(this.retention)
+      .filter(runId => !current || runId !== current.run_id);
+
+    deleted.forEach(runId => {
+      fs.rmSync(path.join(this.baseDir, runId), { recursive: true, force: true });
+    });
+
+    if (deleted.length > 0) {
+      console.log(`Pruned ${deleted.length} old snapshots`);
+    }
+    return deleted;
+  }
+}
+
+const snapshotStore = new SnapshotStore();
+
+/**
+ * Command line entry point
+ *   node services/snapshotStore.js list
+ *   node services/snapshotStore.js rollback [runId]
+ */
+async function main() {
+  const [command, runId] = process.argv.slice(2);
+
+  try {
+    if (command === 'list') {
+      snapshotStore.list().forEach(manifest => {
+        console.log(`${manifest.current ? '*' : ' '} ${manifest.run_id}  ${manifest.mode || ''}  finished ${manifest.finished_at}  ${manifest.report ? manifest.report.total_tokens : '?'} tokens`);
+      });
+    } else if (command === 'rollback') {
+      const pointer = snapshotStore.rollback(runId);
+      console.log(`Current snapshot: ${pointer.run_id} (was ${pointer.previous_run_id})`);
+      
+      // Required lazily: persistence pulls in the token service, which the store must not depend on
+      const persistenceService = require('./persistenceService');
+      if (persistenceService.isEnabled()) {
+        const persisted = await persistenceService.persistPublishedSnapshot();
+        console.log(`Mirrored snapshot ${pointer.run_id} to Supabase (${persisted.tokens} tokens)`);
+      }
+    } else {
+      console.log('Usage: node services/snapshotStore.js list | rollback [runId]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = snapshotStore;
+module.exports.SnapshotStore = SnapshotStore;
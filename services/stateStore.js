@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Migration that creates the app_state table the supabase backend reads and writes
+const APP_STATE_MIGRATION = 'supabase/migrations/0005_app_state.sql';
+
+// Postgres and PostgREST codes of a table that does not exist
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+/**
+ * Small key/value store for state that must survive between serverless invocations
+ * (refresh cursors, merged datasets).
+ *
+ * Backends, in order of preference:
+ *   redis     Upstash Redis when UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are set
+ *   supabase  the app_state table (key text primary key, value jsonb, updated_at timestamptz),
+ *             created by supabase/migrations/0005_app_state.sql
+ *   file      token_data/state.json when running locally
+ *   memory    last resort on Vercel without Redis or Supabase; lost between invocations
+ * If a remote backend fails, the value is kept in memory so the current invocation can continue.
+ *
+ * Datasets kept in a token_data file locally are kept under a state key on Vercel, where the
+ * deployed files are read-only; readJson and writeJson pick the location.
+ */
+class StateStore {
+  constructor() {
+    this.filePath = path.join(process.cwd(), 'token_data', 'state.json');
+    this.memory = {};
+    this.redis = null;
+  }
+
+  /**
+   * Describe a backend error, pointing at the migration when the app_state table is missing
+   * @param {Error} error - Backend error
+   * @returns {string}
+   */
+  describeError(error) {
+    if (MISSING_TABLE_CODES.includes(error.code)) {
+      return `the app_state table does not exist, apply ${APP_STATE_MIGRATION} (${error.message})`;
+    }
+    return error.message;
+  }
+
+  /**
+   * Pick the backend for the current environment
+   * @returns {string} Backend name
+   */
+  getBackend() {
+    if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+      return 'redis';
+    }
+    if (this.getSupabase()) {
+      return 'supabase';
+    }
+    return process.env.VERCEL ? 'memory' : 'file';
+  }
+
+  /**
+   * Get the Supabase client shared with the token service
+   * @returns {Object|null} Supabase client
+   */
+  getSupabase() {
+    // Required lazily: tokenService depends on services that use this store
+    const tokenService = require('./tokenService');
+    return tokenService.supabase || null;
+  }
+
+  /**
+   * Get the Upstash Redis client
+   * @returns {Object} Redis client
+   */
+  getRedis() {
+    if (!this.redis) {
+      const { Redis } = require('@upstash/redis');
+      this.redis = new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN
+      });
+    }
+    return this.redis;
+  }
+
+  /**
+   * Read the local state file
+   * @returns {Object} All stored values
+   */
+  readFile() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error reading state file at ${this.filePath}:`, error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Get a stored value
+   * @param {string} key - State key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async get(key) {
+    const backend = this.getBackend();
+
+    try {
+      if (backend === 'redis') {
+        const value = await this.getRedis().get(key);
+        return value === undefined ? null : value;
+      }
+
+      if (backend === 'supabase') {
+        const { data, error } = await this.getSupabase()
+          .from('app_state')
+          .select('value')
+          .eq('key', key)
+          .maybeSingle();
+
+        if (error) {
+          throw error;
+        }
+        return data ? data.value : null;
+      }
+
+      if (backend === 'file') {
+        const value = this.readFile()[key];
+        return value === undefined ? null : value;
+      }
+    } catch (error) {
+      console.error(`Error reading state ${key} from ${backend}:`, this.describeError(error));
+    }
+
+    return key in this.memory ? this.memory[key] : null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - State key
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<boolean>} True if the value was persisted beyond this process
+   */
+  async set(key, value) {
+    const backend = this.getBackend();
+    this.memory[key] = value;
+
+    try {
+      if (backend === 'redis') {
+        await this.getRedis().set(key, value);
+        return true;
+      }
+
+      if (backend === 'supabase') {
+        const { error } = await this.getSupabase()
+          .from('app_state')
+          .upsert([{ key, value, updated_at: new Date().toISOString() }], { onConflict: 'key' });
+
+        if (error) {
+          throw error;
+        }
+        return true;
+      }
+
+      if (backend === 'file') {
+        const state = this.readFile();
+        state[key] = value;
+        fs.writeFileSync(this.filePath, JSON.stringify(state, null, 2));
+        return true;
+      }
+    } catch (error) {
+      console.error(`Error writing state ${key} to ${backend}, keeping it in memory:`, this.describeError(error));
+    }
+
+    return false;
+  }
+
+  /**
+   * Read a JSON dataset from its data file, or from its state key on Vercel
+   * @param {string} key - State key used on Vercel
+   * @param {string} filePath - Data file used everywhere else
+   * @param {*} fallback - Value returned when nothing is stored yet
+   * @returns {Promise<*>} Stored dataset or the fallback; a malformed file throws
+   */
+  async readJson(key, filePath, fallback) {
+    if (process.env.VERCEL) {
+      const value = await this.get(key);
+      return value === null ? fallback : value;
+    }
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+  }
+
+  /**
+   * Write a JSON dataset to its data file, or to its state key on Vercel
+   * @param {string} key - State key used on Vercel
+   * @param {string} filePath - Data file used everywhere else
+   * @param {*} value - JSON-serializable dataset
+   * @returns {Promise<boolean>} True if the dataset was persisted beyond this process
+   */
+  async writeJson(key, filePath, value) {
+    if (process.env.VERCEL) {
+      return this.set(key, value);
+    }
+    fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+    return true;
+  }
+}
+
+module.exports = new StateStore();
+module.exports.StateStore = StateStore;
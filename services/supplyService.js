@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const decimalsService = require('./decimalsService');
+
+// Exclusion categories that are not part of circulating supply
+const EXCLUSION_CATEGORIES = ['treasury', 'burn', 'team_vesting', 'locked', 'other'];
+
+/**
+ * Service that resolves total and circulating supply for a token
+ *
+ * Per-token rules live in token_data/supply_rules.json:
+ *   {
+ *     "tokens": {
+ *       "<tokenId>": {
+ *         "minted_supply": 1000000000,          optional manual total minted supply (whole tokens)
+ *         "source": "project docs",             where the manual figure came from
+ *         "updated_at": "2025-04-01T00:00:00Z",
+ *         "exclusions": [
+ *           { "category": "treasury", "address": "addr1...", "amount": 250000000,
+ *             "source": "cardanoscan", "updated_at": "2025-04-01T00:00:00Z", "note": "DAO treasury" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ * Burned amounts are removed from both total and circulating supply; the other
+ * categories only from circulating supply. Amounts are in whole tokens (after decimals).
+ */
+class SupplyService {
+  constructor() {
+    this.rulesPath = process.env.SUPPLY_RULES_PATH || path.join(process.cwd(), 'token_data', 'supply_rules.json');
+    this.rules = null;
+    this.rulesMtime = null;
+  }
+
+  /**
+   * Load the supply rules, reloading them when the file changes
+   * @returns {Object<string, Object>} Rules by token ID
+   */
+  loadRules() {
+    try {
+      if (!fs.existsSync(this.rulesPath)) {
+        this.rules = {};
+        this.rulesMtime = null;
+        return this.rules;
+      }
+
+      const mtime = fs.statSync(this.rulesPath).mtimeMs;
+      if (!this.rules || this.rulesMtime !== mtime) {
+        const data = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+        this.rules = data.tokens || {};
+        this.rulesMtime = mtime;
+      }
+    } catch (error) {
+      console.error(`Error reading supply rules at ${this.rulesPath}:`, error.message);
+      this.rules = this.rules || {};
+    }
+
+    return this.rules;
+  }
+
+  /**
+   * Get the supply rule for a token
+   * @param {string} tokenId - Token ID
+   * @returns {Object|null} Rule or null if the token has none
+   */
+  getRule(tokenId) {
+    return this.loadRules()[tokenId] || null;
+  }
+
+  /**
+   * Normalize the exclusion entries of a rule, dropping malformed ones
+   * @param {Object} rule - Supply rule
+   * @param {string} tokenId - Token ID (for logging)
+   * @returns {Array<Object>} Valid exclusions
+   */
+  getExclusions(rule, tokenId) {
+    if (!rule || !Array.isArray(rule.exclusions)) {
+      return [];
+    }
+
+    return rule.exclusions
+      .filter(exclusion => {
+        const amount = parseFloat(exclusion.amount);
+        if (!EXCLUSION_CATEGORIES.includes(exclusion.category) || isNaN(amount) || amount < 0) {
+          console.error(`Ignoring invalid supply exclusion for ${tokenId}:`, JSON.stringify(exclusion));
+          return false;
+        }
+        return true;
+      })
+      .map(exclusion => ({
+        category: exclusion.category,
+        address: exclusion.address || null,
+        amount: parseFloat(exclusion.amount),
+        source: exclusion.source || rule.source || null,
+        updated_at: exclusion.updated_at || rule.updated_at || null,
+        note: exclusion.note || null
+      }));
+  }
+
+  /**
+   * Resolve the total minted supply and where it came from.
+   * Priority: manual rule, DexHunter token info, local summary.
+   * @param {Object} token - Local token summary
+   * @param {Object|null} tokenInfo - DexHunter token info
+   * @param {Object|null} rule - Supply rule
+   * @param {{decimals: number}} decimals - Token decimals, applied to the raw DexHunter supply
+   * @returns {{amount: number, source: string|null, updated_at: string|null}}
+   */
+  resolveMintedSupply(token, tokenInfo, rule, decimals) {
+    if (rule && parseFloat(rule.minted_supply) > 0) {
+      return {
+        amount: parseFloat(rule.minted_supply),
+        source: rule.source || 'supply_rules',
+        updated_at: rule.updated_at || null
+      };
+    }
+
+    if (tokenInfo && parseFloat(tokenInfo.supply) > 0) {
+      return {
+        amount: decimalsService.toWholeUnits(tokenInfo.supply, decimals.decimals, 'token_supply'),
+        source: 'dexhunter',
+        updated_at: new Date().toISOString()
+      };
+    }
+
+    if (token && token.total_supply > 0) {
+      return {
+        amount: token.total_supply,
+        source: 'summary',
+        updated_at: token.updated_at || null
+      };
+    }
+
+    return { amount: 0, source: null, updated_at: null };
+  }
+
+  /**
+   * Compute the supply breakdown for a token
+   * @param {Object} token - Local token summary (token_id, total_supply, circulating_supply)
+   * @param {Object|null} [tokenInfo] - DexHunter token info (supply, token_decimals)
+   * @returns {Object} Supply breakdown with sources and timestamps
+   */
+  resolveSupply(token, tokenInfo = null) {
+    const rule = this.getRule(token.token_id);
+    const exclusions = this.getExclusions(rule, token.token_id);
+    const decimals = decimalsService.resolve(token.token_id, { tokenInfo, summary: token });
+    const minted = this.resolveMintedSupply(token, tokenInfo, rule, decimals);
+
+    const sumOf = entries => entries.reduce((sum, exclusion) => sum + exclusion.amount, 0);
+    const burned = sumOf(exclusions.filter(exclusion => exclusion.category === 'burn'));
+    const excluded = sumOf(exclusions);
+    const totalSupply = Math.max(0, minted.amount - burned);
+
+    let circulatingSupply = 0;
+    let circulatingSource = null;
+    let circulatingUpdatedAt = null;
+
+    if (exclusions.length > 0 && minted.amount > 0) {
+      // Circulating supply computed from the exclusion rules
+      circulatingSupply = Math.max(0, minted.amount - excluded);
+      circulatingSource = 'supply_rules';
+      circulatingUpdatedAt = exclusions
+        .map(exclusion => exclusion.updated_at)
+        .concat(minted.updated_at)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+    } else if (token.circulating_supply > 0) {
+      circulatingSupply = token.circulating_supply;
+      circulatingSource = 'summary';
+      circulatingUpdatedAt = token.updated_at || null;
+    }
+
+    return {
+      minted_supply: minted.amount,
+      burned_supply: burned,
+      total_supply: totalSupply,
+      total_supply_source: minted.source,
+      total_supply_updated_at: minted.updated_at,
+      decimals: decimals.decimals,
+      decimals_source: decimals.source,
+      excluded_supply: excluded,
+      exclusions,
+      circulating_supply: circulatingSupply,
+      circulating_supply_source: circulatingSource,
+      circulating_supply_updated_at: circulatingUpdatedAt,
+      // Market cap falls back to total supply when circulating supply is unknown
+      market_cap_basis: circulatingSupply > 0 ? 'circulating_supply' : (totalSupply > 0 ? 'total_supply' : null)
+    };
+  }
+}
+
+module.exports = new SupplyService();
+module.exports.SupplyService = SupplyService;
+module.exports.EXCLUSION_CATEGORIES = EXCLUSION_CATEGORIES;
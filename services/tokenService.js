@@ -1,6 +1,16 @@
 const fs = require('fs');
 const path = require('path');
 const volumeService = require('./volumeService');
+const supplyService = require('./supplyService');
+const snapshotStore = require('./snapshotStore');
+const tvlService = require('./tvlService');
+const trustRules = require('./trustRules');
+const { calculateWeightedPrice, resolveLocalDecimals } = require('./poolPricing');
+const trustHistory = require('./trustHistory');
+const { PriceGraph, describeScope } = require('./priceGraph');
+const { KNOWN_TOKEN_IDS } = require('./knownTokens');
+const { LookalikeIndex } = require('./lookalikeIndex');
+const { getMarketDataProvider } = require('./providers');
 
 // Conditionally import Supabase client
 let supabaseClient;
@@ -12,13 +22,75 @@ try {
   console.error('Error importing Supabase client:', error);
 }
 
+// Trust rule category of the holder concentration rules (see token_data/trust_rules.json)
+const HOLDER_RULE_CATEGORY = 'holders';
+
+// Supplies market cap can be computed on (?mcap_basis=)
+const MCAP_BASES = ['circulating', 'total'];
+
+// Market cap basis by the supply.market_cap_basis the pipeline records (see SupplyService.resolveSupply)
+const STORED_MCAP_BASES = {
+  circulating_supply: 'circulating',
+  total_supply: 'total'
+};
+
+/**
+ * Market cap fields of a token on a supply basis
+ * Without a basis the market cap is kept as computed by the pipeline, on circulating supply
+ * falling back to total supply, and mcap_basis says which one was used: the basis recorded in
+ * supply.market_cap_basis, or for records without one the supply fields that are present.
+ * @param {Object} token - Token with price, market_cap, fdv, circulating_supply, total_supply and supply
+ * @param {string|null} [basis] - 'circulating' or 'total' to compute every market cap on one supply
+ * @returns {Object} { market_cap, fdv, mcap_basis, mcap_fdv_ratio }
+ */
+function marketCapFields(token, basis = null) {
+  const price = token.price || 0;
+  const circulating = token.circulating_supply > 0 ? token.circulating_supply : null;
+  const total = token.total_supply > 0 ? token.total_supply : null;
+  const fdv = token.fdv || token.fully_diluted_value || (price && total ? price * total : null);
+
+  let marketCap = token.market_cap || null;
+  const storedBasis = token.supply ? STORED_MCAP_BASES[token.supply.market_cap_basis] : null;
+  let mcapBasis = marketCap ? (storedBasis || (circulating ? 'circulating' : total ? 'total' : null)) : null;
+  if (basis) {
+    const supply = basis === 'circulating' ? circulating : total;
+    marketCap = price && supply ? price * supply : null;
+    mcapBasis = marketCap ? basis : null;
+  }
+
+  return {
+    market_cap: marketCap,
+    fdv,
+    mcap_basis: mcapBasis,
+    mcap_fdv_ratio: marketCap && fdv ? marketCap / fdv : null
+  };
+}
+
+/**
+ * Order tokens by market cap, tokens without one last by ticker
+ * @param {Object} a - Token
+ * @param {Object} b - Token
+ * @returns {number}
+ */
+function compareByMarketCap(a, b) {
+  // First sort by whether they have market cap
+  if (a.has_market_cap && !b.has_market_cap) return -1;
+  if (!a.has_market_cap && b.has_market_cap) return 1;
+  
+  // If both have market cap, sort by market cap value
+  if (a.has_market_cap && b.has_market_cap) {
+    return b.market_cap - a.market_cap;
+  }
+  
+  // If neither has market cap, sort alphabetically by ticker
+  return (a.ticker || '').localeCompare(b.ticker || '');
+}
+
 /**
  * Service to handle token operations
  */
 class TokenService {
   constructor() {
-    this.reportPath = path.join(process.cwd(), 'token_data/market_cap_report_refined.json');
-    this.summariesDir = path.join(process.cwd(), 'token_data/summaries');
     this.advancedDir = path.join(process.cwd(), 'advanced_token_data/raw');
     
     // Initialize Supabase client
@@ -42,15 +114,18 @@ class TokenService {
     }
     
     // Log the paths being used
+    const snapshot = snapshotStore.getCurrent();
     console.log('📁 TokenService paths:', {
-      reportPath: this.reportPath,
-      summariesDir: this.summariesDir,
+      snapshot: snapshot.run_id || 'legacy',
+      reportPath: snapshot.reportPath,
+      summariesDir: snapshot.summariesDir,
       advancedDir: this.advancedDir,
       cwd: process.cwd(),
       useSupabase: !!process.env.VERCEL
     });
     
     this.cachedTokens = null;
+    this.cachedRunId = null;
     this.lastCacheTime = null;
     this.cacheDuration = 60 * 1000; // 1 minute cache
     
@@ -58,24 +133,93 @@ class TokenService {
     this.wrappedTokens = {
       'iBTC': { 
         baseAsset: 'BTC',
-        tokenId: 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069425443',
+        tokenId: KNOWN_TOKEN_IDS.iBTC,
         decimals: 8
       },
       'iETH': { 
         baseAsset: 'ETH',
-        tokenId: '789ef8ae89617f34c07f7f6a12e4d65146f958c0bc15a97b4ff169f1',
+        tokenId: KNOWN_TOKEN_IDS.iETH,
         decimals: 18
       }
     };
   }
 
+  /**
+   * Map token IDs to their current volume data
+   * @returns {Promise<Object>} Volume by token ID ({ volumeInAda, volumeInToken, orderCount })
+   */
+  async getVolumeMap() {
+    const volumeMap = {};
+    try {
+      const volumeData = await volumeService.getVolumeData();
+      
+      // Create a mapping of token ID to volume data for quick lookups
+      if (volumeData && volumeData.tokens && Array.isArray(volumeData.tokens)) {
+        volumeData.tokens.forEach(token => {
+          if (token && token.tokenId) {
+            volumeMap[token.tokenId] = {
+              volumeInAda: token.volumeInAda || 0,
+              volumeInToken: token.volumeInToken || 0,
+              orderCount: token.orderCount || 0
+            };
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error getting volume data:', error.message);
+      // Leave volumeMap as empty object if there's an error
+    }
+    return volumeMap;
+  }
+
+  /**
+   * Pick the newest TVL breakdown for a token
+   * @param {Object} record - Enhanced token record (tvl_breakdown from the pipeline)
+   * @param {Object} tvlData - Refreshed TVL dataset
+   * @returns {Object|null} TVL breakdown ({ tvl, ada_side, token_side, pools, by_dex, computed_at })
+   */
+  resolveTvl(record, tvlData) {
+    const refreshed = tvlData && tvlData.tokens ? tvlData.tokens[record.token_id] : null;
+    const enriched = record.tvl_breakdown || null;
+    
+    if (refreshed && (!enriched || refreshed.computed_at > enriched.computed_at)) {
+      return refreshed;
+    }
+    return enriched;
+  }
+
   /**
    * Get all tokens sorted by market cap
+   * @param {Object} [options]
+   * @param {string} [options.mcapBasis] - 'circulating' or 'total' to rank every token on the same supply
+   * @returns {Promise<Array>} Sorted tokens
+   */
+  async getAllTokens({ mcapBasis = null } = {}) {
+    const tokens = await this.loadTokens();
+    if (!mcapBasis) {
+      return tokens;
+    }
+    
+    return tokens
+      .map(token => {
+        const fields = marketCapFields(token, mcapBasis);
+        return { ...token, ...fields, has_market_cap: fields.market_cap !== null };
+      })
+      .sort(compareByMarketCap)
+      .map((token, index) => ({ ...token, rank: index + 1 }));
+  }
+
+  /**
+   * Load the listed tokens of the published snapshot, sorted by market cap
    * @returns {Promise<Array>} Sorted tokens
    */
-  async getAllTokens() {
+  async loadTokens() {
+    // Serve from the published snapshot only; a newly published snapshot invalidates the cache
+    const snapshot = snapshotStore.getCurrent();
+    
     // Use cache if available and not expired
-    if (this.cachedTokens && this.lastCacheTime && (Date.now() - this.lastCacheTime < this.cacheDuration)) {
+    if (this.cachedTokens && this.lastCacheTime && (Date.now() - this.lastCacheTime < this.cacheDuration) &&
+        this.cachedRunId === snapshot.run_id) {
       console.log('📦 Using cached tokens');
       return this.cachedTokens;
     }
@@ -86,10 +230,13 @@ class TokenService {
         console.log('📊 Fetching tokens from Supabase');
         
         try {
+          // Listed rows are the tokens the pipeline's published snapshot serves (see persistenceService)
           const { data, error } = await this.supabase
             .from('tokens')
             .select('*')
-            .order('market_cap', { ascending: false });
+            .eq('listed', true)
+            .order('has_market_cap', { ascending: false })
+            .order('market_cap', { ascending: false, nullsFirst: false });
             
           if (error) {
             throw error;
@@ -103,14 +250,27 @@ class TokenService {
               price: t.price
             })));
             
+            // Volumes are refreshed more often than the pipeline runs, so overlay the current ones
+            const volumeMap = await this.getVolumeMap();
+            
             // Add rank property based on market cap order
-            const tokensWithRank = data.map((token, index) => ({
-              ...token,
-              rank: index + 1
-            }));
+            const tokensWithRank = data.map((token, index) => {
+              const volume = volumeMap[token.token_id];
+              return {
+                ...token,
+                ...marketCapFields(token),
+                ...(volume ? {
+                  volume: volume.volumeInAda,
+                  volume_in_token: volume.volumeInToken,
+                  order_count: volume.orderCount
+                } : {}),
+                rank: index + 1
+              };
+            });
             
             // Cache the results
             this.cachedTokens = tokensWithRank;
+            this.cachedRunId = snapshot.run_id;
             this.lastCacheTime = Date.now();
             
             return tokensWithRank;
@@ -128,8 +288,8 @@ class TokenService {
       // Read the market cap report
       let report;
       try {
-        console.log('📄 Reading market cap report from:', this.reportPath);
-        report = JSON.parse(fs.readFileSync(this.reportPath, 'utf8'));
+        console.log('📄 Reading market cap report from:', snapshot.reportPath);
+        report = JSON.parse(fs.readFileSync(snapshot.reportPath, 'utf8'));
         console.log(`📊 Market cap report loaded with ${report.top_tokens_by_market_cap_valid?.length || 0} tokens`);
         
         // Log first few tokens to verify data
@@ -143,7 +303,7 @@ class TokenService {
           );
         }
       } catch (error) {
-        console.error(`❌ Error reading market cap report at ${this.reportPath}:`, error.message);
+        console.error(`❌ Error reading market cap report at ${snapshot.reportPath}:`, error.message);
         console.error('Working directory:', process.cwd());
         report = { top_tokens_by_market_cap_valid: [] };
       }
@@ -151,34 +311,18 @@ class TokenService {
       // Get all token summaries to include tokens without market cap
       let tokenFiles = [];
       try {
-        tokenFiles = fs.readdirSync(this.summariesDir)
+        tokenFiles = fs.readdirSync(snapshot.summariesDir)
           .filter(file => file.includes('_enhanced_refined.json') || file.includes('_summary.json'));
       } catch (error) {
-        console.error(`Error reading token summaries directory at ${this.summariesDir}:`, error.message);
+        console.error(`Error reading token summaries directory at ${snapshot.summariesDir}:`, error.message);
         console.error('Working directory:', process.cwd());
       }
       
       // Get volume data for all tokens
-      let volumeMap = {};
-      try {
-        const volumeData = await volumeService.getVolumeData();
-        
-        // Create a mapping of token ID to volume data for quick lookups
-        if (volumeData && volumeData.tokens && Array.isArray(volumeData.tokens)) {
-          volumeData.tokens.forEach(token => {
-            if (token && token.tokenId) {
-              volumeMap[token.tokenId] = {
-                volumeInAda: token.volumeInAda || 0,
-                volumeInToken: token.volumeInToken || 0,
-                orderCount: token.orderCount || 0
-              };
-            }
-          });
-        }
-      } catch (error) {
-        console.error('Error getting volume data:', error.message);
-        // Leave volumeMap as empty object if there's an error
-      }
+      const volumeMap = await this.getVolumeMap();
+      
+      // TVL recomputed since the enrichment (see refreshTvlData)
+      const tvlData = await tvlService.getTvlData();
       
       // Create an array to hold all tokens
       let allTokens = [];
@@ -202,13 +346,8 @@ class TokenService {
             });
           }
           
-          // Calculate two-sided liquidity (TVL) - SIMPLIFIED APPROACH
-          // For a balanced pool, the TVL is approximately 2x the one-sided liquidity
-          // This approach avoids issues with pool data and gives a good approximation
-          let adaLiquidity = token.liquidity || 0;
-          let tvl = adaLiquidity * 2; // Double the ADA side as an approximation of TVL
-          
-          console.log(`📊 [tokenService] Estimated two-sided TVL for ${token.ticker}: ${tvl.toFixed(2)} ADA (2x one-sided liquidity: ${adaLiquidity.toFixed(2)} ADA)`);
+          // Two-sided liquidity (TVL) computed from pool reserves
+          const tvl = this.resolveTvl(token, tvlData);
           
           // Only include tokens with at least 200 ADA in liquidity
           if (token.liquidity && token.liquidity >= 200) {
@@ -224,11 +363,17 @@ class TokenService {
               ticker: token.ticker || 'UNKNOWN',
               name: token.token_ascii || token.ticker || 'UNKNOWN',
               market_cap: token.market_cap || null,
+              fdv: token.fdv || token.fully_diluted_value || null,
+              circulating_supply: token.circulating_supply || null,
+              total_supply: token.total_supply || null,
+              supply: token.supply || null,
               price: token.price || null,
               liquidity: token.liquidity || null, // Keep original liquidity for backwards compatibility
-              tvl: tvl || null,    // Add new TVL (two-sided liquidity) field
+              tvl: tvl ? tvl.tvl : null, // TVL (two-sided liquidity) from pool reserves
               pool_count: token.pool_count || 0,
               trust_score: token.trust_assessment?.score || null,
+              trade_price: token.trade_price || null, // VWAP/TWAP from completed trades
+              price_divergent: !!token.price_divergent,
               has_market_cap: true,
               volume: volume.volumeInAda,
               volume_in_token: volume.volumeInToken,
@@ -254,14 +399,22 @@ class TokenService {
       
       // Process tokens without market cap from summary files
       const processedTokenIds = new Set(allTokens.map(t => t.token_id));
+      const reportTokens = new Map(allTokens.map(t => [t.token_id, t]));
       
       tokenFiles.forEach(file => {
         try {
-          const filePath = path.join(this.summariesDir, file);
+          const filePath = path.join(snapshot.summariesDir, file);
           const tokenData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
           
-          // Skip if this token is already processed
+          // Skip if this token is already processed, filling supply the report record lacks
           if (processedTokenIds.has(tokenData.token_id)) {
+            const listed = reportTokens.get(tokenData.token_id);
+            if (listed) {
+              listed.fdv = listed.fdv || tokenData.fdv || tokenData.fully_diluted_value || null;
+              listed.circulating_supply = listed.circulating_supply || tokenData.circulating_supply || null;
+              listed.total_supply = listed.total_supply || tokenData.total_supply || null;
+              listed.supply = listed.supply || tokenData.supply || null;
+            }
             return;
           }
           
@@ -290,15 +443,23 @@ class TokenService {
             
             // Only include tokens with at least 200 ADA in liquidity unless it's a wrapped token
             if (isWrappedToken || (liquidity >= 200)) {
+              const tvl = this.resolveTvl(tokenData, tvlData);
               allTokens.push({
                 token_id: tokenData.token_id,
                 ticker: tokenData.ticker || 'UNKNOWN',
                 name: tokenData.token_ascii || tokenData.ticker || 'UNKNOWN',
                 market_cap: marketCap,
+                fdv: tokenData.fdv || tokenData.fully_diluted_value || null,
+                circulating_supply: tokenData.circulating_supply || null,
+                total_supply: tokenData.total_supply || null,
+                supply: tokenData.supply || null,
                 price: price,
                 liquidity: liquidity,
+                tvl: tvl ? tvl.tvl : null,
                 pool_count: tokenData.pool_count || 0,
                 trust_score: tokenData.trust_assessment?.score || null,
+                trade_price: tokenData.trade_price || null,
+                price_divergent: !!tokenData.price_divergent,
                 has_market_cap: marketCap !== null,
                 volume: volume.volumeInAda,
                 volume_in_token: volume.volumeInToken,
@@ -314,28 +475,18 @@ class TokenService {
       });
       
       // Sort tokens: first by whether they have market cap, then by market cap value (descending)
-      allTokens.sort((a, b) => {
-        // First sort by whether they have market cap
-        if (a.has_market_cap && !b.has_market_cap) return -1;
-        if (!a.has_market_cap && b.has_market_cap) return 1;
-        
-        // If both have market cap, sort by market cap value
-        if (a.has_market_cap && b.has_market_cap) {
-          return b.market_cap - a.market_cap;
-        }
-        
-        // If neither has market cap, sort alphabetically by ticker
-        return a.ticker.localeCompare(b.ticker);
-      });
+      allTokens.sort(compareByMarketCap);
 
-      // Add rank to each token
+      // Add FDV, market cap basis and rank to each token
       allTokens = allTokens.map((token, index) => ({
         ...token,
+        ...marketCapFields(token),
         rank: index + 1
       }));
       
       // Cache the result
       this.cachedTokens = allTokens;
+      this.cachedRunId = snapshot.run_id;
       this.lastCacheTime = Date.now();
       
       return allTokens;
@@ -348,11 +499,12 @@ class TokenService {
   /**
    * Get the top tokens by market cap
    * @param {number} limit - Number of tokens to return
+   * @param {Object} [options] - See getAllTokens
    * @returns {Promise<Array>} Top tokens
    */
-  async getTopTokens(limit = 50) {
+  async getTopTokens(limit = 50, options = {}) {
     try {
-      const allTokens = await this.getAllTokens();
+      const allTokens = await this.getAllTokens(options);
       
       // Debug logging for SNEK
       const snekToken = allTokens.find(t => t.ticker === 'SNEK');
@@ -419,11 +571,12 @@ class TokenService {
   /**
    * Get token by ID
    * @param {string} tokenId - Token ID
+   * @param {Object} [options] - See getAllTokens
    * @returns {Promise<Object|null>} Token data or null if not found
    */
-  async getTokenById(tokenId) {
+  async getTokenById(tokenId, options = {}) {
     try {
-      const allTokens = await this.getAllTokens();
+      const allTokens = await this.getAllTokens(options);
       const token = allTokens.find(t => t.token_id === tokenId);
       
       if (!token) {
@@ -431,15 +584,16 @@ class TokenService {
       }
       
       // Add detailed information from the token file
+      const { summariesDir } = snapshotStore.getCurrent();
       let detailedData = null;
       
       try {
         // First try to get enhanced data
-        const tokenFiles = fs.readdirSync(this.summariesDir)
+        const tokenFiles = fs.readdirSync(summariesDir)
           .filter(file => file.includes(tokenId) && file.includes('_enhanced_refined.json'));
         
         if (tokenFiles.length > 0) {
-          detailedData = JSON.parse(fs.readFileSync(path.join(this.summariesDir, tokenFiles[0]), 'utf8'));
+          detailedData = JSON.parse(fs.readFileSync(path.join(summariesDir, tokenFiles[0]), 'utf8'));
         } else {
           // If enhanced data not found, try to get raw data
           const rawFiles = fs.readdirSync(this.advancedDir)
@@ -461,6 +615,18 @@ class TokenService {
         console.error(`Error getting volume data for ${tokenId}:`, error.message);
       }
       
+      // Supply breakdown stored by the last enrichment, or resolved from the rules and summary
+      let supply = (detailedData && detailedData.supply) || token.supply || null;
+      if (!supply) {
+        try {
+          const summaryPath = path.join(summariesDir, `${tokenId}_summary.json`);
+          const summary = fs.existsSync(summaryPath) ? JSON.parse(fs.readFileSync(summaryPath, 'utf8')) : {};
+          supply = supplyService.resolveSupply({ ...summary, ...token });
+        } catch (error) {
+          console.error(`Error resolving supply for ${tokenId}:`, error.message);
+        }
+      }
+      
       // Is this a wrapped token?
       const wrappedTokenInfo = Object.values(this.wrappedTokens)
         .find(wt => wt.tokenId === tokenId);
@@ -469,6 +635,8 @@ class TokenService {
         ...token,
         is_wrapped_token: !!wrappedTokenInfo,
         base_asset: wrappedTokenInfo?.baseAsset || null,
+        supply,
+        tvl_breakdown: this.resolveTvl(detailedData || token, await tvlService.getTvlData()),
         detailed: detailedData,
         volume_details: volumeData
       };
@@ -478,6 +646,336 @@ class TokenService {
     }
   }
 
+  /**
+   * Read a token's enhanced record from the published snapshot
+   * @param {string} tokenId - Token ID
+   * @returns {Object|null} Enhanced record or null if there is none
+   */
+  readEnhancedRecord(tokenId) {
+    const { summariesDir } = snapshotStore.getCurrent();
+    const filePath = path.join(summariesDir, `${tokenId}_enhanced_refined.json`);
+    
+    try {
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+    } catch (error) {
+      console.error(`Error reading enhanced record for ${tokenId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the per-pool breakdown of a token
+   * Served from the published snapshot unless it has none or a live breakdown is requested.
+   * @param {string} tokenId - Token ID
+   * @param {Object} [options]
+   * @param {boolean} [options.live=false] - Fetch current pools instead of the snapshot
+   * @returns {Promise<Object|null>} Breakdown or null if the token is unknown
+   */
+  async getTokenPools(tokenId, { live = false } = {}) {
+    const record = this.readEnhancedRecord(tokenId);
+    
+    if (record && Array.isArray(record.pool_breakdown) && !live) {
+      return {
+        token_id: tokenId,
+        ticker: record.ticker || null,
+        source: 'snapshot',
+        computed_at: record.updated_at || null,
+        weighted_price: record.price || 0,
+        total_liquidity: record.liquidity || 0,
+        pool_count: record.pool_count || 0,
+        original_pool_count: record.original_pool_count || record.pool_breakdown.length,
+        excluded_count: record.pool_breakdown.filter(pool => pool.excluded).length,
+        decimals: record.decimals ?? null,
+        decimals_source: record.decimals_source || null,
+        pools: record.pool_breakdown
+      };
+    }
+    
+    const decimals = record && Number.isInteger(record.decimals)
+      ? { decimals: record.decimals, source: record.decimals_source }
+      : resolveLocalDecimals(tokenId);
+    const result = await calculateWeightedPrice(tokenId, { decimals });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    
+    const pools = result.poolBreakdown || [];
+    if (!record && pools.length === 0) {
+      return null;
+    }
+    
+    return {
+      token_id: tokenId,
+      ticker: record ? record.ticker || null : null,
+      source: 'live',
+      computed_at: new Date().toISOString(),
+      weighted_price: result.weightedPrice || 0,
+      total_liquidity: result.totalLiquidity || 0,
+      pool_count: result.poolCount || 0,
+      original_pool_count: result.originalPoolCount || pools.length,
+      excluded_count: pools.filter(pool => pool.excluded).length,
+      decimals: decimals.decimals,
+      decimals_source: decimals.source,
+      pools
+    };
+  }
+
+  /**
+   * Explain a token's trust assessment in the published snapshot
+   * Records scored before the inputs were stored get them rebuilt from the record's own metrics.
+   * @param {string} tokenId - Token ID
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit] - Most recent score changes returned
+   * @returns {Promise<Object|null>} Assessment or null if the token has none
+   */
+  async getTokenTrust(tokenId, { historyLimit } = {}) {
+    const record = this.readEnhancedRecord(tokenId);
+    const trust = record && record.trust_assessment;
+    if (!trust) {
+      return null;
+    }
+
+    const liquidity = record.liquidity || 0;
+    const marketCap = record.market_cap || 0;
+    const inputs = trust.inputs || {
+      token_id: tokenId,
+      ticker: record.ticker || null,
+      pool_count: record.pool_count || 0,
+      liquidity,
+      market_cap: marketCap,
+      circulating_supply: record.circulating_supply || 0,
+      mcap_liquidity_ratio: liquidity > 0 && marketCap > 0 ? marketCap / liquidity : null,
+      circulating_liquidity_ratio: liquidity > 0 ? (record.circulating_supply || 0) / liquidity : null,
+      token_age: record.token_age || 0,
+      suspicious_liquidity: !!record.suspicious_liquidity,
+      price_from_average_price: !!record.price_from_average_price,
+      potential_copycat: null,
+      copycat_of: null,
+      allowlisted: null,
+      allowlist_reason: null,
+      blocklisted: null,
+      blocklist_reason: null,
+      holder_count: null,
+      top_10_holder_pct: null,
+      top_50_holder_pct: null,
+      holder_gini: null
+    };
+
+    return {
+      token_id: tokenId,
+      ticker: record.ticker || null,
+      run_id: snapshotStore.getCurrent().run_id,
+      computed_at: record.updated_at || null,
+      score: trust.score,
+      level: trust.level,
+      honeypot_risk: !!record.honeypot_risk,
+      rules_version: trust.rules_version || null,
+      penalties: trust.penalties || [],
+      bonuses: trust.bonuses || [],
+      validation_reasons: (record.validation && record.validation.reasons) || [],
+      inputs: {
+        ...inputs,
+        price_source: record.price_source || null
+      },
+      history: await trustHistory.getTokenHistory(tokenId, historyLimit)
+    };
+  }
+
+  /**
+   * Penalties a trust assessment took from the holder rules
+   * Entries carry the category of their rule; for assessments scored before rules had one, the
+   * category is looked up in the active rules.
+   * @param {Object|null} assessment - Trust assessment of a record
+   * @returns {Array<Object>} Holder penalties
+   */
+  holderPenalties(assessment) {
+    const penalties = (assessment && assessment.penalties) || [];
+    if (penalties.some(penalty => penalty.category)) {
+      return penalties.filter(penalty => penalty.category === HOLDER_RULE_CATEGORY);
+    }
+
+    try {
+      const holderRules = new Set(trustRules.getRules().rules
+        .filter(rule => rule.category === HOLDER_RULE_CATEGORY)
+        .map(rule => rule.id));
+      return penalties.filter(penalty => holderRules.has(penalty.rule));
+    } catch (error) {
+      console.error('Error reading trust rules:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get a token's holder distribution in the published snapshot
+   * @param {string} tokenId - Token ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Largest holders returned
+   * @returns {Promise<Object|null>} Distribution or null if the token has no enhanced record
+   */
+  async getTokenHolders(tokenId, { limit = 10 } = {}) {
+    const record = this.readEnhancedRecord(tokenId);
+    if (!record) {
+      return null;
+    }
+
+    const distribution = record.holder_distribution || null;
+    return {
+      token_id: tokenId,
+      ticker: record.ticker || null,
+      run_id: snapshotStore.getCurrent().run_id,
+      computed_at: record.updated_at || null,
+      source: distribution ? distribution.source : null,
+      snapshot_at: distribution ? distribution.snapshot_at : null,
+      has_balances: distribution ? distribution.has_balances : false,
+      holder_count: distribution ? distribution.holder_count : null,
+      held_amount: distribution ? distribution.held_amount : null,
+      top_10_share: distribution ? distribution.top_10_share : null,
+      top_50_share: distribution ? distribution.top_50_share : null,
+      gini: distribution ? distribution.gini : null,
+      concentration_penalties: this.holderPenalties(record.trust_assessment),
+      excluded_holders: distribution ? distribution.excluded_holders : [],
+      top_holders: distribution ? distribution.top_holders.slice(0, limit) : []
+    };
+  }
+
+  /**
+   * Load the lookalike index of the published snapshot, reloading it when a new run is published
+   * @returns {{index: LookalikeIndex, built_at: string, run_id: string}|null} Index or null if the snapshot has none
+   */
+  loadLookalikeIndex() {
+    const { lookalikesPath, run_id: runId } = snapshotStore.getCurrent();
+    
+    if (this.lookalikeIndex && this.lookalikeIndex.path === lookalikesPath) {
+      return this.lookalikeIndex;
+    }
+    
+    try {
+      if (!fs.existsSync(lookalikesPath)) {
+        return null;
+      }
+      
+      const data = JSON.parse(fs.readFileSync(lookalikesPath, 'utf8'));
+      this.lookalikeIndex = { path: lookalikesPath, index: LookalikeIndex.fromJSON(data), built_at: data.built_at || null, run_id: runId };
+      return this.lookalikeIndex;
+    } catch (error) {
+      console.error(`Error reading lookalike index at ${lookalikesPath}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the tokens that look like a token, most suspicious first
+   * @param {string} tokenId - Token ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Most suspicious lookalikes returned
+   * @returns {Promise<Object|null>} Lookalikes and the token it probably copies, or null if the token is not indexed
+   */
+  async getTokenLookalikes(tokenId, { limit = 20 } = {}) {
+    const loaded = this.loadLookalikeIndex();
+    if (!loaded) {
+      const error = new Error('The published snapshot has no lookalike index yet');
+      error.code = 'LOOKALIKES_UNAVAILABLE';
+      throw error;
+    }
+    
+    const { index } = loaded;
+    if (!index.has(tokenId)) {
+      return null;
+    }
+    
+    const lookalikes = index.getLookalikes(tokenId);
+    return {
+      token_id: tokenId,
+      ticker: index.tokens[tokenId].ticker,
+      name: index.tokens[tokenId].name,
+      run_id: loaded.run_id,
+      built_at: loaded.built_at,
+      copycat_threshold: index.copycatThreshold,
+      copycat_of: index.getCopycatOf(tokenId),
+      suspects: lookalikes.filter(lookalike => lookalike.role === 'suspect').length,
+      lookalikes: lookalikes.slice(0, limit)
+    };
+  }
+  
+  /**
+   * Load the liquidity graph of the published snapshot, reloading it when a new run is published
+   * @returns {{graph: PriceGraph, built_at: string, run_id: string}|null} Graph or null if the snapshot has none
+   */
+  loadPriceGraph() {
+    const { priceGraphPath, run_id: runId } = snapshotStore.getCurrent();
+    
+    if (this.priceGraph && this.priceGraph.path === priceGraphPath) {
+      return this.priceGraph;
+    }
+    
+    try {
+      if (!fs.existsSync(priceGraphPath)) {
+        return null;
+      }
+      
+      const data = JSON.parse(fs.readFileSync(priceGraphPath, 'utf8'));
+      // Graphs published before the scope was recorded were built with the same ADA and hub pairs
+      this.priceGraph = {
+        path: priceGraphPath,
+        graph: PriceGraph.fromJSON(data),
+        built_at: data.built_at || null,
+        scope: data.scope || describeScope(),
+        run_id: runId
+      };
+      return this.priceGraph;
+    } catch (error) {
+      console.error(`Error reading price graph at ${priceGraphPath}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the cross rate of two assets from the liquidity graph
+   * @param {string} assetId - Token ID (or ADA) to price
+   * @param {string} quoteId - Token ID (or ADA) to price it in
+   * @returns {Promise<Object|null>} Rate along the deepest path with its confidence, the direct
+   *   pair if there is one and the graph's pair scope, or null if no path connects the assets
+   */
+  async getCrossRate(assetId, quoteId) {
+    const loaded = this.loadPriceGraph();
+    if (!loaded) {
+      const error = new Error('No price graph has been published yet; run the pipeline to build one');
+      error.code = 'GRAPH_UNAVAILABLE';
+      throw error;
+    }
+    
+    const { graph } = loaded;
+    const priced = graph.price(assetId, quoteId);
+    if (!priced) {
+      return null;
+    }
+    
+    const directEdge = graph.edges[graph.edgeKey(assetId, quoteId)];
+    const describe = id => ({ id, ticker: graph.assets[id] ? graph.assets[id].ticker : null });
+    
+    return {
+      asset: describe(assetId),
+      quote: describe(quoteId),
+      price: priced.price,
+      inverse_price: priced.price > 0 ? 1 / priced.price : null,
+      hops: priced.hops,
+      depth: priced.depth,
+      depth_ada: priced.depth_ada,
+      confidence: priced.confidence,
+      path: priced.path,
+      legs: priced.legs,
+      direct: directEdge ? {
+        price: directEdge.reserves[quoteId] / directEdge.reserves[assetId],
+        asset_reserve: directEdge.reserves[assetId],
+        quote_reserve: directEdge.reserves[quoteId],
+        pool_count: Object.keys(directEdge.pools).length
+      } : null,
+      graph_built_at: loaded.built_at,
+      graph_scope: loaded.scope,
+      run_id: loaded.run_id
+    };
+  }
+
   /**
    * Search for tokens by ticker or name
    * @param {string} query - Search query
@@ -602,34 +1100,18 @@ class TokenService {
 
   /**
    * Refresh TVL (Total Value Locked) data for all tokens
-   * This will recalculate the TVL values and update them
-   * @returns {Promise<boolean>} True if successful
+   * Recomputes two-sided TVL from current pool reserves and persists it, see tvlService
+   * @param {Object} [options]
+   * @param {number} [options.budgetMs] - Time budget for this call
+   * @returns {Promise<Object|null>} Refresh summary, or null if the refresh failed
    */
-  async refreshTvlData() {
+  async refreshTvlData(options = {}) {
     console.log("Starting TVL data refresh...");
     try {
-      // Check current date to verify correct timestamp
-      const currentDate = new Date();
-      console.log(`Current timestamp: ${currentDate.toISOString()}`);
-      
-      // Force a refresh of the token data to get latest liquidity values
-      this.lastCacheTime = 0; // Invalidate cache
-      const allTokens = await this.getAllTokens();
-      
-      console.log(`Recalculating TVL for ${allTokens.length} tokens`);
-      
-      // Count tokens with valid TVL
-      const tokensWithTvl = allTokens.filter(token => token.tvl && token.tvl > 0).length;
-      
-      console.log(`Refreshed TVL data for ${tokensWithTvl} tokens at ${currentDate.toISOString()}`);
-      
-      // No need to save anything as getAllTokens() already calculates TVL values
-      // The next time tokens are fetched, they'll have the updated TVL values
-      
-      return true;
+      return await tvlService.refreshTvlData(options);
     } catch (error) {
       console.error("Error refreshing TVL data:", error);
-      return false;
+      return null;
     }
   }
 
@@ -644,6 +1126,7 @@ class TokenService {
 
   /**
    * Lightweight token refresh method for Vercel
+   * Re-prices the top listed tokens in Supabase; full records are written by the pipeline.
    * @returns {Promise<boolean>} Success status
    */
   async lightweightTokenRefresh() {
@@ -669,80 +1152,73 @@ class TokenService {
           }
         }
         
-        // If still no Supabase client, log message but continue with other operations
+        // Without Supabase there are no persisted tokens to refresh
         if (!this.supabase) {
-          console.log('[VERCEL] ⚠️ Will continue without Supabase - token updates will not be persisted');
+          console.log('[VERCEL] ⚠️ Skipping token refresh since no client is available');
+          return false;
         }
       }
       
-      // Simple test - just update SNEK token with current timestamp
-      const snekTokenId = '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
-      
-      // Import axios for DexHunter API
-      const axios = require('axios');
-      const DEXHUNTER_API_KEY = process.env.REACT_APP_DEXHUNTER_PARTNER_ID;
-      
-      if (!DEXHUNTER_API_KEY) {
-        console.error('[VERCEL] ❌ Missing DexHunter API key');
-        return false;
-      }
-      
-      // DexHunter client for getting token data
-      const dexhunterClient = axios.create({
-        baseURL: 'https://api-us.dexhunterv3.app',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Partner-Id': DEXHUNTER_API_KEY
-        }
-      });
-      
-      console.log('[VERCEL] 🔍 Fetching SNEK token data from DexHunter');
-      const response = await dexhunterClient.get(`/swap/token/${snekTokenId}`);
+      // Refresh prices of the top listed tokens, keeping the supply the pipeline persisted
+      const limit = parseInt(process.env.LIGHTWEIGHT_REFRESH_LIMIT) || 20;
+      const { data: rows, error: selectError } = await this.supabase
+        .from('tokens')
+        .select('token_id, ticker, circulating_supply, total_supply')
+        .eq('listed', true)
+        .eq('has_market_cap', true)
+        .order('market_cap', { ascending: false, nullsFirst: false })
+        .limit(limit);
       
-      if (!response.data) {
-        console.error('[VERCEL] ❌ No data returned from DexHunter');
+      if (selectError) {
+        console.error('[VERCEL] ❌ Error reading tokens from Supabase:', selectError);
         return false;
       }
       
-      // Get price
-      const priceResponse = await dexhunterClient.get(`/swap/tokenPrice/${snekTokenId}`);
-      const price = priceResponse.data?.price || response.data.price || 0;
+      // Market data provider chain (DexHunter first, local files as fallback)
+      const marketData = getMarketDataProvider();
+      const updates = [];
       
-      console.log('[VERCEL] 🐍 Got SNEK price:', price);
-      
-      // Simple token entry with minimal data
-      const tokenData = {
-        token_id: snekTokenId,
-        ticker: 'SNEK',
-        name: 'Snek',
-        price: price,
-        market_cap: price * 74436003153, // Using known circulating supply
-        updated_at: new Date().toISOString()
-      };
+      console.log(`[VERCEL] 🔍 Fetching prices for ${rows.length} tokens`);
+      await Promise.all(rows.map(async row => {
+        try {
+          const tokenPrice = await marketData.getTokenPrice(row.token_id);
+          const price = tokenPrice?.price;
+          if (!price) {
+            return;
+          }
+          
+          // Same basis as the pipeline: circulating supply, falling back to total supply
+          const supply = row.circulating_supply || row.total_supply;
+          updates.push({
+            token_id: row.token_id,
+            price,
+            market_cap: supply ? price * supply : null,
+            fdv: row.total_supply ? price * row.total_supply : null,
+            updated_at: new Date().toISOString()
+          });
+        } catch (priceError) {
+          console.error(`[VERCEL] ❌ Error fetching price for ${row.ticker}:`, priceError.message);
+        }
+      }));
       
-      // Only try to update Supabase if we have a client
-      if (this.supabase) {
-        console.log('[VERCEL] 💾 Updating SNEK token in Supabase');
+      if (updates.length > 0) {
+        console.log(`[VERCEL] 💾 Updating ${updates.length} token prices in Supabase`);
         
-        // Simple upsert just one token
         const { error } = await this.supabase
           .from('tokens')
-          .upsert([tokenData], { 
+          .upsert(updates, { 
             onConflict: 'token_id',
             returning: 'minimal' 
           });
           
         if (error) {
-          console.error('[VERCEL] ❌ Error upserting SNEK token to Supabase:', error);
+          console.error('[VERCEL] ❌ Error upserting token prices to Supabase:', error);
           return false;
         }
-        
-        console.log('[VERCEL] ✅ Successfully updated SNEK token in Supabase');
-      } else {
-        console.log('[VERCEL] ⚠️ Skipping Supabase update since no client is available');
-        console.log('[VERCEL] 📝 Token data that would have been updated:', tokenData);
       }
       
+      console.log(`[VERCEL] ✅ Refreshed ${updates.length} of ${rows.length} token prices`);
+      
       // Clear cache 
       this.clearCache();
       
@@ -869,4 +1345,6 @@ class TokenService {
   }
 }
 
-module.exports = new TokenService(); 
\ No newline at end of file
+module.exports = new TokenService();
+module.exports.MCAP_BASES = MCAP_BASES;
+module.exports.marketCapFields = marketCapFields; 
\ No newline at end of file
@@ -0,0 +1,164 @@
+require('dotenv').config();
+const decimalsService = require('./decimalsService');
+
+// ADA token ID in DexHunter orders
+const LOVELACE_ID = '000000000000000000000000000000000000000000000000000000006c6f76656c616365';
+
+// Default window trade prices are computed over, overridable with TRADE_PRICE_WINDOW_HOURS
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Default divergence from the pool price, in percent, above which a token is flagged,
+// overridable with PRICE_DIVERGENCE_THRESHOLD_PCT
+const DEFAULT_DIVERGENCE_THRESHOLD_PCT = 20;
+
+// Default trades and ADA volume a window needs before its divergence is flagged, overridable with
+// PRICE_DIVERGENCE_MIN_TRADES and PRICE_DIVERGENCE_MIN_VOLUME_ADA; a lone fill carries its own fee and price impact
+const DEFAULT_DIVERGENCE_MIN_TRADES = 3;
+const DEFAULT_DIVERGENCE_MIN_VOLUME_ADA = 0;
+
+/**
+ * Volume-weighted average price of trades
+ * @param {Array} trades - Trades with { price, volume_ada }
+ * @returns {number|null} ADA per token
+ */
+function vwapOf(trades) {
+  const volume = trades.reduce((sum, trade) => sum + trade.volume_ada, 0);
+  const tokens = trades.reduce((sum, trade) => sum + trade.volume_ada / trade.price, 0);
+  return volume > 0 && tokens > 0 ? volume / tokens : null;
+}
+
+/**
+ * Time-weighted average price of trades
+ * Each trade's price holds until the next trade, the last one until the end of the window.
+ * @param {Array} trades - Trades with { price, time } sorted by time
+ * @param {number} windowEnd - End of the window in milliseconds
+ * @returns {number|null} ADA per token
+ */
+function twapOf(trades, windowEnd) {
+  if (trades.length === 0) {
+    return null;
+  }
+
+  let weighted = 0;
+  let duration = 0;
+  trades.forEach((trade, index) => {
+    const until = index + 1 < trades.length ? trades[index + 1].time : windowEnd;
+    const held = Math.max(until - trade.time, 0);
+    weighted += trade.price * held;
+    duration += held;
+  });
+
+  // Trades all at the end of the window carry no duration; fall back to their mean
+  return duration > 0
+    ? weighted / duration
+    : trades.reduce((sum, trade) => sum + trade.price, 0) / trades.length;
+}
+
+/**
+ * Service that derives a token's price from its completed trades
+ *
+ * Completed ADA swaps from /swap/globalOrders give a VWAP and a TWAP over the last
+ * TRADE_PRICE_WINDOW_HOURS. They are stored next to the pool-weighted price with the divergence
+ * between the two; a divergence beyond PRICE_DIVERGENCE_THRESHOLD_PCT usually means the pools
+ * are stale or being pushed around. It is only flagged once the window holds enough trades and volume.
+ */
+class TradePriceService {
+  constructor() {
+    this.windowMs = (parseFloat(process.env.TRADE_PRICE_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+    this.divergenceThresholdPct = parseFloat(process.env.PRICE_DIVERGENCE_THRESHOLD_PCT) || DEFAULT_DIVERGENCE_THRESHOLD_PCT;
+    this.divergenceMinTrades = parseInt(process.env.PRICE_DIVERGENCE_MIN_TRADES) || DEFAULT_DIVERGENCE_MIN_TRADES;
+    this.divergenceMinVolumeAda = parseFloat(process.env.PRICE_DIVERGENCE_MIN_VOLUME_ADA) || DEFAULT_DIVERGENCE_MIN_VOLUME_ADA;
+  }
+
+  /**
+   * Group the ADA swaps among completed orders by token
+   * Amounts stay as reported; they are converted once the token's decimals are known.
+   * @param {Array} orders - Completed orders
+   * @returns {Object<string, Array>} Orders by token ID
+   */
+  groupOrdersByToken(orders) {
+    const byToken = {};
+
+    orders.forEach(order => {
+      let tokenId = null;
+      if (order.token_id_in === LOVELACE_ID && order.token_id_out && order.token_id_out !== LOVELACE_ID) {
+        tokenId = order.token_id_out;
+      } else if (order.token_id_out === LOVELACE_ID && order.token_id_in && order.token_id_in !== LOVELACE_ID) {
+        tokenId = order.token_id_in;
+      }
+
+      if (tokenId) {
+        (byToken[tokenId] = byToken[tokenId] || []).push(order);
+      }
+    });
+
+    return byToken;
+  }
+
+  /**
+   * Turn a token's orders into priced trades within the window
+   * @param {Array} orders - The token's ADA swaps
+   * @param {number} decimals - Token decimals
+   * @param {number} from - Start of the window in milliseconds
+   * @param {number} to - End of the window in milliseconds
+   * @returns {Array} Trades with { time, side, price, volume_ada }, sorted by time
+   */
+  toTrades(orders, decimals, from, to) {
+    return orders
+      .map(order => {
+        const buy = order.token_id_in === LOVELACE_ID;
+        const ada = decimalsService.toAda(buy ? order.amount_in : order.actual_out_amount, 'order_amount');
+        const tokens = decimalsService.toWholeUnits(buy ? order.actual_out_amount : order.amount_in, decimals, 'order_amount');
+        return {
+          time: Date.parse(order.submission_time),
+          side: buy ? 'buy' : 'sell',
+          price: ada > 0 && tokens > 0 ? ada / tokens : null,
+          volume_ada: ada
+        };
+      })
+      .filter(trade => trade.price && trade.time >= from && trade.time <= to)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Compute a token's trade prices and compare them with its pool price
+   * @param {Array} orders - The token's ADA swaps (see groupOrdersByToken)
+   * @param {Object} options
+   * @param {number} options.decimals - Token decimals
+   * @param {number} [options.poolPrice] - Pool-weighted price to compare against
+   * @param {number} [options.now] - End of the window in milliseconds
+   * @returns {Object} VWAP, TWAP, window, trade count and divergence (null prices without trades); divergent
+   *   stays false until the window has divergenceMinTrades trades and divergenceMinVolumeAda ADA
+   */
+  getTradePrice(orders, { decimals, poolPrice = null, now = Date.now() }) {
+    const from = now - this.windowMs;
+    const trades = this.toTrades(orders || [], decimals, from, now);
+    const vwap = vwapOf(trades);
+    const divergence = vwap && poolPrice > 0 ? ((poolPrice - vwap) / vwap) * 100 : null;
+    const volumeAda = trades.reduce((sum, trade) => sum + trade.volume_ada, 0);
+    const enoughTrades = trades.length >= this.divergenceMinTrades && volumeAda >= this.divergenceMinVolumeAda;
+
+    return {
+      vwap,
+      twap: twapOf(trades, now),
+      window: {
+        from: new Date(from).toISOString(),
+        to: new Date(now).toISOString(),
+        hours: this.windowMs / (60 * 60 * 1000)
+      },
+      trade_count: trades.length,
+      volume_ada: volumeAda,
+      last_trade_at: trades.length > 0 ? new Date(trades[trades.length - 1].time).toISOString() : null,
+      divergence_pct: divergence,
+      divergence_threshold_pct: this.divergenceThresholdPct,
+      divergence_min_trades: this.divergenceMinTrades,
+      divergence_min_volume_ada: this.divergenceMinVolumeAda,
+      divergent: enoughTrades && divergence !== null && Math.abs(divergence) > this.divergenceThresholdPct
+    };
+  }
+}
+
+module.exports = new TradePriceService();
+module.exports.TradePriceService = TradePriceService;
+module.exports.vwapOf = vwapOf;
+module.exports.twapOf = twapOf;
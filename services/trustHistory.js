@@ -0,0 +1,87 @@
+const path = require('path');
+const stateStore = require('./stateStore');
+
+// State key of the trust history
+const TRUST_HISTORY_KEY = 'trust:history';
+
+/**
+ * Trust score history across pipeline runs
+ *
+ * Every published run appends an entry for each token whose trust score, level or rules version
+ * differs from its last entry, so the history holds the score changes rather than every refresh.
+ * It is stored in token_data/trust_history.json (the state store on Vercel) and keeps the
+ * TRUST_HISTORY_LIMIT most recent changes per token.
+ */
+class TrustHistory {
+  constructor() {
+    this.historyPath = path.join(process.cwd(), 'token_data', 'trust_history.json');
+    this.limit = parseInt(process.env.TRUST_HISTORY_LIMIT) || 50;
+  }
+
+  /**
+   * Get the stored history
+   * @returns {Promise<{tokens: Object<string, Array>}>} Entries by token ID, oldest first
+   */
+  async getHistory() {
+    try {
+      return await stateStore.readJson(TRUST_HISTORY_KEY, this.historyPath, { tokens: {} });
+    } catch (error) {
+      console.error('Error reading trust history:', error.message);
+    }
+    return { tokens: {} };
+  }
+
+  /**
+   * Record the trust assessments of a published run
+   * @param {Array} records - Enhanced token records of the run
+   * @param {Object} [options]
+   * @param {string} [options.runId] - Published run
+   * @param {string} [options.at] - Publish time
+   * @returns {Promise<number>} Tokens whose score changed
+   */
+  async recordRun(records, { runId = null, at = new Date().toISOString() } = {}) {
+    const history = await this.getHistory();
+    let changed = 0;
+
+    records.forEach(record => {
+      const trust = record && record.trust_assessment;
+      if (!trust || typeof trust.score !== 'number') {
+        return;
+      }
+
+      const entries = history.tokens[record.token_id] || [];
+      const last = entries[entries.length - 1];
+      if (last && last.score === trust.score && last.level === trust.level && last.rules_version === (trust.rules_version || null)) {
+        return;
+      }
+
+      entries.push({
+        run_id: runId,
+        at,
+        score: trust.score,
+        level: trust.level,
+        rules_version: trust.rules_version || null,
+        change: last ? trust.score - last.score : null
+      });
+      history.tokens[record.token_id] = entries.slice(-this.limit);
+      changed++;
+    });
+
+    await stateStore.writeJson(TRUST_HISTORY_KEY, this.historyPath, history);
+    return changed;
+  }
+
+  /**
+   * Get the score changes of one token
+   * @param {string} tokenId - Token ID
+   * @param {number} [limit] - Most recent changes returned
+   * @returns {Promise<Array>} Changes, newest first
+   */
+  async getTokenHistory(tokenId, limit = this.limit) {
+    const history = await this.getHistory();
+    return (history.tokens[tokenId] || []).slice(-limit).reverse();
+  }
+}
+
+module.exports = new TrustHistory();
+module.exports.TrustHistory = TrustHistory;
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Lists an entry can be on: allowlisted tokens earn the allowlist bonus, blocklisted ones the blocklist penalty
+const LISTS = ['allow', 'block'];
+
+// What an entry matches: one token, or every token minted under a policy
+const SCOPES = ['token', 'policy'];
+
+// A policy ID is a 28-byte hash; a token ID is the policy ID followed by an asset name of up to 32 bytes
+const POLICY_ID_PATTERN = /^[0-9a-f]{56}$/;
+const TOKEN_ID_PATTERN = /^[0-9a-f]{56}(?:[0-9a-f]{2}){0,32}$/;
+
+/**
+ * Build an error with a code the routes map to a status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function listError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether an entry has expired
+ * @param {Object} entry - List entry
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isExpired(entry, now = new Date()) {
+  return !!entry.expires_at && Date.parse(entry.expires_at) <= now.getTime();
+}
+
+/**
+ * Check and normalize the fields of a new or updated entry
+ * @param {Object} fields - Entry fields; on updates only the changed ones
+ * @param {Object} [existing] - Entry being updated
+ * @returns {Object} Normalized entry fields
+ */
+function validateEntry(fields, existing = {}) {
+  const fail = message => {
+    throw listError(message, 'INVALID_TRUST_LIST_ENTRY');
+  };
+  const entry = { ...existing, ...fields };
+
+  if (!LISTS.includes(entry.list)) fail(`list must be one of ${LISTS.join(', ')}`);
+  entry.scope = entry.scope || 'token';
+  if (!SCOPES.includes(entry.scope)) fail(`scope must be one of ${SCOPES.join(', ')}`);
+
+  entry.target_id = typeof entry.target_id === 'string' ? entry.target_id.trim().toLowerCase() : '';
+  if (entry.scope === 'policy' && !POLICY_ID_PATTERN.test(entry.target_id)) {
+    fail('target_id must be a policy ID (56 hex characters)');
+  }
+  if (entry.scope === 'token' && !TOKEN_ID_PATTERN.test(entry.target_id)) {
+    fail('target_id must be a token ID (a 56 hex character policy ID followed by a hex asset name of up to 32 bytes)');
+  }
+
+  if (typeof entry.reason !== 'string' || !entry.reason.trim()) fail('reason is required');
+  entry.reason = entry.reason.trim();
+
+  if (entry.expires_at === undefined || entry.expires_at === null || entry.expires_at === '') {
+    entry.expires_at = null;
+  } else if (fields.expires_at !== undefined) {
+    const expiresAt = Date.parse(entry.expires_at);
+    if (isNaN(expiresAt)) fail('expires_at must be a date');
+    if (expiresAt <= Date.now()) fail('expires_at must be in the future');
+    entry.expires_at = new Date(expiresAt).toISOString();
+  }
+
+  return entry;
+}
+
+/**
+ * Service for the admin-managed token allowlist and blocklist
+ *
+ * Entries are stored with their audit log in token_data/trust_lists.json, the file the pipeline
+ * reads at the start of each run. Vercel serves the deployed file read-only and refuses changes:
+ * the pipeline never runs there, so edits made on it would never reach a score. Each entry puts a token, or every token of a policy, on the allow or block list with
+ * a reason and an optional expiry; expired entries stay listed but no longer apply. Every change
+ * appends the entry before and after it, with the actor, to the audit log. The pipeline loads the
+ * active lists at the start of each run and the trust rules score the allowlisted and blocklisted inputs.
+ */
+class TrustListService {
+  constructor() {
+    this.listsPath = process.env.TRUST_LISTS_PATH || path.join(process.cwd(), 'token_data', 'trust_lists.json');
+  }
+
+  /**
+   * Load the stored entries and audit log
+   * @returns {Promise<{entries: Array, audit: Array}>}
+   */
+  async load() {
+    try {
+      if (fs.existsSync(this.listsPath)) {
+        return JSON.parse(fs.readFileSync(this.listsPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading trust lists:', error.message);
+    }
+    return { entries: [], audit: [] };
+  }
+
+  /**
+   * Store the entries and audit log
+   * @param {{entries: Array, audit: Array}} data
+   * @returns {Promise<void>}
+   */
+  async save(data) {
+    if (process.env.VERCEL) {
+      throw listError(
+        'Trust lists are read-only on Vercel; change them where the pipeline runs so they reach the scores',
+        'TRUST_LISTS_READ_ONLY'
+      );
+    }
+    fs.writeFileSync(this.listsPath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * List entries
+   * @param {Object} [options]
+   * @param {string} [options.list] - Only entries of this list
+   * @param {boolean} [options.includeExpired=true] - Include expired entries
+   * @returns {Promise<Array>} Entries with an expired flag
+   */
+  async listEntries({ list, includeExpired = true } = {}) {
+    const { entries } = await this.load();
+    return entries
+      .filter(entry => !list || entry.list === list)
+      .map(entry => ({ ...entry, expired: isExpired(entry) }))
+      .filter(entry => includeExpired || !entry.expired);
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(id) {
+    const { entries } = await this.load();
+    const entry = entries.find(candidate => candidate.id === id);
+    return entry ? { ...entry, expired: isExpired(entry) } : null;
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} fields - { list, scope, target_id, reason, expires_at }
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<Object>} Created entry
+   */
+  async createEntry(fields, { actor = null } = {}) {
+    const data = await this.load();
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...validateEntry({
+        list: fields.list,
+        scope: fields.scope,
+        target_id: fields.target_id,
+        reason: fields.reason,
+        expires_at: fields.expires_at
+      }),
+      created_at: now,
+      updated_at: now
+    };
+    this.assertUnique(data.entries, entry);
+
+    data.entries.push(entry);
+    data.audit.push({ at: now, action: 'create', entry_id: entry.id, actor, before: null, after: entry });
+    await this.save(data);
+    console.log(`Added ${entry.scope} ${entry.target_id} to the ${entry.list}list: ${entry.reason}`);
+    return entry;
+  }
+
+  /**
+   * Change an entry
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Any of list, scope, target_id, reason, expires_at
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(id, changes, { actor = null } = {}) {
+    const data = await this.load();
+    const index = data.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      throw listError(`Trust list entry ${id} not found`, 'TRUST_LIST_ENTRY_NOT_FOUND');
+    }
+
+    const before = data.entries[index];
+    const fields = {};
+    ['list', 'scope', 'target_id', 'reason', 'expires_at'].forEach(field => {
+      if (changes[field] !== undefined) {
+        fields[field] = changes[field];
+      }
+    });
+    const entry = { ...validateEntry(fields, before), updated_at: new Date().toISOString() };
+    this.assertUnique(data.entries.filter(other => other.id !== id), entry);
+
+    data.entries[index] = entry;
+    data.audit.push({ at: entry.updated_at, action: 'update', entry_id: id, actor, before, after: entry });
+    await this.save(data);
+    return entry;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, for the audit log
+   * @returns {Promise<Object>} Removed entry
+   */
+  async deleteEntry(id, { actor = null } = {}) {
+    const data = await this.load();
+    const entry = data.entries.find(candidate => candidate.id === id);
+    if (!entry) {
+      throw listError(`Trust list entry ${id} not found`, 'TRUST_LIST_ENTRY_NOT_FOUND');
+    }
+
+    data.entries = data.entries.filter(candidate => candidate.id !== id);
+    data.audit.push({ at: new Date().toISOString(), action: 'delete', entry_id: id, actor, before: entry, after: null });
+    await this.save(data);
+    return entry;
+  }
+
+  /**
+   * Get the audit log, newest first
+   * @param {Object} [options]
+   * @param {string} [options.entryId] - Only changes of this entry
+   * @param {number} [options.limit=100] - Most recent changes returned
+   * @returns {Promise<Array>}
+   */
+  async getAudit({ entryId, limit = 100 } = {}) {
+    const { audit } = await this.load();
+    return audit
+      .filter(change => !entryId || change.entry_id === entryId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Reject an entry that repeats the target of another entry
+   * @param {Array} entries - Other entries
+   * @param {Object} entry - New or updated entry
+   */
+  assertUnique(entries, entry) {
+    const duplicate = entries.find(other => other.scope === entry.scope && other.target_id === entry.target_id);
+    if (duplicate) {
+      throw listError(
+        `${entry.scope} ${entry.target_id} is already on the ${duplicate.list}list (entry ${duplicate.id})`,
+        'DUPLICATE_TRUST_LIST_ENTRY'
+      );
+    }
+  }
+
+  /**
+   * Get the entries that apply now, for matching during a run
+   * @param {Date} [now]
+   * @returns {Promise<Array>} Unexpired entries
+   */
+  async getActiveEntries(now = new Date()) {
+    const { entries } = await this.load();
+    return entries.filter(entry => !isExpired(entry, now));
+  }
+}
+
+/**
+ * Find the entries that apply to a token; a token entry takes precedence over a policy entry
+ * @param {string} tokenId - Token ID
+ * @param {Array} entries - Active entries (see getActiveEntries)
+ * @returns {{allow: Object|null, block: Object|null}} Matching entry of each list
+ */
+function matchToken(tokenId, entries = []) {
+  const id = String(tokenId || '').toLowerCase();
+  const policyId = id.slice(0, 56);
+  const find = list => entries.find(entry => entry.list === list && entry.scope === 'token' && entry.target_id === id)
+    || entries.find(entry => entry.list === list && entry.scope === 'policy' && entry.target_id === policyId)
+    || null;
+
+  return { allow: find('allow'), block: find('block') };
+}
+
+module.exports = new TrustListService();
+module.exports.TrustListService = TrustListService;
+module.exports.LISTS = LISTS;
+module.exports.SCOPES = SCOPES;
+module.exports.matchToken = matchToken;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+
+// Inputs rule conditions can refer to
+const TRUST_INPUTS = {
+  token_id: 'Token ID',
+  ticker: 'Token ticker',
+  pool_count: 'Pools the price was computed from',
+  liquidity: 'ADA liquidity of those pools',
+  market_cap: 'Market cap in ADA',
+  circulating_supply: 'Circulating supply in whole tokens',
+  mcap_liquidity_ratio: 'Market cap divided by liquidity (null unless both are positive)',
+  circulating_liquidity_ratio: 'Circulating supply divided by liquidity (null without liquidity)',
+  token_age: 'Days since the token was created (0 when unknown)',
+  suspicious_liquidity: 'Whether the liquidity distribution or price source is suspicious',
+  price_from_average_price: 'Whether the price came from the averagePrice fallback',
+  potential_copycat: 'Whether the token looks like an older or more liquid token (see services/lookalikeIndex.js)',
+  copycat_of: 'Ticker of the token it looks like',
+  allowlisted: 'Whether the token or its policy is on the admin allowlist',
+  allowlist_reason: 'Reason of the allowlist entry',
+  blocklisted: 'Whether the token or its policy is on the admin blocklist',
+  blocklist_reason: 'Reason of the blocklist entry',
+  holder_count: 'Addresses holding the token, pools and supply exclusions aside (null without a holder snapshot)',
+  top_10_holder_pct: 'Percent of the held supply owned by the 10 largest holders (null without balances)',
+  top_50_holder_pct: 'Percent of the held supply owned by the 50 largest holders (null without balances)',
+  holder_gini: 'Gini coefficient of the holder balances (null without balances)'
+};
+
+// Condition operators and how they compare an input with the configured value
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => isNumber(value) && value > expected,
+  gte: (value, expected) => isNumber(value) && value >= expected,
+  lt: (value, expected) => isNumber(value) && value < expected,
+  lte: (value, expected) => isNumber(value) && value <= expected,
+  in: (value, expected) => expected.includes(value),
+  matches: (value, expected, flags) => typeof value === 'string' && expected.some(pattern => new RegExp(pattern, flags).test(value))
+};
+
+/**
+ * Whether a value is a usable number
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
+
+/**
+ * Whether inputs satisfy every condition of a rule
+ * @param {Object} when - Conditions by input, e.g. { pool_count: { gte: 2, lt: 3 } }
+ * @param {Object} inputs - Trust inputs
+ * @returns {boolean}
+ */
+function matchesConditions(when, inputs) {
+  return Object.entries(when || {}).every(([input, condition]) =>
+    Object.entries(condition)
+      .filter(([operator]) => operator !== 'flags')
+      .every(([operator, expected]) => OPERATORS[operator](inputs[input], expected, condition.flags))
+  );
+}
+
+/**
+ * Fill a reason template, e.g. "Low liquidity ({liquidity:2} ADA)" with two decimals
+ * @param {string} template - Reason template
+ * @param {Object} inputs - Trust inputs
+ * @returns {string}
+ */
+function formatReason(template, inputs) {
+  return template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, input, decimals) => {
+    const value = inputs[input];
+    return decimals !== undefined && isNumber(value) ? value.toFixed(parseInt(decimals)) : String(value);
+  });
+}
+
+/**
+ * Check a rule set and throw on the first problem
+ * @param {Object} config - Rule set
+ * @returns {Object} The rule set
+ */
+function validateRules(config) {
+  const fail = message => {
+    const error = new Error(`Invalid trust rules: ${message}`);
+    error.code = 'INVALID_TRUST_RULES';
+    throw error;
+  };
+  const checkConditions = (when, where) => {
+    Object.entries(when || {}).forEach(([input, condition]) => {
+      if (!TRUST_INPUTS[input]) fail(`${where} uses unknown input ${input}`);
+      Object.keys(condition).forEach(operator => {
+        if (operator !== 'flags' && !OPERATORS[operator]) fail(`${where} uses unknown operator ${operator}`);
+      });
+    });
+  };
+
+  if (!config || typeof config.version !== 'string' || !config.version) fail('version is required');
+  if (!isNumber(config.base_score)) fail('base_score must be a number');
+  if (!Array.isArray(config.levels) || config.levels.length === 0) fail('levels are required');
+  if (config.levels[config.levels.length - 1].below !== undefined) fail('the last level must have no upper bound');
+  config.levels.forEach(level => {
+    if (typeof level.honeypot === 'object' && level.honeypot !== null) checkConditions(level.honeypot, `level ${level.level}`);
+  });
+
+  const ids = new Set();
+  (config.rules || []).forEach((rule, index) => {
+    const where = `rule ${rule.id || index}`;
+    if (!rule.id) fail(`rule ${index} has no id`);
+    if (ids.has(rule.id)) fail(`rule id ${rule.id} is used twice`);
+    ids.add(rule.id);
+    if (!isNumber(rule.points)) fail(`${where} needs numeric points`);
+    if (typeof rule.reason !== 'string') fail(`${where} needs a reason`);
+    if (rule.category !== undefined && (typeof rule.category !== 'string' || !rule.category)) fail(`${where} has an empty category`);
+    checkConditions(rule.when, where);
+  });
+
+  return config;
+}
+
+/**
+ * Declarative trust scoring rules
+ *
+ * Rules live in token_data/trust_rules.json (path overridable with TRUST_RULES_PATH):
+ *   version     id stamped onto every trust assessment scored with the rules
+ *   base_score  score before any rule applies; min_score floors the result
+ *   levels      [{ below, level, honeypot }] in ascending order; honeypot is a boolean or conditions
+ *   rules       [{ id, group, category, when, points, reason }] applied in order; positive points are bonuses.
+ *               Within a group only the first matching rule applies, so groups express tiers. The
+ *               optional category names what a rule scores (e.g. holders) and is kept on its entry.
+ * Conditions map inputs (see TRUST_INPUTS) to operators (eq, ne, gt, gte, lt, lte, in, matches
+ * with optional flags), all of which must hold. Reasons may embed inputs as {input} or {input:decimals}.
+ */
+class TrustRules {
+  constructor() {
+    this.rulesPath = process.env.TRUST_RULES_PATH || path.join(process.cwd(), 'token_data', 'trust_rules.json');
+    this.rules = null;
+    this.rulesMtime = null;
+  }
+
+  /**
+   * Load the active rule set, reloading it when the file changes
+   * @returns {Object} Validated rule set
+   */
+  getRules() {
+    const mtime = fs.statSync(this.rulesPath).mtimeMs;
+    if (!this.rules || this.rulesMtime !== mtime) {
+      this.rules = validateRules(JSON.parse(fs.readFileSync(this.rulesPath, 'utf8')));
+      this.rulesMtime = mtime;
+    }
+    return this.rules;
+  }
+
+  /**
+   * Score trust inputs with the active rules
+   * @param {Object} inputs - Values for the inputs in TRUST_INPUTS
+   * @param {Object} [rules] - Rule set to use instead of the active one
+   * @returns {Object} { score, trustLevel, isHoneypot, penalties, bonuses, rulesVersion, inputs }
+   */
+  evaluate(inputs, rules = this.getRules()) {
+    let score = rules.base_score;
+    const penalties = [];
+    const bonuses = [];
+    const matchedGroups = new Set();
+
+    rules.rules.forEach(rule => {
+      if ((rule.group && matchedGroups.has(rule.group)) || !matchesConditions(rule.when, inputs)) {
+        return;
+      }
+      if (rule.group) {
+        matchedGroups.add(rule.group);
+      }
+
+      const entry = { rule: rule.id, reason: formatReason(rule.reason, inputs), points: rule.points };
+      if (rule.category) {
+        entry.category = rule.category;
+      }
+      (rule.points < 0 ? penalties : bonuses).push(entry);
+      score += rule.points;
+    });
+
+    if (isNumber(rules.min_score)) {
+      score = Math.max(rules.min_score, score);
+    }
+
+    const level = rules.levels.find(candidate => candidate.below === undefined || score < candidate.below);
+    const isHoneypot = typeof level.honeypot === 'object' && level.honeypot !== null
+      ? matchesConditions(level.honeypot, inputs)
+      : !!level.honeypot;
+
+    return {
+      score,
+      trustLevel: level.level,
+      isHoneypot,
+      penalties,
+      bonuses,
+      rulesVersion: rules.version,
+      inputs: Object.fromEntries(Object.keys(TRUST_INPUTS).map(input => [input, inputs[input] ?? null]))
+    };
+  }
+}
+
+module.exports = new TrustRules();
+module.exports.TrustRules = TrustRules;
+module.exports.TRUST_INPUTS = TRUST_INPUTS;
+module.exports.OPERATORS = Object.keys(OPERATORS);
+module.exports.validateRules = validateRules;
@@ -0,0 +1,191 @@
+const path = require('path');
+require('dotenv').config();
+const stateStore = require('./stateStore');
+const persistenceService = require('./persistenceService');
+
+// State key of the TVL dataset (see StateStore.readJson)
+const TVL_DATASET_KEY = 'tvl:dataset';
+
+/**
+ * Compute two-sided TVL from pool reserves
+ * The ADA side is taken as is; the token side is valued at the weighted price.
+ * @param {Array} pools - Pools with { dex, poolId, adaAmount, tokenAmount }
+ * @param {number} price - Weighted token price in ADA
+ * @returns {Object} TVL with the ADA and token sides, per pool and per DEX
+ */
+function computeTvl(pools, price) {
+  const byDex = {};
+  let adaSide = 0;
+  let tokenSide = 0;
+
+  const poolTvl = (pools || []).map(pool => {
+    const tokenValue = pool.tokenAmount * price;
+    const tvl = pool.adaAmount + tokenValue;
+    adaSide += pool.adaAmount;
+    tokenSide += tokenValue;
+
+    const dex = pool.dex || 'UNKNOWN';
+    if (!byDex[dex]) {
+      byDex[dex] = { tvl: 0, ada_reserve: 0, token_reserve: 0, pool_count: 0 };
+    }
+    byDex[dex].tvl += tvl;
+    byDex[dex].ada_reserve += pool.adaAmount;
+    byDex[dex].token_reserve += pool.tokenAmount;
+    byDex[dex].pool_count++;
+
+    return {
+      dex,
+      pool_id: pool.poolId || null,
+      ada_reserve: pool.adaAmount,
+      token_reserve: pool.tokenAmount,
+      token_value_ada: tokenValue,
+      tvl
+    };
+  });
+
+  return {
+    tvl: adaSide + tokenSide,
+    ada_side: adaSide,
+    token_side: tokenSide,
+    price_used: price,
+    pool_count: poolTvl.length,
+    pools: poolTvl.sort((a, b) => b.tvl - a.tvl),
+    by_dex: byDex,
+    computed_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Service to handle TVL (two-sided liquidity) data
+ *
+ * The pipeline stores TVL on every enhanced record (tvl, tvl_breakdown). Between pipeline runs,
+ * refreshTvlData recomputes it from current pool reserves into token_data/tvl_data.json
+ * (the state store on Vercel), and getAllTokens prefers those newer values.
+ */
+class TvlService {
+  constructor() {
+    this.dataPath = path.join(process.cwd(), 'token_data', 'tvl_data.json');
+    this.cachedData = null;
+    this.lastCacheTime = null;
+    this.cacheDuration = 5 * 60 * 1000; // 5 minutes cache
+
+    // Time budget for one refresh call; the least recently computed tokens go first
+    this.refreshBudgetMs = parseInt(process.env.TVL_REFRESH_BUDGET_MS) || 8000;
+    this.refreshConcurrency = parseInt(process.env.TVL_REFRESH_CONCURRENCY) || 5;
+  }
+
+  /**
+   * Get the refreshed TVL dataset
+   * @returns {Promise<Object>} Dataset ({ timestamp, tokens: { tokenId: tvl entry } })
+   */
+  async getTvlData() {
+    if (this.cachedData && this.lastCacheTime && (Date.now() - this.lastCacheTime < this.cacheDuration)) {
+      return this.cachedData;
+    }
+
+    let data = { timestamp: null, tokens: {} };
+    try {
+      data = await stateStore.readJson(TVL_DATASET_KEY, this.dataPath, data);
+    } catch (error) {
+      console.error(`Error reading TVL data:`, error.message);
+    }
+
+    this.cachedData = data;
+    this.lastCacheTime = Date.now();
+    return data;
+  }
+
+  /**
+   * Recompute TVL from current pool reserves and persist it
+   * @param {Object} [options]
+   * @param {number} [options.budgetMs] - Time budget for this call
+   * @returns {Promise<Object>} Refresh summary
+   */
+  async refreshTvlData({ budgetMs = this.refreshBudgetMs } = {}) {
+    const startedAt = Date.now();
+
+    // Required lazily: both depend on this service
+    const tokenService = require('./tokenService');
+    const { calculateWeightedPrice } = require('./poolPricing');
+
+    const data = await this.getTvlData();
+    const tokens = (await tokenService.getAllTokens()).filter(token => token && token.token_id);
+
+    // Never computed first, then the oldest, so successive calls cover every token
+    const computedAt = tokenId => {
+      const entry = data.tokens[tokenId];
+      return entry ? Date.parse(entry.computed_at) || 0 : 0;
+    };
+    const queue = [...tokens].sort((a, b) => computedAt(a.token_id) - computedAt(b.token_id));
+
+    const updated = {};
+    let processed = 0;
+    let failed = 0;
+    let chunkDuration = 0;
+
+    while (processed < queue.length && (processed === 0 || Date.now() - startedAt + chunkDuration < budgetMs)) {
+      const chunkStartedAt = Date.now();
+      const chunk = queue.slice(processed, processed + this.refreshConcurrency);
+
+      await Promise.all(chunk.map(async token => {
+        try {
+          const { tvl, error } = await calculateWeightedPrice(token.token_id);
+          if (error) {
+            throw new Error(error);
+          }
+          updated[token.token_id] = tvl || computeTvl([], 0);
+        } catch (tokenError) {
+          failed++;
+          console.error(`Error recomputing TVL for ${token.token_id}:`, tokenError.message);
+        }
+      }));
+
+      processed += chunk.length;
+      chunkDuration = Date.now() - chunkStartedAt;
+    }
+
+    const result = {
+      timestamp: new Date().toISOString(),
+      tokens: { ...data.tokens, ...updated }
+    };
+
+    await stateStore.writeJson(TVL_DATASET_KEY, this.dataPath, result);
+    this.cachedData = result;
+    this.lastCacheTime = Date.now();
+    tokenService.clearCache();
+
+    let persisted = false;
+    if (persistenceService.isEnabled() && Object.keys(updated).length > 0) {
+      try {
+        await persistenceService.persistTvl(updated);
+        persisted = true;
+      } catch (error) {
+        console.error('Error persisting TVL data:', error.message);
+      }
+    }
+
+    const summary = {
+      processed,
+      updated: Object.keys(updated).length,
+      failed,
+      remaining: queue.length - processed,
+      budget_ms: budgetMs,
+      elapsed_ms: Date.now() - startedAt,
+      persisted
+    };
+    console.log(`Recomputed TVL for ${summary.updated} of ${queue.length} tokens in ${summary.elapsed_ms}ms`);
+    return summary;
+  }
+
+  /**
+   * Clear the TVL cache
+   */
+  clearCache() {
+    this.cachedData = null;
+    this.lastCacheTime = null;
+  }
+}
+
+module.exports = new TvlService();
+module.exports.TvlService = TvlService;
+module.exports.computeTvl = computeTvl;
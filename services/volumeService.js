@@ -1,7 +1,14 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 require('dotenv').config();
+const { getMarketDataProvider } = require('./providers');
+const stateStore = require('./stateStore');
+const persistenceService = require('./persistenceService');
+const decimalsService = require('./decimalsService');
+
+// State keys for the resumable lightweight refresh
+const VOLUME_CURSOR_KEY = 'volume:refresh_cursor';
+const VOLUME_DATASET_KEY = 'volume:dataset';
 
 /**
  * Service to handle token volume operations
@@ -13,19 +20,20 @@ class VolumeService {
     this.lastCacheTime = null;
     this.cacheDuration = 5 * 60 * 1000; // 5 minutes cache
     
-    // DexHunter API client configuration
-    this.dexhunterApiKey = process.env.REACT_APP_DEXHUNTER_PARTNER_ID;
-    this.dexhunterClient = axios.create({
-      baseURL: 'https://api-us.dexhunterv3.app',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Partner-Id': this.dexhunterApiKey
-      }
-    });
+    // Market data provider chain (DexHunter first, local files as fallback)
+    this.marketData = getMarketDataProvider();
     
     // Constants
     this.MAX_PAGES = 100; // Limit to 100 pages to avoid excessive API calls
     this.PER_PAGE = 50; // 50 orders per page
+    this.MAX_FAILED_PAGES_IN_A_ROW = 2; // Skip a lost page, but give up once the upstream looks down
+    
+    // Outcome of the last globalOrders pagination (see getAllOrders)
+    this.lastOrderFetch = null;
+    
+    // Lightweight refresh: time budget per invocation and tokens fetched in parallel
+    this.refreshBudgetMs = parseInt(process.env.VOLUME_REFRESH_BUDGET_MS) || 8000;
+    this.refreshConcurrency = parseInt(process.env.VOLUME_REFRESH_CONCURRENCY) || 5;
   }
 
   /**
@@ -75,6 +83,14 @@ class VolumeService {
         };
       }
       
+      // On Vercel the bundled file is read-only; use the merged dataset from the state store when it is newer
+      if (process.env.VERCEL) {
+        const stored = await stateStore.get(VOLUME_DATASET_KEY);
+        if (stored && stored.tokens && (!volumeData.timestamp || stored.timestamp > volumeData.timestamp)) {
+          volumeData = stored;
+        }
+      }
+      
       // Cache the result
       this.cachedVolumeData = volumeData;
       this.lastCacheTime = Date.now();
@@ -140,9 +156,11 @@ class VolumeService {
   /**
    * Refresh token volume data by fetching from DexHunter API
    * @param {boolean} [isVercel=false] - Whether this is running in Vercel environment
+   * @param {Object} [options]
+   * @param {number} [options.budgetMs] - Time budget for the lightweight refresh
    * @returns {Promise<Object>} Updated volume data
    */
-  async refreshVolumeData(isVercel = false) {
+  async refreshVolumeData(isVercel = false, { budgetMs } = {}) {
     try {
       console.log("Starting token volume calculation with 24-hour window...");
       
@@ -157,7 +175,7 @@ class VolumeService {
       // For Vercel, use a lighter-weight approach that won't time out
       if (isVercel || process.env.VERCEL) {
         console.log("Using lightweight volume refresh for Vercel environment");
-        return await this.lightweightVolumeRefresh(twentyFourHoursAgo, now);
+        return await this.lightweightVolumeRefresh(twentyFourHoursAgo, now, { budgetMs });
       }
       
       // Get all orders for the past 24 hours
@@ -185,12 +203,17 @@ class VolumeService {
           to: now.toISOString()
         },
         total_tokens: sortedResults.length,
+        order_fetch: this.lastOrderFetch,
         tokens: sortedResults
       };
       
       // Save to file
       fs.writeFileSync(this.volumeDataPath, JSON.stringify(result, null, 2));
+      await this.persistSnapshot(result, 'full');
       
+      if (!this.lastOrderFetch.complete) {
+        console.log(`Volume data is partial: ${this.lastOrderFetch.error}`);
+      }
       console.log(`Volume data updated with ${sortedResults.length} tokens`);
       return result;
     } catch (error) {
@@ -200,83 +223,139 @@ class VolumeService {
   }
 
   /**
-   * Lightweight volume refresh that only processes top tokens
-   * Designed to complete within Vercel function timeout limits
+   * Lightweight volume refresh designed to complete within Vercel function timeout limits.
+   * Walks the market cap ranking from a persisted cursor, fetching per-token volume until the
+   * time budget is spent, and merges the results into the existing dataset. Successive calls
+   * continue where the previous one stopped, so the whole universe is covered over time.
    * @param {Date} fromTime - Start time
    * @param {Date} toTime - End time
-   * @returns {Promise<Object>} Updated volume data
+   * @param {Object} [options]
+   * @param {number} [options.budgetMs] - Time budget for this invocation
+   * @returns {Promise<Object>} Merged volume data with a refresh summary
    */
-  async lightweightVolumeRefresh(fromTime, toTime) {
+  async lightweightVolumeRefresh(fromTime, toTime, { budgetMs = this.refreshBudgetMs } = {}) {
     try {
-      console.log("Starting lightweight volume refresh...");
-      
-      // Only process the top 20 tokens by market cap to stay within timeout limits
-      const topTokenIds = [
-        // SNEK
-        "279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b",
-        // HOSKY
-        "a0028f350aaabe0545fdcb56b039bfb08e4bb4d8c4d7c3c7d481c235484f534b59",
-        // DJED
-        "8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a6564",
-        // MELD
-        "6ac8ef33b510ec004fe11585f7c5a9f0c07f0c23428ab4f29c1d7d104d454c44",
-        // IBTC
-        "f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069425443",
-        // Add more top tokens as needed
-      ];
-      
-      // Store volume results
+      const startedAt = Date.now();
+      console.log(`Starting lightweight volume refresh with a ${budgetMs}ms budget...`);
+      
+      // Tokens in market cap order (required lazily, tokenService depends on this service)
+      const tokenService = require('./tokenService');
+      const ranking = (await tokenService.getAllTokens())
+        .filter(token => token && token.token_id)
+        .map(token => ({ tokenId: token.token_id, name: token.ticker }));
+      
+      if (ranking.length === 0) {
+        console.log('No ranked tokens available, skipping lightweight volume refresh');
+        return await this.getVolumeData();
+      }
+      
+      // Resume after the last token processed; fall back to the stored position if it left the ranking
+      const cursor = (await stateStore.get(VOLUME_CURSOR_KEY)) || {
+        position: 0,
+        last_token_id: null,
+        cycles_completed: 0,
+        cycle_started_at: new Date(startedAt).toISOString()
+      };
+      let position = cursor.position % ranking.length;
+      if (cursor.last_token_id) {
+        const lastIndex = ranking.findIndex(token => token.tokenId === cursor.last_token_id);
+        if (lastIndex >= 0) {
+          position = (lastIndex + 1) % ranking.length;
+        }
+      }
+      
+      // Existing rows carry the token info the decimals are resolved from
+      const existing = await this.getVolumeData();
+      const existingById = new Map(((existing && existing.tokens) || []).map(token => [token.tokenId, token]));
+      
       const volumeResults = [];
+      let processed = 0;
+      let failed = 0;
+      let stale = 0;
+      let chunkDuration = 0;
       
-      // Process each token
-      for (const tokenId of topTokenIds) {
-        try {
-          // Get volume directly using DexHunter API for this token
-          const response = await this.dexhunterClient.get(`/swap/tokenVolume/${tokenId}`);
-          
-          if (response.data && response.data.volume_in_lovelace) {
-            const volumeInAda = parseInt(response.data.volume_in_lovelace) / 1000000;
-            const volumeInToken = parseInt(response.data.volume_in_token) || 0;
-            const orderCount = parseInt(response.data.order_count) || 0;
+      // Process small chunks while the next one is expected to fit in the budget (always at least one)
+      while (processed < ranking.length && (processed === 0 || Date.now() - startedAt + chunkDuration < budgetMs)) {
+        const chunkStartedAt = Date.now();
+        const chunk = [];
+        for (let i = 0; i < this.refreshConcurrency && processed + i < ranking.length; i++) {
+          chunk.push(ranking[(position + i) % ranking.length]);
+        }
+        
+        await Promise.all(chunk.map(async ({ tokenId, name }) => {
+          try {
+            // Get volume directly from the market data provider for this token; a fallback to an
+            // offline snapshot is not fresh data, so the existing row is kept instead
+            const { data: volume, provider, offline } = await this.marketData.serve('getTokenVolume', tokenId);
+            if (offline) {
+              stale++;
+              return;
+            }
+            const previous = existingById.get(tokenId);
+            const decimals = decimalsService.resolve(tokenId, { tokenInfo: previous ? previous.tokenInfo : null });
             
             volumeResults.push({
               tokenId,
-              volumeInAda,
-              volumeInToken,
-              orderCount
+              name,
+              volumeInAda: volume ? (parseInt(volume.volume_in_lovelace) || 0) / 1000000 : 0,
+              volumeInToken: volume ? decimalsService.toWholeUnits(volume.volume_in_token, decimals.decimals, 'token_volume') : 0,
+              orderCount: volume ? parseInt(volume.order_count) || 0 : 0,
+              decimals: decimals.decimals,
+              decimalsSource: decimals.source,
+              provider,
+              updated_at: new Date().toISOString()
             });
-            
-            console.log(`Processed volume for token ${tokenId}: ₳${volumeInAda.toFixed(2)}`);
+          } catch (tokenError) {
+            failed++;
+            console.error(`Error processing volume for token ${tokenId}:`, tokenError.message);
           }
-        } catch (tokenError) {
-          console.error(`Error processing volume for token ${tokenId}:`, tokenError.message);
+        }));
+        
+        const previousPosition = position;
+        position = (position + chunk.length) % ranking.length;
+        processed += chunk.length;
+        chunkDuration = Date.now() - chunkStartedAt;
+        
+        // Wrapped around the end of the ranking: a full pass is complete
+        if (position <= previousPosition) {
+          cursor.cycles_completed = (cursor.cycles_completed || 0) + 1;
+          cursor.last_cycle_completed_at = new Date().toISOString();
+          cursor.cycle_started_at = new Date().toISOString();
         }
       }
       
-      // Create the result object
-      const result = {
-        timestamp: new Date().toISOString(),
-        time_window: {
-          from: fromTime.toISOString(),
-          to: toTime.toISOString()
-        },
-        total_tokens: volumeResults.length,
-        tokens: volumeResults
+      const lastProcessed = processed > 0 ? ranking[(position - 1 + ranking.length) % ranking.length] : null;
+      const nextCursor = {
+        ...cursor,
+        position,
+        last_token_id: lastProcessed ? lastProcessed.tokenId : cursor.last_token_id,
+        universe_size: ranking.length,
+        updated_at: new Date().toISOString()
       };
+      const cursorPersisted = await stateStore.set(VOLUME_CURSOR_KEY, nextCursor);
       
-      // In Vercel we can't write to filesystem, so we just return the result
-      if (process.env.VERCEL) {
-        console.log(`Lightweight volume refresh completed with ${volumeResults.length} tokens`);
-        // Update cache
-        this.cachedVolumeData = result;
-        this.lastCacheTime = Date.now();
-        return result;
-      }
+      // Merge into the existing dataset instead of replacing it
+      const result = this.mergeVolumeResults(existing, volumeResults, fromTime, toTime);
+      result.refresh = {
+        processed,
+        updated: volumeResults.length,
+        failed,
+        stale,
+        budget_ms: budgetMs,
+        elapsed_ms: Date.now() - startedAt,
+        cursor: nextCursor,
+        cursor_persisted: cursorPersisted,
+        state_backend: stateStore.getBackend()
+      };
       
-      // Save to file when running locally
-      fs.writeFileSync(this.volumeDataPath, JSON.stringify(result, null, 2));
+      // Update cache
+      this.cachedVolumeData = result;
+      this.lastCacheTime = Date.now();
       
-      console.log(`Lightweight volume refresh completed with ${volumeResults.length} tokens`);
+      await stateStore.writeJson(VOLUME_DATASET_KEY, this.volumeDataPath, result);
+      await this.persistSnapshot(result, 'lightweight');
+      
+      console.log(`Lightweight volume refresh updated ${volumeResults.length} of ${ranking.length} tokens in ${result.refresh.elapsed_ms}ms, next position ${position}`);
       return result;
     } catch (error) {
       console.error("Error in lightweight volume refresh:", error);
@@ -284,8 +363,69 @@ class VolumeService {
     }
   }
 
+  /**
+   * Store a refreshed dataset in the Supabase volume_snapshots table when persistence is enabled
+   * A failure is logged and does not fail the refresh.
+   * @param {Object} volumeData - Refreshed volume dataset
+   * @param {string} source - 'full' or 'lightweight'
+   */
+  async persistSnapshot(volumeData, source) {
+    if (!persistenceService.isEnabled()) {
+      return;
+    }
+    
+    try {
+      await persistenceService.persistVolumeSnapshot(volumeData, source);
+    } catch (error) {
+      console.error('Error persisting volume snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Merge freshly fetched volume rows into an existing dataset
+   * Tokens without volume are only kept when they replace an existing row.
+   * @param {Object} existing - Current volume dataset
+   * @param {Array} rows - Fresh rows ({ tokenId, name, volumeInAda, volumeInToken, orderCount, updated_at })
+   * @param {Date} fromTime - Start of the refreshed window
+   * @param {Date} toTime - End of the refreshed window
+   * @returns {Object} Merged dataset sorted by volume in ADA
+   */
+  mergeVolumeResults(existing, rows, fromTime, toTime) {
+    const byToken = new Map();
+    ((existing && existing.tokens) || []).forEach(token => {
+      if (token && token.tokenId) {
+        byToken.set(token.tokenId, token);
+      }
+    });
+    
+    rows.forEach(row => {
+      const current = byToken.get(row.tokenId);
+      if (!current && row.orderCount === 0) {
+        return;
+      }
+      byToken.set(row.tokenId, { ...current, ...row, name: row.name || (current && current.name) });
+    });
+    
+    const tokens = Array.from(byToken.values())
+      .sort((a, b) => (b.volumeInAda || 0) - (a.volumeInAda || 0));
+    
+    return {
+      timestamp: new Date().toISOString(),
+      time_window: {
+        from: fromTime.toISOString(),
+        to: toTime.toISOString()
+      },
+      total_tokens: tokens.length,
+      tokens
+    };
+  }
+
   /**
    * Get all orders for the past 24 hours with pagination
+   * Rate limiting and retries are handled by the shared DexHunter client. If a page
+   * still fails after retries, it is skipped and pagination continues; the fetch is
+   * marked incomplete in lastOrderFetch, with the lost pages, so callers can report
+   * partial data. An open circuit breaker or consecutive failed pages end pagination early.
    * @param {Date} fromTime - Start time
    * @param {Date} toTime - End time
    * @returns {Promise<Array>} All orders
@@ -294,6 +434,16 @@ class VolumeService {
     let allOrders = [];
     let hasMoreOrders = true;
     let currentPage = 0;
+    let failedInARow = 0;
+    
+    this.lastOrderFetch = {
+      from: fromTime.toISOString(),
+      to: toTime.toISOString(),
+      pages_fetched: 0,
+      complete: true,
+      failed_pages: [],
+      error: null
+    };
     
     console.log(`Fetching orders from the past 24 hours...`);
     
@@ -301,7 +451,7 @@ class VolumeService {
       try {
         console.log(`Fetching page ${currentPage}...`);
         
-        const response = await this.dexhunterClient.post("/swap/globalOrders", {
+        const response = await this.marketData.getGlobalOrders({
           page: currentPage,
           perPage: this.PER_PAGE,
           filters: [
@@ -314,7 +464,7 @@ class VolumeService {
           sortDirection: "DESC"
         });
         
-        const orders = response.data.orders || [];
+        const orders = (response && response.orders) || [];
         
         // Filter orders from past 24 hours using ISO string comparison
         const recentOrders = orders.filter(order => {
@@ -323,6 +473,8 @@ class VolumeService {
         });
         
         allOrders = [...allOrders, ...recentOrders];
+        this.lastOrderFetch.pages_fetched++;
+        failedInARow = 0;
         
         // Check if we should continue pagination
         if (orders.length < this.PER_PAGE || 
@@ -331,16 +483,27 @@ class VolumeService {
         }
         
         currentPage++;
-        
-        // Wait to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
       } catch (error) {
-        console.error(`Error fetching orders page ${currentPage}:`, error.message);
-        hasMoreOrders = false;
+        console.error(`Error fetching orders page ${currentPage} after retries, order data is incomplete:`, error.message);
+        this.lastOrderFetch.complete = false;
+        this.lastOrderFetch.failed_pages.push(currentPage);
+        this.lastOrderFetch.error = error.message;
+        
+        // Skip the lost page and keep paginating, unless the upstream is failing every page
+        failedInARow++;
+        if (error.code === 'CIRCUIT_OPEN' || failedInARow >= this.MAX_FAILED_PAGES_IN_A_ROW) {
+          hasMoreOrders = false;
+        }
+        currentPage++;
       }
     }
     
+    if (hasMoreOrders) {
+      console.log(`Stopped after ${this.MAX_PAGES} pages, older orders were not fetched`);
+      this.lastOrderFetch.complete = false;
+      this.lastOrderFetch.error = `Page limit of ${this.MAX_PAGES} reached`;
+    }
+    
     console.log(`Total orders fetched: ${allOrders.length}`);
     return allOrders;
   }
@@ -384,8 +547,17 @@ class VolumeService {
         };
       }
       
-      const response = await this.dexhunterClient.get(`/swap/token/${tokenId}`);
-      return response.data;
+      const info = await this.marketData.getTokenInfo(tokenId);
+      if (info) {
+        return info;
+      }
+      
+      return {
+        token_id: tokenId,
+        token_ascii: "Unknown",
+        ticker: "Unknown",
+        is_verified: false
+      };
     } catch (error) {
       console.error(`Error getting token info for ${tokenId}:`, error.message);
       return {
@@ -404,7 +576,7 @@ class VolumeService {
    */
   async getTokenInfoBatch(tokenIds) {
     const tokenInfo = {};
-    const batchSize = 5; // Process 5 tokens at a time to avoid rate limiting
+    const batchSize = 5; // Requests are paced by the shared DexHunter rate budget
     
     console.log("Fetching token information...");
     
@@ -424,9 +596,6 @@ class VolumeService {
           console.error(`Error in batch processing for ${tokenId}:`, err.message);
         }
       }));
-      
-      // Delay between batches to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     console.log(`Retrieved information for ${Object.keys(tokenInfo).length} tokens`);
@@ -448,16 +617,24 @@ class VolumeService {
     // Initialize volume tracking for all tokens found in orders
     Object.keys(tokenInfo).forEach(tokenId => {
       const info = tokenInfo[tokenId];
+      const decimals = decimalsService.resolve(tokenId, { tokenInfo: info });
       volumeByToken[tokenId] = {
         tokenId: tokenId,
         name: info.ticker || info.token_ascii || tokenId.substring(0, 10),
         volumeInAda: 0,
         volumeInToken: 0,
         orderCount: 0,
+        decimals: decimals.decimals,
+        decimalsSource: decimals.source,
         tokenInfo: info
       };
     });
     
+    // Order amounts in whole tokens (ADA for lovelace)
+    const toUnits = (amount, tokenId) => (tokenId === lovelaceId
+      ? decimalsService.toAda(amount, 'order_amount')
+      : decimalsService.toWholeUnits(amount, volumeByToken[tokenId] ? volumeByToken[tokenId].decimals : 0, 'order_amount'));
+    
     // Process each order
     orders.forEach(order => {
       const tokenIdIn = order.token_id_in;
@@ -468,12 +645,12 @@ class VolumeService {
       
       // Handle token being sold (in)
       if (volumeByToken[tokenIdIn]) {
-        volumeByToken[tokenIdIn].volumeInToken += parseFloat(order.amount_in || 0);
+        volumeByToken[tokenIdIn].volumeInToken += toUnits(order.amount_in, tokenIdIn);
         volumeByToken[tokenIdIn].orderCount++;
         
         // If sold for ADA, add to ADA volume
         if (tokenIdOut === lovelaceId) {
-          volumeByToken[tokenIdIn].volumeInAda += parseFloat(order.actual_out_amount || 0);
+          volumeByToken[tokenIdIn].volumeInAda += toUnits(order.actual_out_amount, lovelaceId);
         }
       }
       
@@ -483,9 +660,9 @@ class VolumeService {
         
         // If bought with ADA, add to ADA volume and token volume
         if (tokenIdIn === lovelaceId) {
-          volumeByToken[tokenIdOut].volumeInAda += parseFloat(order.amount_in || 0);
+          volumeByToken[tokenIdOut].volumeInAda += toUnits(order.amount_in, lovelaceId);
           if (order.actual_out_amount) {
-            volumeByToken[tokenIdOut].volumeInToken += parseFloat(order.actual_out_amount || 0);
+            volumeByToken[tokenIdOut].volumeInToken += toUnits(order.actual_out_amount, tokenIdOut);
           }
         }
       }
@@ -557,4 +734,5 @@ class VolumeService {
   }
 }
 
-module.exports = new VolumeService(); 
\ No newline at end of file
+module.exports = new VolumeService();
+module.exports.VolumeService = VolumeService;
\ No newline at end of file
@@ -0,0 +1,10 @@
+-- Tracks which migrations have been applied; the API compares the highest version
+-- with the one it expects before writing (see services/persistenceService.js)
+create table if not exists schema_migrations (
+  version integer primary key,
+  name text not null,
+  applied_at timestamptz not null default now()
+);
+
+insert into schema_migrations (version, name) values (1, 'schema_migrations')
+  on conflict (version) do nothing;
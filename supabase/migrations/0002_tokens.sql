@@ -0,0 +1,58 @@
+-- One row per enriched token, written by the enhanced integration after each published run.
+-- Rows with listed = true are the tokens the file-based API serves from the same snapshot.
+create table if not exists tokens (
+  token_id text primary key,
+  ticker text,
+  name text,
+  price double precision,
+  market_cap double precision,
+  fdv double precision,
+  circulating_supply double precision,
+  total_supply double precision,
+  liquidity double precision,
+  tvl double precision,
+  pool_count integer,
+  original_pool_count integer,
+  volume double precision,
+  volume_in_token double precision,
+  order_count integer,
+  trust_score integer,
+  trust_level text,
+  trust_assessment jsonb,
+  validation jsonb,
+  supply jsonb,
+  honeypot_risk boolean,
+  has_market_cap boolean not null default false,
+  listed boolean not null default false,
+  run_id text,
+  enriched_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Earlier deployments created a minimal tokens table; add the columns it lacks
+alter table tokens add column if not exists name text;
+alter table tokens add column if not exists fdv double precision;
+alter table tokens add column if not exists circulating_supply double precision;
+alter table tokens add column if not exists total_supply double precision;
+alter table tokens add column if not exists liquidity double precision;
+alter table tokens add column if not exists tvl double precision;
+alter table tokens add column if not exists pool_count integer;
+alter table tokens add column if not exists original_pool_count integer;
+alter table tokens add column if not exists volume double precision;
+alter table tokens add column if not exists volume_in_token double precision;
+alter table tokens add column if not exists order_count integer;
+alter table tokens add column if not exists trust_score integer;
+alter table tokens add column if not exists trust_level text;
+alter table tokens add column if not exists trust_assessment jsonb;
+alter table tokens add column if not exists validation jsonb;
+alter table tokens add column if not exists supply jsonb;
+alter table tokens add column if not exists honeypot_risk boolean;
+alter table tokens add column if not exists has_market_cap boolean not null default false;
+alter table tokens add column if not exists listed boolean not null default false;
+alter table tokens add column if not exists run_id text;
+alter table tokens add column if not exists enriched_at timestamptz;
+
+create index if not exists tokens_listed_market_cap_idx on tokens (listed, has_market_cap desc, market_cap desc);
+
+insert into schema_migrations (version, name) values (2, 'tokens')
+  on conflict (version) do nothing;
@@ -0,0 +1,16 @@
+-- Every volume refresh stores the resulting dataset, full or lightweight
+create table if not exists volume_snapshots (
+  id bigserial primary key,
+  captured_at timestamptz not null default now(),
+  source text not null,
+  window_from timestamptz,
+  window_to timestamptz,
+  total_tokens integer not null default 0,
+  complete boolean not null default true,
+  tokens jsonb not null default '[]'::jsonb
+);
+
+create index if not exists volume_snapshots_captured_at_idx on volume_snapshots (captured_at desc);
+
+insert into schema_migrations (version, name) values (3, 'volume_snapshots')
+  on conflict (version) do nothing;
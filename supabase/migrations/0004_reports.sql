@@ -0,0 +1,18 @@
+-- Metadata of every published market cap report, keyed by snapshot run id
+create table if not exists reports (
+  run_id text primary key,
+  generated_at timestamptz,
+  published_at timestamptz not null default now(),
+  mode text,
+  total_tokens integer,
+  tokens_with_market_cap integer,
+  tokens_with_valid_market_caps integer,
+  potential_honeypot_tokens integer,
+  validation_parameters jsonb,
+  manifest jsonb
+);
+
+create index if not exists reports_published_at_idx on reports (published_at desc);
+
+insert into schema_migrations (version, name) values (4, 'reports')
+  on conflict (version) do nothing;
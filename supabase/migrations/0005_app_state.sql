@@ -0,0 +1,9 @@
+-- Key/value state shared between serverless invocations (see services/stateStore.js)
+create table if not exists app_state (
+  key text primary key,
+  value jsonb,
+  updated_at timestamptz not null default now()
+);
+
+insert into schema_migrations (version, name) values (5, 'app_state')
+  on conflict (version) do nothing;
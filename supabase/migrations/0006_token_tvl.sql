@@ -0,0 +1,9 @@
+-- Two-sided TVL from pool reserves, per pool and per DEX (see services/tvlService.js)
+alter table tokens add column if not exists tvl_ada_side double precision;
+alter table tokens add column if not exists tvl_token_side double precision;
+alter table tokens add column if not exists tvl_pools jsonb;
+alter table tokens add column if not exists tvl_by_dex jsonb;
+alter table tokens add column if not exists tvl_updated_at timestamptz;
+
+insert into schema_migrations (version, name) values (6, 'token_tvl')
+  on conflict (version) do nothing;
@@ -0,0 +1,6 @@
+-- Decimals used to convert the token's amounts to whole tokens (see services/decimalsService.js)
+alter table tokens add column if not exists decimals integer;
+alter table tokens add column if not exists decimals_source text;
+
+insert into schema_migrations (version, name) values (7, 'token_decimals')
+  on conflict (version) do nothing;
@@ -0,0 +1,6 @@
+-- Trade-derived VWAP/TWAP and its divergence from the pool price (see services/tradePriceService.js)
+alter table tokens add column if not exists trade_price jsonb;
+alter table tokens add column if not exists price_divergent boolean not null default false;
+
+insert into schema_migrations (version, name) values (8, 'token_trade_price')
+  on conflict (version) do nothing;
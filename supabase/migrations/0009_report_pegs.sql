@@ -0,0 +1,5 @@
+-- Peg check of every published run (see services/pegService.js), served by /api/pegs on Vercel
+alter table reports add column if not exists pegs jsonb;
+
+insert into schema_migrations (version, name) values (9, 'report_pegs')
+  on conflict (version) do nothing;
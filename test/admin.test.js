@@ -0,0 +1,46 @@
+const request = require('supertest');
+
+// A random port, since requiring server.js starts a listener next to the one tokenApi.test.js opens
+process.env.PORT = '0';
+const app = require('../server');
+const snapshotStore = require('../services/snapshotStore');
+
+describe('Admin routes on the server', () => {
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'admin-key';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('should require an admin key to list snapshots or roll back', async () => {
+    const rollback = jest.spyOn(snapshotStore, 'rollback');
+
+    expect((await request(app).get('/api/admin/snapshots')).status).toBe(401);
+    expect((await request(app).post('/api/admin/snapshots/rollback').send({ run_id: 'run-1' })).status).toBe(401);
+    expect((await request(app).post('/api/admin/snapshots/rollback').set('X-Admin-Key', 'wrong')).status).toBe(401);
+    expect(rollback).not.toHaveBeenCalled();
+
+    jest.spyOn(snapshotStore, 'list').mockReturnValue([]);
+    const listed = await request(app).get('/api/admin/snapshots').set('X-Admin-Key', 'admin-key');
+    expect(listed.status).toBe(200);
+    expect(listed.body.snapshots).toEqual([]);
+  });
+
+  it('should require an admin key to cancel a refresh', async () => {
+    expect((await request(app).post('/api/refresh-data/cancel')).status).toBe(401);
+
+    const response = await request(app).post('/api/refresh-data/cancel').set('X-Admin-Key', 'admin-key');
+    expect(response.status).toBe(409);
+    expect(response.body.message).toEqual('No token data refresh is running');
+  });
+
+  it('should require an admin key to start a dry run', async () => {
+    const response = await request(app).post('/api/admin/dry-run').send({ tokens: 'aaa' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DecimalsService } = require('../services/decimalsService');
+const { VolumeService } = require('../services/volumeService');
+const decimalsService = require('../services/decimalsService');
+
+const LOVELACE_ID = '000000000000000000000000000000000000000000000000000000006c6f76656c616365';
+
+describe('DecimalsService', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decimals-'));
+    service = new DecimalsService();
+    service.overridesPath = path.join(tmpDir, 'decimals_overrides.json');
+    fs.writeFileSync(service.overridesPath, JSON.stringify({
+      tokens: { aaa: { decimals: 8, note: 'wrong on DexHunter' }, bad: { decimals: 40 } }
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should prefer the override, then DexHunter, then the summary', () => {
+    const tokenInfo = { token_decimals: 6 };
+    const summary = { decimals: 4 };
+
+    expect(service.resolve('aaa', { tokenInfo, summary })).toEqual({ decimals: 8, source: 'override' });
+    expect(service.resolve('bad', { tokenInfo, summary })).toEqual({ decimals: 6, source: 'dexhunter' });
+    expect(service.resolve('ccc', { summary })).toEqual({ decimals: 4, source: 'summary' });
+    expect(service.resolve('ccc', { summary: { token_decimals: 2 } })).toEqual({ decimals: 2, source: 'summary' });
+    expect(service.resolve('ccc')).toEqual({ decimals: 0, source: 'default' });
+  });
+
+  it('should only scale amounts whose upstream unit is raw', () => {
+    expect(service.toWholeUnits('1500000', 6, 'token_supply')).toEqual(1.5);
+    expect(service.toWholeUnits('1.5', 6, 'pool_reserve')).toEqual(1.5);
+
+    service.units.pool_reserve = 'raw';
+    expect(service.toWholeUnits(2500, 3, 'pool_reserve')).toEqual(2.5);
+    expect(service.toAda(3000000, 'pool_reserve')).toEqual(3);
+  });
+});
+
+describe('VolumeService.calculateAllVolumes', () => {
+  afterEach(() => {
+    decimalsService.units.order_amount = 'display';
+  });
+
+  it('should convert raw order amounts with each token\'s decimals and record them', () => {
+    decimalsService.units.order_amount = 'raw';
+    const service = new VolumeService();
+
+    const volumes = service.calculateAllVolumes([
+      { token_id_in: LOVELACE_ID, token_id_out: 'aaa', amount_in: 5000000, actual_out_amount: 2000 },
+      { token_id_in: 'aaa', token_id_out: LOVELACE_ID, amount_in: 1000, actual_out_amount: 3000000 }
+    ], { aaa: { ticker: 'AAA', token_decimals: 3 } });
+
+    expect(volumes.aaa).toMatchObject({
+      volumeInAda: 8,
+      volumeInToken: 3,
+      orderCount: 2,
+      decimals: 3,
+      decimalsSource: 'dexhunter'
+    });
+  });
+});
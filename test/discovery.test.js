@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiscoveryService } = require('../services/discoveryService');
+
+const LOVELACE_ID = '000000000000000000000000000000000000000000000000000000006c6f76656c616365';
+
+describe('DiscoveryService', () => {
+  let tmpDir;
+  let service;
+
+  const order = (tokenIn, tokenOut, amountIn, amountOut) => ({
+    token_id_in: tokenIn,
+    token_id_out: tokenOut,
+    amount_in: amountIn,
+    actual_out_amount: amountOut,
+    submission_time: new Date().toISOString()
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-'));
+    fs.mkdirSync(path.join(tmpDir, 'summaries'));
+    fs.writeFileSync(path.join(tmpDir, 'summaries', 'known_summary.json'), JSON.stringify({ token_id: 'known' }));
+
+    service = new DiscoveryService();
+    service.summariesDir = path.join(tmpDir, 'summaries');
+    service.queuePath = path.join(tmpDir, 'discovery_queue.json');
+    service.volumeDataPath = path.join(tmpDir, 'missing_volumes.json');
+    service.thresholds = { minOrders: 3, minVolumeAda: 100, maxPerRun: 10 };
+    service.marketData = {
+      getTokenInfo: jest.fn(async tokenId => (tokenId === 'noinfo' ? null : {
+        token_id: tokenId,
+        ticker: tokenId.toUpperCase(),
+        token_ascii: `${tokenId} token`,
+        token_policy: 'policy',
+        token_decimals: 6,
+        supply: 5000000000000,
+        creation_date: '2025-04-01T00:00:00Z',
+        is_verified: false
+      }))
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create summary stubs for active unseen tokens and queue them', async () => {
+    const orders = [
+      ...Array(3).fill(order(LOVELACE_ID, 'fresh', 100, 1000)),
+      ...Array(3).fill(order(LOVELACE_ID, 'known', 100, 1000)),
+      ...Array(2).fill(order(LOVELACE_ID, 'quiet', 500, 1000)),
+      ...Array(5).fill(order('dust', LOVELACE_ID, 1000, 1)),
+      ...Array(3).fill(order(LOVELACE_ID, 'noinfo', 100, 1000))
+    ];
+
+    const result = await service.discoverTokens({ orders });
+
+    expect(result.unseen).toEqual(4);
+    expect(result.discovered).toEqual([
+      { token_id: 'fresh', ticker: 'FRESH', order_count: 3, volume_ada: 300 }
+    ]);
+    expect(result.rejected).toMatchObject({
+      below_min_orders: 1,
+      below_min_volume: 1,
+      no_token_info: 1
+    });
+
+    const stub = JSON.parse(fs.readFileSync(path.join(tmpDir, 'summaries', 'fresh_summary.json'), 'utf8'));
+    expect(stub).toMatchObject({
+      token_id: 'fresh',
+      ticker: 'FRESH',
+      total_supply: 5000000,
+      circulating_supply: 0,
+      order_count: 3
+    });
+    expect(service.getQueuedTokenIds()).toEqual(['fresh']);
+    expect(service.marketData.getTokenInfo).not.toHaveBeenCalledWith('known');
+  });
+
+  it('should keep only the most active tokens when over the per-run limit', async () => {
+    service.thresholds.maxPerRun = 1;
+    const orders = [
+      ...Array(3).fill(order(LOVELACE_ID, 'small', 50, 1)),
+      ...Array(3).fill(order(LOVELACE_ID, 'large', 500, 1))
+    ];
+
+    const result = await service.discoverTokens({ orders });
+
+    expect(result.discovered.map(token => token.token_id)).toEqual(['large']);
+    expect(result.rejected.over_run_limit).toEqual(1);
+  });
+
+  it('should remove enriched tokens from the queue', () => {
+    service.enqueue([
+      { token_id: 'aaa', ticker: 'AAA', discovered_at: '2025-04-14T00:00:00Z' },
+      { token_id: 'bbb', ticker: 'BBB', discovered_at: '2025-04-14T00:00:00Z' }
+    ]);
+
+    expect(service.dequeue(['aaa', 'zzz'])).toEqual(1);
+    expect(service.getQueuedTokenIds()).toEqual(['bbb']);
+  });
+});
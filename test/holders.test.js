@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Holder rules are scored with the frozen rules file, not the live one
+process.env.TRUST_RULES_PATH = path.join(__dirname, 'fixtures', 'trust_rules.json');
+
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const snapshotStore = require('../services/snapshotStore');
+const tokenService = require('../services/tokenService');
+const { TrustRules } = require('../services/trustRules');
+const { HolderService, FileHolderSource, summarizeHolders, giniCoefficient } = require('../services/holderService');
+
+const TOKEN_ID = '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
+
+describe('giniCoefficient', () => {
+  it('should be 0 for equal balances and approach 1 as one holder owns everything', () => {
+    expect(giniCoefficient([5, 5, 5, 5])).toBeCloseTo(0);
+    expect(giniCoefficient([0, 0, 0, 100])).toBeCloseTo(0);
+    expect(giniCoefficient([1, 1, 1, 97])).toBeCloseTo(0.72);
+    expect(giniCoefficient([])).toBeNull();
+  });
+});
+
+describe('summarizeHolders', () => {
+  const holders = Array.from({ length: 60 }, (_, index) => ({ address: `addr${index}`, amount: index < 5 ? 1000 : 10 }))
+    .concat([
+      { address: 'pool', amount: 50000, category: 'pool' },
+      { address: 'treasury', amount: 80000 },
+      { address: 'empty', amount: 0 }
+    ]);
+
+  it('should measure concentration without pools, supply exclusions and empty addresses', () => {
+    const summary = summarizeHolders(holders, { exclusions: [{ category: 'treasury', address: 'treasury', amount: 80000 }] });
+
+    expect(summary).toMatchObject({ holder_count: 60, held_amount: 5550 });
+    expect(summary.top_10_share).toBeCloseTo(5050 / 5550);
+    expect(summary.top_50_share).toBeCloseTo(5450 / 5550);
+    expect(summary.gini).toBeGreaterThan(0.7);
+    expect(summary.excluded_holders).toEqual([
+      { address: 'treasury', amount: 80000, category: 'treasury' },
+      { address: 'pool', amount: 50000, category: 'pool' }
+    ]);
+    expect(summary.top_holders).toHaveLength(50);
+    expect(summary.top_holders[0]).toEqual({ rank: 1, address: 'addr0', amount: 1000, share: 1000 / 5550 });
+  });
+});
+
+describe('HolderService', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holders-'));
+    fs.mkdirSync(path.join(tmpDir, 'holders'));
+    service = new HolderService();
+    service.sources = [new FileHolderSource({ snapshotsDir: path.join(tmpDir, 'holders') })];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should read balances or a count from the token snapshot and never match by ticker', async () => {
+    // Tickers are shared by unrelated tokens, so a token without its own snapshot has no distribution
+    expect(await service.getDistribution({ token_id: TOKEN_ID, ticker: 'SNEK' })).toBeNull();
+
+    fs.writeFileSync(path.join(tmpDir, 'holders', `${TOKEN_ID}.json`), JSON.stringify({ timestamp: '2025-04-13T00:00:00.000Z', holder_count: 41755 }));
+    const count = await service.getDistribution({ token_id: TOKEN_ID, ticker: 'SNEK' });
+    expect(count).toMatchObject({ source: 'file', has_balances: false, holder_count: 41755, top_10_share: null, gini: null });
+
+    fs.writeFileSync(path.join(tmpDir, 'holders', `${TOKEN_ID}.json`), JSON.stringify({
+      timestamp: '2025-04-14T00:00:00.000Z',
+      holders: [{ address: 'a', amount: 900 }, { address: 'b', amount: 100 }]
+    }));
+
+    const distribution = await service.getDistribution({ token_id: TOKEN_ID, ticker: 'SNEK' });
+    expect(distribution).toMatchObject({ snapshot_at: '2025-04-14T00:00:00.000Z', has_balances: true, holder_count: 2, top_10_share: 1 });
+  });
+
+  it('should try the next source when one fails', async () => {
+    const failing = { name: 'broken', isConfigured: () => true, getSnapshot: jest.fn().mockRejectedValue(new Error('down')) };
+    service.sources.unshift(failing);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fs.writeFileSync(path.join(tmpDir, 'holders', `${TOKEN_ID}.json`), JSON.stringify({ holder_count: 31445 }));
+
+    expect(await service.getDistribution({ token_id: TOKEN_ID, ticker: 'MIN' })).toMatchObject({ source: 'file', holder_count: 31445 });
+    expect(failing.getSnapshot).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('holder concentration rules', () => {
+  const service = new TrustRules();
+  const inputs = overrides => ({ pool_count: 3, liquidity: 50000, token_age: 0, suspicious_liquidity: false, price_from_average_price: false, ...overrides });
+  const holderPenalties = assessment => assessment.penalties.filter(penalty => penalty.category === 'holders');
+
+  it('should apply one concentration tier and ignore tokens without holder data', () => {
+    expect(holderPenalties(service.evaluate(inputs({ holder_count: 5000, top_10_holder_pct: 95.25 })))).toEqual([
+      { rule: 'extreme_holder_concentration', reason: 'Top 10 holders own 95.3% of the held supply', points: -30, category: 'holders' }
+    ]);
+    expect(holderPenalties(service.evaluate(inputs({ holder_count: 40, top_10_holder_pct: 55 }))).map(penalty => penalty.rule))
+      .toEqual(['moderate_holder_concentration', 'few_holders']);
+    expect(holderPenalties(service.evaluate(inputs({ holder_count: 41755, top_10_holder_pct: null })))).toEqual([]);
+    expect(holderPenalties(service.evaluate(inputs()))).toEqual([]);
+  });
+
+  it('should pick holder penalties by rule category, looking it up for older assessments', () => {
+    const single = { rule: 'single_pool', reason: 'Single liquidity pool', points: -30 };
+    const few = { rule: 'few_holders', reason: 'Only 40 holders', points: -10 };
+
+    expect(tokenService.holderPenalties({ penalties: [single, { ...few, category: 'holders' }, { rule: 'holder_named', reason: '', points: -1, category: 'other' }] }))
+      .toEqual([{ ...few, category: 'holders' }]);
+    expect(tokenService.holderPenalties({ penalties: [single, few] })).toEqual([few]);
+    expect(tokenService.holderPenalties(null)).toEqual([]);
+  });
+});
+
+describe('GET /api/tokens/:tokenId/holders', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holders-'));
+    jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({ run_id: 'run-1', summariesDir: tmpDir });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return the stored distribution with its concentration penalties', async () => {
+    const holders = Array.from({ length: 20 }, (_, index) => ({ address: `addr${index}`, amount: 100 - index }));
+    fs.writeFileSync(path.join(tmpDir, `${TOKEN_ID}_enhanced_refined.json`), JSON.stringify({
+      token_id: TOKEN_ID,
+      ticker: 'SNEK',
+      updated_at: '2025-04-14T00:00:00.000Z',
+      holder_distribution: { source: 'file', snapshot_at: '2025-04-13T00:00:00.000Z', has_balances: true, ...summarizeHolders(holders) },
+      trust_assessment: {
+        score: 60,
+        penalties: [
+          { rule: 'moderate_holder_concentration', reason: 'Top 10 holders own 58.0% of the held supply', points: -10 },
+          { rule: 'single_pool', reason: 'Single liquidity pool', points: -30 }
+        ]
+      }
+    }));
+
+    const response = await request(app).get(`/api/tokens/${TOKEN_ID}/holders?limit=3`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ token_id: TOKEN_ID, ticker: 'SNEK', run_id: 'run-1', source: 'file', holder_count: 20 });
+    expect(response.body.top_holders.map(holder => holder.rank)).toEqual([1, 2, 3]);
+    expect(response.body.concentration_penalties.map(penalty => penalty.rule)).toEqual(['moderate_holder_concentration']);
+    expect((await request(app).get(`/api/tokens/${'0'.repeat(56)}/holders`)).status).toBe(404);
+    expect((await request(app).get(`/api/tokens/${TOKEN_ID}/holders?limit=51`)).status).toBe(400);
+  });
+
+  it('should report tokens without a holder snapshot', async () => {
+    fs.writeFileSync(path.join(tmpDir, `${TOKEN_ID}_enhanced_refined.json`), JSON.stringify({ token_id: TOKEN_ID, ticker: 'SNEK' }));
+
+    const response = await request(app).get(`/api/tokens/${TOKEN_ID}/holders`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ source: null, holder_count: null, gini: null, top_holders: [] });
+  });
+});
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+
+process.env.REACT_APP_DEXHUNTER_PARTNER_ID = process.env.REACT_APP_DEXHUNTER_PARTNER_ID || 'test-partner-id';
+
+const mockClient = {
+  get: jest.fn(),
+  post: jest.fn()
+};
+axios.create.mockReturnValue(mockClient);
+
+const {
+  batchProcessTokens,
+  runFullIntegration,
+  selectTokensForEnrichment,
+  getTrustListChanges,
+  addRecordsToPriceGraph,
+  parseCliArgs
+} = require('../enhanced_integration_refined');
+const { calculateWeightedPrice, fingerprintPools } = require('../services/poolPricing');
+const { PriceGraph, ADA, describeScope } = require('../services/priceGraph');
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const tokenService = require('../services/tokenService');
+const snapshotStore = require('../services/snapshotStore');
+
+describe('Enhanced integration pipeline', () => {
+  beforeEach(() => {
+    mockClient.get.mockReset();
+    mockClient.get.mockImplementation((url) => {
+      if (url.startsWith('/stats/pools/')) {
+        return Promise.resolve({
+          data: [
+            { dex: 'MINSWAP', token_1_amount: 60000, token_2_amount: 1200000 },
+            { dex: 'SUNDAESWAP', token_1_amount: 30000, token_2_amount: 600000 },
+            { dex: 'WINGRIDERS', token_1_amount: 20000, token_2_amount: 400000 }
+          ]
+        });
+      }
+      return Promise.resolve({ data: { creation_date: '2023-01-01T00:00:00Z' } });
+    });
+    // No recent orders, so a run's order fetch cannot trip the shared circuit breaker
+    mockClient.post.mockReset();
+    mockClient.post.mockResolvedValue({ data: { orders: [] } });
+  });
+
+  describe('batchProcessTokens', () => {
+    it('should report per-batch progress with outcome counts', async () => {
+      const tokens = [
+        { token_id: 'aaa', ticker: 'AAA', circulating_supply: 1000000 },
+        { token_id: 'bbb', ticker: 'BBB', circulating_supply: 2000000 }
+      ];
+      const onProgress = jest.fn();
+
+      const { results, counts, batches, cancelled } = await batchProcessTokens(tokens, { onProgress });
+
+      expect(cancelled).toBe(false);
+      expect(results).toHaveLength(2);
+      expect(batches).toEqual({ total: 1, completed: 1 });
+      expect(counts.processed).toEqual(2);
+      expect(counts.success).toEqual(2);
+      expect(onProgress).toHaveBeenCalledTimes(1);
+      expect(onProgress.mock.calls[0][0]).toMatchObject({
+        batch: 1,
+        totalBatches: 1,
+        batchCounts: { size: 2, success: 2, failed: 0 }
+      });
+    });
+
+    it('should stop before the next batch when the signal is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const { results, cancelled, batches } = await batchProcessTokens(
+        [{ token_id: 'aaa', ticker: 'AAA' }],
+        { signal: controller.signal }
+      );
+
+      expect(cancelled).toBe(true);
+      expect(results).toHaveLength(0);
+      expect(batches.completed).toEqual(0);
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runFullIntegration', () => {
+    it('should return a cancelled result without writing data', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await runFullIntegration({
+        tokens: [{ token_id: 'aaa', ticker: 'AAA' }],
+        full: true,
+        signal: controller.signal
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(result.report).toBeNull();
+      expect(result.finishedAt).toBeTruthy();
+    });
+  });
+
+  describe('selectTokensForEnrichment', () => {
+    const now = Date.parse('2025-04-15T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000).toISOString();
+    const tokens = ['fresh', 'stale', 'traded', 'requested', 'new', 'changed', 'listed', 'errored'].map(id => ({ token_id: id }));
+    const previous = {
+      fresh: { token_id: 'fresh', updated_at: hoursAgo(1) },
+      stale: { token_id: 'stale', updated_at: hoursAgo(12) },
+      traded: { token_id: 'traded', updated_at: hoursAgo(1) },
+      requested: { token_id: 'requested', updated_at: hoursAgo(1) },
+      changed: { token_id: 'changed', updated_at: hoursAgo(1) },
+      listed: { token_id: 'listed', updated_at: hoursAgo(1) },
+      errored: { token_id: 'errored', updated_at: hoursAgo(1), last_error: { message: 'timeout', at: hoursAgo(1) } }
+    };
+
+    it('should only select stale, new, traded, changed, relisted, errored or requested tokens', () => {
+      const selection = selectTokensForEnrichment(tokens, previous, {
+        requested: new Set(['requested']),
+        recentlyTraded: new Set(['traded']),
+        poolChanges: new Set(['changed']),
+        listChanges: new Set(['listed']),
+        staleAfterMs: 6 * 60 * 60 * 1000,
+        now
+      });
+
+      expect(selection.selected.map(t => t.token_id).sort())
+        .toEqual(['changed', 'errored', 'listed', 'new', 'requested', 'stale', 'traded']);
+      expect(selection.skipped).toEqual(1);
+      expect(selection.reasons).toEqual({
+        requested: 1,
+        new: 1,
+        stale: 1,
+        traded: 1,
+        pools_changed: 1,
+        list_changed: 1,
+        errored: 1
+      });
+    });
+  });
+
+  describe('getTrustListChanges', () => {
+    it('should find tokens whose list entry differs from the one they were scored with', () => {
+      const tokens = ['kept', 'added', 'removed', 'reworded', 'unlisted'].map(id => ({ token_id: id }));
+      const scored = (reason) => ({ trust_assessment: { inputs: { blocklisted: true, blocklist_reason: reason } } });
+      const previous = { kept: scored('Scam'), removed: scored('Scam'), reworded: scored('Scam'), unlisted: {} };
+      const entries = [
+        { list: 'block', scope: 'token', target_id: 'kept', reason: 'Scam' },
+        { list: 'block', scope: 'token', target_id: 'added', reason: 'Scam' },
+        { list: 'block', scope: 'token', target_id: 'reworded', reason: 'Confirmed scam' }
+      ];
+
+      expect([...getTrustListChanges(tokens, previous, entries)].sort()).toEqual(['added', 'removed', 'reworded']);
+    });
+  });
+
+  describe('calculateWeightedPrice', () => {
+    it('should describe every pool with its share, deviation and exclusion reason', async () => {
+      mockClient.get.mockResolvedValueOnce({
+        data: [
+          { dex: 'MINSWAP', pool_id: 'm1', token_1_amount: 60000, token_2_amount: 1200000 },
+          { dex: 'SUNDAESWAP', pool_id: 's1', token_1_amount: 20000, token_2_amount: 500000 },
+          { dex: 'SPLASH', pool_id: 'x1', token_1_amount: 20000, token_2_amount: 1 },
+          { dex: 'WINGRIDERS', pool_id: 'w1', token_1_amount: 0, token_2_amount: 300 }
+        ]
+      });
+
+      const { weightedPrice, poolBreakdown } = await calculateWeightedPrice('aaa');
+
+      expect(weightedPrice).toBeCloseTo(0.0475);
+      expect(poolBreakdown.map(pool => [pool.pool_id, pool.excluded_reason])).toEqual([
+        ['m1', null],
+        ['s1', null],
+        ['x1', 'price_outlier'],
+        ['w1', 'zero_liquidity']
+      ]);
+      expect(poolBreakdown[0]).toMatchObject({ dex: 'MINSWAP', ada_reserve: 60000, implied_price: 0.05, liquidity_share: 0.6, excluded: false });
+      expect(poolBreakdown[0].deviation_pct).toBeCloseTo(5.263, 2);
+      expect(poolBreakdown[3]).toMatchObject({ implied_price: null, deviation_pct: null, z_score: null, token_reserve: 300 });
+      expect(poolBreakdown[1].z_score).toBeCloseTo(Math.log(0.04 / 0.05) / 0.1, 6);
+      expect(poolBreakdown[2].z_score).toBeGreaterThan(3.5);
+    });
+
+    it('should keep micro-priced tokens whose pools agree and record the filter used', async () => {
+      mockClient.get.mockResolvedValueOnce({
+        data: [
+          { dex: 'MINSWAP', pool_id: 'm1', token_1_amount: 90000, token_2_amount: 1e12 },
+          { dex: 'SPLASH', pool_id: 'x1', token_1_amount: 30000, token_2_amount: 3.2e11 },
+          { dex: 'SUNDAESWAP', pool_id: 's1', token_1_amount: 5000, token_2_amount: 1e10 }
+        ]
+      });
+
+      const { weightedPrice, poolCount, filteredOutliers, outlierFilter, poolBreakdown } = await calculateWeightedPrice('aaa');
+
+      expect(poolCount).toEqual(2);
+      expect(filteredOutliers).toBe(true);
+      expect(weightedPrice).toBeCloseTo(9.1e-8, 9);
+      expect(outlierFilter).toMatchObject({ method: 'liquidity_weighted_mad', z_threshold: 3.5, excluded_count: 1 });
+      expect(outlierFilter.median_price).toBeCloseTo(9e-8, 12);
+      expect(poolBreakdown.find(pool => pool.pool_id === 's1')).toMatchObject({ excluded: true, excluded_reason: 'price_outlier' });
+    });
+  });
+
+  describe('calculateWeightedPrice with a price graph', () => {
+    it('should price a token paired only with a hub token through the graph', async () => {
+      const djed = '8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a65644d6963726f555344';
+      mockClient.get.mockImplementation(url => Promise.resolve({
+        data: url === `/stats/pools/${djed}/ccc`
+          ? [{ dex: 'MINSWAP', pool_id: 'h1', token_1_amount: 40000, token_2_amount: 80000 }]
+          : []
+      }));
+
+      const graph = new PriceGraph();
+      graph.addPool({ base: djed, quote: ADA, baseReserve: 100000, quoteReserve: 200000, poolId: 'd1' });
+
+      const result = await calculateWeightedPrice('ccc', { graph, decimals: { decimals: 0, source: 'default' } });
+
+      expect(result).toMatchObject({ priceFromGraph: true, priceFromAveragePrice: false, poolCount: 1, suspiciousLiquidity: false });
+      expect(result.weightedPrice).toBeCloseTo(1, 10);
+      expect(result.totalLiquidity).toBeCloseTo(80000, 6);
+      expect(result.pricePath.path.map(asset => asset.id)).toEqual(['ccc', djed, ADA]);
+    });
+
+    it('should keep the hub pair of a graph-priced record in later runs', () => {
+      const djed = '8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a65644d6963726f555344';
+      const graph = new PriceGraph();
+      graph.addPool({ base: djed, quote: ADA, baseReserve: 100000, quoteReserve: 200000, poolId: 'd1' });
+
+      addRecordsToPriceGraph(graph, [{
+        token_id: 'ccc',
+        ticker: 'CCC',
+        pool_breakdown: [],
+        price_path: { legs: [{ from: 'ccc', to: djed, from_reserve: 80000, to_reserve: 40000 }] }
+      }]);
+
+      expect(graph.price('ccc', ADA).price).toBeCloseTo(1, 10);
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    it('should leave full runs as the default and opt in to incremental runs', () => {
+      expect(parseCliArgs([]).full).toBeUndefined();
+      expect(parseCliArgs(['--incremental', '--stale-hours=12'])).toEqual({ full: false, staleAfterMs: 12 * 60 * 60 * 1000 });
+      expect(parseCliArgs(['--full']).full).toBe(true);
+    });
+
+    it('should split each flag from its value on the first = only', () => {
+      expect(parseCliArgs(['--dry-run', '--diff-out=diffs/run=1.json', '--price-threshold=5']))
+        .toEqual({ dryRun: true, diffOut: 'diffs/run=1.json', diffThresholds: { pricePct: 5 } });
+      expect(parseCliArgs(['--diff-out='])).toEqual({});
+    });
+  });
+
+  describe('fingerprintPools', () => {
+    it('should not depend on pool order', () => {
+      const a = { dex: 'MINSWAP', token_1_amount: 1, token_2_amount: 2 };
+      const b = { dex: 'SPLASH', token_1_amount: 3, token_2_amount: 4 };
+
+      expect(fingerprintPools([a, b])).toEqual(fingerprintPools([b, a]));
+      expect(fingerprintPools([a])).not.toEqual(fingerprintPools([a, b]));
+    });
+  });
+});
+
+describe('GET /api/tokens/:tokenId/pools', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'admin-key';
+    jest.spyOn(tokenService, 'getTokenPools').mockResolvedValue({ token_id: 'aaa', source: 'live', pools: [] });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('should only fetch live pools for admins', async () => {
+    expect((await request(app).get('/api/tokens/aaa/pools?live=true')).status).toBe(401);
+    expect((await request(app).get('/api/tokens/aaa/pools?live=true').set('X-Admin-Key', 'wrong')).status).toBe(401);
+    expect(tokenService.getTokenPools).not.toHaveBeenCalled();
+
+    expect((await request(app).get('/api/tokens/aaa/pools?live=true').set('X-Admin-Key', 'admin-key')).status).toBe(200);
+    expect(tokenService.getTokenPools).toHaveBeenLastCalledWith('aaa', { live: true });
+
+    expect((await request(app).get('/api/tokens/aaa/pools')).status).toBe(200);
+    expect(tokenService.getTokenPools).toHaveBeenLastCalledWith('aaa', { live: false });
+  });
+});
+
+describe('GET /api/tokens/:tokenId/price-in/:quoteId', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-in-'));
+    tokenService.priceGraph = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    tokenService.priceGraph = null;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should report the pair scope of the graph it priced through', async () => {
+    const graph = new PriceGraph();
+    graph.addPool({ base: 'aaa', quote: ADA, baseReserve: 1000, quoteReserve: 500, poolId: 'p1' });
+    const priceGraphPath = path.join(tmpDir, 'price_graph.json');
+    jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({ run_id: 'run-1', priceGraphPath });
+
+    // Graphs published before the scope was recorded report the scope they were built with
+    fs.writeFileSync(priceGraphPath, JSON.stringify({ built_at: '2025-04-14T00:00:00.000Z', ...graph.toJSON() }));
+    const legacy = await request(app).get('/api/tokens/aaa/price-in/ada');
+    expect(legacy.status).toBe(200);
+    expect(legacy.body.price).toBeCloseTo(0.5);
+    expect(legacy.body.graph_scope).toEqual(describeScope());
+
+    tokenService.priceGraph = null;
+    fs.writeFileSync(priceGraphPath, JSON.stringify({ scope: { pairs: 'ada_and_hubs', hubs: ['hub'] }, ...graph.toJSON() }));
+    expect((await request(app).get('/api/tokens/aaa/price-in/ada')).body.graph_scope).toEqual({ pairs: 'ada_and_hubs', hubs: ['hub'] });
+  });
+});
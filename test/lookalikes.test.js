@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const snapshotStore = require('../services/snapshotStore');
+const { LookalikeIndex, foldLabel, editDistance } = require('../services/lookalikeIndex');
+
+// Token IDs under distinct policies
+const id = (policy, assetName = '534e454b') => policy.repeat(56) + assetName;
+const SNEK = id('1');
+const SNEK_COPY = id('2');
+const SNEK_HOMOGLYPH = id('3');
+const SNEEK = id('4');
+const SNEK_SAME_POLICY = id('1', '534e454b32');
+
+const tokens = [
+  { token_id: SNEK, ticker: 'SNEK', name: 'Snek', liquidity: 5000000, token_age: 700, circulating_supply: 1000 },
+  { token_id: SNEK_COPY, ticker: 'SNEK', name: 'Snek', liquidity: 1000, token_age: 3 },
+  { token_id: SNEK_HOMOGLYPH, ticker: 'SΝΕΚ', liquidity: 50, token_age: 1 },
+  { token_id: SNEEK, ticker: 'SNEEK', liquidity: 4000000, token_age: 650 },
+  { token_id: SNEK_SAME_POLICY, ticker: 'SNEK2', liquidity: 10 },
+  { token_id: id('5'), ticker: 'MIN', liquidity: 100 }
+];
+
+describe('foldLabel and editDistance', () => {
+  it('should fold case, accents and lookalike characters to one key', () => {
+    expect(['SNEK', 'snek', 'SΝΕΚ', 'Snék', '$N3K'].map(foldLabel)).toEqual(['snek', 'snek', 'snek', 'snek', 'snek']);
+    expect(foldLabel('HOSKY')).toEqual('hosky');
+    expect(foldLabel('Wor1d')).toEqual(foldLabel('World'));
+  });
+
+  it('should count insertions, deletions and substitutions', () => {
+    expect(editDistance('snek', 'sneek')).toBe(1);
+    expect(editDistance('snek', 'snak')).toBe(1);
+    expect(editDistance('hosky', 'hsoky')).toBe(2);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('LookalikeIndex', () => {
+  const index = LookalikeIndex.build(tokens, { copycatThreshold: 0.7 });
+
+  it('should match identical, homoglyph and near tickers and names across policies only', () => {
+    const lookalikes = index.getLookalikes(SNEK);
+
+    expect(lookalikes.map(lookalike => lookalike.token_id)).toEqual([SNEK_COPY, SNEK_HOMOGLYPH, SNEEK]);
+    expect(lookalikes[0].reasons.map(reason => reason.code)).toEqual(['same_ticker', 'same_name_different_policy']);
+    expect(lookalikes[1].reasons).toEqual([{ code: 'homoglyph', message: 'Ticker matches SΝΕΚ after folding lookalike characters' }]);
+    expect(lookalikes[2].reasons).toEqual([{ code: 'edit_distance', message: 'Ticker is 1 edit away from SNEEK' }]);
+    expect(index.getLookalikes(id('5'))).toEqual([]);
+  });
+
+  it('should weight suspicion by how far the original leads in liquidity and age', () => {
+    const [copy, , near] = index.getLookalikes(SNEK);
+
+    expect(copy).toMatchObject({ role: 'suspect', similarity: 1 });
+    expect(copy.suspicion).toBeGreaterThan(0.99);
+    // A close rival in liquidity and age stays below the copycat threshold
+    expect(near.role).toEqual('suspect');
+    expect(near.suspicion).toBeLessThan(index.copycatThreshold);
+
+    expect(index.getCopycatOf(SNEK_COPY)).toMatchObject({ token_id: SNEK, role: 'imitated' });
+    expect(index.getCopycatOf(SNEEK)).toBeNull();
+    expect(index.getCopycatOf(SNEK)).toBeNull();
+  });
+
+  it('should survive serialization', () => {
+    const restored = LookalikeIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+    expect(restored.getLookalikes(SNEK)).toEqual(index.getLookalikes(SNEK));
+    expect(restored.copycatThreshold).toEqual(0.7);
+  });
+});
+
+describe('GET /api/tokens/:tokenId/lookalikes', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lookalikes-'));
+    jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({ run_id: 'run-1', lookalikesPath: path.join(tmpDir, 'lookalikes.json') });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return ranked lookalikes with the token it probably copies', async () => {
+    expect((await request(app).get(`/api/tokens/${SNEK}/lookalikes`)).status).toBe(503);
+
+    fs.writeFileSync(path.join(tmpDir, 'lookalikes.json'), JSON.stringify({ built_at: '2025-04-14T00:00:00.000Z', ...LookalikeIndex.build(tokens).toJSON() }));
+
+    const response = await request(app).get(`/api/tokens/${SNEK_COPY}/lookalikes?limit=1`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ token_id: SNEK_COPY, ticker: 'SNEK', run_id: 'run-1', copycat_of: { token_id: SNEK } });
+    expect(response.body.lookalikes).toHaveLength(1);
+    expect((await request(app).get(`/api/tokens/${id('9')}/lookalikes`)).status).toBe(404);
+    expect((await request(app).get(`/api/tokens/${SNEK}/lookalikes?limit=0`)).status).toBe(400);
+  });
+});
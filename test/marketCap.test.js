@@ -0,0 +1,60 @@
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const tokenService = require('../services/tokenService');
+const { marketCapFields } = tokenService;
+
+describe('marketCapFields', () => {
+  it('should report the supply the pipeline market cap was computed on', () => {
+    expect(marketCapFields({ price: 2, market_cap: 200, circulating_supply: 100, total_supply: 400 }))
+      .toEqual({ market_cap: 200, fdv: 800, mcap_basis: 'circulating', mcap_fdv_ratio: 0.25 });
+    expect(marketCapFields({ price: 2, market_cap: 800, circulating_supply: 0, total_supply: 400, fully_diluted_value: 800 }))
+      .toEqual({ market_cap: 800, fdv: 800, mcap_basis: 'total', mcap_fdv_ratio: 1 });
+  });
+
+  it('should prefer the basis the pipeline recorded over the supply fields present', () => {
+    const token = { price: 2, market_cap: 800, circulating_supply: 100, total_supply: 400, supply: { market_cap_basis: 'total_supply' } };
+
+    expect(marketCapFields(token)).toMatchObject({ market_cap: 800, mcap_basis: 'total' });
+    expect(marketCapFields({ ...token, market_cap: 200, supply: { market_cap_basis: 'circulating_supply' } })).toMatchObject({ mcap_basis: 'circulating' });
+  });
+
+  it('should drop market caps the requested supply cannot back', () => {
+    const token = { price: 2, market_cap: 800, circulating_supply: null, total_supply: 400 };
+
+    expect(marketCapFields(token, 'circulating')).toMatchObject({ market_cap: null, mcap_basis: null, mcap_fdv_ratio: null });
+    expect(marketCapFields(token, 'total')).toMatchObject({ market_cap: 800, mcap_basis: 'total' });
+  });
+});
+
+describe('GET /api/tokens?mcap_basis=', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+
+  beforeEach(() => {
+    // A ranks first on its mixed basis (total supply), B on circulating supply
+    jest.spyOn(tokenService, 'loadTokens').mockResolvedValue([
+      { token_id: 'a', ticker: 'A', price: 1, market_cap: 1000, circulating_supply: null, total_supply: 1000, has_market_cap: true, rank: 1 },
+      { token_id: 'b', ticker: 'B', price: 1, market_cap: 500, circulating_supply: 500, total_supply: 5000, has_market_cap: true, rank: 2 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should rank every token on the requested supply', async () => {
+    const circulating = await request(app).get('/api/tokens?mcap_basis=circulating');
+    expect(circulating.status).toBe(200);
+    expect(circulating.body.map(token => [token.token_id, token.rank, token.has_market_cap])).toEqual([['b', 1, true], ['a', 2, false]]);
+
+    const total = await request(app).get('/api/tokens/top/2?mcap_basis=total');
+    expect(total.body.map(token => [token.token_id, token.market_cap])).toEqual([['b', 5000], ['a', 1000]]);
+    expect(total.body[0]).toMatchObject({ mcap_basis: 'total', mcap_fdv_ratio: 1 });
+  });
+
+  it('should reject unknown bases', async () => {
+    const response = await request(app).get('/api/tokens?mcap_basis=fdv');
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const pegRoutes = require('../routes/pegs');
+const pegService = require('../services/pegService');
+const snapshotStore = require('../services/snapshotStore');
+const persistenceService = require('../services/persistenceService');
+const tokenService = require('../services/tokenService');
+const { PegService } = pegService;
+
+const DJED = '8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a65644d6963726f555344';
+const IBTC = 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069425443';
+
+// One ADA is worth 0.5 USD and 0.00001 BTC, so a pegged DJED costs 2 ADA and iBTC 100000 ADA
+const reference = { source: 'file', timestamp: '2025-04-14T00:00:00.000Z', rates: { usd: 0.5, btc: 0.00001, eth: 0.0002 } };
+
+describe('PegService', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegs-'));
+    service = new PegService();
+    service.historyPath = path.join(tmpDir, 'peg_history.json');
+    service.registryPath = path.join(tmpDir, 'peg_registry.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should check wrapped assets under the full token IDs the token service uses', () => {
+    const registry = service.getRegistry();
+    const tokenIdOf = ticker => registry.find(asset => asset.ticker === ticker).token_id;
+
+    expect(tokenIdOf('iETH')).toEqual('f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069455448');
+    expect(tokenService.wrappedTokens.iETH.tokenId).toEqual(tokenIdOf('iETH'));
+    expect(tokenService.wrappedTokens.iBTC.tokenId).toEqual(tokenIdOf('iBTC'));
+  });
+
+  it('should measure deviation from the reference and raise depeg and recovered events', async () => {
+    const first = await service.checkPegs([
+      { token_id: DJED, ticker: 'DJED', price: 1.9 },
+      { token_id: IBTC, ticker: 'iBTC', price: 102000 }
+    ], { runId: 'run-1', reference });
+
+    const djed = first.assets.find(asset => asset.token_id === DJED);
+    expect(djed).toMatchObject({ peg: 'usd', kind: 'stablecoin', reference_price_ada: 2, threshold_pct: 2, depegged: true });
+    expect(djed.deviation_pct).toBeCloseTo(-5, 10);
+    // 2% from the BTC peg is within the wrapped asset threshold
+    expect(first.assets.find(asset => asset.token_id === IBTC)).toMatchObject({ depegged: false, depegged_since: null });
+    expect(first.events).toEqual([expect.objectContaining({ type: 'depeg', token_id: DJED, run_id: 'run-1' })]);
+    await service.recordCheck(first);
+
+    // A missing price keeps the asset depegged without raising an event
+    const second = await service.checkPegs([], { runId: 'run-2', reference });
+    expect(second.assets.find(asset => asset.token_id === DJED)).toMatchObject({ depegged: true, depegged_since: djed.depegged_since });
+    expect(second.events).toEqual([]);
+    await service.recordCheck(second);
+
+    const third = await service.checkPegs([{ token_id: DJED, price: 2.01 }], { runId: 'run-3', reference });
+    expect(third.events).toEqual([expect.objectContaining({ type: 'recovered', token_id: DJED })]);
+  });
+
+  it('should let the registry file add assets and override thresholds', async () => {
+    fs.writeFileSync(service.registryPath, JSON.stringify({
+      assets: [
+        { token_id: DJED, threshold_pct: 10 },
+        { token_id: 'abc', ticker: 'EURX', peg: 'eur' },
+        { token_id: 'def', ticker: 'USDX', peg: 'usd' }
+      ]
+    }));
+
+    const registry = service.getRegistry();
+
+    expect(registry.find(asset => asset.token_id === DJED)).toMatchObject({ ticker: 'DJED', peg: 'usd', threshold_pct: 10 });
+    expect(registry.find(asset => asset.token_id === 'def')).toMatchObject({ kind: 'stablecoin', threshold_pct: 2 });
+    // Pegs without a reference unit are ignored
+    expect(registry.find(asset => asset.token_id === 'abc')).toBeUndefined();
+  });
+});
+
+describe('GET /api/pegs', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/pegs', pegRoutes);
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegs-'));
+    jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({ run_id: 'run-2', pegsPath: path.join(tmpDir, 'pegs.json') });
+    jest.spyOn(pegService, 'getHistory').mockResolvedValue({
+      checks: [
+        { run_id: 'run-1', checked_at: '2025-04-14T00:00:00.000Z', assets: [{ token_id: DJED, deviation_pct: -5, depegged: true }] },
+        { run_id: 'run-2', checked_at: '2025-04-14T06:00:00.000Z', assets: [{ token_id: DJED, deviation_pct: -1, depegged: false }] }
+      ],
+      events: [{ type: 'depeg', token_id: DJED, run_id: 'run-1' }, { type: 'recovered', token_id: DJED, run_id: 'run-2' }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return the published check with deviation history and the latest events first', async () => {
+    expect((await request(app).get('/api/pegs')).status).toBe(404);
+
+    fs.writeFileSync(path.join(tmpDir, 'pegs.json'), JSON.stringify({
+      run_id: 'run-2',
+      checked_at: '2025-04-14T06:00:00.000Z',
+      reference,
+      assets: [{ token_id: DJED, ticker: 'DJED', peg: 'usd', deviation_pct: -1, depegged: false }],
+      events: []
+    }));
+
+    const response = await request(app).get('/api/pegs?history=1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.assets[0].history).toEqual([{ run_id: 'run-2', checked_at: '2025-04-14T06:00:00.000Z', deviation_pct: -1, depegged: false }]);
+    expect(response.body.events).toEqual([{ type: 'recovered', token_id: DJED, run_id: 'run-2' }]);
+    expect((await request(app).get('/api/pegs?history=0')).status).toBe(400);
+  });
+
+  it('should serve the checks mirrored to Supabase on Vercel', async () => {
+    process.env.VERCEL = '1';
+    const check = (runId, deviation, events = []) => ({
+      run_id: runId,
+      checked_at: `2025-04-14T0${runId.slice(-1)}:00:00.000Z`,
+      reference,
+      assets: [{ token_id: DJED, ticker: 'DJED', peg: 'usd', deviation_pct: deviation, depegged: deviation < -2 }],
+      events
+    });
+    jest.spyOn(persistenceService, 'getPegChecks').mockResolvedValue([
+      check('run-3', -1, [{ type: 'recovered', token_id: DJED, run_id: 'run-3' }]),
+      null,
+      check('run-1', -5, [{ type: 'depeg', token_id: DJED, run_id: 'run-1' }])
+    ]);
+
+    try {
+      const response = await request(app).get('/api/pegs');
+
+      expect(response.status).toBe(200);
+      expect(response.body.run_id).toEqual('run-3');
+      expect(response.body.assets[0].history.map(point => [point.run_id, point.deviation_pct])).toEqual([['run-1', -5], ['run-3', -1]]);
+      expect(response.body.events.map(event => event.type)).toEqual(['recovered', 'depeg']);
+      expect(persistenceService.getPegChecks).toHaveBeenCalledWith(100);
+    } finally {
+      delete process.env.VERCEL;
+    }
+  });
+});
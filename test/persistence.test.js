@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PersistenceService, SCHEMA_VERSION } = require('../services/persistenceService');
+const snapshotStore = require('../services/snapshotStore');
+const tokenService = require('../services/tokenService');
+const { mergeEnrichedRecords, generateMarketCapReport } = require('../enhanced_integration_refined');
+
+/**
+ * Minimal stand-in for the Supabase query builder that records every call
+ */
+function createFakeSupabase({ schemaVersion = SCHEMA_VERSION } = {}) {
+  const calls = [];
+
+  const from = table => {
+    const call = { table, ops: [] };
+    calls.push(call);
+
+    const query = {
+      then(resolve) {
+        const data = table === 'schema_migrations' ? [{ version: schemaVersion }] : null;
+        return Promise.resolve({ data, error: null }).then(resolve);
+      }
+    };
+    ['select', 'order', 'limit', 'upsert', 'insert', 'update', 'eq', 'neq'].forEach(op => {
+      query[op] = (...args) => {
+        call.ops.push([op, ...args]);
+        return query;
+      };
+    });
+    return query;
+  };
+
+  return { from, calls };
+}
+
+describe('PersistenceService', () => {
+  let service;
+  let supabase;
+
+  const record = (id, overrides = {}) => ({
+    token_id: id,
+    ticker: id.toUpperCase(),
+    token_ascii: `${id} token`,
+    price: 2,
+    market_cap: 2000,
+    fdv: 4000,
+    circulating_supply: 1000,
+    total_supply: 2000,
+    liquidity: 5000,
+    pool_count: 4,
+    original_pool_count: 5,
+    trust_assessment: { score: 90, level: 'High', penalties: [], bonuses: [] },
+    validation: { isValid: true },
+    supply: { market_cap_basis: 'circulating_supply' },
+    honeypot_risk: false,
+    updated_at: '2025-04-14T19:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    supabase = createFakeSupabase();
+    service = new PersistenceService();
+    service.getSupabase = () => supabase;
+  });
+
+  it('should upsert enriched tokens, mark listed ones and unlist earlier runs', async () => {
+    const listed = [{
+      token_id: 'aaa',
+      ticker: 'AAA',
+      name: 'aaa token',
+      price: 2,
+      market_cap: 2000,
+      liquidity: 5000,
+      tvl: 10000,
+      pool_count: 4,
+      has_market_cap: true,
+      volume: 120,
+      volume_in_token: 60,
+      order_count: 7
+    }];
+
+    const result = await service.persistRun({
+      runId: 'run-1',
+      report: { generated_at: '2025-04-14T19:00:00.000Z', total_tokens: 3, tokens_with_market_cap: 2 },
+      records: [record('aaa'), record('bbb'), { token_id: 'ccc', error: 'timeout' }],
+      listedTokens: listed,
+      manifest: { mode: 'incremental' },
+      publishedAt: '2025-04-14T19:05:00.000Z',
+      pegs: { run_id: 'run-1', assets: [], events: [] }
+    });
+
+    expect(result).toEqual({ tokens: 2, report: true });
+
+    const [upsert] = supabase.calls.find(call => call.table === 'tokens' && call.ops[0][0] === 'upsert').ops;
+    const rows = upsert[1];
+    expect(rows.map(row => row.token_id)).toEqual(['aaa', 'bbb']);
+    expect(rows[0]).toMatchObject({ listed: true, tvl: 10000, volume: 120, has_market_cap: true, trust_level: 'High', run_id: 'run-1' });
+    expect(rows[1]).toMatchObject({ listed: false, volume: 0, has_market_cap: false, market_cap: 2000, trust_score: 90 });
+
+    const unlist = supabase.calls.find(call => call.table === 'tokens' && call.ops[0][0] === 'update');
+    expect(unlist.ops).toEqual([['update', { listed: false }], ['eq', 'listed', true], ['neq', 'run_id', 'run-1']]);
+
+    const report = supabase.calls.find(call => call.table === 'reports').ops[0][1][0];
+    expect(report).toMatchObject({ run_id: 'run-1', mode: 'incremental', total_tokens: 3, published_at: '2025-04-14T19:05:00.000Z' });
+    expect(report.pegs).toEqual({ run_id: 'run-1', assets: [], events: [] });
+  });
+
+  it('should serve the last good record of a token whose enrichment errored from the file snapshot and Supabase alike', async () => {
+    const tokens = ['aaa', 'bbb', 'ccc'].map(id => ({ token_id: id }));
+    const previous = { aaa: record('aaa', { price: 1 }), bbb: record('bbb', { price: 3, market_cap: 3000 }) };
+    const merged = mergeEnrichedRecords(tokens, [
+      record('aaa'),
+      { token_id: 'bbb', error: 'timeout', updated_at: '2025-04-14T20:00:00.000Z' },
+      { token_id: 'ccc', error: 'timeout', updated_at: '2025-04-14T20:00:00.000Z' }
+    ], previous);
+
+    expect(merged.find(entry => entry.token_id === 'bbb')).toEqual({
+      ...previous.bbb,
+      last_error: { message: 'timeout', at: '2025-04-14T20:00:00.000Z' }
+    });
+
+    // The file-based API lists the report's tokens; Supabase lists the rows written for the run
+    const report = generateMarketCapReport(merged);
+    await service.persistRun({ runId: 'run-2', report, records: merged, listedTokens: report.top_tokens_by_market_cap_valid, manifest: { mode: 'full' } });
+    const [upsert] = supabase.calls.find(call => call.table === 'tokens' && call.ops[0][0] === 'upsert').ops;
+
+    const byId = (a, b) => a[0].localeCompare(b[0]);
+    const fromFile = report.top_tokens_by_market_cap_valid.map(token => [token.token_id, token.price, token.market_cap]).sort(byId);
+    const fromSupabase = upsert[1].filter(row => row.listed).map(row => [row.token_id, row.price, row.market_cap]).sort(byId);
+    expect(fromSupabase).toEqual(fromFile);
+    expect(fromFile).toEqual([['aaa', 2, 2000], ['bbb', 3, 3000]]);
+  });
+
+  it('should write the published snapshot again after a rollback', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'persist-rollback-'));
+    try {
+      fs.mkdirSync(path.join(tmpDir, 'summaries'));
+      fs.writeFileSync(path.join(tmpDir, 'summaries', 'aaa_enhanced_refined.json'), JSON.stringify(record('aaa')));
+      fs.writeFileSync(path.join(tmpDir, 'summaries', 'aaa_summary.json'), JSON.stringify({ token_id: 'aaa' }));
+      fs.writeFileSync(path.join(tmpDir, 'report.json'), JSON.stringify({ generated_at: '2025-04-13T00:00:00.000Z', total_tokens: 1 }));
+      jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({
+        run_id: 'run-0',
+        published_at: '2025-04-14T20:00:00.000Z',
+        summariesDir: path.join(tmpDir, 'summaries'),
+        reportPath: path.join(tmpDir, 'report.json')
+      });
+      jest.spyOn(snapshotStore, 'getManifest').mockReturnValue({ mode: 'full' });
+      jest.spyOn(tokenService, 'getAllTokens').mockResolvedValue([]);
+
+      expect(await service.persistPublishedSnapshot()).toEqual({ tokens: 1, report: true });
+
+      const unlist = supabase.calls.find(call => call.table === 'tokens' && call.ops[0][0] === 'update');
+      expect(unlist.ops).toContainEqual(['neq', 'run_id', 'run-0']);
+      const report = supabase.calls.find(call => call.table === 'reports').ops[0][1][0];
+      expect(report).toMatchObject({ run_id: 'run-0', mode: 'full', published_at: '2025-04-14T20:00:00.000Z' });
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should expect the newest migration in supabase/migrations', () => {
+    const versions = fs.readdirSync(path.join(__dirname, '..', 'supabase', 'migrations'))
+      .map(file => parseInt(file, 10))
+      .filter(version => !isNaN(version));
+
+    expect(SCHEMA_VERSION).toEqual(Math.max(...versions));
+  });
+
+  it('should refuse to write against an outdated schema', async () => {
+    supabase = createFakeSupabase({ schemaVersion: SCHEMA_VERSION - 1 });
+
+    await expect(service.persistVolumeSnapshot({ timestamp: '2025-04-14T19:00:00.000Z', tokens: [] }, 'full'))
+      .rejects.toMatchObject({ code: 'SCHEMA_OUTDATED' });
+    expect(supabase.calls.map(call => call.table)).toEqual(['schema_migrations']);
+  });
+
+  it('should store volume snapshots with their window and completeness', async () => {
+    await service.persistVolumeSnapshot({
+      timestamp: '2025-04-14T19:00:00.000Z',
+      time_window: { from: '2025-04-13T19:00:00.000Z', to: '2025-04-14T19:00:00.000Z' },
+      total_tokens: 1,
+      order_fetch: { complete: false },
+      tokens: [{ tokenId: 'aaa', volumeInAda: 10 }]
+    }, 'lightweight');
+
+    const insert = supabase.calls.find(call => call.table === 'volume_snapshots').ops[0];
+    expect(insert[1][0]).toMatchObject({
+      source: 'lightweight',
+      window_from: '2025-04-13T19:00:00.000Z',
+      total_tokens: 1,
+      complete: false
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { PriceGraph, ADA } = require('../services/priceGraph');
+
+describe('PriceGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new PriceGraph();
+    // 1 DJED = 2 ADA, deep
+    graph.addPool({ base: 'djed', quote: ADA, baseReserve: 500000, quoteReserve: 1000000, poolId: 'd1' });
+    // 1 TOK = 0.5 DJED through two pools
+    graph.addPool({ base: 'tok', quote: 'djed', baseReserve: 30000, quoteReserve: 15000, poolId: 't1' });
+    graph.addPool({ base: 'tok', quote: 'djed', baseReserve: 10000, quoteReserve: 5000, poolId: 't2' });
+    // A shallow direct pool quoting TOK at 3 ADA
+    graph.addPool({ base: 'tok', quote: ADA, baseReserve: 10, quoteReserve: 30, poolId: 'a1' });
+  });
+
+  it('should price through the deepest path rather than the direct shallow pool', () => {
+    const priced = graph.price('tok', ADA);
+
+    expect(priced.price).toBeCloseTo(1, 10);
+    expect(priced.hops).toEqual(2);
+    expect(priced.path.map(asset => asset.id)).toEqual(['tok', 'djed', ADA]);
+    // The TOK/DJED pair holds 20000 DJED, worth 40000 ADA a side
+    expect(priced.depth_ada).toBeCloseTo(80000, 6);
+    expect(priced.legs[0]).toMatchObject({ from: 'tok', to: 'djed', pool_count: 2 });
+    expect(priced.legs[0].rate).toBeCloseTo(0.5, 10);
+    expect(priced.confidence).toBeCloseTo((80000 / 90000) * 0.85, 10);
+  });
+
+  it('should give cross rates between tokens and report unconnected assets', () => {
+    const priced = graph.price('djed', 'tok');
+
+    expect(priced.price).toBeCloseTo(2, 10);
+    expect(priced.hops).toEqual(1);
+    expect(graph.price('tok', 'other')).toBeNull();
+  });
+
+  it('should survive a JSON round trip', () => {
+    const restored = PriceGraph.fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+
+    expect(restored.price('tok', ADA).price).toBeCloseTo(1, 10);
+  });
+});
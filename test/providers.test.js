@@ -0,0 +1,76 @@
+const path = require('path');
+const { ProviderChain, FileProvider } = require('../services/providers');
+
+describe('Market data providers', () => {
+  describe('ProviderChain', () => {
+    const failing = {
+      name: 'primary',
+      getPools: jest.fn().mockRejectedValue(new Error('429 Too Many Requests'))
+    };
+    const empty = {
+      name: 'secondary',
+      getPools: jest.fn().mockResolvedValue(null)
+    };
+    const fixture = {
+      name: 'fixture',
+      getPools: jest.fn().mockResolvedValue([{ dex: 'MINSWAP', token_1_amount: 10, token_2_amount: 100 }])
+    };
+
+    it('should fall back to the next provider when one fails', async () => {
+      const chain = new ProviderChain([failing, empty, fixture]);
+
+      const pools = await chain.getPools('abc', 'ADA');
+
+      expect(pools).toHaveLength(1);
+      expect(fixture.getPools).toHaveBeenCalledWith('abc', 'ADA');
+      expect(chain.getStats().getPools).toEqual({
+        primary: { served: 0, empty: 0, failed: 1 },
+        secondary: { served: 0, empty: 1, failed: 0 },
+        fixture: { served: 1, empty: 0, failed: 0 }
+      });
+    });
+
+    it('should rethrow the last error when no provider has data', async () => {
+      const chain = new ProviderChain([failing, empty]);
+
+      await expect(chain.getPools('abc')).rejects.toThrow('429 Too Many Requests');
+    });
+
+    it('should only count offline providers when no live provider is in the chain', () => {
+      const live = configured => ({ name: 'live', isConfigured: () => configured });
+      const offline = { name: 'file', offline: true, isConfigured: () => true };
+
+      expect(new ProviderChain([live(false), offline]).isConfigured()).toBe(false);
+      expect(new ProviderChain([live(true), offline]).isConfigured()).toBe(true);
+      expect(new ProviderChain([offline]).isConfigured()).toBe(true);
+    });
+
+    it('should return null when every provider is empty', async () => {
+      const chain = new ProviderChain([empty]);
+
+      await expect(chain.getPools('abc')).resolves.toBeNull();
+    });
+  });
+
+  describe('FileProvider', () => {
+    const provider = new FileProvider({
+      fixturesDir: path.join(__dirname, 'missing-fixtures'),
+      volumeDataPath: path.join(__dirname, '..', 'fixed_token_volumes.json')
+    });
+    const snekId = '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
+
+    it('should serve token info and volume from the volume snapshot', async () => {
+      const info = await provider.getTokenInfo(snekId);
+      const volume = await provider.getTokenVolume(snekId);
+
+      expect(info.ticker).toEqual('SNEK');
+      expect(volume.order_count).toBeGreaterThan(0);
+      expect(volume.volume_in_lovelace).toBeGreaterThan(0);
+    });
+
+    it('should return null when there is no fixture', async () => {
+      await expect(provider.getPools(snekId)).resolves.toBeNull();
+      await expect(provider.getGlobalOrders({ page: 0 })).resolves.toBeNull();
+    });
+  });
+});
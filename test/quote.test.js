@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const quoteService = require('../services/quoteService');
+const tokenRoutes = require('../routes/tokens');
+const tokenService = require('../services/tokenService');
+const { simulateQuote, optimalSplit, swapOutput, getDexFee } = quoteService;
+
+describe('simulateQuote', () => {
+  const pools = [
+    { dex: 'MINSWAPV2', pool_id: 'p1', ada_reserve: 1000, token_reserve: 1000 },
+    { dex: 'SPLASH', pool_id: 'p2', ada_reserve: 1000, token_reserve: 1000 },
+    { dex: 'WINGRIDERS', pool_id: 'p3', ada_reserve: 1000, token_reserve: 500 }
+  ];
+
+  it('should split a buy evenly across identical pools and skip the expensive one', () => {
+    const quote = simulateQuote(pools, { side: 'buy', amount: 100 });
+    const expectedOut = 2 * swapOutput(1000, 1000, 50, 0.003);
+
+    expect(quote.reference_price).toEqual(1);
+    expect(quote.split.map(leg => leg.pool_id).sort()).toEqual(['p1', 'p2']);
+    expect(quote.split[0].amount_in).toBeCloseTo(50, 6);
+    expect(quote.amount_out).toBeCloseTo(expectedOut, 6);
+    expect(quote.effective_price).toBeCloseTo(100 / expectedOut, 6);
+    expect(quote.fees_paid).toBeCloseTo(0.3, 6);
+    // 99.7 ADA after fees buys 2 * 1000 * 49.85 / 1049.85 tokens
+    expect(quote.price_impact_pct).toBeCloseTo(((99.7 / expectedOut) - 1) * 100, 6);
+    expect(quote.best_single_pool.amount_out).toBeLessThan(quote.amount_out);
+    expect(quote.split[0].price_after).toBeGreaterThan(quote.split[0].price_before);
+  });
+
+  it('should route large trades into every pool at an equal marginal rate', () => {
+    const amounts = optimalSplit(pools.map(pool => ({
+      reserveIn: pool.ada_reserve, reserveOut: pool.token_reserve, fee: getDexFee(pool.dex)
+    })), 5000);
+
+    expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(5000, 6);
+    const marginal = pools.map((pool, i) => {
+      const gamma = 1 - getDexFee(pool.dex);
+      return (gamma * pool.ada_reserve * pool.token_reserve) / Math.pow(pool.ada_reserve + gamma * amounts[i], 2);
+    });
+    expect(marginal[1]).toBeCloseTo(marginal[0], 8);
+    expect(marginal[2]).toBeCloseTo(marginal[0], 8);
+  });
+
+  it('should quote sells in ADA with impact measured from the best pool price', () => {
+    const quote = simulateQuote(pools.slice(0, 1), { side: 'sell', amount: 100 });
+
+    expect(quote.reference_price).toEqual(1);
+    expect(quote.amount_out).toBeCloseTo(swapOutput(1000, 1000, 100, 0.003), 6);
+    expect(quote.effective_price).toBeCloseTo(quote.amount_out / 100, 6);
+    expect(quote.price_impact_pct).toBeCloseTo((1 - quote.amount_out / 99.7) * 100, 6);
+    expect(quote.split[0].price_after).toBeLessThan(1);
+  });
+});
+
+describe('QuoteService.getQuote', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should quote against the pools used for pricing only', async () => {
+    jest.spyOn(tokenService, 'getTokenPools').mockResolvedValue({
+      token_id: 'abc',
+      ticker: 'ABC',
+      source: 'snapshot',
+      computed_at: '2025-04-14T00:00:00.000Z',
+      weighted_price: 1,
+      decimals: 6,
+      pools: [
+        { dex: 'MINSWAPV2', pool_id: 'p1', ada_reserve: 1000, token_reserve: 1000, excluded: false },
+        { dex: 'SUNDAESWAPV3', pool_id: 'p2', ada_reserve: 1000, token_reserve: 5000, excluded: true, excluded_reason: 'price_outlier' }
+      ]
+    });
+
+    const quote = await quoteService.getQuote('abc', { side: 'buy', amount: 10 });
+
+    expect(quote).toMatchObject({ token_id: 'abc', side: 'buy', amount_in_unit: 'ADA', pool_count: 1, excluded_pool_count: 1, source: 'snapshot' });
+    expect(quote.split).toHaveLength(1);
+    expect(quote.split[0].pool_id).toEqual('p1');
+  });
+
+  it('should fail with NO_LIQUIDITY when no pool prices the token', async () => {
+    jest.spyOn(tokenService, 'getTokenPools').mockResolvedValue({ token_id: 'abc', weighted_price: 0, pools: [] });
+
+    await expect(quoteService.getQuote('abc', { side: 'buy', amount: 10 })).rejects.toMatchObject({ code: 'NO_LIQUIDITY' });
+  });
+});
+
+describe('GET /api/tokens/:tokenId/quote', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'admin-key';
+    jest.spyOn(quoteService, 'getQuote').mockResolvedValue({ token_id: 'abc', side: 'buy' });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  it('should only quote against live pools for admins', async () => {
+    expect((await request(app).get('/api/tokens/abc/quote?amountAda=10&live=true')).status).toBe(401);
+    expect(quoteService.getQuote).not.toHaveBeenCalled();
+
+    expect((await request(app).get('/api/tokens/abc/quote?amountAda=10&live=true').set('X-Admin-Key', 'admin-key')).status).toBe(200);
+    expect(quoteService.getQuote).toHaveBeenLastCalledWith('abc', { side: 'buy', amount: 10, live: true });
+
+    expect((await request(app).get('/api/tokens/abc/quote?amountAda=10')).status).toBe(200);
+    expect(quoteService.getQuote).toHaveBeenLastCalledWith('abc', { side: 'buy', amount: 10, live: false });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const tokenService = require('../services/tokenService');
+const rateService = require('../services/rateService');
+const { RateService, FileRateSource, convertToken, convertStats } = rateService;
+
+describe('RateService', () => {
+  let tmpDir;
+  let service;
+  let failingSource;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+    fs.writeFileSync(path.join(tmpDir, 'ada_rates.json'), JSON.stringify({
+      timestamp: '2025-04-14T00:00:00.000Z',
+      rates: { usd: 0.62, eur: 0.55, gbp: 0.5 }
+    }));
+
+    failingSource = { name: 'coingecko', isConfigured: () => true, getRates: jest.fn().mockRejectedValue(new Error('429')) };
+    service = new RateService();
+    service.dataPath = path.join(tmpDir, 'reference_rates.json');
+    service.sources = [failingSource, new FileRateSource({ filePath: path.join(tmpDir, 'ada_rates.json') })];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should fall back to the next source and store supported rates with their timestamp', async () => {
+    const rate = await service.getRate('USD');
+
+    // The file holds fixture rates, never reported as fresh
+    expect(rate).toEqual({ currency: 'usd', rate: 0.62, timestamp: '2025-04-14T00:00:00.000Z', source: 'file', stale: true });
+    const stored = JSON.parse(fs.readFileSync(service.dataPath, 'utf8'));
+    expect(Object.keys(stored.rates)).toEqual(['usd', 'eur']);
+
+    // The live source is retried only once the backoff ends
+    await service.getRate('eur');
+    expect(failingSource.getRates).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serve a live rate as fresh until it is older than the maximum age', async () => {
+    const live = { name: 'coingecko', isConfigured: () => true, getRates: jest.fn().mockResolvedValue({ timestamp: '2025-04-14T00:00:00.000Z', rates: { usd: 0.6 } }) };
+    service.sources = [live];
+
+    expect(await service.getRate('usd')).toMatchObject({ rate: 0.6, source: 'coingecko', stale: false });
+    await service.getRate('usd');
+    expect(live.getRates).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serve the last stored rate as stale when every source fails', async () => {
+    await service.getRate('eur');
+    service.maxAgeMs = 0;
+    service.sources = [failingSource];
+
+    expect(await service.getRate('eur')).toMatchObject({ rate: 0.55, source: 'file', stale: true });
+  });
+
+  it('should wait for the retry backoff before refreshing again after a failure', async () => {
+    await service.getRate('eur');
+    service.maxAgeMs = 0;
+    service.sources = [failingSource];
+    service.nextRefreshAt = 0;
+    failingSource.getRates.mockClear();
+
+    await service.getRate('eur');
+    await service.getRate('usd');
+    expect(failingSource.getRates).toHaveBeenCalledTimes(1);
+
+    service.nextRefreshAt = Date.now() - 1;
+    await service.getRate('eur');
+    expect(failingSource.getRates).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject unsupported currencies and missing rates', async () => {
+    await expect(service.getRate('jpy')).rejects.toMatchObject({ code: 'UNSUPPORTED_CURRENCY' });
+
+    service.sources = [failingSource];
+    await expect(service.getRate('usd')).rejects.toMatchObject({ code: 'RATE_UNAVAILABLE' });
+  });
+});
+
+describe('convertToken', () => {
+  it('should convert ADA amounts and report the rate applied', () => {
+    const token = convertToken(
+      { ticker: 'AAA', price: 2, market_cap: 1000, liquidity: 50, tvl: null, volume: 10, order_count: 4 },
+      { currency: 'usd', rate: 0.5, timestamp: '2025-04-14T00:00:00.000Z', source: 'file', stale: false }
+    );
+
+    expect(token).toMatchObject({ price: 1, market_cap: 500, liquidity: 25, tvl: null, volume: 5, order_count: 4, currency: 'usd' });
+    expect(token.exchange_rate).toEqual({ pair: 'ADA/USD', rate: 0.5, timestamp: '2025-04-14T00:00:00.000Z', source: 'file', stale: false });
+  });
+});
+
+describe('convertStats', () => {
+  it('should convert the total volume and list the fields left in ADA', () => {
+    const stats = convertStats(
+      { total: 2, market_cap_ranges: { under_1k: 1 }, volume: { total_volume_in_ada: 300, volume_ranges: { under_1k: 2 } } },
+      { currency: 'eur', rate: 0.5, timestamp: '2025-04-14T00:00:00.000Z', source: 'file', stale: false }
+    );
+
+    expect(stats.volume).toEqual({ total_volume: 150, total_volume_in_ada: 300, volume_ranges: { under_1k: 2 } });
+    expect(stats.market_cap_ranges).toEqual({ under_1k: 1 });
+    expect(stats.ada_fields).toEqual(['market_cap_ranges', 'liquidity_ranges', 'volume.volume_ranges', 'volume.total_volume_in_ada']);
+  });
+});
+
+describe('GET /api/tokens/top/:limit?currency=', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should convert the listed tokens and reject unknown currencies', async () => {
+    jest.spyOn(tokenService, 'getTopTokens').mockResolvedValue([{ token_id: 'aaa', price: 4, market_cap: 400 }]);
+    jest.spyOn(rateService, 'getRate').mockResolvedValue({ currency: 'eur', rate: 0.25, timestamp: '2025-04-14T00:00:00.000Z', source: 'file', stale: false });
+
+    const response = await request(app).get('/api/tokens/top/1?currency=eur');
+    expect(response.status).toBe(200);
+    expect(response.body[0]).toMatchObject({ price: 1, market_cap: 100, currency: 'eur' });
+
+    rateService.getRate.mockRestore();
+    const invalid = await request(app).get('/api/tokens/top/1?currency=jpy');
+    expect(invalid.status).toBe(400);
+
+    const ada = await request(app).get('/api/tokens/top/1');
+    expect(ada.body[0]).toEqual({ token_id: 'aaa', price: 4, market_cap: 400 });
+  });
+});
@@ -0,0 +1,78 @@
+const { diffReports, percentChange } = require('../services/reportDiff');
+
+describe('diffReports', () => {
+  const token = (id, marketCap, price, level = 'High', penalties = []) => ({
+    token_id: id,
+    ticker: id.toUpperCase(),
+    market_cap: marketCap,
+    price,
+    trust_assessment: { score: level === 'High' ? 90 : 30, level, penalties, bonuses: [] }
+  });
+
+  const baseReport = {
+    generated_at: '2025-04-14T19:00:00.000Z',
+    top_tokens_by_market_cap_valid: [
+      token('aaa', 1000, 1),
+      token('bbb', 900, 2),
+      token('ccc', 800, 3)
+    ]
+  };
+
+  it('should report entering and leaving tokens, rank moves and large deltas', () => {
+    const dropped = token('ccc', 800, 3, 'Low', [{ reason: 'Very low liquidity', points: -40 }]);
+    const candidateReport = {
+      generated_at: '2025-04-14T20:00:00.000Z',
+      top_tokens_by_market_cap_valid: [
+        token('bbb', 1500, 3.4),
+        token('aaa', 1020, 1.02),
+        token('ddd', 100, 0.1)
+      ]
+    };
+    const candidateTokens = {
+      aaa: candidateReport.top_tokens_by_market_cap_valid[1],
+      bbb: candidateReport.top_tokens_by_market_cap_valid[0],
+      ccc: dropped,
+      ddd: candidateReport.top_tokens_by_market_cap_valid[2]
+    };
+
+    const diff = diffReports(baseReport, candidateReport, { candidateTokens, pricePct: 10, marketCapPct: 10 });
+
+    expect(diff.summary).toEqual({
+      valid_tokens_before: 3,
+      valid_tokens_after: 3,
+      entered: 1,
+      left: 1,
+      rank_changes: 2,
+      price_changes: 1,
+      market_cap_changes: 1,
+      trust_transitions: 1
+    });
+    expect(diff.entered[0]).toMatchObject({ token_id: 'ddd', rank: 3 });
+    expect(diff.left[0]).toMatchObject({ token_id: 'ccc', previous_rank: 3, reason: 'trust_below_threshold' });
+    expect(diff.rank_changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ token_id: 'bbb', from: 2, to: 1, change: 1 })
+    ]));
+    expect(diff.price_changes[0]).toMatchObject({ token_id: 'bbb', from: 2, to: 3.4 });
+    expect(diff.price_changes[0].change_pct).toBeCloseTo(70);
+    expect(diff.trust_transitions[0]).toMatchObject({
+      token_id: 'ccc',
+      from: { level: 'High', score: 90 },
+      to: { level: 'Low', score: 30 },
+      penalties_added: [{ reason: 'Very low liquidity', points: -40 }],
+      penalties_removed: []
+    });
+  });
+
+  it('should treat every token as entering when there is no published report', () => {
+    const diff = diffReports(null, baseReport);
+
+    expect(diff.base_generated_at).toBeNull();
+    expect(diff.entered.map(entry => entry.token_id)).toEqual(['aaa', 'bbb', 'ccc']);
+    expect(diff.left).toEqual([]);
+  });
+
+  it('should not compute percentages from a zero base', () => {
+    expect(percentChange(0, 5)).toBeNull();
+    expect(percentChange(2, 3)).toEqual(50);
+  });
+});
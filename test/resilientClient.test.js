@@ -0,0 +1,191 @@
+const {
+  ResilientClient,
+  TokenBucketLimiter,
+  CircuitBreaker,
+  parseRetryAfter,
+  endpointKey
+} = require('../services/resilientClient');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+};
+
+const createClient = (options = {}) => {
+  const client = new ResilientClient({
+    name: 'Test',
+    baseDelayMs: 1,
+    maxDelayMs: 5,
+    limiter: new TokenBucketLimiter({ ratePerSecond: 1000, maxConcurrent: 10 }),
+    ...options
+  });
+  client.http = { get: jest.fn(), post: jest.fn() };
+  return client;
+};
+
+describe('ResilientClient', () => {
+  const poolsUrl = '/stats/pools/ADA/279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b';
+
+  it('should retry server errors and count the retries per endpoint', async () => {
+    const client = createClient();
+    client.http.get
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ data: [] });
+
+    const response = await client.get(poolsUrl);
+
+    expect(response.data).toEqual([]);
+    expect(client.http.get).toHaveBeenCalledTimes(2);
+    expect(client.getStats().endpoints['GET /stats/pools/ADA/:id']).toMatchObject({
+      calls: 1,
+      successes: 1,
+      retries: 1,
+      errors: 0
+    });
+  });
+
+  it('should honour Retry-After on 429 without tripping the circuit breaker', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const client = createClient({ breaker });
+    client.http.post
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockResolvedValueOnce({ data: { orders: [] } });
+
+    await client.post('/swap/globalOrders', { page: 0 });
+
+    const counters = client.getStats().endpoints['POST /swap/globalOrders'];
+    expect(counters.rate_limited).toEqual(1);
+    expect(counters.retries).toEqual(1);
+    expect(breaker.getState().state).toEqual('closed');
+  });
+
+  it('should not retry client errors', async () => {
+    const client = createClient();
+    client.http.get.mockRejectedValue(httpError(404));
+
+    await expect(client.get('/swap/token/abc')).rejects.toThrow('404');
+    expect(client.http.get).toHaveBeenCalledTimes(1);
+    expect(client.getStats().endpoints['GET /swap/token/abc'].errors).toEqual(1);
+  });
+
+  it('should open the circuit after repeated failures and reject further calls', async () => {
+    const client = createClient({
+      maxRetries: 0,
+      breaker: new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60000 })
+    });
+    client.http.get.mockRejectedValue(httpError(500));
+
+    await expect(client.get(poolsUrl)).rejects.toThrow('500');
+    await expect(client.get(poolsUrl)).rejects.toThrow('500');
+    await expect(client.get(poolsUrl)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    expect(client.http.get).toHaveBeenCalledTimes(2);
+    expect(client.getStats().endpoints['GET /stats/pools/ADA/:id']).toMatchObject({
+      circuit_rejected: 1,
+      errors: 3,
+      last_error: expect.stringContaining('circuit breaker is open')
+    });
+  });
+
+  it('should let a single probe through a half-open circuit and reject other callers until it settles', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+    const client = createClient({ maxRetries: 0, breaker });
+    let answerProbe;
+    client.http.get
+      .mockRejectedValueOnce(httpError(500))
+      .mockReturnValueOnce(new Promise(resolve => { answerProbe = resolve; }))
+      .mockResolvedValue({ data: [] });
+
+    await expect(client.get(poolsUrl)).rejects.toThrow('500');
+    expect(breaker.getState().state).toEqual('open');
+
+    const probe = client.get(poolsUrl);
+    await expect(client.get(poolsUrl)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(breaker.getState()).toMatchObject({ state: 'half-open', probe_in_flight: true });
+
+    answerProbe({ data: ['probe'] });
+    expect((await probe).data).toEqual(['probe']);
+    expect(breaker.getState()).toMatchObject({ state: 'closed', probe_in_flight: false });
+    await expect(client.get(poolsUrl)).resolves.toEqual({ data: [] });
+    expect(client.http.get).toHaveBeenCalledTimes(3);
+  });
+
+  it('should release the probe when it ends without a verdict', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+    breaker.recordFailure();
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+    breaker.releaseProbe();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.getState().state).toEqual('open');
+  });
+
+  it('should report counter deltas since a snapshot', async () => {
+    const client = createClient();
+    client.http.get.mockResolvedValue({ data: {} });
+
+    await client.get('/swap/token/abc');
+    const snapshot = client.getStats();
+    await client.get('/swap/token/abc');
+    await client.get('/swap/tokenVolume/abc');
+
+    expect(client.statsSince(snapshot)).toEqual({
+      'GET /swap/token/abc': expect.objectContaining({ calls: 1, successes: 1 }),
+      'GET /swap/tokenVolume/abc': expect.objectContaining({ calls: 1, successes: 1 })
+    });
+  });
+});
+
+describe('TokenBucketLimiter', () => {
+  it('should cap the number of requests in flight', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 1000, maxConcurrent: 1 });
+
+    const releaseFirst = await limiter.acquire();
+    let secondAcquired = false;
+    const second = limiter.acquire().then(release => {
+      secondAcquired = true;
+      return release;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(secondAcquired).toBe(false);
+    expect(limiter.getState().queued).toEqual(1);
+
+    releaseFirst();
+    const releaseSecond = await second;
+    expect(secondAcquired).toBe(true);
+    releaseSecond();
+  });
+
+  it('should keep the process alive while a queued request waits for a token', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 20, burst: 1 });
+
+    (await limiter.acquire())();
+    const queued = limiter.acquire();
+
+    // The refill timer holds the event loop open until the request gets its token
+    expect(limiter.getState().queued).toEqual(1);
+    expect(limiter.timer.hasRef()).toBe(true);
+
+    const release = await queued;
+    expect(limiter.getState().queued).toEqual(0);
+    expect(limiter.timer).toBeNull();
+    release();
+  });
+});
+
+describe('helpers', () => {
+  it('should parse Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('3')).toEqual(3000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBeGreaterThan(3000);
+  });
+
+  it('should collapse token IDs in endpoint keys', () => {
+    expect(endpointKey('/swap/averagePrice/279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b/ADA'))
+      .toEqual('/swap/averagePrice/:id/ADA');
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore } = require('../services/snapshotStore');
+
+describe('SnapshotStore', () => {
+  let tmpDir;
+  let store;
+
+  const writeRun = (date, report = { total_tokens: 1 }) => {
+    const runId = store.createRunId(date);
+    const staging = store.stage(runId);
+    fs.writeFileSync(path.join(staging.summariesDir, 'aaa_enhanced_refined.json'), JSON.stringify({ token_id: 'aaa' }));
+    fs.writeFileSync(staging.reportPath, JSON.stringify(report));
+    store.commit(runId, { mode: 'full', report });
+    return runId;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    store = new SnapshotStore();
+    store.baseDir = path.join(tmpDir, 'snapshots');
+    store.legacyDir = tmpDir;
+    store.retention = 2;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should serve the legacy layout until a snapshot is published', () => {
+    const current = store.getCurrent();
+
+    expect(current.run_id).toBeNull();
+    expect(current.legacy).toBe(true);
+    expect(current.reportPath).toEqual(path.join(tmpDir, 'market_cap_report_refined.json'));
+  });
+
+  it('should only expose a run after it is committed and published', () => {
+    const runId = store.createRunId(new Date('2025-04-14T19:03:09Z'));
+    store.stage(runId);
+
+    expect(runId).toMatch(/^20250414T190309000Z-[0-9a-f]{6}$/);
+    expect(store.list()).toEqual([]);
+
+    const committed = writeRun(new Date('2025-04-14T20:00:00Z'));
+    expect(store.getCurrent().run_id).toBeNull();
+
+    store.publish(committed);
+    const current = store.getCurrent();
+    expect(current.run_id).toEqual(committed);
+    expect(JSON.parse(fs.readFileSync(current.reportPath, 'utf8'))).toEqual({ total_tokens: 1 });
+    expect(store.getManifest(committed)).toMatchObject({ run_id: committed, mode: 'full', file_count: 1 });
+  });
+
+  it('should discard a staged run', () => {
+    const runId = store.createRunId();
+    const staging = store.stage(runId);
+
+    store.discard(runId);
+
+    expect(fs.existsSync(staging.dir)).toBe(false);
+  });
+
+  it('should roll back to the previous snapshot by default', () => {
+    const first = writeRun(new Date('2025-04-14T10:00:00Z'));
+    const second = writeRun(new Date('2025-04-14T11:00:00Z'));
+    store.publish(first);
+    store.publish(second);
+
+    const pointer = store.rollback();
+
+    expect(pointer).toMatchObject({ run_id: first, previous_run_id: second });
+    expect(store.getCurrent().run_id).toEqual(first);
+    expect(() => store.rollback(first)).toThrow('already published');
+    expect(() => store.rollback('20250101T000000000Z-000000')).toThrow('does not exist');
+  });
+
+  it('should prune old snapshots but keep the published one', () => {
+    const oldest = writeRun(new Date('2025-04-14T10:00:00Z'));
+    store.publish(oldest);
+    writeRun(new Date('2025-04-14T11:00:00Z'));
+    writeRun(new Date('2025-04-14T12:00:00Z'));
+
+    const deleted = store.prune();
+
+    expect(deleted).toEqual([]);
+    expect(store.list().map(manifest => manifest.current)).toEqual([false, false, true]);
+
+    const newest = writeRun(new Date('2025-04-14T13:00:00Z'));
+    store.publish(newest);
+
+    expect(store.list().map(manifest => manifest.run_id)).toEqual([newest, expect.any(String)]);
+  });
+});
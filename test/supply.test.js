@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SupplyService } = require('../services/supplyService');
+
+describe('SupplyService', () => {
+  let tmpDir;
+  let service;
+
+  const writeRules = (tokens) => {
+    fs.writeFileSync(service.rulesPath, JSON.stringify({ tokens }));
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supply-'));
+    service = new SupplyService();
+    service.rulesPath = path.join(tmpDir, 'supply_rules.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should compute circulating supply from the exclusion rules', () => {
+    writeRules({
+      aaa: {
+        minted_supply: 1000,
+        source: 'whitepaper',
+        updated_at: '2025-04-01T00:00:00Z',
+        exclusions: [
+          { category: 'treasury', address: 'addr1treasury', amount: 200, updated_at: '2025-04-02T00:00:00Z' },
+          { category: 'burn', amount: 100, source: 'cardanoscan', updated_at: '2025-04-03T00:00:00Z' },
+          { category: 'team_vesting', amount: 50 },
+          { category: 'airdrop', amount: 999 }
+        ]
+      }
+    });
+
+    const supply = service.resolveSupply({ token_id: 'aaa', circulating_supply: 900 });
+
+    expect(supply).toMatchObject({
+      minted_supply: 1000,
+      burned_supply: 100,
+      total_supply: 900,
+      total_supply_source: 'whitepaper',
+      excluded_supply: 350,
+      circulating_supply: 650,
+      circulating_supply_source: 'supply_rules',
+      circulating_supply_updated_at: '2025-04-03T00:00:00Z',
+      market_cap_basis: 'circulating_supply'
+    });
+    expect(supply.exclusions).toHaveLength(3);
+    expect(supply.exclusions[0]).toMatchObject({ category: 'treasury', address: 'addr1treasury', source: 'whitepaper' });
+  });
+
+  it('should take total supply from token info and circulating supply from the summary without rules', () => {
+    const supply = service.resolveSupply(
+      { token_id: 'bbb', total_supply: 10, circulating_supply: 400 },
+      { supply: 500000000, token_decimals: 6 }
+    );
+
+    expect(supply).toMatchObject({
+      total_supply: 500,
+      total_supply_source: 'dexhunter',
+      circulating_supply: 400,
+      circulating_supply_source: 'summary',
+      market_cap_basis: 'circulating_supply'
+    });
+  });
+
+  it('should report a total supply basis when circulating supply is unknown', () => {
+    const supply = service.resolveSupply({ token_id: 'ccc', total_supply: 75 });
+
+    expect(supply).toMatchObject({
+      total_supply: 75,
+      total_supply_source: 'summary',
+      circulating_supply: 0,
+      circulating_supply_source: null,
+      market_cap_basis: 'total_supply'
+    });
+  });
+
+  it('should pick up rule changes without a restart', () => {
+    writeRules({});
+    expect(service.getRule('ddd')).toBeNull();
+
+    writeRules({ ddd: { minted_supply: 5 } });
+    fs.utimesSync(service.rulesPath, new Date(), new Date(Date.now() + 1000));
+
+    expect(service.getRule('ddd')).toEqual({ minted_supply: 5 });
+  });
+});
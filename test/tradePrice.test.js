@@ -0,0 +1,77 @@
+const { TradePriceService, twapOf } = require('../services/tradePriceService');
+
+const LOVELACE = '000000000000000000000000000000000000000000000000000000006c6f76656c616365';
+const NOW = Date.parse('2025-04-14T12:00:00.000Z');
+
+// ADA in, tokens out for buys; tokens in, ADA out for sells
+const order = (side, ada, tokens, hoursAgo) => ({
+  token_id_in: side === 'buy' ? LOVELACE : 'tok',
+  token_id_out: side === 'buy' ? 'tok' : LOVELACE,
+  amount_in: side === 'buy' ? ada : tokens,
+  actual_out_amount: side === 'buy' ? tokens : ada,
+  submission_time: new Date(NOW - hoursAgo * 60 * 60 * 1000).toISOString()
+});
+
+describe('TradePriceService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TradePriceService();
+    service.windowMs = 24 * 60 * 60 * 1000;
+    service.divergenceThresholdPct = 20;
+    service.divergenceMinTrades = 2;
+    service.divergenceMinVolumeAda = 0;
+  });
+
+  it('should group ADA swaps by token and ignore token-to-token swaps', () => {
+    const grouped = service.groupOrdersByToken([
+      order('buy', 10, 5, 1),
+      order('sell', 10, 5, 2),
+      { token_id_in: 'tok', token_id_out: 'other', amount_in: 1, actual_out_amount: 1, submission_time: new Date(NOW).toISOString() }
+    ]);
+
+    expect(Object.keys(grouped)).toEqual(['tok']);
+    expect(grouped.tok).toHaveLength(2);
+  });
+
+  it('should compute VWAP and TWAP within the window and flag a diverging pool price', () => {
+    const orders = [
+      order('buy', 100, 100, 12), // 1 ADA per token, held for 6 hours
+      order('sell', 300, 100, 6), // 3 ADA per token, held until the end of the window
+      order('buy', 1000, 10, 30) // outside the window
+    ];
+
+    const tradePrice = service.getTradePrice(orders, { decimals: 0, poolPrice: 3, now: NOW });
+
+    expect(tradePrice).toMatchObject({ trade_count: 2, volume_ada: 400, divergence_threshold_pct: 20, divergent: true });
+    expect(tradePrice.vwap).toBeCloseTo(2, 10);
+    expect(tradePrice.twap).toBeCloseTo(2, 10);
+    expect(tradePrice.divergence_pct).toBeCloseTo(50, 10);
+    expect(tradePrice.window.hours).toEqual(24);
+    expect(tradePrice.last_trade_at).toEqual(new Date(NOW - 6 * 60 * 60 * 1000).toISOString());
+  });
+
+  it('should not flag divergence until the window has enough trades and volume', () => {
+    const single = service.getTradePrice([order('buy', 5000, 1000, 2)], { decimals: 0, poolPrice: 10, now: NOW });
+    expect(single).toMatchObject({ trade_count: 1, divergence_min_trades: 2, divergent: false });
+    expect(single.divergence_pct).toBeCloseTo(100, 10);
+
+    const orders = [order('buy', 100, 100, 12), order('sell', 300, 100, 6)];
+    service.divergenceMinVolumeAda = 1000;
+    expect(service.getTradePrice(orders, { decimals: 0, poolPrice: 3, now: NOW }))
+      .toMatchObject({ volume_ada: 400, divergence_min_volume_ada: 1000, divergent: false });
+    service.divergenceMinVolumeAda = 400;
+    expect(service.getTradePrice(orders, { decimals: 0, poolPrice: 3, now: NOW }).divergent).toBe(true);
+  });
+
+  it('should report no trade price and no divergence without trades', () => {
+    expect(service.getTradePrice([], { decimals: 0, poolPrice: 3, now: NOW }))
+      .toMatchObject({ vwap: null, twap: null, trade_count: 0, divergence_pct: null, divergent: false });
+  });
+});
+
+describe('twapOf', () => {
+  it('should average trades at the end of the window equally', () => {
+    expect(twapOf([{ price: 1, time: NOW }, { price: 3, time: NOW }], NOW)).toEqual(2);
+  });
+});
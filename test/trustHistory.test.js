@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const tokenRoutes = require('../routes/tokens');
+const snapshotStore = require('../services/snapshotStore');
+const trustHistory = require('../services/trustHistory');
+const { TrustHistory } = trustHistory;
+
+const TOKEN = 'abc123';
+
+const record = (score, level, rulesVersion = 'v1') => ({
+  token_id: TOKEN,
+  trust_assessment: { score, level, penalties: [], bonuses: [], rules_version: rulesVersion }
+});
+
+describe('TrustHistory', () => {
+  let tmpDir;
+  let history;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-history-'));
+    history = new TrustHistory();
+    history.historyPath = path.join(tmpDir, 'trust_history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should record only score, level and rules version changes', async () => {
+    expect(await history.recordRun([record(70, 'Good'), { token_id: 'failed', error: 'boom' }], { runId: 'run-1' })).toBe(1);
+    expect(await history.recordRun([record(70, 'Good')], { runId: 'run-2' })).toBe(0);
+    await history.recordRun([record(35, 'Low')], { runId: 'run-3' });
+    await history.recordRun([record(35, 'Low', 'v2')], { runId: 'run-4' });
+
+    const changes = await history.getTokenHistory(TOKEN);
+
+    expect(changes.map(entry => [entry.run_id, entry.score, entry.change, entry.rules_version])).toEqual([
+      ['run-4', 35, 0, 'v2'],
+      ['run-3', 35, -35, 'v1'],
+      ['run-1', 70, null, 'v1']
+    ]);
+    expect(await history.getTokenHistory(TOKEN, 1)).toHaveLength(1);
+  });
+
+  it('should keep the most recent changes per token', async () => {
+    history.limit = 2;
+    for (const score of [10, 20, 30]) {
+      await history.recordRun([record(score, 'Very Low')], { runId: `run-${score}` });
+    }
+
+    expect((await history.getTokenHistory(TOKEN)).map(entry => entry.score)).toEqual([30, 20]);
+  });
+});
+
+describe('GET /api/tokens/:tokenId/trust', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/tokens', tokenRoutes);
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-'));
+    jest.spyOn(snapshotStore, 'getCurrent').mockReturnValue({ run_id: 'run-2', summariesDir: tmpDir });
+    jest.spyOn(trustHistory, 'getTokenHistory').mockResolvedValue([{ run_id: 'run-2', score: 35, level: 'Low', change: -35 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeRecord = data => fs.writeFileSync(path.join(tmpDir, `${TOKEN}_enhanced_refined.json`), JSON.stringify({
+    token_id: TOKEN,
+    ticker: 'ABC',
+    pool_count: 1,
+    liquidity: 1000,
+    market_cap: 120000,
+    circulating_supply: 5000,
+    token_age: 40,
+    price_source: 'pools',
+    honeypot_risk: true,
+    validation: { valid: true, reasons: ['Low liquidity'] },
+    ...data
+  }));
+
+  it('should explain the score with its inputs, rules version and history', async () => {
+    const penalty = { rule: 'single_pool', reason: 'Single liquidity pool', points: -30 };
+    writeRecord({
+      trust_assessment: {
+        score: 35,
+        level: 'Low',
+        penalties: [penalty],
+        bonuses: [],
+        rules_version: 'v1',
+        inputs: { pool_count: 1, liquidity: 1000, mcap_liquidity_ratio: 120, potential_copycat: false }
+      }
+    });
+
+    const response = await request(app).get(`/api/tokens/${TOKEN}/trust?history=5`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      token_id: TOKEN,
+      run_id: 'run-2',
+      score: 35,
+      level: 'Low',
+      honeypot_risk: true,
+      rules_version: 'v1',
+      penalties: [penalty],
+      validation_reasons: ['Low liquidity'],
+      inputs: { pool_count: 1, mcap_liquidity_ratio: 120, potential_copycat: false, price_source: 'pools' },
+      history: [{ run_id: 'run-2', score: 35, change: -35 }]
+    });
+    expect(trustHistory.getTokenHistory).toHaveBeenCalledWith(TOKEN, 5);
+  });
+
+  it('should rebuild the inputs of records scored before they were stored', async () => {
+    writeRecord({ trust_assessment: { score: 35, level: 'Low', penalties: [], bonuses: [] } });
+
+    const response = await request(app).get(`/api/tokens/${TOKEN}/trust`);
+
+    expect(response.body.rules_version).toBeNull();
+    expect(response.body.inputs).toMatchObject({ pool_count: 1, liquidity: 1000, mcap_liquidity_ratio: 120, circulating_liquidity_ratio: 5, token_age: 40, potential_copycat: null });
+  });
+
+  it('should reject bad requests and unknown tokens', async () => {
+    expect((await request(app).get('/api/tokens/not-hex/trust')).status).toBe(400);
+    expect((await request(app).get(`/api/tokens/${TOKEN}/trust?history=0`)).status).toBe(400);
+    expect((await request(app).get('/api/tokens/def456/trust')).status).toBe(404);
+  });
+});
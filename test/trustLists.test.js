@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const trustListRoutes = require('../routes/trustLists');
+const trustListService = require('../services/trustListService');
+const { TrustListService, matchToken } = trustListService;
+
+const POLICY = 'f45b5a5a20bb18a37e6e18c4cfe17dbc9be5aa3d6fa0453c06ee8da5';
+const TOKEN = `${POLICY}c77e80b346455448`;
+const OTHER_TOKEN = `${POLICY}4e564c`;
+
+describe('TrustListService', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-lists-'));
+    service = new TrustListService();
+    service.listsPath = path.join(tmpDir, 'trust_lists.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create, update and delete entries with an audit log of every change', async () => {
+    const created = await service.createEntry({ list: 'block', target_id: TOKEN.toUpperCase(), reason: ' Honeypot ' }, { actor: 'alice' });
+    expect(created).toMatchObject({ list: 'block', scope: 'token', target_id: TOKEN, reason: 'Honeypot', expires_at: null });
+
+    const updated = await service.updateEntry(created.id, { list: 'allow', reason: 'Cleared after review' }, { actor: 'bob' });
+    expect(updated).toMatchObject({ list: 'allow', target_id: TOKEN, reason: 'Cleared after review' });
+
+    await service.deleteEntry(created.id, { actor: 'carol' });
+    expect(await service.listEntries()).toEqual([]);
+
+    const audit = await service.getAudit({ entryId: created.id });
+    expect(audit.map(change => [change.action, change.actor])).toEqual([['delete', 'carol'], ['update', 'bob'], ['create', 'alice']]);
+    expect(audit[1].before.list).toEqual('block');
+    expect(audit[1].after.list).toEqual('allow');
+  });
+
+  it('should reject malformed targets, missing reasons, past expiry and duplicates', async () => {
+    const invalid = fields => expect(service.createEntry({ list: 'block', target_id: TOKEN, reason: 'x', ...fields }))
+      .rejects.toMatchObject({ code: 'INVALID_TRUST_LIST_ENTRY' });
+
+    await invalid({ target_id: 'addr1w9zru...lfqw' });
+    await invalid({ scope: 'policy', target_id: TOKEN });
+    await invalid({ target_id: `${POLICY}0` });
+    await invalid({ list: 'grey' });
+    await invalid({ reason: ' ' });
+    await invalid({ expires_at: 'soon' });
+    await invalid({ expires_at: '2020-01-01T00:00:00Z' });
+
+    await service.createEntry({ list: 'block', target_id: TOKEN, reason: 'Honeypot' });
+    await expect(service.createEntry({ list: 'allow', target_id: TOKEN, reason: 'Trusted' }))
+      .rejects.toMatchObject({ code: 'DUPLICATE_TRUST_LIST_ENTRY' });
+    await expect(service.updateEntry('missing', { reason: 'x' })).rejects.toMatchObject({ code: 'TRUST_LIST_ENTRY_NOT_FOUND' });
+  });
+
+  it('should serve the file read-only on Vercel, where the pipeline never reads changes', async () => {
+    const entry = await service.createEntry({ list: 'block', target_id: TOKEN, reason: 'Honeypot' });
+    process.env.VERCEL = '1';
+
+    try {
+      expect(await service.getActiveEntries()).toEqual([entry]);
+      await expect(service.deleteEntry(entry.id)).rejects.toMatchObject({ code: 'TRUST_LISTS_READ_ONLY' });
+    } finally {
+      delete process.env.VERCEL;
+    }
+    expect(await service.listEntries()).toHaveLength(1);
+  });
+
+  it('should stop applying entries once they expire', async () => {
+    const entry = await service.createEntry({ list: 'block', scope: 'policy', target_id: POLICY, reason: 'Under review', expires_at: '2099-01-01T00:00:00Z' });
+
+    expect(await service.getActiveEntries(new Date('2098-12-31T00:00:00Z'))).toHaveLength(1);
+    expect(await service.getActiveEntries(new Date('2099-01-02T00:00:00Z'))).toEqual([]);
+    expect((await service.updateEntry(entry.id, { expires_at: null })).expires_at).toBeNull();
+  });
+});
+
+describe('matchToken', () => {
+  const entries = [
+    { list: 'block', scope: 'policy', target_id: POLICY, reason: 'Scam policy' },
+    { list: 'allow', scope: 'token', target_id: OTHER_TOKEN, reason: 'Legitimate token' },
+    { list: 'block', scope: 'token', target_id: OTHER_TOKEN, reason: 'Specific token' }
+  ];
+
+  it('should apply policy entries to every token of the policy and prefer token entries', () => {
+    expect(matchToken(TOKEN, entries)).toEqual({ allow: null, block: entries[0] });
+    expect(matchToken(OTHER_TOKEN, entries)).toEqual({ allow: entries[1], block: entries[2] });
+    expect(matchToken('abc', entries)).toEqual({ allow: null, block: null });
+  });
+});
+
+describe('/api/admin/trust-lists', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use(express.json()).use('/api/admin/trust-lists', trustListRoutes);
+  const ADMIN = { 'X-Admin-Key': 'alice-key' };
+  let tmpDir;
+  let listsPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-lists-'));
+    listsPath = trustListService.listsPath;
+    trustListService.listsPath = path.join(tmpDir, 'trust_lists.json');
+    process.env.ADMIN_API_KEYS = 'alice:alice-key,bob:bob-key';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEYS;
+    trustListService.listsPath = listsPath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should manage entries and map errors to statuses', async () => {
+    const created = await request(app)
+      .post('/api/admin/trust-lists')
+      .set(ADMIN)
+      .send({ list: 'block', scope: 'policy', target_id: POLICY, reason: 'Scam policy' });
+    expect(created.status).toBe(201);
+    const { id } = created.body.entry;
+
+    expect((await request(app).post('/api/admin/trust-lists').set(ADMIN).send({ list: 'allow', scope: 'policy', target_id: POLICY, reason: 'x' })).status).toBe(409);
+    expect((await request(app).post('/api/admin/trust-lists').set(ADMIN).send({ list: 'block', target_id: 'nope', reason: 'x' })).status).toBe(400);
+    expect((await request(app).get('/api/admin/trust-lists?list=grey').set(ADMIN)).status).toBe(400);
+
+    const patched = await request(app).patch(`/api/admin/trust-lists/${id}`).set(ADMIN).send({ reason: 'Confirmed scam policy' });
+    expect(patched.body.entry.reason).toEqual('Confirmed scam policy');
+
+    const listed = await request(app).get('/api/admin/trust-lists?list=block&active=true').set(ADMIN);
+    expect(listed.body.entries).toEqual([expect.objectContaining({ id, expired: false })]);
+
+    expect((await request(app).delete(`/api/admin/trust-lists/${id}`).set('Authorization', 'Bearer bob-key')).status).toBe(200);
+    expect((await request(app).get(`/api/admin/trust-lists/${id}`).set(ADMIN)).status).toBe(404);
+    expect((await request(app).delete(`/api/admin/trust-lists/${id}`).set(ADMIN)).status).toBe(404);
+
+    const audit = await request(app).get('/api/admin/trust-lists/audit?limit=2').set(ADMIN);
+    expect(audit.body.audit.map(change => [change.action, change.actor])).toEqual([['delete', 'bob'], ['update', 'alice']]);
+  });
+
+  it('should require an admin key and take the actor from it', async () => {
+    const entry = { list: 'block', scope: 'policy', target_id: POLICY, reason: 'Scam policy', actor: 'mallory' };
+
+    expect((await request(app).post('/api/admin/trust-lists').send(entry)).status).toBe(401);
+    expect((await request(app).post('/api/admin/trust-lists').set('X-Admin-Key', 'wrong').send(entry)).status).toBe(401);
+    expect((await request(app).get('/api/admin/trust-lists')).status).toBe(401);
+
+    const created = await request(app).post('/api/admin/trust-lists?actor=mallory').set(ADMIN).send(entry);
+    expect(created.status).toBe(201);
+    const audit = await request(app).get('/api/admin/trust-lists/audit').set(ADMIN);
+    expect(audit.body.audit[0].actor).toEqual('alice');
+
+    delete process.env.ADMIN_API_KEYS;
+    expect((await request(app).get('/api/admin/trust-lists')).status).toBe(503);
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// The engine tests run against a frozen rules file; the live one is only checked for validity
+const FIXTURE_RULES_PATH = path.join(__dirname, 'fixtures', 'trust_rules.json');
+const LIVE_RULES_PATH = path.join(__dirname, '..', 'token_data', 'trust_rules.json');
+process.env.TRUST_RULES_PATH = FIXTURE_RULES_PATH;
+
+const trustRoutes = require('../routes/trust');
+const trustRules = require('../services/trustRules');
+const { TrustRules, validateRules } = trustRules;
+
+const inputs = overrides => ({
+  token_id: 'tok',
+  ticker: 'TOK',
+  pool_count: 3,
+  liquidity: 30000,
+  market_cap: 100000,
+  circulating_supply: 1000000,
+  mcap_liquidity_ratio: 100000 / 30000,
+  circulating_liquidity_ratio: 1000000 / 30000,
+  token_age: 0,
+  suspicious_liquidity: false,
+  price_from_average_price: false,
+  potential_copycat: false,
+  ...overrides
+});
+
+describe('TrustRules', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-'));
+    service = new TrustRules();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should apply only the first matching rule of a group and stamp the rules version', () => {
+    const assessment = service.evaluate(inputs({ liquidity: 200000, token_age: 400 }));
+
+    expect(assessment).toMatchObject({ score: 145, trustLevel: 'High', isHoneypot: false, rulesVersion: 'fixture-1' });
+    expect(assessment.penalties).toEqual([]);
+    // Very high liquidity also satisfies good_liquidity, but only the first rule of the group applies
+    expect(assessment.bonuses).toEqual([
+      { rule: 'many_pools', reason: 'Good number of liquidity pools (3)', points: 10 },
+      { rule: 'very_high_liquidity', reason: 'Very high liquidity', points: 20 },
+      { rule: 'age_over_a_year', reason: 'Token has existed for more than a year', points: 15 }
+    ]);
+  });
+
+  it('should floor the score and decide honeypots by level', () => {
+    const assessment = service.evaluate(inputs({ pool_count: 0, liquidity: 50, mcap_liquidity_ratio: 2000 }));
+
+    expect(assessment.score).toBe(0);
+    expect(assessment).toMatchObject({ trustLevel: 'Very Low', isHoneypot: true });
+    expect(assessment.penalties.map(entry => entry.rule)).toEqual(['no_pools', 'extremely_low_liquidity']);
+
+    // A Low score is only a honeypot with little liquidity
+    const low = service.evaluate(inputs({ pool_count: 1, liquidity: 400, mcap_liquidity_ratio: 1 }));
+    expect(low).toMatchObject({ score: 20, trustLevel: 'Low', isHoneypot: true });
+  });
+
+  it('should score allowlisted and blocklisted tokens with the reason of their entry', () => {
+    const assessment = service.evaluate(inputs({ blocklisted: true, blocklist_reason: 'Rug pull' }));
+
+    expect(assessment.penalties[0]).toEqual({ rule: 'blocklisted', reason: 'Token is on the blocklist: Rug pull', points: -100 });
+    expect(service.evaluate(inputs({ allowlisted: true, allowlist_reason: 'Audited' })).bonuses[0])
+      .toEqual({ rule: 'allowlisted', reason: 'Token is on the allowlist: Audited', points: 50 });
+  });
+
+  it('should penalize lookalike copycats but not ticker shapes', () => {
+    // SNEK matched the old copycat ticker patterns
+    expect(service.evaluate(inputs({ ticker: 'SNEK', market_cap: 50000000 })).penalties).toEqual([]);
+
+    expect(service.evaluate(inputs({ ticker: 'SNEEK', potential_copycat: true, copycat_of: 'SNEK' })).penalties).toEqual([{
+      rule: 'lookalike_copycat',
+      reason: 'Possible copycat of SNEK, an older or more liquid token with a lookalike ticker or name',
+      points: -25
+    }]);
+  });
+
+  it('should fill reason templates with formatted inputs', () => {
+    const assessment = service.evaluate(inputs({ pool_count: 1, liquidity: 1000, market_cap: 120000, mcap_liquidity_ratio: 120 }));
+
+    expect(assessment.penalties.find(entry => entry.rule === 'single_pool_extreme_ratio').reason)
+      .toEqual('Extremely high market cap to liquidity ratio (120.00:1)');
+  });
+
+  it('should load rules from the configured file and reject invalid ones', () => {
+    service.rulesPath = path.join(tmpDir, 'trust_rules.json');
+    fs.writeFileSync(service.rulesPath, JSON.stringify({
+      version: 'test-2',
+      base_score: 50,
+      levels: [{ below: 50, level: 'Low', honeypot: true }, { level: 'High' }],
+      rules: [{ id: 'copycat', when: { potential_copycat: { eq: true } }, points: -10, reason: 'Copycat of {ticker}' }]
+    }));
+
+    expect(service.evaluate(inputs({ potential_copycat: true }))).toMatchObject({
+      score: 40,
+      trustLevel: 'Low',
+      isHoneypot: true,
+      penalties: [{ rule: 'copycat', reason: 'Copycat of TOK', points: -10 }],
+      rulesVersion: 'test-2'
+    });
+
+    const base = { version: 'x', base_score: 100, levels: [{ level: 'Any' }] };
+    expect(() => validateRules({ ...base, rules: [{ id: 'a', when: { holders: { gt: 1 } }, points: 1, reason: '' }] }))
+      .toThrow('unknown input holders');
+    expect(() => validateRules({ ...base, rules: [{ id: 'a', when: { liquidity: { above: 1 } }, points: 1, reason: '' }] }))
+      .toThrow('unknown operator above');
+    expect(() => validateRules({ ...base, rules: [{ id: 'a', points: 1, reason: '' }, { id: 'a', points: 1, reason: '' }] }))
+      .toThrow('used twice');
+    expect(() => validateRules({ ...base, version: '' })).toThrow(expect.objectContaining({ code: 'INVALID_TRUST_RULES' }));
+  });
+});
+
+describe('token_data/trust_rules.json', () => {
+  it('should be valid and keep the list rules the admin API relies on', () => {
+    const live = new TrustRules();
+    live.rulesPath = LIVE_RULES_PATH;
+
+    const rules = live.getRules();
+    expect(rules.rules.map(rule => rule.id)).toEqual(expect.arrayContaining(['allowlisted', 'blocklisted']));
+  });
+});
+
+describe('GET /api/trust/rules', () => {
+  // The router alone, since requiring server.js starts a listener
+  const app = express().use('/api/trust', trustRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the active rules with their version, inputs and operators', async () => {
+    const response = await request(app).get('/api/trust/rules');
+
+    expect(response.status).toBe(200);
+    expect(response.body.version).toEqual('fixture-1');
+    expect(response.body.rules.map(rule => rule.id)).toContain('blocklisted');
+    expect(Object.keys(response.body.inputs)).toContain('mcap_liquidity_ratio');
+    expect(response.body.operators).toContain('matches');
+  });
+
+  it('should report invalid rules as a server error', async () => {
+    jest.spyOn(trustRules, 'getRules').mockImplementation(() => validateRules({ version: 'v2' }));
+
+    const response = await request(app).get('/api/trust/rules');
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toEqual('Trust rules are invalid');
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TvlService, computeTvl } = require('../services/tvlService');
+const tokenService = require('../services/tokenService');
+const poolPricing = require('../services/poolPricing');
+
+describe('computeTvl', () => {
+  it('should value the token side at the weighted price per pool and per DEX', () => {
+    const tvl = computeTvl([
+      { dex: 'MINSWAPV2', poolId: 'p1', adaAmount: 1000, tokenAmount: 500 },
+      { dex: 'MINSWAPV2', poolId: 'p2', adaAmount: 100, tokenAmount: 40 },
+      { dex: 'SPLASH', poolId: 'p3', adaAmount: 300, tokenAmount: 160 }
+    ], 2);
+
+    expect(tvl).toMatchObject({ tvl: 2800, ada_side: 1400, token_side: 1400, price_used: 2, pool_count: 3 });
+    expect(tvl.pools.map(pool => pool.pool_id)).toEqual(['p1', 'p3', 'p2']);
+    expect(tvl.pools[0]).toMatchObject({ dex: 'MINSWAPV2', ada_reserve: 1000, token_reserve: 500, token_value_ada: 1000, tvl: 2000 });
+    expect(tvl.by_dex).toEqual({
+      MINSWAPV2: { tvl: 2180, ada_reserve: 1100, token_reserve: 540, pool_count: 2 },
+      SPLASH: { tvl: 620, ada_reserve: 300, token_reserve: 160, pool_count: 1 }
+    });
+  });
+});
+
+describe('TvlService', () => {
+  let tmpDir;
+  let service;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvl-'));
+    service = new TvlService();
+    service.dataPath = path.join(tmpDir, 'tvl_data.json');
+    service.refreshConcurrency = 1;
+
+    fs.writeFileSync(service.dataPath, JSON.stringify({
+      timestamp: '2025-04-14T00:00:00.000Z',
+      tokens: {
+        aaa: { tvl: 1, computed_at: '2025-04-14T00:00:00.000Z' },
+        bbb: { tvl: 2, computed_at: '2025-04-13T00:00:00.000Z' }
+      }
+    }));
+
+    jest.spyOn(tokenService, 'getAllTokens').mockResolvedValue(
+      ['aaa', 'bbb', 'ccc'].map(id => ({ token_id: id }))
+    );
+    jest.spyOn(poolPricing, 'calculateWeightedPrice').mockImplementation(async tokenId => ({
+      weightedPrice: 1,
+      tvl: computeTvl([{ dex: 'SPLASH', adaAmount: 100, tokenAmount: tokenId === 'bbb' ? 50 : 100 }], 1)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should recompute the least recently computed tokens first and keep the rest', async () => {
+    const summary = await service.refreshTvlData({ budgetMs: 0 });
+
+    expect(summary).toMatchObject({ processed: 1, updated: 1, failed: 0, remaining: 2, persisted: false });
+    expect(poolPricing.calculateWeightedPrice).toHaveBeenCalledWith('ccc');
+
+    const stored = JSON.parse(fs.readFileSync(service.dataPath, 'utf8'));
+    expect(stored.tokens.ccc.tvl).toEqual(200);
+    expect(stored.tokens.aaa.tvl).toEqual(1);
+
+    await service.refreshTvlData({ budgetMs: 0 });
+    expect(poolPricing.calculateWeightedPrice).toHaveBeenLastCalledWith('bbb');
+    expect((await service.getTvlData()).tokens.bbb.tvl).toEqual(150);
+  });
+
+  it('should prefer a refreshed TVL only when it is newer than the enrichment', () => {
+    const record = { token_id: 'aaa', tvl_breakdown: { tvl: 10, computed_at: '2025-04-14T12:00:00.000Z' } };
+
+    expect(tokenService.resolveTvl(record, { tokens: { aaa: { tvl: 5, computed_at: '2025-04-14T00:00:00.000Z' } } }).tvl).toEqual(10);
+    expect(tokenService.resolveTvl(record, { tokens: { aaa: { tvl: 20, computed_at: '2025-04-15T00:00:00.000Z' } } }).tvl).toEqual(20);
+    expect(tokenService.resolveTvl({ token_id: 'bbb' }, { tokens: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VolumeService } = require('../services/volumeService');
+const { ProviderChain } = require('../services/providers');
+const tokenService = require('../services/tokenService');
+const stateStore = require('../services/stateStore');
+
+describe('VolumeService lightweight refresh', () => {
+  let tmpDir;
+  let service;
+  let live;
+  let savedSupabase;
+  let savedStatePath;
+
+  const from = new Date('2025-04-13T12:00:00Z');
+  const to = new Date('2025-04-14T12:00:00Z');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-refresh-'));
+
+    // Keep state in a temp file rather than any configured remote backend
+    savedSupabase = tokenService.supabase;
+    savedStatePath = stateStore.filePath;
+    tokenService.supabase = null;
+    stateStore.filePath = path.join(tmpDir, 'state.json');
+
+    jest.spyOn(tokenService, 'getAllTokens').mockResolvedValue(
+      ['aaa', 'bbb', 'ccc', 'ddd', 'eee'].map(id => ({ token_id: id, ticker: id.toUpperCase() }))
+    );
+
+    fs.writeFileSync(path.join(tmpDir, 'volumes.json'), JSON.stringify({
+      timestamp: '2025-04-14T00:00:00.000Z',
+      total_tokens: 2,
+      tokens: [
+        { tokenId: 'zzz', name: 'ZZZ', volumeInAda: 50, volumeInToken: 1, orderCount: 2 },
+        { tokenId: 'bbb', name: 'BBB', volumeInAda: 5, volumeInToken: 1, orderCount: 1 }
+      ]
+    }));
+
+    service = new VolumeService();
+    service.volumeDataPath = path.join(tmpDir, 'volumes.json');
+    service.refreshConcurrency = 2;
+    live = {
+      name: 'dexhunter',
+      getTokenVolume: jest.fn(async tokenId => (tokenId === 'bbb' ? null : {
+        volume_in_lovelace: String(tokenId.charCodeAt(0) * 1000000),
+        volume_in_token: '10',
+        order_count: '3'
+      }))
+    };
+    service.marketData = new ProviderChain([live]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    tokenService.supabase = savedSupabase;
+    stateStore.filePath = savedStatePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should merge refreshed tokens into the existing dataset', async () => {
+    const result = await service.lightweightVolumeRefresh(from, to, { budgetMs: 60000 });
+
+    expect(result.refresh).toMatchObject({ processed: 5, updated: 5, failed: 0, stale: 0, state_backend: 'file' });
+    expect(result.tokens.find(token => token.tokenId === 'aaa').provider).toEqual('dexhunter');
+    expect(result.tokens.map(token => token.tokenId)).toEqual(['eee', 'ddd', 'ccc', 'aaa', 'zzz', 'bbb']);
+    expect(result.tokens.find(token => token.tokenId === 'bbb')).toMatchObject({ volumeInAda: 0, orderCount: 0 });
+    expect(result.tokens.find(token => token.tokenId === 'zzz')).toMatchObject({ volumeInAda: 50 });
+    expect(result.refresh.cursor).toMatchObject({ position: 0, last_token_id: 'eee', cycles_completed: 1 });
+    expect(JSON.parse(fs.readFileSync(service.volumeDataPath, 'utf8')).total_tokens).toEqual(6);
+  });
+
+  it('should resume from the persisted cursor when the budget runs out', async () => {
+    // A zero budget still processes one chunk so every call makes progress
+    const first = await service.lightweightVolumeRefresh(from, to, { budgetMs: 0 });
+    expect(first.refresh).toMatchObject({ processed: 2, cursor: { position: 2, last_token_id: 'bbb' } });
+
+    service.cachedVolumeData = null;
+    const second = await service.lightweightVolumeRefresh(from, to, { budgetMs: 0 });
+    expect(second.refresh.cursor).toMatchObject({ position: 4, last_token_id: 'ddd', cycles_completed: 0 });
+    expect(live.getTokenVolume.mock.calls.map(call => call[0])).toEqual(['aaa', 'bbb', 'ccc', 'ddd']);
+
+    const third = await service.lightweightVolumeRefresh(from, to, { budgetMs: 0 });
+    expect(third.refresh.cursor).toMatchObject({ position: 1, last_token_id: 'aaa', cycles_completed: 1 });
+  });
+
+  it('should keep the existing rows of tokens only an offline snapshot could serve', async () => {
+    live.getTokenVolume.mockImplementation(async tokenId => {
+      if (tokenId === 'bbb') throw new Error('503 Service Unavailable');
+      return { volume_in_lovelace: '1000000', volume_in_token: '1', order_count: '1' };
+    });
+    const snapshot = { name: 'file', offline: true, getTokenVolume: jest.fn().mockResolvedValue({ volume_in_lovelace: '99000000', order_count: '9' }) };
+    service.marketData = new ProviderChain([live, snapshot]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await service.lightweightVolumeRefresh(from, to, { budgetMs: 60000 });
+
+    expect(result.refresh).toMatchObject({ processed: 5, updated: 4, stale: 1 });
+    expect(result.tokens.find(token => token.tokenId === 'bbb')).toMatchObject({ volumeInAda: 5, orderCount: 1 });
+    expect(result.tokens.find(token => token.tokenId === 'bbb').updated_at).toBeUndefined();
+  });
+});
+
+describe('VolumeService order pagination', () => {
+  const from = new Date('2025-04-13T12:00:00Z');
+  const to = new Date('2025-04-14T12:00:00Z');
+  const order = (id, time) => ({ id, submission_time: time });
+
+  let service;
+  let getGlobalOrders;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new VolumeService();
+    service.PER_PAGE = 2;
+    getGlobalOrders = jest.fn();
+    service.marketData = new ProviderChain([{ name: 'dexhunter', getGlobalOrders }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should skip a page that fails after retries and keep paginating', async () => {
+    getGlobalOrders
+      .mockResolvedValueOnce({ orders: [order(1, '2025-04-14T11:00:00Z'), order(2, '2025-04-14T10:00:00Z')] })
+      .mockRejectedValueOnce(new Error('HTTP 500'))
+      .mockResolvedValueOnce({ orders: [order(5, '2025-04-14T06:00:00Z'), order(6, '2025-04-13T06:00:00Z')] });
+
+    const orders = await service.getAllOrders(from, to);
+
+    expect(orders.map(entry => entry.id)).toEqual([1, 2, 5]);
+    expect(getGlobalOrders).toHaveBeenCalledTimes(3);
+    expect(service.lastOrderFetch).toMatchObject({ complete: false, pages_fetched: 2, failed_pages: [1], error: 'HTTP 500' });
+  });
+
+  it('should give up once consecutive pages fail', async () => {
+    getGlobalOrders
+      .mockResolvedValueOnce({ orders: [order(1, '2025-04-14T11:00:00Z'), order(2, '2025-04-14T10:00:00Z')] })
+      .mockRejectedValue(new Error('HTTP 401'));
+
+    const orders = await service.getAllOrders(from, to);
+
+    expect(orders.map(entry => entry.id)).toEqual([1, 2]);
+    expect(getGlobalOrders).toHaveBeenCalledTimes(3);
+    expect(service.lastOrderFetch).toMatchObject({ complete: false, failed_pages: [1, 2], error: 'HTTP 401' });
+  });
+
+  it('should stop paginating once the circuit breaker is open', async () => {
+    const open = Object.assign(new Error('dexhunter circuit breaker is open'), { code: 'CIRCUIT_OPEN' });
+    getGlobalOrders
+      .mockResolvedValueOnce({ orders: [order(1, '2025-04-14T11:00:00Z'), order(2, '2025-04-14T10:00:00Z')] })
+      .mockRejectedValue(open);
+
+    const orders = await service.getAllOrders(from, to);
+
+    expect(orders.map(entry => entry.id)).toEqual([1, 2]);
+    expect(getGlobalOrders).toHaveBeenCalledTimes(2);
+    expect(service.lastOrderFetch).toMatchObject({ complete: false, failed_pages: [1] });
+  });
+});
+
+describe('StateStore', () => {
+  it('should keep state in memory and name the migration when the app_state table is missing', async () => {
+    const store = new stateStore.StateStore();
+    const missing = { error: { code: '42P01', message: 'relation "app_state" does not exist' } };
+    const query = { select: () => query, eq: () => query, maybeSingle: async () => missing, upsert: async () => missing };
+    jest.spyOn(store, 'getSupabase').mockReturnValue({ from: () => query });
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await store.set('volume:cursor', { position: 3 })).toBe(false);
+    expect(await store.get('volume:cursor')).toEqual({ position: 3 });
+    expect(logged.mock.calls[0][1]).toContain('apply supabase/migrations/0005_app_state.sql');
+    jest.restoreAllMocks();
+  });
+  it('should keep JSON datasets in their file locally and under their state key on Vercel', async () => {
+    const store = new stateStore.StateStore();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-json-'));
+    const filePath = path.join(dir, 'dataset.json');
+    store.filePath = path.join(dir, 'state.json');
+    jest.spyOn(store, 'getSupabase').mockReturnValue(null);
+
+    try {
+      expect(await store.readJson('dataset', filePath, { tokens: {} })).toEqual({ tokens: {} });
+      expect(await store.writeJson('dataset', filePath, { tokens: { aaa: 1 } })).toBe(true);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ tokens: { aaa: 1 } });
+      expect(store.readFile()).toEqual({});
+
+      process.env.VERCEL = '1';
+      expect(await store.readJson('dataset', filePath, { tokens: {} })).toEqual({ tokens: {} });
+      await store.writeJson('dataset', filePath, { tokens: { bbb: 2 } });
+      expect(await store.readJson('dataset', filePath, null)).toEqual({ tokens: { bbb: 2 } });
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ tokens: { aaa: 1 } });
+    } finally {
+      delete process.env.VERCEL;
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});